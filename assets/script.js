@@ -2,8 +2,261 @@ document.addEventListener('DOMContentLoaded', () => {
     const alarmEnabledCheckbox = document.getElementById('alarm-enabled');
     const relaysContainer = document.getElementById('relays-container');
     const saveButton = document.getElementById('save-button');
+    const addRelayButton = document.getElementById('add-relay-button');
     const deactivateButton = document.getElementById('deactivate-button');
     const statusMessage = document.getElementById('status-message');
+    const eventsTypeFilter = document.getElementById('events-type-filter');
+    const eventsTimeline = document.getElementById('events-timeline');
+    const eventsPrevButton = document.getElementById('events-prev');
+    const eventsNextButton = document.getElementById('events-next');
+    const eventsPageInfo = document.getElementById('events-page-info');
+    const profilesContainer = document.getElementById('profiles-container');
+    const rulesContainer = document.getElementById('rules-container');
+    const addProfileButton = document.getElementById('add-profile-button');
+    const addRuleButton = document.getElementById('add-rule-button');
+    const saveRulesButton = document.getElementById('save-rules-button');
+    const alarmStateText = document.getElementById('alarm-state-text');
+    const alarmStateNext = document.getElementById('alarm-state-next');
+    const scheduleEnabledCheckbox = document.getElementById('schedule-enabled');
+    const scheduleTimezoneInput = document.getElementById('schedule-timezone');
+    const scheduleWeekly = document.getElementById('schedule-weekly');
+    const scheduleExceptions = document.getElementById('schedule-exceptions');
+    const scheduleOutsideHours = document.getElementById('schedule-outside-hours');
+    const scheduleQuietRelays = document.getElementById('schedule-quiet-relays');
+    const addExceptionButton = document.getElementById('add-exception-button');
+    const saveScheduleButton = document.getElementById('save-schedule-button');
+    const devicesList = document.getElementById('devices-list');
+    const registryList = document.getElementById('registry-list');
+    const newDeviceId = document.getElementById('new-device-id');
+    const newDeviceName = document.getElementById('new-device-name');
+    const newDeviceRelays = document.getElementById('new-device-relays');
+    const addDeviceButton = document.getElementById('add-device-button');
+    const newDeviceSecret = document.getElementById('new-device-secret');
+    const outputMapContainer = document.getElementById('output-map-container');
+    const saveOutputMapButton = document.getElementById('save-output-map-button');
+    const virtualBoardsContainer = document.getElementById('virtual-boards');
+    const newVirtualRelays = document.getElementById('new-virtual-relays');
+    const newVirtualLatency = document.getElementById('new-virtual-latency');
+    const newVirtualJitter = document.getElementById('new-virtual-jitter');
+    const addVirtualBoardButton = document.getElementById('add-virtual-board-button');
+    const userInfo = document.getElementById('user-info');
+    const liveConnection = document.getElementById('live-connection');
+    const liveRelays = document.getElementById('live-relays');
+    const liveTrigger = document.getElementById('live-trigger');
+    const patternsContainer = document.getElementById('patterns-container');
+    const newPatternName = document.getElementById('new-pattern-name');
+    const addPatternButton = document.getElementById('add-pattern-button');
+    const savePatternsButton = document.getElementById('save-patterns-button');
+    const triggerPolicyMode = document.getElementById('trigger-policy-mode');
+    const triggerPolicyWindow = document.getElementById('trigger-policy-window');
+    const triggerPolicyCooldown = document.getElementById('trigger-policy-cooldown');
+    const triggerPolicyMaxPending = document.getElementById('trigger-policy-max-pending');
+    const triggerPolicyPerMinute = document.getElementById('trigger-policy-per-minute');
+    const saveTriggerPolicyButton = document.getElementById('save-trigger-policy-button');
+    const restartPolicyMode = document.getElementById('restart-policy-mode');
+    const restartPolicyMaxDowntime = document.getElementById('restart-policy-max-downtime');
+    const saveRestartPolicyButton = document.getElementById('save-restart-policy-button');
+    const ackEnabledCheckbox = document.getElementById('ack-enabled');
+    const ackIntervalInput = document.getElementById('ack-interval');
+    const ackEscalation = document.getElementById('ack-escalation');
+    const addEscalationButton = document.getElementById('add-escalation-button');
+    const saveAckButton = document.getElementById('save-ack-button');
+    const liveAck = document.getElementById('live-ack');
+    const liveAckText = document.getElementById('live-ack-text');
+    const acknowledgeButton = document.getElementById('acknowledge-button');
+    const liveSafety = document.getElementById('live-safety');
+    const safetyRelays = document.getElementById('safety-relays');
+    const safetyInterlocks = document.getElementById('safety-interlocks');
+    const addInterlockButton = document.getElementById('add-interlock-button');
+    const saveSafetyButton = document.getElementById('save-safety-button');
+    const auditActionFilter = document.getElementById('audit-action-filter');
+    const auditUserFilter = document.getElementById('audit-user-filter');
+    const auditList = document.getElementById('audit-list');
+    const auditPrevButton = document.getElementById('audit-prev');
+    const auditNextButton = document.getElementById('audit-next');
+    const auditPageInfo = document.getElementById('audit-page-info');
+    const auditExportCsv = document.getElementById('audit-export-csv');
+    const auditExportJson = document.getElementById('audit-export-json');
+    const notificationChannelsContainer = document.getElementById('notification-channels');
+    const newChannelType = document.getElementById('new-channel-type');
+    const addChannelButton = document.getElementById('add-channel-button');
+    const saveNotificationsButton = document.getElementById('save-notifications-button');
+    const deliveriesList = document.getElementById('deliveries-list');
+    const refreshDeliveriesButton = document.getElementById('refresh-deliveries-button');
+    const sourcesList = document.getElementById('sources-list');
+    const newSourceId = document.getElementById('new-source-id');
+    const newSourceName = document.getElementById('new-source-name');
+    const newSourceType = document.getElementById('new-source-type');
+    const newSourceProfile = document.getElementById('new-source-profile');
+    const newSourceSecret = document.getElementById('new-source-secret');
+    const addSourceButton = document.getElementById('add-source-button');
+    const newSourceKey = document.getElementById('new-source-key');
+    const tokensList = document.getElementById('tokens-list');
+    const newTokenName = document.getElementById('new-token-name');
+    const newTokenScope = document.getElementById('new-token-scope');
+    const addTokenButton = document.getElementById('add-token-button');
+    const newTokenSecret = document.getElementById('new-token-secret');
+
+    let eventsPage = 1;
+    let auditPage = 1;
+    let rulesState = { profiles: {}, rules: [] };
+    let deviceRegistry = [];
+    let virtualBoardsTimer = null; // Polls virtual boards while any are running
+    let triggerSources = [];
+    let sourceProfiles = []; // Profile names trigger sources can play
+    let apiTokens = []; // The user's API tokens (everyone's for admins)
+    let notificationChannels = [];
+    let channelTemplates = {}; // Templates new channels start with, per type
+    let relayLabels = {}; // Configured relays in display order: { [relayId]: label }
+    let patternLibrary = {}; // Named relay patterns: { [name]: { steps, repeat } }
+    let liveSocket = null;
+    let liveState = null; // Last state received over /ws/dashboard
+    let liveReconnectDelay = 1000;
+    let serverClockOffset = 0; // Server clock minus browser clock, for countdowns
+    let csrfToken = null; // Sent with every change, comes with the logged-in user
+
+    const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+    const ALARM_STATE_LABELS = {
+        disabled: 'Disabled (main switch off)',
+        active: 'Active',
+        quiet: 'Quiet hours (selected relays only)',
+        suppressed: 'Outside scheduled hours (no alarm)'
+    };
+
+    const EXECUTION_MODE_LABELS = {
+        stream: 'Streamed relay states',
+        plan: 'Execution plan (runs on the board)'
+    };
+
+    const AUDIT_SECTION_LABELS = {
+        settings: 'Relay settings',
+        outputMap: 'Output mapping',
+        schedule: 'Schedule',
+        rules: 'Profiles & rules',
+        patterns: 'Pattern library',
+        triggerPolicy: 'Orders during an alarm',
+        acknowledgement: 'Acknowledgement',
+        restartPolicy: 'After a restart',
+        notifications: 'Notifications',
+        safety: 'Safety limits',
+        security: 'Login & sessions'
+    };
+
+    const SAFETY_RULE_LABELS = {
+        maxOn: 'maximum on-time',
+        dutyCycle: 'duty cycle',
+        dailyBudget: 'daily on-time budget',
+        cooldown: 'cool-down',
+        interlock: 'interlock'
+    };
+
+    const SOURCE_TYPE_LABELS = {
+        generic: 'Generic (API key)',
+        woocommerce: 'WooCommerce webhook',
+        shopify: 'Shopify webhook'
+    };
+
+    const CHANNEL_TYPE_LABELS = {
+        webhook: 'Webhook',
+        email: 'Email (SMTP)',
+        ntfy: 'ntfy',
+        gotify: 'Gotify'
+    };
+    const NOTIFY_WHEN_LABELS = {
+        always: 'Always',
+        quiet: 'Only during quiet hours',
+        active: 'Only outside quiet hours'
+    };
+    // Settings per channel type: [setting, label, input type or select options]
+    const CHANNEL_FIELDS = {
+        webhook: [
+            ['url', 'URL', 'text'],
+            ['method', 'Method', { POST: 'POST', PUT: 'PUT' }],
+            ['headers', 'Headers (one "Name: value" per line)', 'headers'],
+            ['bodyTemplate', 'JSON body template', 'textarea']
+        ],
+        email: [
+            ['host', 'SMTP host', 'text'],
+            ['port', 'Port', 'number'],
+            ['secure', 'TLS from the start (usually port 465)', 'checkbox'],
+            ['username', 'Username (empty = no login)', 'text'],
+            ['password', 'Password', 'password'],
+            ['from', 'From', 'text'],
+            ['to', 'To (separate several with commas)', 'text'],
+            ['subjectTemplate', 'Subject template', 'text'],
+            ['textTemplate', 'Text template', 'textarea']
+        ],
+        ntfy: [
+            ['url', 'Server URL', 'text'],
+            ['topic', 'Topic', 'text'],
+            ['token', 'Access token (optional)', 'password'],
+            ['priority', 'Priority (1-5)', 'number'],
+            ['titleTemplate', 'Title template', 'text'],
+            ['messageTemplate', 'Message template', 'textarea']
+        ],
+        gotify: [
+            ['url', 'Server URL', 'text'],
+            ['token', 'Application token', 'password'],
+            ['priority', 'Priority (0-10)', 'number'],
+            ['titleTemplate', 'Title template', 'text'],
+            ['messageTemplate', 'Message template', 'textarea']
+        ]
+    };
+    const CHANNEL_DEFAULTS = {
+        webhook: { url: '', method: 'POST', headers: {} },
+        email: { host: '', port: 587, secure: false, username: '', password: '', from: '', to: '' },
+        ntfy: { url: 'https://ntfy.sh', topic: '', token: '', priority: 4 },
+        gotify: { url: '', token: '', priority: 8 }
+    };
+
+    const PATTERN_STEP_LABELS = {
+        off: 'Off',
+        on: 'On',
+        pulse: 'Pulse'
+    };
+    const DEFAULT_PATTERN = { steps: [{ type: 'on', durationMs: 5000 }], repeat: 1 };
+
+    const RULE_FIELD_LABELS = {
+        total: 'Order total',
+        salesChannel: 'Sales channel',
+        shippingMethod: 'Shipping method',
+        productNumber: 'Product number',
+        customerGroup: 'Customer group'
+    };
+    const RULE_OPERATOR_LABELS = {
+        eq: 'equals',
+        neq: 'does not equal',
+        gt: 'greater than',
+        gte: 'at least',
+        lt: 'less than',
+        lte: 'at most',
+        contains: 'contains'
+    };
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function optionsHtml(labels, selected) {
+        return Object.entries(labels)
+            .map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${escapeHtml(label)}</option>`)
+            .join('');
+    }
+
+    // fetch() for the dashboard API: requests that change something carry the session's CSRF token
+    async function apiFetch(url, options = {}) {
+        if ((options.method || 'GET').toUpperCase() === 'GET') {
+            return fetch(url, options);
+        }
+        if (!csrfToken) {
+            await loadCurrentUser();
+        }
+        return fetch(url, { ...options, headers: { ...options.headers, 'X-CSRF-Token': csrfToken } });
+    }
 
     async function showStatus(message, isError = false) {
         statusMessage.textContent = message;
@@ -13,55 +266,214 @@ document.addEventListener('DOMContentLoaded', () => {
         statusMessage.style.display = 'none';
     }
 
+    // Relay ids in numeric order
+    function sortedRelayIds(relays) {
+        return Object.keys(relays).sort((a, b) => Number(a) - Number(b));
+    }
+
+    function relayLabel(relayId) {
+        return relayLabels[relayId] || `Relay ${relayId}`;
+    }
+
+    // Pattern select options: 'Custom' (inline pattern) plus the library patterns
+    function patternOptionsHtml(selected, customLabel = 'Custom') {
+        const labels = { '': customLabel };
+        Object.keys(patternLibrary).forEach(name => {
+            labels[name] = name;
+        });
+        return optionsHtml(labels, selected || '');
+    }
+
+    // Add one step row to a pattern editor
+    function addPatternStepRow(stepsContainer, step) {
+        const row = document.createElement('div');
+        row.className = 'pattern-step';
+        row.innerHTML = `
+            <select data-setting="type">${optionsHtml(PATTERN_STEP_LABELS, step.type)}</select>
+            <input type="number" data-setting="durationMs" title="Duration (ms)" min="10" max="600000" value="${step.durationMs}">
+            <input type="number" data-setting="pulseMs" title="Pulse length (ms)" min="20" max="5000" value="${step.pulseMs || 500}">
+            <input type="number" data-setting="toPulseMs" title="Ramp to pulse length (ms), empty for a steady pulse" placeholder="ramp to" min="20" max="5000" value="${step.toPulseMs !== undefined ? step.toPulseMs : ''}">
+            <button class="btn secondary remove-step-button">&times;</button>`;
+        const typeSelect = row.querySelector('[data-setting="type"]');
+        const showPulseInputs = () => row.classList.toggle('pulse-step', typeSelect.value === 'pulse');
+        typeSelect.addEventListener('change', showPulseInputs);
+        showPulseInputs();
+        row.querySelector('.remove-step-button').addEventListener('click', () => {
+            const editor = row.closest('.pattern-editor');
+            if (editor.querySelectorAll('.pattern-step').length <= 1) {
+                showStatus('A pattern needs at least one step.', true);
+                return;
+            }
+            row.remove();
+            editor.dispatchEvent(new Event('change'));
+        });
+        stepsContainer.appendChild(row);
+    }
+
+    // Step editor for a pattern; onChange is called whenever a step is added, removed or edited
+    function createPatternEditor(pattern, onChange) {
+        const editor = document.createElement('div');
+        editor.className = 'pattern-editor';
+        editor.innerHTML = `
+            <div class="pattern-steps"></div>
+            <div class="pattern-step">
+                <button class="btn secondary add-step-button">Add Step</button>
+                <label>Repeat:</label>
+                <input type="number" class="pattern-repeat" min="1" max="100" value="${pattern.repeat}">
+            </div>`;
+        const stepsContainer = editor.querySelector('.pattern-steps');
+        pattern.steps.forEach(step => addPatternStepRow(stepsContainer, step));
+        editor.querySelector('.add-step-button').addEventListener('click', () => {
+            addPatternStepRow(stepsContainer, { type: 'on', durationMs: 1000 });
+            onChange();
+        });
+        editor.addEventListener('change', onChange);
+        return editor;
+    }
+
+    // Read a pattern editor back into a pattern
+    function readPatternEditor(editor) {
+        const steps = [];
+        editor.querySelectorAll('.pattern-steps .pattern-step').forEach(row => {
+            const type = row.querySelector('[data-setting="type"]').value;
+            const step = { type, durationMs: parseInt(row.querySelector('[data-setting="durationMs"]').value, 10) };
+            if (type === 'pulse') {
+                step.pulseMs = parseInt(row.querySelector('[data-setting="pulseMs"]').value, 10);
+                const toPulseMs = row.querySelector('[data-setting="toPulseMs"]').value.trim();
+                if (toPulseMs !== '') step.toPulseMs = parseInt(toPulseMs, 10);
+            }
+            steps.push(step);
+        });
+        return { steps, repeat: parseInt(editor.querySelector('.pattern-repeat').value, 10) };
+    }
+
+    // Draw a pattern ({ pattern } or { patternName }) as an on/off bar, as computed by the server
+    async function renderPatternPreview(previewElement, body) {
+        try {
+            const response = await apiFetch('/api/dashboard/patterns/preview', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                throw new Error(await response.text());
+            }
+            const preview = await response.json();
+            const segments = preview.segments
+                .filter(segment => segment.on)
+                .map(segment => `<div class="pattern-segment" style="left: ${segment.startMs / preview.previewMs * 100}%; width: ${(segment.endMs - segment.startMs) / preview.previewMs * 100}%;"></div>`)
+                .join('');
+            const total = preview.durationMs < 1000 ? `${preview.durationMs}ms` : formatDuration(preview.durationMs);
+            previewElement.innerHTML = `
+                <div class="pattern-bar">${segments}</div>
+                <small>Total ${total}${preview.previewMs < preview.durationMs ? `, first ${formatDuration(preview.previewMs)} shown` : ''}</small>`;
+        } catch (error) {
+            previewElement.innerHTML = `<small class="pattern-error">${escapeHtml(error.message)}</small>`;
+        }
+    }
+
     // Function to render relay settings
-    function renderRelaySettings(settings) {
+    function renderRelaySettings(relays) {
         relaysContainer.innerHTML = ''; // Clear previous
-        for (let i = 1; i <= 4; i++) {
-            // Default if not found or new properties
-            // Added 'enabled' property, defaulting to true
-            const relay = settings.relays[i] || { onTimeMs: 5000, delayMs: 0, pulseMs: 0, enabled: true };
+        sortedRelayIds(relays).forEach(i => {
+            // Default if new properties are missing
+            const relay = { label: `Relay ${i}`, enabled: true, ...relays[i] };
+            const patternName = relay.patternName && patternLibrary[relay.patternName] ? relay.patternName : '';
 
             const relayCard = document.createElement('div');
             relayCard.className = 'relay-card';
+            relayCard.dataset.relayId = i;
             relayCard.innerHTML = `
-                <h2>Relay ${i}</h2>
+                <h2>${escapeHtml(relay.label)} <small>(#${i})</small></h2>
+                <div class="setting-group">
+                    <label for="relay-${i}-label">Label:</label>
+                    <input type="text" id="relay-${i}-label" data-relay-id="${i}" data-setting="label" maxlength="50" value="${escapeHtml(relay.label)}">
+                </div>
                 <div class="setting-group checkbox-group">
                     <input type="checkbox" id="relay-${i}-enabled" data-relay-id="${i}" data-setting="enabled" ${relay.enabled ? 'checked' : ''}>
-                    <label for="relay-${i}-enabled">Enable Relay ${i}</label>
+                    <label for="relay-${i}-enabled">Enable ${escapeHtml(relay.label)}</label>
                 </div>
                 <div class="setting-group">
-                    <label for="relay-${i}-on-time">On Duration (ms):</label>
-                    <input type="number" id="relay-${i}-on-time" data-relay-id="${i}" data-setting="onTimeMs" min="100" max="600000" value="${relay.onTimeMs}">
+                    <label for="relay-${i}-pattern">Pattern:</label>
+                    <select id="relay-${i}-pattern" data-relay-id="${i}" data-setting="patternName">${patternOptionsHtml(patternName)}</select>
                 </div>
-                <div class="setting-group">
-                    <label for="relay-${i}-delay-time">Delay Before On (ms):</label>
-                    <input type="number" id="relay-${i}-delay-time" data-relay-id="${i}" data-setting="delayMs" min="0" max="600000" value="${relay.delayMs}">
-                </div>
-                <div class="setting-group pulse-group">
-                    <label for="relay-${i}-pulse-ms">Pulse Frequency (ms):</label>
-                    <input type="number" id="relay-${i}-pulse-ms" data-relay-id="${i}" data-setting="pulseMs" min="0" max="5000" value="${relay.pulseMs}">
-                    <span>(0 for off)</span>
-                </div>
-                <button class="btn secondary test-button" data-relay-id="${i}">Test Relay ${i} (500ms)</button>
+                <div class="pattern-editor-slot"></div>
+                <div class="pattern-preview"></div>
+                <button class="btn secondary requires-operator test-button" data-relay-id="${i}">Test ${escapeHtml(relay.label)} (500ms)</button>
+                <button class="btn danger remove-relay-button" data-relay-id="${i}">Remove Relay</button>
             `;
+
+            // The editor starts from the relay's own pattern, or a copy of its library pattern
+            const patternSelect = relayCard.querySelector(`#relay-${i}-pattern`);
+            const preview = relayCard.querySelector('.pattern-preview');
+            const updatePreview = () => renderPatternPreview(preview, patternSelect.value
+                ? { patternName: patternSelect.value }
+                : { pattern: readPatternEditor(editor) });
+            const editor = createPatternEditor(relay.pattern || patternLibrary[patternName] || DEFAULT_PATTERN, updatePreview);
+            editor.hidden = patternSelect.value !== '';
+            relayCard.querySelector('.pattern-editor-slot').appendChild(editor);
+            patternSelect.addEventListener('change', () => {
+                editor.hidden = patternSelect.value !== '';
+                updatePreview();
+            });
+            updatePreview();
+
             relaysContainer.appendChild(relayCard);
-        }
+        });
 
-        // Add event listeners for test buttons after rendering
+        // Add event listeners for test and remove buttons after rendering
         document.querySelectorAll('.test-button').forEach(button => {
             button.addEventListener('click', (event) => testRelay(event.target.dataset.relayId));
         });
+        document.querySelectorAll('.remove-relay-button').forEach(button => {
+            button.addEventListener('click', (event) => {
+                const relays = collectRelaySettings();
+                if (Object.keys(relays).length <= 1) {
+                    showStatus('At least one relay is required.', true);
+                    return;
+                }
+                delete relays[event.target.dataset.relayId];
+                renderRelaySettings(relays);
+                showStatus('Relay removed. Save all settings to apply.');
+            });
+        });
+    }
+
+    // Read the relay cards back into a relays object
+    function collectRelaySettings() {
+        const relays = {};
+        relaysContainer.querySelectorAll('.relay-card').forEach(relayCard => {
+            const i = relayCard.dataset.relayId;
+            const patternName = document.getElementById(`relay-${i}-pattern`).value;
+            relays[i] = {
+                label: document.getElementById(`relay-${i}-label`).value.trim(),
+                enabled: document.getElementById(`relay-${i}-enabled`).checked
+            };
+            if (patternName) {
+                relays[i].patternName = patternName;
+            } else {
+                relays[i].pattern = readPatternEditor(relayCard.querySelector('.pattern-editor'));
+            }
+        });
+        return relays;
     }
 
     async function loadSettings() {
         try {
-            const response = await fetch('/api/dashboard/settings');
+            const response = await apiFetch('/api/dashboard/settings');
             if (!response.ok) {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             const settings = await response.json();
             alarmEnabledCheckbox.checked = settings.alarmEnabled;
-            renderRelaySettings(settings);
+            patternLibrary = settings.patterns;
+            relayLabels = {};
+            sortedRelayIds(settings.relays).forEach(relayId => {
+                relayLabels[relayId] = settings.relays[relayId].label;
+            });
+            renderRelaySettings(settings.relays);
+            renderPatternLibrary();
+            renderAlarmState(settings.alarmState);
         } catch (error) {
             console.error('Error loading settings:', error);
             showStatus('Failed to load settings.', true);
@@ -70,27 +482,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
     async function saveSettings() {
         try {
-            const updatedRelays = {};
-            for (let i = 1; i <= 4; i++) {
-                const onTimeInput = document.getElementById(`relay-${i}-on-time`);
-                const delayTimeInput = document.getElementById(`relay-${i}-delay-time`);
-                const pulseMsInput = document.getElementById(`relay-${i}-pulse-ms`);
-                const enabledCheckbox = document.getElementById(`relay-${i}-enabled`); // New
-
-                updatedRelays[i] = {
-                    onTimeMs: parseInt(onTimeInput.value, 10),
-                    delayMs: parseInt(delayTimeInput.value, 10),
-                    pulseMs: parseInt(pulseMsInput.value, 10),
-                    enabled: enabledCheckbox.checked // New
-                };
-            }
+            const updatedRelays = collectRelaySettings();
 
             const settings = {
                 alarmEnabled: alarmEnabledCheckbox.checked,
                 relays: updatedRelays
             };
 
-            const response = await fetch('/api/dashboard/settings', {
+            const response = await apiFetch('/api/dashboard/settings', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(settings)
@@ -100,7 +499,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
             }
             showStatus('Settings saved successfully!');
+            loadAudit(1); // Saving is admin-only, the audit trail shows the change
             await loadSettings(); // Reload to ensure sync and re-render
+            // Relays may have been added or removed, which changes these views too
+            loadSchedule();
+            loadRules();
+            loadSafety();
+            loadDeviceRegistry();
         } catch (error) {
             console.error('Error saving settings:', error);
             showStatus(`Failed to save settings: ${error.message}`, true);
@@ -116,12 +521,13 @@ document.addEventListener('DOMContentLoaded', () => {
                 return;
             }
 
-            const response = await fetch(`/api/dashboard/commands/test-relay/${relayId}`, { method: 'POST' });
+            const response = await apiFetch(`/api/dashboard/commands/test-relay/${relayId}`, { method: 'POST' });
             if (!response.ok) {
                 const errorText = await response.text();
                 throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
             }
             showStatus(`Test command sent for Relay ${relayId}!`);
+            loadEvents(1);
         } catch (error) {
             console.error(`Error sending test relay ${relayId} command:`, error);
             showStatus(`Failed to send test command for Relay ${relayId}: ${error.message}`, true);
@@ -130,7 +536,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     async function deactivateAlarm() {
         try {
-            const response = await fetch('/api/dashboard/commands/deactivate-alarm', { method: 'POST' });
+            const response = await apiFetch('/api/dashboard/commands/deactivate-alarm', { method: 'POST' });
             if (!response.ok) {
                 const errorText = await response.text();
                 throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
@@ -142,10 +548,2069 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     }
 
-    // Event Listeners
-    saveButton.addEventListener('click', saveSettings);
-    deactivateButton.addEventListener('click', deactivateAlarm);
+    async function acknowledgeAlarm() {
+        try {
+            const response = await apiFetch('/api/dashboard/commands/acknowledge-alarm', { method: 'POST' });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            showStatus(await response.text());
+            loadEvents(1);
+        } catch (error) {
+            console.error('Error sending acknowledge command:', error);
+            showStatus(`Failed to acknowledge alarm: ${error.message}`, true);
+        }
+    }
+
+    // Show the effective alarm state (main switch + schedule) and when it changes next
+    function renderAlarmState(alarmState) {
+        alarmStateText.textContent = ALARM_STATE_LABELS[alarmState.state] || alarmState.state;
+        if (alarmState.exception) {
+            alarmStateText.textContent += ` - ${alarmState.exception}`;
+        }
+        alarmStateNext.textContent = alarmState.nextChange
+            ? `Changes to "${ALARM_STATE_LABELS[alarmState.nextChange.state]}" at ${new Date(alarmState.nextChange.at).toLocaleString()}`
+            : '';
+    }
+
+    function formatDuration(ms) {
+        const seconds = Math.floor(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+        if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+        return `${Math.floor(seconds / 86400)}d ${Math.floor((seconds % 86400) / 3600)}h`;
+    }
+
+    // Render the ESP32 device list with online state, firmware and acknowledgement health
+    function renderDevices(devices, mqtt) {
+        devicesList.innerHTML = ''; // Clear previous
+        if (mqtt && mqtt.enabled) {
+            const item = document.createElement('li');
+            item.className = mqtt.connected ? 'device-online' : 'device-offline';
+            item.textContent = `MQTT bridge: ${mqtt.connected ? 'connected' : 'disconnected'}`;
+            devicesList.appendChild(item);
+        }
+        if (devices.length === 0) {
+            const item = document.createElement('li');
+            item.className = 'device-offline';
+            item.textContent = 'No device has connected since the server started. Order alarms will not reach any relay board!';
+            devicesList.appendChild(item);
+            return;
+        }
+        devices.forEach(device => {
+            const item = document.createElement('li');
+            const problems = [];
+            if (!device.online) problems.push(`offline for ${formatDuration(Date.now() - device.disconnectedAt)}`);
+            if (device.unacknowledged) problems.push('not acknowledging updates');
+            if (device.lastError) problems.push(`error: ${device.lastError.message}`);
+            item.className = problems.length ? 'device-offline' : 'device-online';
+
+            const info = [device.online ? 'online' : 'offline'];
+            if (device.transport === 'mqtt') info.push('via MQTT');
+            if (device.protocol === 0) info.push('legacy firmware');
+            if (device.firmware) info.push(`firmware ${device.firmware}`);
+            if (device.relayCount !== null) info.push(`${device.relayCount} relays`);
+            if (device.uptimeMs !== null) info.push(`uptime ${formatDuration(device.uptimeMs)}`);
+            if (device.avgAckLatencyMs !== null) info.push(`ack ${device.avgAckLatencyMs}ms`);
+            if (device.mode === 'plan') {
+                info.push('plan mode');
+            } else if (device.executionMode === 'plan') {
+                problems.push('plan mode selected but not supported by the firmware, streaming instead');
+            }
+            if (device.clock) info.push(`clock offset ${device.clock.offsetMs}ms (rtt ${device.clock.rttMs}ms)`);
+            info.push(`last seen ${new Date(device.lastSeen).toLocaleTimeString()}`);
+
+            const name = document.createElement('strong');
+            name.textContent = device.name ? `${device.name} (${device.id})` : device.id;
+            item.appendChild(name);
+            item.appendChild(document.createTextNode(` - ${info.join(', ')}`));
+            if (problems.length) {
+                const problem = document.createElement('span');
+                problem.className = 'device-problem';
+                problem.textContent = problems.join(', ');
+                item.appendChild(problem);
+            }
+            if (device.reportedRelays) {
+                const relays = document.createElement('span');
+                relays.className = 'device-relays';
+                relays.textContent = 'Reported relays: ' + Object.entries(device.reportedRelays)
+                    .map(([id, on]) => `${id}:${on ? 'ON' : 'off'}`)
+                    .join(' ');
+                item.appendChild(relays);
+            }
+            if (device.mode === 'plan' && device.plan) {
+                const plan = document.createElement('span');
+                plan.className = 'device-relays';
+                const progress = device.plan.progress;
+                let planStatus = 'sent, no progress reported yet';
+                if (device.plan.cancelled) {
+                    planStatus = 'cancelled';
+                } else if (progress && progress.finished) {
+                    planStatus = 'finished';
+                } else if (progress) {
+                    planStatus = `running, ${formatDuration(progress.elapsedMs || 0)} in`;
+                }
+                plan.textContent = `Plan #${device.plan.planId}: ${planStatus}`;
+                item.appendChild(plan);
+            }
+            devicesList.appendChild(item);
+        });
+    }
+
+    // Logged-in user; controls the role may not use are hidden via the body's data-role
+    async function loadCurrentUser() {
+        try {
+            const response = await fetch('/api/dashboard/me');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const user = await response.json();
+            csrfToken = user.csrfToken;
+            document.body.dataset.role = user.role;
+            userInfo.textContent = `Logged in as ${user.username} (${user.role})`;
+            return user;
+        } catch (error) {
+            console.error('Error loading user:', error);
+            return null;
+        }
+    }
+
+    // --- Live view over /ws/dashboard ---
+
+    // Relay lamps, updated in place; lamps are only rebuilt when relays were added or removed
+    function renderLiveRelays(relays, testRelay) {
+        const ids = sortedRelayIds(relays);
+        if (liveRelays.dataset.ids !== ids.join(',')) {
+            liveRelays.innerHTML = ids
+                .map(id => `<div class="relay-lamp" data-relay-id="${id}"><span class="lamp"></span><span class="lamp-label"></span></div>`)
+                .join('');
+            liveRelays.dataset.ids = ids.join(',');
+        }
+        ids.forEach(id => {
+            const lamp = liveRelays.querySelector(`[data-relay-id="${id}"]`);
+            lamp.classList.toggle('on', !!relays[id]);
+            lamp.classList.toggle('testing', testRelay.id !== null && String(testRelay.id) === id);
+            lamp.querySelector('.lamp-label').textContent = relayLabel(id);
+        });
+    }
+
+    // Running alarm with a countdown to its end, refreshed between state updates
+    function renderLiveTrigger() {
+        const running = !!(liveState && liveState.triggerActive);
+        liveTrigger.classList.toggle('active', running);
+        if (!running) {
+            liveTrigger.textContent = 'No alarm running.';
+            return;
+        }
+        const source = liveState.trigger
+            ? `${liveState.trigger.source}${liveState.trigger.details.orderReference ? ` ${liveState.trigger.details.orderReference}` : ''}`
+            : 'relay test';
+        const remaining = liveState.endsAt !== null
+            ? `, ${(Math.max(0, liveState.endsAt - (Date.now() + serverClockOffset)) / 1000).toFixed(1)}s left`
+            : '';
+        const orders = liveState.trigger && liveState.trigger.orders > 1 ? `, ${liveState.trigger.orders} orders` : '';
+        const pending = liveState.pendingOrders ? `, ${liveState.pendingOrders} pending` : '';
+        liveTrigger.textContent = `Alarm running (${source}${orders})${remaining}${pending}`;
+    }
+
+    // Alarm waiting for acknowledgement, with the time until it repeats
+    function renderLiveAcknowledgement() {
+        const pending = liveState && liveState.unacknowledged;
+        liveAck.style.display = pending ? 'flex' : 'none';
+        if (!pending) return;
+        const waiting = formatDuration(Date.now() + serverClockOffset - pending.since);
+        const nextRepeat = Math.max(0, pending.nextRepeatAt - (Date.now() + serverClockOffset));
+        liveAckText.textContent = `Waiting for acknowledgement for ${waiting}`
+            + ` (${pending.orders} order${pending.orders === 1 ? '' : 's'}, ${pending.repeats} repeats`
+            + `${pending.escalation ? `, escalated to "${pending.escalation}"` : ''}), repeats in ${formatDuration(nextRepeat)}`;
+    }
+
+    // Relays currently held off by their safety limits
+    function renderLiveSafety(violations) {
+        liveSafety.style.display = violations && violations.length ? 'block' : 'none';
+        liveSafety.innerHTML = (violations || [])
+            .map(violation => `<li>${escapeHtml(relayLabel(violation.relayId))} held off (${escapeHtml(violation.label)}): ${escapeHtml(violation.message)}</li>`)
+            .join('');
+    }
+
+    function setLiveConnection(connected, message) {
+        liveConnection.classList.toggle('connected', connected);
+        liveConnection.textContent = message;
+    }
+
+    function connectLiveUpdates() {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        liveSocket = new WebSocket(`${protocol}//${window.location.host}/ws/dashboard`);
+
+        liveSocket.addEventListener('open', () => {
+            liveReconnectDelay = 1000;
+            setLiveConnection(true, 'Live');
+        });
+        liveSocket.addEventListener('message', event => {
+            let state;
+            try {
+                state = JSON.parse(event.data);
+            } catch (error) {
+                return;
+            }
+            if (state.type !== 'state') return;
+            liveState = state;
+            serverClockOffset = state.serverTime - Date.now();
+            renderLiveRelays(state.relays, state.testRelay);
+            renderLiveTrigger();
+            renderLiveAcknowledgement();
+            renderLiveSafety(state.safetyViolations);
+            renderAlarmState(state.alarmState);
+            renderDevices(state.devices, state.mqtt);
+        });
+        liveSocket.addEventListener('close', async () => {
+            // The upgrade is refused once the session has expired, go back to the login page then
+            try {
+                const response = await apiFetch('/api/dashboard/settings');
+                if (response.redirected && new URL(response.url).pathname === '/login') {
+                    window.location.href = '/login';
+                    return;
+                }
+            } catch (error) {
+                // Server unreachable, keep trying
+            }
+            setLiveConnection(false, `Live updates disconnected, reconnecting in ${liveReconnectDelay / 1000}s...`);
+            setTimeout(connectLiveUpdates, liveReconnectDelay);
+            liveReconnectDelay = Math.min(liveReconnectDelay * 2, 30000);
+        });
+    }
+
+    async function loadDevices() {
+        try {
+            const response = await apiFetch('/api/dashboard/devices');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            renderDevices(result.devices, result.mqtt);
+        } catch (error) {
+            console.error('Error loading devices:', error);
+        }
+    }
+
+    // Render registered boards with revoke/remove actions
+    function renderRegistry() {
+        registryList.innerHTML = ''; // Clear previous
+        if (deviceRegistry.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'No boards registered, only the shared ESP32 secret can connect.';
+            registryList.appendChild(item);
+        }
+        deviceRegistry.forEach(device => {
+            const item = document.createElement('li');
+            item.className = device.revoked ? 'device-offline' : 'device-online';
+            const name = document.createElement('strong');
+            name.textContent = `${device.name} (${device.id})`;
+            item.appendChild(name);
+            item.appendChild(document.createTextNode(` - ${device.relayCount} relays${device.revoked ? ', revoked' : ''}`));
+
+            const actions = document.createElement('div');
+            actions.className = 'schedule-row requires-admin';
+            const modeSelect = document.createElement('select');
+            modeSelect.title = 'How the board runs alarms';
+            modeSelect.innerHTML = optionsHtml(EXECUTION_MODE_LABELS, device.executionMode);
+            modeSelect.addEventListener('change', () => deviceAction(
+                `/api/dashboard/devices/${encodeURIComponent(device.id)}/mode`, 'POST', { executionMode: modeSelect.value }));
+            actions.appendChild(modeSelect);
+            if (!device.revoked) {
+                const revokeButton = document.createElement('button');
+                revokeButton.className = 'btn danger';
+                revokeButton.textContent = 'Revoke';
+                revokeButton.addEventListener('click', () => deviceAction(`/api/dashboard/devices/${encodeURIComponent(device.id)}/revoke`, 'POST'));
+                actions.appendChild(revokeButton);
+            }
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn danger';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => {
+                if (confirm(`Remove board ${device.id} and its output mapping?`)) {
+                    deviceAction(`/api/dashboard/devices/${encodeURIComponent(device.id)}`, 'DELETE');
+                }
+            });
+            actions.appendChild(removeButton);
+            item.appendChild(actions);
+            registryList.appendChild(item);
+        });
+    }
+
+    function addMappingRow(container, target) {
+        const row = document.createElement('div');
+        row.className = 'schedule-row mapping-row';
+        const deviceOptions = deviceRegistry
+            .map(device => `<option value="${escapeHtml(device.id)}" ${device.id === target.deviceId ? 'selected' : ''}>${escapeHtml(device.name)}</option>`)
+            .join('');
+        row.innerHTML = `
+            <select data-setting="deviceId">${deviceOptions}</select>
+            <input type="number" data-setting="relay" min="1" max="16" value="${target.relay}" title="Relay on the board">
+            <button class="btn danger">&times;</button>
+        `;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        container.appendChild(row);
+    }
+
+    function renderOutputMap(outputMap) {
+        outputMapContainer.innerHTML = ''; // Clear previous
+        Object.keys(relayLabels).forEach(i => {
+            const output = document.createElement('div');
+            output.className = 'profile-card';
+            output.dataset.outputId = i;
+            output.innerHTML = `<label>Alarm Output ${i} (${escapeHtml(relayLabel(i))}):</label><div class="mapping-rows"></div>`;
+            const rows = output.querySelector('.mapping-rows');
+            (outputMap[i] || []).forEach(target => addMappingRow(rows, target));
+
+            const addButton = document.createElement('button');
+            addButton.className = 'btn secondary';
+            addButton.textContent = 'Add Board Relay';
+            addButton.addEventListener('click', () => {
+                if (deviceRegistry.length === 0) {
+                    showStatus('Register a board first.', true);
+                    return;
+                }
+                addMappingRow(rows, { deviceId: deviceRegistry[0].id, relay: Math.min(Number(i), deviceRegistry[0].relayCount) });
+            });
+            output.appendChild(addButton);
+            outputMapContainer.appendChild(output);
+        });
+    }
+
+    async function loadDeviceRegistry() {
+        try {
+            const response = await apiFetch('/api/dashboard/devices');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            deviceRegistry = result.registry;
+            renderRegistry();
+            renderOutputMap(result.outputMap);
+            renderDevices(result.devices, result.mqtt);
+        } catch (error) {
+            console.error('Error loading device registry:', error);
+            showStatus('Failed to load registered boards.', true);
+        }
+    }
+
+    async function deviceAction(url, method, body = null) {
+        try {
+            const response = await apiFetch(url, body
+                ? { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+                : { method });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            showStatus(result.message);
+            await loadDeviceRegistry();
+        } catch (error) {
+            console.error('Error updating device:', error);
+            showStatus(`Failed to update board: ${error.message}`, true);
+        }
+    }
+
+    async function addDevice() {
+        try {
+            const response = await apiFetch('/api/dashboard/devices', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    id: newDeviceId.value.trim(),
+                    name: newDeviceName.value.trim(),
+                    relayCount: parseInt(newDeviceRelays.value, 10)
+                })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            newDeviceSecret.textContent = `Secret for ${result.device.id} (shown only once): ${result.secret}`;
+            newDeviceSecret.style.display = 'block';
+            newDeviceId.value = '';
+            newDeviceName.value = '';
+            showStatus(result.message);
+            await loadDeviceRegistry();
+        } catch (error) {
+            console.error('Error adding device:', error);
+            showStatus(`Failed to add board: ${error.message}`, true);
+        }
+    }
+
+    async function saveOutputMap() {
+        try {
+            const outputMap = {};
+            outputMapContainer.querySelectorAll('[data-output-id]').forEach(output => {
+                outputMap[output.dataset.outputId] = Array.from(output.querySelectorAll('.mapping-row')).map(row => ({
+                    deviceId: row.querySelector('[data-setting="deviceId"]').value,
+                    relay: parseInt(row.querySelector('[data-setting="relay"]').value, 10)
+                }));
+            });
+
+            const response = await apiFetch('/api/dashboard/output-map', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ outputMap })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            showStatus('Output mapping saved successfully!');
+            loadAudit(1);
+            await loadDeviceRegistry();
+        } catch (error) {
+            console.error('Error saving output mapping:', error);
+            showStatus(`Failed to save output mapping: ${error.message}`, true);
+        }
+    }
+
+    // --- Virtual boards ---
+
+    // "12:00:01.250", transition times need milliseconds
+    function formatTimeMs(timestamp) {
+        const date = new Date(timestamp);
+        return `${date.toLocaleTimeString()}.${String(date.getMilliseconds()).padStart(3, '0')}`;
+    }
+
+    // Card of a virtual board: status, relay lamps, transition log and (for admins) controls
+    function createVirtualBoardCard(board) {
+        const card = document.createElement('div');
+        card.className = 'profile-card virtual-board';
+        card.dataset.boardId = board.deviceId;
+        card.innerHTML = `
+            <strong>${escapeHtml(board.deviceId)}</strong> <span class="virtual-status"></span>
+            <div class="live-relays"></div>
+            <ul class="virtual-transitions"></ul>
+            <div class="schedule-row">
+                <button class="btn requires-operator secondary" data-action="clear">Clear Log</button>
+                <span class="requires-admin">
+                    <input type="number" data-setting="latencyMs" min="0" max="10000" value="${board.latencyMs}" title="Latency (ms)">
+                    <button class="btn secondary" data-action="latency">Set Latency</button>
+                    <button class="btn secondary" data-action="drop">Disconnect 5 s</button>
+                    <button class="btn secondary" data-action="toggle"></button>
+                    <button class="btn danger" data-action="remove">Remove</button>
+                </span>
+            </div>
+        `;
+        const url = `/api/dashboard/simulator/${encodeURIComponent(board.deviceId)}`;
+        card.querySelector('[data-action="clear"]').addEventListener('click', () => virtualBoardAction(`${url}/clear`, 'POST'));
+        card.querySelector('[data-action="latency"]').addEventListener('click', () => virtualBoardAction(`${url}/latency`, 'POST', {
+            latencyMs: parseInt(card.querySelector('[data-setting="latencyMs"]').value, 10)
+        }));
+        card.querySelector('[data-action="drop"]').addEventListener('click', () => virtualBoardAction(`${url}/disconnect`, 'POST', { forMs: 5000 }));
+        card.querySelector('[data-action="toggle"]').addEventListener('click', event => {
+            if (event.target.dataset.connected === 'true') {
+                virtualBoardAction(`${url}/disconnect`, 'POST', { forMs: null });
+            } else {
+                virtualBoardAction(`${url}/connect`, 'POST');
+            }
+        });
+        card.querySelector('[data-action="remove"]').addEventListener('click', () => virtualBoardAction(url, 'DELETE'));
+        return card;
+    }
+
+    // Update the virtual board cards in place, so inputs keep their focus between polls
+    function renderVirtualBoards(boards) {
+        if (boards.length === 0) {
+            virtualBoardsContainer.innerHTML = '<p class="rules-hint">No virtual board running.</p>';
+            return;
+        }
+        const ids = boards.map(board => board.deviceId);
+        Array.from(virtualBoardsContainer.children).forEach(child => {
+            if (!ids.includes(child.dataset.boardId)) child.remove();
+        });
+        boards.forEach(board => {
+            let card = Array.from(virtualBoardsContainer.children).find(child => child.dataset.boardId === board.deviceId);
+            if (!card) {
+                card = createVirtualBoardCard(board);
+                virtualBoardsContainer.appendChild(card);
+            }
+
+            let status = board.connected ? 'connected' : (board.reconnecting ? 'disconnected, reconnecting' : 'disconnected');
+            status += `, ${board.latencyMs} ms latency${board.jitterMs ? ` (+ up to ${board.jitterMs} ms)` : ''}`;
+            if (board.disconnects) status += `, ${board.disconnects} disconnects`;
+            card.querySelector('.virtual-status').textContent = `- ${status}`;
+            const toggle = card.querySelector('[data-action="toggle"]');
+            toggle.dataset.connected = String(board.connected);
+            toggle.textContent = board.connected ? 'Disconnect' : 'Connect';
+
+            card.querySelector('.live-relays').innerHTML = Object.keys(board.relays)
+                .map(id => `<div class="relay-lamp ${board.relays[id] ? 'on' : ''}"><span class="lamp"></span><span class="lamp-label">${escapeHtml(relayLabel(id))}</span></div>`)
+                .join('');
+
+            // Newest first, with the time since the relay's previous change (on time / off time)
+            const previousAt = {};
+            const lines = board.transitions.map(transition => {
+                const since = previousAt[transition.relay] !== undefined
+                    ? ` after ${((transition.at - previousAt[transition.relay]) / 1000).toFixed(3)} s`
+                    : '';
+                previousAt[transition.relay] = transition.at;
+                return `<li class="${transition.on ? 'on' : ''}">${formatTimeMs(transition.at)} ${escapeHtml(relayLabel(transition.relay))} ${transition.on ? 'ON' : 'OFF'}${since}${transition.source === 'reset' ? ' (reset)' : ''}</li>`;
+            });
+            card.querySelector('.virtual-transitions').innerHTML = lines.length
+                ? lines.reverse().join('')
+                : '<li>No relay changes yet.</li>';
+        });
+    }
+
+    async function loadVirtualBoards() {
+        try {
+            const response = await apiFetch('/api/dashboard/simulator');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            renderVirtualBoards(result.boards);
+            // Relay changes are only visible by polling, fast while boards run
+            if (result.boards.length > 0 && !virtualBoardsTimer) {
+                virtualBoardsTimer = setInterval(loadVirtualBoards, 500);
+            } else if (result.boards.length === 0 && virtualBoardsTimer) {
+                clearInterval(virtualBoardsTimer);
+                virtualBoardsTimer = null;
+            }
+        } catch (error) {
+            console.error('Error loading virtual boards:', error);
+        }
+    }
+
+    async function virtualBoardAction(url, method, body = null) {
+        try {
+            const response = await apiFetch(url, body
+                ? { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+                : { method });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            showStatus(result.message);
+            await loadVirtualBoards();
+        } catch (error) {
+            console.error('Error updating virtual board:', error);
+            showStatus(`Failed to update virtual board: ${error.message}`, true);
+        }
+    }
+
+    // Windows array <-> "08:00-12:00, 13:00-18:00" text
+    function windowsToText(windows) {
+        return (windows || []).map(window => `${window.start}-${window.end}`).join(', ');
+    }
+
+    function textToWindows(text) {
+        return text.split(',')
+            .map(part => part.trim())
+            .filter(part => part !== '')
+            .map(part => {
+                const [start, end] = part.split('-').map(time => time.trim());
+                return { start, end };
+            });
+    }
+
+    function addExceptionRow(exception) {
+        const row = document.createElement('div');
+        row.className = 'schedule-row exception-row';
+        row.innerHTML = `
+            <input type="date" data-setting="date" value="${escapeHtml(exception.date)}">
+            <input type="text" data-setting="label" placeholder="Label" maxlength="100" value="${escapeHtml(exception.label || '')}">
+            <input type="text" data-setting="windows" placeholder="closed" value="${escapeHtml(windowsToText(exception.windows))}">
+            <button class="btn danger">&times;</button>
+        `;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        scheduleExceptions.appendChild(row);
+    }
+
+    function renderSchedule(schedule) {
+        scheduleEnabledCheckbox.checked = schedule.enabled;
+        scheduleTimezoneInput.value = schedule.timezone;
+        scheduleOutsideHours.value = schedule.outsideHours;
+
+        scheduleWeekly.innerHTML = ''; // Clear previous
+        WEEKDAYS.forEach(day => {
+            const row = document.createElement('div');
+            row.className = 'schedule-row';
+            row.innerHTML = `
+                <label for="schedule-${day}">${day.charAt(0).toUpperCase() + day.slice(1)}:</label>
+                <input type="text" id="schedule-${day}" placeholder="no alarm" value="${escapeHtml(windowsToText(schedule.weekly[day]))}">
+            `;
+            scheduleWeekly.appendChild(row);
+        });
+
+        scheduleExceptions.innerHTML = ''; // Clear previous
+        schedule.exceptions.forEach(addExceptionRow);
+
+        scheduleQuietRelays.innerHTML = '<label>Quiet alarm relays:</label>';
+        Object.keys(relayLabels).forEach(i => {
+            const label = document.createElement('label');
+            label.innerHTML = `<input type="checkbox" data-relay-id="${i}" ${schedule.quietRelays.includes(i) ? 'checked' : ''}> ${escapeHtml(relayLabel(i))}`;
+            scheduleQuietRelays.appendChild(label);
+        });
+    }
+
+    async function loadSchedule() {
+        try {
+            const response = await apiFetch('/api/dashboard/schedule');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            renderSchedule(result.schedule);
+            renderAlarmState(result.alarmState);
+        } catch (error) {
+            console.error('Error loading schedule:', error);
+            showStatus('Failed to load schedule.', true);
+        }
+    }
+
+    async function saveSchedule() {
+        try {
+            const weekly = {};
+            WEEKDAYS.forEach(day => {
+                weekly[day] = textToWindows(document.getElementById(`schedule-${day}`).value);
+            });
+            const exceptions = [];
+            scheduleExceptions.querySelectorAll('.exception-row').forEach(row => {
+                const label = row.querySelector('[data-setting="label"]').value.trim();
+                exceptions.push({
+                    date: row.querySelector('[data-setting="date"]').value,
+                    ...(label ? { label } : {}),
+                    windows: textToWindows(row.querySelector('[data-setting="windows"]').value)
+                });
+            });
+            const quietRelays = [];
+            scheduleQuietRelays.querySelectorAll('input[type="checkbox"]:checked').forEach(checkbox => {
+                quietRelays.push(checkbox.dataset.relayId);
+            });
+
+            const schedule = {
+                enabled: scheduleEnabledCheckbox.checked,
+                timezone: scheduleTimezoneInput.value.trim(),
+                weekly,
+                exceptions,
+                outsideHours: scheduleOutsideHours.value,
+                quietRelays
+            };
 
-    // Initial load
-    loadSettings();
+            const response = await apiFetch('/api/dashboard/schedule', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ schedule })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            showStatus('Schedule saved successfully!');
+            loadAudit(1);
+            await loadSchedule(); // Reload to ensure sync and re-render
+        } catch (error) {
+            console.error('Error saving schedule:', error);
+            showStatus(`Failed to save schedule: ${error.message}`, true);
+        }
+    }
+
+    // Render alarm profiles and rules from rulesState
+    function renderRules() {
+        profilesContainer.innerHTML = ''; // Clear previous
+        Object.entries(rulesState.profiles).forEach(([name, profile]) => {
+            const profileCard = document.createElement('div');
+            profileCard.className = 'profile-card';
+            let relayRows = '';
+            Object.keys(relayLabels).forEach(i => {
+                const relay = profile.relays[i] || { enabled: false, pattern: DEFAULT_PATTERN };
+                // A custom pattern can't be edited here, it is kept as is unless a library pattern is picked
+                const customPattern = relay.pattern ? escapeHtml(JSON.stringify(relay.pattern)) : '';
+                relayRows += `
+                    <div class="profile-relay-row" data-relay-id="${i}" data-pattern="${customPattern}">
+                        <input type="checkbox" data-setting="enabled" title="Enable ${escapeHtml(relayLabel(i))}" ${relay.enabled ? 'checked' : ''}>
+                        <span>${escapeHtml(relayLabel(i))}</span>
+                        <select data-setting="patternName" title="Pattern">${patternOptionsHtml(relay.pattern ? '' : relay.patternName, relay.pattern ? 'Custom (keep)' : 'Choose a pattern')}</select>
+                    </div>`;
+            });
+            profileCard.innerHTML = `
+                <div class="setting-group">
+                    <label>Profile Name:</label>
+                    <input type="text" class="profile-name" maxlength="50" value="${escapeHtml(name)}">
+                </div>
+                <p class="rules-hint">Per relay: whether it takes part and the pattern it plays. Add patterns to the library to use them here.</p>
+                ${relayRows}
+                <button class="btn danger remove-profile-button">Remove Profile</button>
+            `;
+            profileCard.querySelector('.remove-profile-button').addEventListener('click', () => {
+                collectRulesForm();
+                delete rulesState.profiles[name];
+                renderRules();
+            });
+            profilesContainer.appendChild(profileCard);
+        });
+
+        const profileNames = Object.keys(rulesState.profiles);
+        rulesContainer.innerHTML = ''; // Clear previous
+        rulesState.rules.forEach((rule, ruleIndex) => {
+            const ruleCard = document.createElement('div');
+            ruleCard.className = 'rule-card';
+            const profileOptions = profileNames
+                .map(name => `<option value="${escapeHtml(name)}" ${name === rule.profile ? 'selected' : ''}>${escapeHtml(name)}</option>`)
+                .join('');
+            const conditionRows = rule.conditions.map((condition, conditionIndex) => `
+                <div class="rule-condition-row" data-condition-index="${conditionIndex}">
+                    <select data-setting="field">${optionsHtml(RULE_FIELD_LABELS, condition.field)}</select>
+                    <select data-setting="operator">${optionsHtml(RULE_OPERATOR_LABELS, condition.operator)}</select>
+                    <input type="text" data-setting="value" value="${escapeHtml(condition.value)}">
+                    <button class="btn secondary remove-condition-button" data-condition-index="${conditionIndex}">&times;</button>
+                </div>`).join('');
+            ruleCard.innerHTML = `
+                <div class="setting-group checkbox-group">
+                    <input type="checkbox" class="rule-enabled" id="rule-${ruleIndex}-enabled" ${rule.enabled ? 'checked' : ''}>
+                    <label for="rule-${ruleIndex}-enabled">Rule enabled</label>
+                </div>
+                <div class="setting-group">
+                    <label>Rule Name:</label>
+                    <input type="text" class="rule-name" maxlength="100" value="${escapeHtml(rule.name)}">
+                </div>
+                <div class="setting-group">
+                    <label>Match:</label>
+                    <select class="rule-match">${optionsHtml({ all: 'All conditions', any: 'Any condition' }, rule.match)}</select>
+                </div>
+                ${conditionRows}
+                <button class="btn secondary add-condition-button">Add Condition</button>
+                <div class="setting-group">
+                    <label>Play Profile:</label>
+                    <select class="rule-profile">${profileOptions}</select>
+                </div>
+                <button class="btn danger remove-rule-button">Remove Rule</button>
+            `;
+            ruleCard.querySelector('.add-condition-button').addEventListener('click', () => {
+                collectRulesForm();
+                rulesState.rules[ruleIndex].conditions.push({ field: 'total', operator: 'gt', value: '' });
+                renderRules();
+            });
+            ruleCard.querySelectorAll('.remove-condition-button').forEach(button => {
+                button.addEventListener('click', () => {
+                    collectRulesForm();
+                    rulesState.rules[ruleIndex].conditions.splice(parseInt(button.dataset.conditionIndex, 10), 1);
+                    renderRules();
+                });
+            });
+            ruleCard.querySelector('.remove-rule-button').addEventListener('click', () => {
+                collectRulesForm();
+                rulesState.rules.splice(ruleIndex, 1);
+                renderRules();
+            });
+            rulesContainer.appendChild(ruleCard);
+        });
+    }
+
+    // Read the current profile/rule form values back into rulesState
+    function collectRulesForm() {
+        const profiles = {};
+        profilesContainer.querySelectorAll('.profile-card').forEach(profileCard => {
+            const name = profileCard.querySelector('.profile-name').value.trim();
+            const relays = {};
+            profileCard.querySelectorAll('.profile-relay-row').forEach(row => {
+                const patternName = row.querySelector('[data-setting="patternName"]').value;
+                relays[row.dataset.relayId] = {
+                    enabled: row.querySelector('[data-setting="enabled"]').checked,
+                    ...(patternName || !row.dataset.pattern
+                        ? { patternName }
+                        : { pattern: JSON.parse(row.dataset.pattern) })
+                };
+            });
+            profiles[name] = { relays };
+        });
+
+        const rules = [];
+        rulesContainer.querySelectorAll('.rule-card').forEach(ruleCard => {
+            const conditions = [];
+            ruleCard.querySelectorAll('.rule-condition-row').forEach(row => {
+                const field = row.querySelector('[data-setting="field"]').value;
+                const operator = row.querySelector('[data-setting="operator"]').value;
+                const rawValue = row.querySelector('[data-setting="value"]').value.trim();
+                const numeric = ['gt', 'gte', 'lt', 'lte'].includes(operator) && rawValue !== '' && !isNaN(Number(rawValue));
+                conditions.push({ field, operator, value: numeric ? Number(rawValue) : rawValue });
+            });
+            rules.push({
+                name: ruleCard.querySelector('.rule-name').value.trim(),
+                enabled: ruleCard.querySelector('.rule-enabled').checked,
+                match: ruleCard.querySelector('.rule-match').value,
+                profile: ruleCard.querySelector('.rule-profile').value,
+                conditions
+            });
+        });
+
+        rulesState = { profiles, rules };
+        return rulesState;
+    }
+
+    async function loadRules() {
+        try {
+            const response = await apiFetch('/api/dashboard/rules');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            rulesState = await response.json();
+            renderRules();
+        } catch (error) {
+            console.error('Error loading rules:', error);
+            showStatus('Failed to load profiles and rules.', true);
+        }
+    }
+
+    async function saveRules() {
+        try {
+            const response = await apiFetch('/api/dashboard/rules', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(collectRulesForm())
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            showStatus('Profiles and rules saved successfully!');
+            loadAudit(1);
+            await loadRules(); // Reload to ensure sync and re-render
+            loadTriggerSources(); // Profiles sources can play
+            renderAcknowledgement(collectAcknowledgement()); // New profiles become selectable for escalation, unsaved edits stay
+        } catch (error) {
+            console.error('Error saving rules:', error);
+            showStatus(`Failed to save profiles and rules: ${error.message}`, true);
+        }
+    }
+
+    // --- Trigger sources ---
+
+    function profileOptionsHtml(selected) {
+        return '<option value="">Order rules decide</option>' + sourceProfiles
+            .map(name => `<option value="${escapeHtml(name)}" ${name === selected ? 'selected' : ''}>Profile: ${escapeHtml(name)}</option>`)
+            .join('');
+    }
+
+    // Render trigger sources with their endpoint and enable/profile/key actions
+    function renderTriggerSources() {
+        sourcesList.innerHTML = ''; // Clear previous
+        newSourceProfile.innerHTML = profileOptionsHtml(newSourceProfile.value);
+        if (triggerSources.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'No trigger sources, orders only arrive through the order webhook.';
+            sourcesList.appendChild(item);
+        }
+        triggerSources.forEach(source => {
+            const item = document.createElement('li');
+            item.className = source.revoked || !source.enabled ? 'device-offline' : 'device-online';
+            const name = document.createElement('strong');
+            name.textContent = `${source.name} (${source.id})`;
+            item.appendChild(name);
+            const state = source.revoked ? ', key revoked' : (source.enabled ? '' : ', disabled');
+            item.appendChild(document.createTextNode(` - ${SOURCE_TYPE_LABELS[source.type] || source.type}${state}`));
+            const endpoint = document.createElement('span');
+            endpoint.className = 'device-relays';
+            endpoint.textContent = `POST ${window.location.origin}/api/triggers/${encodeURIComponent(source.id)}`;
+            item.appendChild(endpoint);
+
+            const url = `/api/dashboard/sources/${encodeURIComponent(source.id)}`;
+            const actions = document.createElement('div');
+            actions.className = 'schedule-row requires-admin';
+            actions.innerHTML = `
+                <label><input type="checkbox" data-setting="enabled" ${source.enabled ? 'checked' : ''}> Enabled</label>
+                <select data-setting="profile" title="Profile the source plays">${profileOptionsHtml(source.profile)}</select>
+            `;
+            actions.querySelector('[data-setting="enabled"]').addEventListener('change', event => sourceAction(url, 'POST', { enabled: event.target.checked }));
+            actions.querySelector('[data-setting="profile"]').addEventListener('change', event => sourceAction(url, 'POST', { profile: event.target.value || null }));
+
+            const rotateButton = document.createElement('button');
+            rotateButton.className = 'btn secondary';
+            rotateButton.textContent = source.type === 'generic' ? 'New Key' : 'New Secret';
+            rotateButton.addEventListener('click', () => {
+                let secret;
+                if (source.type === 'shopify') {
+                    secret = prompt(`Signing secret for ${source.id} from the Shopify admin:`);
+                    if (!secret) return;
+                } else if (!confirm(`Replace the ${source.type === 'generic' ? 'API key' : 'webhook secret'} of ${source.id}? The current one stops working.`)) {
+                    return;
+                }
+                sourceAction(`${url}/rotate`, 'POST', { secret });
+            });
+            actions.appendChild(rotateButton);
+            if (!source.revoked) {
+                const revokeButton = document.createElement('button');
+                revokeButton.className = 'btn danger';
+                revokeButton.textContent = 'Revoke';
+                revokeButton.addEventListener('click', () => sourceAction(`${url}/revoke`, 'POST'));
+                actions.appendChild(revokeButton);
+            }
+            const removeButton = document.createElement('button');
+            removeButton.className = 'btn danger';
+            removeButton.textContent = 'Remove';
+            removeButton.addEventListener('click', () => {
+                if (confirm(`Remove trigger source ${source.id}?`)) {
+                    sourceAction(url, 'DELETE');
+                }
+            });
+            actions.appendChild(removeButton);
+            item.appendChild(actions);
+            sourcesList.appendChild(item);
+        });
+    }
+
+    // Show a new key or webhook secret once; Shopify secrets come from Shopify and aren't repeated
+    function showSourceKey(source, key) {
+        if (source.type === 'shopify') {
+            newSourceKey.style.display = 'none';
+            return;
+        }
+        newSourceKey.textContent = source.type === 'generic'
+            ? `API key for ${source.id} (shown only once): ${key}`
+            : `Webhook secret for ${source.id}, enter it in WooCommerce (shown only once): ${key}`;
+        newSourceKey.style.display = 'block';
+    }
+
+    function updateNewSourceSecret() {
+        const type = newSourceType.value;
+        newSourceSecret.style.display = type === 'generic' ? 'none' : '';
+        newSourceSecret.placeholder = type === 'shopify' ? 'Signing secret from Shopify' : 'Webhook secret (generated if empty)';
+    }
+
+    async function loadTriggerSources() {
+        try {
+            const response = await apiFetch('/api/dashboard/sources');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            triggerSources = result.sources;
+            sourceProfiles = result.profiles;
+            renderTriggerSources();
+        } catch (error) {
+            console.error('Error loading trigger sources:', error);
+            showStatus('Failed to load trigger sources.', true);
+        }
+    }
+
+    async function sourceAction(url, method, body = null) {
+        try {
+            const response = await apiFetch(url, body
+                ? { method, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+                : { method });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            if (result.key) showSourceKey(result.source, result.key);
+            showStatus(result.message);
+            loadAudit(1);
+        } catch (error) {
+            console.error('Error updating trigger source:', error);
+            showStatus(`Failed to update trigger source: ${error.message}`, true);
+        }
+        await loadTriggerSources(); // Also puts back controls changed by a failed update
+    }
+
+    async function addTriggerSource() {
+        try {
+            const response = await apiFetch('/api/dashboard/sources', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    id: newSourceId.value.trim(),
+                    name: newSourceName.value.trim(),
+                    type: newSourceType.value,
+                    profile: newSourceProfile.value || null,
+                    secret: newSourceType.value === 'generic' ? undefined : newSourceSecret.value.trim()
+                })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            showSourceKey(result.source, result.key);
+            newSourceId.value = '';
+            newSourceName.value = '';
+            newSourceSecret.value = '';
+            showStatus(result.message);
+            loadAudit(1);
+            await loadTriggerSources();
+        } catch (error) {
+            console.error('Error adding trigger source:', error);
+            showStatus(`Failed to add trigger source: ${error.message}`, true);
+        }
+    }
+
+    // --- API tokens ---
+
+    // Render API tokens with their scope, last use and a revoke button
+    function renderApiTokens() {
+        tokensList.innerHTML = ''; // Clear previous
+        if (apiTokens.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = 'No API tokens.';
+            tokensList.appendChild(item);
+        }
+        const showOwner = apiTokens.some(token => token.username !== apiTokens[0].username);
+        apiTokens.forEach(token => {
+            const item = document.createElement('li');
+            item.className = token.revoked ? 'device-offline' : 'device-online';
+            const name = document.createElement('strong');
+            name.textContent = `${token.name} (...${token.hint})`;
+            item.appendChild(name);
+            const state = token.revoked ? ', revoked' : '';
+            item.appendChild(document.createTextNode(` - ${token.scope} scope${showOwner ? `, of ${token.username}` : ''}${state}`));
+            const usage = document.createElement('span');
+            usage.className = 'device-relays';
+            usage.textContent = `Created ${new Date(token.createdAt).toLocaleString()}, `
+                + (token.lastUsedAt ? `last used ${new Date(token.lastUsedAt).toLocaleString()}` : 'never used');
+            item.appendChild(usage);
+            if (!token.revoked) {
+                const revokeButton = document.createElement('button');
+                revokeButton.className = 'btn danger';
+                revokeButton.textContent = 'Revoke';
+                revokeButton.addEventListener('click', () => revokeApiToken(token));
+                item.appendChild(revokeButton);
+            }
+            tokensList.appendChild(item);
+        });
+    }
+
+    async function loadApiTokens() {
+        try {
+            const response = await apiFetch('/api/dashboard/tokens');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            apiTokens = result.tokens;
+            newTokenScope.innerHTML = optionsHtml(Object.fromEntries(result.scopes.map(scope => [scope, `Scope: ${scope}`])), newTokenScope.value || result.scopes[0]);
+            renderApiTokens();
+        } catch (error) {
+            console.error('Error loading API tokens:', error);
+            showStatus('Failed to load API tokens.', true);
+        }
+    }
+
+    // The token is shown once, only its last characters are kept for the list
+    async function addApiToken() {
+        try {
+            const response = await apiFetch('/api/dashboard/tokens', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name: newTokenName.value.trim(), scope: newTokenScope.value })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            newTokenSecret.textContent = `API token "${result.token.name}" (shown only once): ${result.secret}`;
+            newTokenSecret.style.display = 'block';
+            newTokenName.value = '';
+            showStatus(result.message);
+            loadAudit(1);
+            await loadApiTokens();
+        } catch (error) {
+            console.error('Error creating API token:', error);
+            showStatus(`Failed to create API token: ${error.message}`, true);
+        }
+    }
+
+    async function revokeApiToken(token) {
+        if (!confirm(`Revoke API token "${token.name}"? Requests using it are rejected from now on.`)) {
+            return;
+        }
+        try {
+            const response = await apiFetch(`/api/dashboard/tokens/${encodeURIComponent(token.id)}/revoke`, { method: 'POST' });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            showStatus(result.message);
+            loadAudit(1);
+        } catch (error) {
+            console.error('Error revoking API token:', error);
+            showStatus(`Failed to revoke API token: ${error.message}`, true);
+        }
+        await loadApiTokens();
+    }
+
+    // Render the pattern library, one editable card per named pattern
+    function renderPatternLibrary() {
+        patternsContainer.innerHTML = ''; // Clear previous
+        Object.entries(patternLibrary).forEach(([name, pattern]) => {
+            const patternCard = document.createElement('div');
+            patternCard.className = 'profile-card pattern-card';
+            patternCard.innerHTML = `
+                <div class="setting-group">
+                    <label>Pattern Name:</label>
+                    <input type="text" class="pattern-name" maxlength="50" value="${escapeHtml(name)}">
+                </div>
+                <div class="pattern-editor-slot"></div>
+                <div class="pattern-preview"></div>
+                <button class="btn danger remove-pattern-button">Remove Pattern</button>
+            `;
+            const preview = patternCard.querySelector('.pattern-preview');
+            const updatePreview = () => renderPatternPreview(preview, { pattern: readPatternEditor(editor) });
+            const editor = createPatternEditor(pattern, updatePreview);
+            patternCard.querySelector('.pattern-editor-slot').appendChild(editor);
+            patternCard.querySelector('.remove-pattern-button').addEventListener('click', () => {
+                patternLibrary = collectPatternLibrary();
+                delete patternLibrary[name];
+                renderPatternLibrary();
+            });
+            updatePreview();
+            patternsContainer.appendChild(patternCard);
+        });
+    }
+
+    // Read the pattern library cards back into a { [name]: pattern } object
+    function collectPatternLibrary() {
+        const patterns = {};
+        patternsContainer.querySelectorAll('.pattern-card').forEach(patternCard => {
+            const name = patternCard.querySelector('.pattern-name').value.trim();
+            patterns[name] = readPatternEditor(patternCard.querySelector('.pattern-editor'));
+        });
+        return patterns;
+    }
+
+    async function savePatternLibrary() {
+        try {
+            const response = await apiFetch('/api/dashboard/patterns', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ patterns: collectPatternLibrary() })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            showStatus('Patterns saved successfully!');
+            loadAudit(1);
+            // Relay and profile pattern choices depend on the library, keep their unsaved edits
+            const relays = collectRelaySettings();
+            collectRulesForm();
+            patternLibrary = result.patterns;
+            renderPatternLibrary();
+            renderRelaySettings(relays);
+            renderRules();
+        } catch (error) {
+            console.error('Error saving patterns:', error);
+            showStatus(`Failed to save patterns: ${error.message}`, true);
+        }
+    }
+
+    // Only the fields the selected policy uses are editable
+    function updateTriggerPolicyFields() {
+        triggerPolicyWindow.disabled = triggerPolicyMode.value !== 'coalesce';
+        triggerPolicyCooldown.disabled = triggerPolicyMode.value !== 'ignore';
+        triggerPolicyMaxPending.disabled = triggerPolicyMode.value !== 'queue' && triggerPolicyMode.value !== 'extend';
+    }
+
+    async function loadTriggerPolicy() {
+        try {
+            const response = await apiFetch('/api/dashboard/trigger-policy');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const { triggerPolicy } = await response.json();
+            triggerPolicyMode.value = triggerPolicy.mode;
+            triggerPolicyWindow.value = triggerPolicy.coalesceWindowMs / 1000;
+            triggerPolicyCooldown.value = triggerPolicy.cooldownMs / 1000;
+            triggerPolicyMaxPending.value = triggerPolicy.maxPending;
+            triggerPolicyPerMinute.value = triggerPolicy.maxPerMinute;
+            updateTriggerPolicyFields();
+        } catch (error) {
+            console.error('Error loading trigger policy:', error);
+            showStatus('Failed to load trigger policy.', true);
+        }
+    }
+
+    async function saveTriggerPolicy() {
+        try {
+            const triggerPolicy = {
+                mode: triggerPolicyMode.value,
+                coalesceWindowMs: Math.round(parseFloat(triggerPolicyWindow.value) * 1000),
+                cooldownMs: Math.round(parseFloat(triggerPolicyCooldown.value) * 1000),
+                maxPending: parseInt(triggerPolicyMaxPending.value, 10),
+                maxPerMinute: parseInt(triggerPolicyPerMinute.value, 10)
+            };
+            const response = await apiFetch('/api/dashboard/trigger-policy', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ triggerPolicy })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            showStatus('Trigger policy saved successfully!');
+            loadAudit(1);
+            await loadTriggerPolicy();
+        } catch (error) {
+            console.error('Error saving trigger policy:', error);
+            showStatus(`Failed to save trigger policy: ${error.message}`, true);
+        }
+    }
+
+    async function loadRestartPolicy() {
+        try {
+            const response = await apiFetch('/api/dashboard/restart-policy');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const { restartPolicy } = await response.json();
+            restartPolicyMode.value = restartPolicy.mode;
+            restartPolicyMaxDowntime.value = restartPolicy.maxDowntimeMs / 60000;
+        } catch (error) {
+            console.error('Error loading restart policy:', error);
+            showStatus('Failed to load restart policy.', true);
+        }
+    }
+
+    async function saveRestartPolicy() {
+        try {
+            const restartPolicy = {
+                mode: restartPolicyMode.value,
+                maxDowntimeMs: Math.round(parseFloat(restartPolicyMaxDowntime.value) * 60000)
+            };
+            const response = await apiFetch('/api/dashboard/restart-policy', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ restartPolicy })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            showStatus('Restart behaviour saved successfully!');
+            loadAudit(1);
+            await loadRestartPolicy();
+        } catch (error) {
+            console.error('Error saving restart policy:', error);
+            showStatus(`Failed to save restart policy: ${error.message}`, true);
+        }
+    }
+
+    function channelFieldHtml(channel, [setting, label, kind]) {
+        const value = channel[setting] !== undefined ? channel[setting] : '';
+        let input;
+        if (kind === 'checkbox') {
+            return `
+                <div class="setting-group checkbox-group">
+                    <input type="checkbox" data-setting="${setting}" ${value ? 'checked' : ''}>
+                    <label>${escapeHtml(label)}</label>
+                </div>`;
+        } else if (kind === 'textarea') {
+            input = `<textarea data-setting="${setting}" rows="3">${escapeHtml(value)}</textarea>`;
+        } else if (kind === 'headers') {
+            const lines = Object.entries(value || {}).map(([name, headerValue]) => `${name}: ${headerValue}`).join('\n');
+            input = `<textarea data-setting="${setting}" rows="2">${escapeHtml(lines)}</textarea>`;
+        } else if (typeof kind === 'object') {
+            input = `<select data-setting="${setting}">${optionsHtml(kind, value)}</select>`;
+        } else {
+            input = `<input type="${kind}" data-setting="${setting}" value="${escapeHtml(value)}">`;
+        }
+        return `
+            <div class="setting-group">
+                <label>${escapeHtml(label)}:</label>
+                ${input}
+            </div>`;
+    }
+
+    function renderNotificationChannels() {
+        notificationChannelsContainer.innerHTML = ''; // Clear previous
+        if (notificationChannels.length === 0) {
+            notificationChannelsContainer.innerHTML = '<p class="rules-hint">No notification channels configured.</p>';
+        }
+        notificationChannels.forEach((channel, index) => {
+            const card = document.createElement('div');
+            card.className = 'profile-card channel-card';
+            card.innerHTML = `
+                <div class="setting-group checkbox-group">
+                    <input type="checkbox" data-setting="enabled" ${channel.enabled ? 'checked' : ''}>
+                    <label>Enabled (${escapeHtml(CHANNEL_TYPE_LABELS[channel.type] || channel.type)})</label>
+                </div>
+                <div class="setting-group">
+                    <label>Name:</label>
+                    <input type="text" data-setting="name" maxlength="50" value="${escapeHtml(channel.name)}">
+                </div>
+                <div class="setting-group">
+                    <label>Notify:</label>
+                    <select data-setting="when">${optionsHtml(NOTIFY_WHEN_LABELS, channel.filters.when)}</select>
+                </div>
+                <div class="setting-group">
+                    <label>Only for rules (separate with commas, empty = all orders):</label>
+                    <input type="text" data-setting="rules" value="${escapeHtml(channel.filters.rules.join(', '))}">
+                </div>
+                <div class="setting-group checkbox-group">
+                    <input type="checkbox" data-setting="reminders" ${channel.filters.reminders ? 'checked' : ''}>
+                    <label>Also notify when an unacknowledged alarm repeats</label>
+                </div>
+                ${CHANNEL_FIELDS[channel.type].map(field => channelFieldHtml(channel, field)).join('')}
+                <div class="channel-actions requires-admin">
+                    ${channel.id ? '<button class="btn secondary test-channel-button">Send Test</button>' : ''}
+                    <button class="btn danger remove-channel-button">Remove Channel</button>
+                </div>
+            `;
+            if (channel.id) {
+                card.querySelector('.test-channel-button').addEventListener('click', () => testNotificationChannel(channel));
+            }
+            card.querySelector('.remove-channel-button').addEventListener('click', () => {
+                collectNotificationChannels();
+                notificationChannels.splice(index, 1);
+                renderNotificationChannels();
+            });
+            notificationChannelsContainer.appendChild(card);
+        });
+    }
+
+    // Read the channel cards back into notificationChannels (new channels have no id yet)
+    function collectNotificationChannels() {
+        const cards = notificationChannelsContainer.querySelectorAll('.channel-card');
+        notificationChannels = notificationChannels.map((channel, index) => {
+            const card = cards[index];
+            const field = setting => card.querySelector(`[data-setting="${setting}"]`);
+            const collected = {
+                id: channel.id,
+                type: channel.type,
+                name: field('name').value.trim(),
+                enabled: field('enabled').checked,
+                filters: {
+                    when: field('when').value,
+                    rules: field('rules').value.split(',').map(rule => rule.trim()).filter(rule => rule),
+                    reminders: field('reminders').checked
+                }
+            };
+            CHANNEL_FIELDS[channel.type].forEach(([setting, , kind]) => {
+                const input = field(setting);
+                if (kind === 'checkbox') {
+                    collected[setting] = input.checked;
+                } else if (kind === 'number') {
+                    collected[setting] = parseInt(input.value, 10);
+                } else if (kind === 'headers') {
+                    collected.headers = {};
+                    input.value.split('\n').forEach(line => {
+                        const separator = line.indexOf(':');
+                        if (separator > 0) collected.headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+                    });
+                } else if (kind === 'textarea') {
+                    collected[setting] = input.value;
+                } else {
+                    collected[setting] = input.value.trim();
+                }
+            });
+            return collected;
+        });
+        return notificationChannels;
+    }
+
+    async function loadNotificationChannels() {
+        try {
+            const response = await apiFetch('/api/dashboard/notifications');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            notificationChannels = result.notifications.channels;
+            channelTemplates = result.defaultTemplates;
+            renderNotificationChannels();
+        } catch (error) {
+            console.error('Error loading notification channels:', error);
+            showStatus('Failed to load notification channels.', true);
+        }
+    }
+
+    async function saveNotificationChannels() {
+        try {
+            const response = await apiFetch('/api/dashboard/notifications', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ notifications: { channels: collectNotificationChannels() } })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            showStatus('Notification channels saved successfully!');
+            loadAudit(1);
+            await loadNotificationChannels();
+        } catch (error) {
+            console.error('Error saving notification channels:', error);
+            showStatus(`Failed to save notification channels: ${error.message}`, true);
+        }
+    }
+
+    async function testNotificationChannel(channel) {
+        try {
+            const response = await apiFetch(`/api/dashboard/notifications/${encodeURIComponent(channel.id)}/test`, { method: 'POST' });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            showStatus(result.message);
+            // The first attempt usually finishes within a few seconds
+            setTimeout(loadDeliveryLog, 2000);
+        } catch (error) {
+            console.error('Error sending test notification:', error);
+            showStatus(`Failed to send test notification: ${error.message}`, true);
+        }
+    }
+
+    function describeDelivery(delivery) {
+        const attempts = delivery.attempts.length;
+        const lastError = attempts > 0 ? delivery.attempts[attempts - 1].error : null;
+        const what = `${delivery.channelName} (${CHANNEL_TYPE_LABELS[delivery.type] || delivery.type}): ${delivery.title}`;
+        switch (delivery.status) {
+            case 'delivered':
+                return `${what} - delivered${attempts > 1 ? ` after ${attempts} attempts` : ''}`;
+            case 'failed':
+                return `${what} - failed after ${attempts} attempts: ${lastError}`;
+            default:
+                return attempts > 0
+                    ? `${what} - attempt ${attempts} failed (${lastError}), retrying at ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`
+                    : `${what} - sending`;
+        }
+    }
+
+    async function loadDeliveryLog() {
+        try {
+            const response = await apiFetch('/api/dashboard/notifications/deliveries?limit=20');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            deliveriesList.innerHTML = ''; // Clear previous
+            if (result.deliveries.length === 0) {
+                const emptyItem = document.createElement('li');
+                emptyItem.textContent = 'No notifications sent yet.';
+                deliveriesList.appendChild(emptyItem);
+            }
+            result.deliveries.forEach(delivery => {
+                const item = document.createElement('li');
+                item.className = `event-${delivery.status}`;
+                const time = document.createElement('span');
+                time.className = 'event-time';
+                time.textContent = new Date(delivery.createdAt).toLocaleString();
+                item.appendChild(time);
+                item.appendChild(document.createTextNode(describeDelivery(delivery)));
+                deliveriesList.appendChild(item);
+            });
+        } catch (error) {
+            console.error('Error loading delivery log:', error);
+            showStatus('Failed to load notification delivery log.', true);
+        }
+    }
+
+    function addEscalationRow(step) {
+        const row = document.createElement('div');
+        row.className = 'schedule-row escalation-row';
+        row.innerHTML = `
+            <label>From repeat</label>
+            <input type="number" data-setting="afterRepeats" min="1" max="1000" value="${escapeHtml(step.afterRepeats)}">
+            <label>play profile</label>
+            <select data-setting="profile">${optionsHtml(Object.fromEntries(Object.keys(rulesState.profiles).map(name => [name, name])), step.profile)}</select>
+            <button class="btn danger">&times;</button>
+        `;
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        ackEscalation.appendChild(row);
+    }
+
+    function renderAcknowledgement(acknowledgement) {
+        ackEnabledCheckbox.checked = acknowledgement.enabled;
+        ackIntervalInput.value = acknowledgement.repeatIntervalMs / 60000;
+        ackEscalation.innerHTML = ''; // Clear previous
+        acknowledgement.escalation.forEach(addEscalationRow);
+    }
+
+    function collectAcknowledgement() {
+        const escalation = [];
+        ackEscalation.querySelectorAll('.escalation-row').forEach(row => {
+            escalation.push({
+                afterRepeats: parseInt(row.querySelector('[data-setting="afterRepeats"]').value, 10),
+                profile: row.querySelector('[data-setting="profile"]').value
+            });
+        });
+        return {
+            enabled: ackEnabledCheckbox.checked,
+            repeatIntervalMs: Math.round(parseFloat(ackIntervalInput.value) * 60000),
+            escalation
+        };
+    }
+
+    // Needs the profiles for the escalation steps, load it after the rules
+    async function loadAcknowledgement() {
+        try {
+            const response = await apiFetch('/api/dashboard/acknowledgement');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            renderAcknowledgement(result.acknowledgement);
+        } catch (error) {
+            console.error('Error loading acknowledgement settings:', error);
+            showStatus('Failed to load acknowledgement settings.', true);
+        }
+    }
+
+    async function saveAcknowledgement() {
+        try {
+            const response = await apiFetch('/api/dashboard/acknowledgement', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ acknowledgement: collectAcknowledgement() })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            showStatus('Acknowledgement settings saved successfully!');
+            loadAudit(1);
+            await loadAcknowledgement();
+        } catch (error) {
+            console.error('Error saving acknowledgement settings:', error);
+            showStatus(`Failed to save acknowledgement settings: ${error.message}`, true);
+        }
+    }
+
+    // --- Relay safety limits ---
+
+    // Empty inputs mean no limit; durations are entered in seconds or minutes
+    function limitValue(row, setting, unitMs = 1) {
+        const value = row.querySelector(`[data-setting="${setting}"]`).value.trim();
+        return value === '' ? null : Math.round(parseFloat(value) * unitMs);
+    }
+
+    function limitInput(setting, value, unitMs, title, placeholder) {
+        const shown = value === null || value === undefined ? '' : value / unitMs;
+        return `<input type="number" data-setting="${setting}" min="0" step="any" title="${title}" placeholder="${placeholder}" value="${shown}">`;
+    }
+
+    function addInterlockRow(interlock) {
+        const row = document.createElement('div');
+        row.className = 'schedule-row interlock-row';
+        row.innerHTML = Object.keys(relayLabels)
+            .map(i => `<label><input type="checkbox" data-relay-id="${i}" ${interlock.relays.includes(i) ? 'checked' : ''}> ${escapeHtml(relayLabel(i))}</label>`)
+            .join('') + '<button class="btn danger">&times;</button>';
+        row.querySelector('button').addEventListener('click', () => row.remove());
+        safetyInterlocks.appendChild(row);
+    }
+
+    function renderSafety(safety, usage) {
+        safetyRelays.innerHTML = ''; // Clear previous
+        Object.keys(relayLabels).forEach(i => {
+            const limits = safety.relays[i] || {};
+            const used = usage[i] || { dayOnMs: 0, dutyPercent: 0 };
+            const row = document.createElement('div');
+            row.className = 'schedule-row safety-row';
+            row.dataset.relayId = i;
+            row.innerHTML = `
+                <label>${escapeHtml(relayLabel(i))}</label>
+                ${limitInput('maxOnMs', limits.maxOnMs, 1000, 'Longest on-time without a break (seconds)', 'max on (s)')}
+                ${limitInput('maxDutyPercent', limits.maxDutyPercent, 1, 'Most time on within the duty window (%)', 'duty %')}
+                ${limitInput('dutyWindowMs', limits.dutyWindowMs, 60000, 'Duty window (minutes, default 60)', 'per 60 min')}
+                ${limitInput('dailyBudgetMs', limits.dailyBudgetMs, 60000, 'On-time per day (minutes)', 'per day (min)')}
+                ${limitInput('minOffMs', limits.minOffMs, 1000, 'Shortest off time before switching on again (seconds)', 'cool-down (s)')}
+                <span class="safety-usage">Today ${formatDuration(used.dayOnMs)}, duty ${used.dutyPercent}%</span>
+            `;
+            safetyRelays.appendChild(row);
+        });
+        safetyInterlocks.innerHTML = ''; // Clear previous
+        safety.interlocks.forEach(addInterlockRow);
+    }
+
+    function collectSafety() {
+        const relays = {};
+        safetyRelays.querySelectorAll('.safety-row').forEach(row => {
+            const limits = {
+                maxOnMs: limitValue(row, 'maxOnMs', 1000),
+                maxDutyPercent: limitValue(row, 'maxDutyPercent'),
+                dutyWindowMs: limitValue(row, 'dutyWindowMs', 60000),
+                dailyBudgetMs: limitValue(row, 'dailyBudgetMs', 60000),
+                minOffMs: limitValue(row, 'minOffMs', 1000)
+            };
+            if (Object.values(limits).some(limit => limit !== null)) relays[row.dataset.relayId] = limits;
+        });
+        const interlocks = [];
+        safetyInterlocks.querySelectorAll('.interlock-row').forEach(row => {
+            const ids = [];
+            row.querySelectorAll('input[type="checkbox"]:checked').forEach(checkbox => ids.push(checkbox.dataset.relayId));
+            interlocks.push({ relays: ids });
+        });
+        return { relays, interlocks };
+    }
+
+    async function loadSafety() {
+        try {
+            const response = await apiFetch('/api/dashboard/safety');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            renderSafety(result.safety, result.usage);
+            renderLiveSafety(result.violations);
+        } catch (error) {
+            console.error('Error loading safety limits:', error);
+            showStatus('Failed to load safety limits.', true);
+        }
+    }
+
+    async function saveSafety() {
+        try {
+            const response = await apiFetch('/api/dashboard/safety', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ safety: collectSafety() })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            showStatus('Safety limits saved successfully!');
+            loadAudit(1);
+            await loadSafety();
+        } catch (error) {
+            console.error('Error saving safety limits:', error);
+            showStatus(`Failed to save safety limits: ${error.message}`, true);
+        }
+    }
+
+    // Trigger events, the outcome says what the trigger policy did with the order
+    function describeTrigger(event, order) {
+        const details = event.details || {};
+        const pending = details.pendingOrders ? `, ${details.pendingOrders} pending` : '';
+        const from = details.sourceName || event.source; // Trigger API sources by their name
+        if (event.source === 'reminder') {
+            return `Unacknowledged alarm${order} repeated (${details.repeat})`
+                + (details.escalation ? `, escalated to profile "${details.escalation}"` : '');
+        }
+        switch (event.outcome) {
+            case 'triggered':
+                return `Alarm triggered by ${from}${order}${details.fromQueue ? ' from the queue' : ''}${pending}`;
+            case 'restarted':
+                return `Alarm restarted by ${from}${order}${pending}`;
+            case 'extended':
+                return `Running alarm extended by ${from}${order}${pending}`;
+            case 'queued':
+                return `Alarm queued by ${from}${order}${pending}`;
+            case 'coalesced':
+                return `Order from ${from}${order} joined the running alarm`;
+            default:
+                return `Trigger from ${from}${order} ignored (${details.reason || event.outcome})`;
+        }
+    }
+
+    // Alarm interrupted by a server restart and what the restart policy did with it
+    function describeRestart(event, order) {
+        const details = event.details || {};
+        const alarm = `${details.interruptedSource || ''} alarm${order}`;
+        const downtime = `after ${formatDuration(details.downtimeMs)} downtime`;
+        switch (event.outcome) {
+            case 'resumed':
+                return `Server restarted, ${alarm} resumed ${downtime}`;
+            case 'replayed':
+                return `Server restarted, ${alarm} played again from the start ${downtime}`;
+            case 'aborted':
+                return `Server restarted, ${alarm} abandoned ${downtime}`
+                    + (details.pendingOrders ? `, ${details.pendingOrders} queued orders dropped` : '')
+                    + (details.reason ? `: ${details.reason}` : '');
+            default:
+                return `Server restarted, ${alarm} had already finished`;
+        }
+    }
+
+    // Human readable one-line description of a history event
+    function describeEvent(event) {
+        const details = event.details || {};
+        const order = (details.orderReference ? ` for order ${details.orderReference}` : '')
+            + (details.profile ? ` (rule "${details.rule}", profile "${details.profile}")` : '')
+            + (details.quiet ? ' [quiet hours]' : '');
+        switch (event.type) {
+            case 'trigger':
+                return describeTrigger(event, order);
+            case 'test':
+                return `${relayLabel(details.relayId)} tested (${details.onTimeMs}ms)`;
+            case 'deactivate':
+                return event.outcome === 'cancelled'
+                    ? `Active ${details.cancelledSource || ''} alarm deactivated from ${event.source}${order}`
+                    : `Deactivate requested from ${event.source}, nothing was active`;
+            case 'completed':
+                return `Alarm from ${event.source}${order} completed`;
+            case 'acknowledge':
+                return event.outcome === 'acknowledged'
+                    ? `Alarm${order} acknowledged from ${event.source} after ${formatDuration(details.waitedMs)} (${details.repeats} repeats)`
+                    : `Acknowledge requested from ${event.source}, nothing was waiting`;
+            case 'restart':
+                return describeRestart(event, order);
+            case 'safety':
+                return `${relayLabel(details.relayId)} held off by its ${SAFETY_RULE_LABELS[event.outcome] || event.outcome} limit`
+                    + ` (${event.source === 'test' ? 'relay test' : `alarm from ${event.source}`}): ${details.message}`;
+            default:
+                return `${event.type} (${event.outcome})`;
+        }
+    }
+
+    async function loadEvents(page = eventsPage) {
+        try {
+            const params = new URLSearchParams({ page, limit: 20 });
+            if (eventsTypeFilter.value) {
+                params.set('type', eventsTypeFilter.value);
+            }
+            const response = await apiFetch(`/api/dashboard/events?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            eventsPage = result.page;
+
+            eventsTimeline.innerHTML = ''; // Clear previous
+            if (result.events.length === 0) {
+                const emptyItem = document.createElement('li');
+                emptyItem.textContent = 'No events recorded yet.';
+                eventsTimeline.appendChild(emptyItem);
+            }
+            result.events.forEach(event => {
+                const item = document.createElement('li');
+                item.className = `event-${event.outcome}`;
+                const time = document.createElement('span');
+                time.className = 'event-time';
+                time.textContent = new Date(event.timestamp).toLocaleString();
+                item.appendChild(time);
+                item.appendChild(document.createTextNode(describeEvent(event)));
+                eventsTimeline.appendChild(item);
+            });
+
+            eventsPageInfo.textContent = `Page ${result.page} of ${result.totalPages}`;
+            eventsPrevButton.disabled = result.page <= 1;
+            eventsNextButton.disabled = result.page >= result.totalPages;
+        } catch (error) {
+            console.error('Error loading events:', error);
+            showStatus('Failed to load alarm history.', true);
+        }
+    }
+
+    // --- Audit trail (admins only) ---
+
+    // Human readable one-line description of an audit entry
+    function describeAuditEntry(entry) {
+        const details = entry.details || {};
+        const section = AUDIT_SECTION_LABELS[entry.section] || entry.section;
+        switch (entry.action) {
+            case 'config.update':
+                return `${section} changed`;
+            case 'config.restore':
+                return `${section} restored to ${details.state} change #${details.restoredFrom}`;
+            case 'command.test-relay':
+                return `${relayLabel(details.relayId)} tested`;
+            case 'command.test-trigger':
+                return `Test alarm fired${details.profile ? ` with profile "${details.profile}"` : ''}`;
+            case 'command.deactivate':
+                return details.cancelled ? 'Active alarm deactivated' : 'Deactivate requested, nothing was active';
+            case 'command.acknowledge':
+                return details.acknowledged ? 'Alarm acknowledged' : 'Acknowledge requested, nothing was waiting';
+            case 'command.test-notification':
+                return `Test notification sent to ${details.name}`;
+            case 'device.add':
+                return `Device ${details.deviceId} registered`;
+            case 'device.revoke':
+                return `Device ${details.deviceId} revoked`;
+            case 'device.mode':
+                return `Device ${details.deviceId} set to ${details.executionMode} mode`;
+            case 'device.remove':
+                return `Device ${details.deviceId} removed`;
+            case 'source.add':
+                return `Trigger source ${details.sourceId} added (${SOURCE_TYPE_LABELS[details.type] || details.type})`;
+            case 'source.update':
+                return `Trigger source ${details.sourceId} ${details.enabled ? 'enabled' : 'disabled'}, ${details.profile ? `plays profile "${details.profile}"` : 'uses the order rules'}`;
+            case 'source.rotate':
+                return `New key issued for trigger source ${details.sourceId}`;
+            case 'source.revoke':
+                return `Trigger source ${details.sourceId} revoked`;
+            case 'source.remove':
+                return `Trigger source ${details.sourceId} removed`;
+            case 'token.add':
+                return `API token "${details.name}" created for ${details.username} (${details.scope} scope)`;
+            case 'token.revoke':
+                return `API token "${details.name}" of ${details.username} revoked`;
+            case 'simulator.add':
+                return `Virtual board ${details.deviceId} started (${details.relayCount} relays)`;
+            case 'simulator.disconnect':
+                return `Virtual board ${details.deviceId} disconnected${details.forMs !== null ? ` for ${formatDuration(details.forMs)}` : ''}`;
+            case 'simulator.latency':
+                return `Virtual board ${details.deviceId} latency set to ${details.latencyMs} ms`;
+            case 'simulator.remove':
+                return `Virtual board ${details.deviceId} removed`;
+            case 'user.add':
+                return `User ${details.username} added (${details.role})`;
+            case 'user.password':
+                return `Password of ${details.username} reset`;
+            case 'user.role':
+                return `${details.username} is now ${details.role}`;
+            case 'user.disabled':
+                return `User ${details.username} ${details.disabled ? 'disabled' : 'enabled'}`;
+            case 'security.unlock':
+                return `Lockout of ${details.kind === 'account' ? 'account' : 'IP'} ${details.key} lifted`;
+            default:
+                return entry.action;
+        }
+    }
+
+    function auditFilterParams() {
+        const params = new URLSearchParams();
+        if (auditActionFilter.value) {
+            params.set('action', auditActionFilter.value);
+        }
+        if (auditUserFilter.value.trim()) {
+            params.set('user', auditUserFilter.value.trim());
+        }
+        return params;
+    }
+
+    async function loadAudit(page = auditPage) {
+        try {
+            const params = auditFilterParams();
+            // Exports use the same filters, without paging
+            auditExportCsv.href = `/api/dashboard/audit/export?${params}&format=csv`;
+            auditExportJson.href = `/api/dashboard/audit/export?${params}&format=json`;
+            params.set('page', page);
+            params.set('limit', 20);
+            const response = await apiFetch(`/api/dashboard/audit?${params}`);
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            auditPage = result.page;
+
+            auditList.innerHTML = ''; // Clear previous
+            if (result.entries.length === 0) {
+                const emptyItem = document.createElement('li');
+                emptyItem.textContent = 'No changes recorded yet.';
+                auditList.appendChild(emptyItem);
+            }
+            result.entries.forEach(entry => {
+                const item = document.createElement('li');
+                const time = document.createElement('span');
+                time.className = 'event-time';
+                time.textContent = `#${entry.id} ${new Date(entry.timestamp).toLocaleString()} - ${entry.user}${entry.ip ? ` (${entry.ip})` : ''}`;
+                item.appendChild(time);
+                item.appendChild(document.createTextNode(describeAuditEntry(entry)));
+
+                if (entry.diff.length > 0) {
+                    const diff = document.createElement('ul');
+                    diff.className = 'audit-diff';
+                    diff.innerHTML = entry.diff.map(change => `<li>${escapeHtml(change.path)}: ${escapeHtml(JSON.stringify(change.before))} &rarr; ${escapeHtml(JSON.stringify(change.after))}</li>`).join('');
+                    item.appendChild(diff);
+                }
+                if (result.sections.includes(entry.section)) {
+                    const actions = document.createElement('div');
+                    actions.className = 'audit-actions';
+                    actions.innerHTML = `
+                        <button type="button" class="btn secondary" data-state="before">Restore before</button>
+                        <button type="button" class="btn secondary" data-state="after">Restore after</button>
+                    `;
+                    actions.querySelectorAll('button').forEach(button => {
+                        button.addEventListener('click', () => restoreAuditEntry(entry, button.dataset.state));
+                    });
+                    item.appendChild(actions);
+                }
+                auditList.appendChild(item);
+            });
+
+            auditPageInfo.textContent = `Page ${result.page} of ${result.totalPages}`;
+            auditPrevButton.disabled = result.page <= 1;
+            auditNextButton.disabled = result.page >= result.totalPages;
+        } catch (error) {
+            console.error('Error loading audit trail:', error);
+            showStatus('Failed to load audit trail.', true);
+        }
+    }
+
+    async function restoreAuditEntry(entry, state) {
+        const section = AUDIT_SECTION_LABELS[entry.section] || entry.section;
+        if (!confirm(`Restore ${section} as it was ${state} change #${entry.id}? Unsaved edits on this page are lost.`)) {
+            return;
+        }
+        try {
+            const response = await apiFetch(`/api/dashboard/audit/${entry.id}/restore`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ state })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            showStatus(result.message);
+            // Any section may affect the others (e.g. relays drive profiles and the output mapping)
+            await loadSettings();
+            loadSchedule();
+            loadRules().then(loadAcknowledgement);
+            loadTriggerPolicy();
+            loadRestartPolicy();
+            loadSafety();
+            loadTriggerSources();
+            loadNotificationChannels();
+            loadDeviceRegistry();
+            loadAudit(1);
+        } catch (error) {
+            console.error('Error restoring configuration:', error);
+            showStatus(`Failed to restore configuration: ${error.message}`, true);
+        }
+    }
+
+    // Event Listeners
+    saveButton.addEventListener('click', saveSettings);
+    addRelayButton.addEventListener('click', () => {
+        const relays = collectRelaySettings();
+        const ids = Object.keys(relays).map(Number);
+        if (ids.length >= 32) {
+            showStatus('No more relays can be added.', true);
+            return;
+        }
+        const newId = String(ids.length ? Math.max(...ids) + 1 : 1);
+        relays[newId] = { label: `Relay ${newId}`, enabled: true, pattern: DEFAULT_PATTERN };
+        renderRelaySettings(relays);
+        showStatus('Relay added. Save all settings to apply.');
+    });
+    deactivateButton.addEventListener('click', async () => {
+        await deactivateAlarm();
+        loadEvents(1);
+    });
+    addProfileButton.addEventListener('click', () => {
+        collectRulesForm();
+        let name = 'New Profile';
+        for (let n = 2; rulesState.profiles[name]; n++) {
+            name = `New Profile ${n}`;
+        }
+        // New profiles start from the relays' current patterns
+        const currentRelays = collectRelaySettings();
+        const relays = {};
+        Object.keys(relayLabels).forEach(i => {
+            const { label, ...relayConfig } = currentRelays[i] || { pattern: DEFAULT_PATTERN };
+            relays[i] = { ...relayConfig, enabled: true };
+        });
+        rulesState.profiles[name] = { relays };
+        renderRules();
+    });
+    addRuleButton.addEventListener('click', () => {
+        collectRulesForm();
+        const profileNames = Object.keys(rulesState.profiles);
+        if (profileNames.length === 0) {
+            showStatus('Add a profile first, rules need a profile to play.', true);
+            return;
+        }
+        rulesState.rules.push({
+            name: `Rule ${rulesState.rules.length + 1}`,
+            enabled: true,
+            match: 'all',
+            profile: profileNames[0],
+            conditions: [{ field: 'total', operator: 'gt', value: 500 }]
+        });
+        renderRules();
+    });
+    saveRulesButton.addEventListener('click', saveRules);
+    addPatternButton.addEventListener('click', () => {
+        const name = newPatternName.value.trim();
+        if (!name) {
+            showStatus('Enter a name for the new pattern.', true);
+            return;
+        }
+        patternLibrary = collectPatternLibrary();
+        if (patternLibrary[name]) {
+            showStatus(`Pattern "${name}" already exists.`, true);
+            return;
+        }
+        patternLibrary[name] = DEFAULT_PATTERN;
+        newPatternName.value = '';
+        renderPatternLibrary();
+    });
+    savePatternsButton.addEventListener('click', savePatternLibrary);
+    addExceptionButton.addEventListener('click', () => addExceptionRow({ date: '', windows: [] }));
+    saveScheduleButton.addEventListener('click', saveSchedule);
+    addDeviceButton.addEventListener('click', addDevice);
+    saveOutputMapButton.addEventListener('click', saveOutputMap);
+    addVirtualBoardButton.addEventListener('click', () => virtualBoardAction('/api/dashboard/simulator', 'POST', {
+        relayCount: parseInt(newVirtualRelays.value, 10),
+        latencyMs: parseInt(newVirtualLatency.value, 10),
+        jitterMs: parseInt(newVirtualJitter.value, 10)
+    }));
+    triggerPolicyMode.addEventListener('change', updateTriggerPolicyFields);
+    saveTriggerPolicyButton.addEventListener('click', saveTriggerPolicy);
+    saveRestartPolicyButton.addEventListener('click', saveRestartPolicy);
+    addInterlockButton.addEventListener('click', () => addInterlockRow({ relays: [] }));
+    saveSafetyButton.addEventListener('click', saveSafety);
+    addChannelButton.addEventListener('click', () => {
+        const type = newChannelType.value;
+        collectNotificationChannels();
+        notificationChannels.push({
+            name: CHANNEL_TYPE_LABELS[type],
+            type,
+            enabled: true,
+            filters: { when: 'always', rules: [], reminders: false },
+            ...CHANNEL_DEFAULTS[type],
+            ...channelTemplates[type]
+        });
+        renderNotificationChannels();
+    });
+    saveNotificationsButton.addEventListener('click', saveNotificationChannels);
+    refreshDeliveriesButton.addEventListener('click', loadDeliveryLog);
+    newSourceType.addEventListener('change', updateNewSourceSecret);
+    addSourceButton.addEventListener('click', addTriggerSource);
+    addTokenButton.addEventListener('click', addApiToken);
+    addEscalationButton.addEventListener('click', () => {
+        const profileNames = Object.keys(rulesState.profiles);
+        if (profileNames.length === 0) {
+            showStatus('Add a profile first, escalation steps play a profile.', true);
+            return;
+        }
+        const rows = ackEscalation.querySelectorAll('[data-setting="afterRepeats"]');
+        const last = rows.length ? parseInt(rows[rows.length - 1].value, 10) || 0 : 0;
+        addEscalationRow({ afterRepeats: last + 1, profile: profileNames[0] });
+    });
+    saveAckButton.addEventListener('click', saveAcknowledgement);
+    acknowledgeButton.addEventListener('click', acknowledgeAlarm);
+    eventsTypeFilter.addEventListener('change', () => loadEvents(1));
+    eventsPrevButton.addEventListener('click', () => loadEvents(eventsPage - 1));
+    eventsNextButton.addEventListener('click', () => loadEvents(eventsPage + 1));
+    auditActionFilter.addEventListener('change', () => loadAudit(1));
+    auditUserFilter.addEventListener('change', () => loadAudit(1));
+    auditPrevButton.addEventListener('click', () => loadAudit(auditPage - 1));
+    auditNextButton.addEventListener('click', () => loadAudit(auditPage + 1));
+
+    // Initial load: settings first, the other views need the configured relays
+    const currentUserLoaded = loadCurrentUser();
+    loadSettings().then(() => {
+        loadDeviceRegistry();
+        loadVirtualBoards();
+        connectLiveUpdates();
+        setInterval(() => {
+            // Countdowns between state updates
+            renderLiveTrigger();
+            renderLiveAcknowledgement();
+        }, 200);
+        // Device status comes with live updates, poll every 10 seconds only while disconnected
+        setInterval(() => {
+            if (!liveSocket || liveSocket.readyState !== WebSocket.OPEN) loadDevices();
+        }, 10000);
+        loadSchedule();
+        loadRules().then(loadAcknowledgement);
+        loadTriggerPolicy();
+        loadRestartPolicy();
+        loadSafety();
+        loadTriggerSources();
+        loadApiTokens();
+        loadNotificationChannels();
+        loadDeliveryLog();
+        loadEvents(1);
+        currentUserLoaded.then(user => {
+            if (user && user.role === 'admin') loadAudit(1);
+        });
+    });
 });
\ No newline at end of file
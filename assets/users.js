@@ -0,0 +1,246 @@
+document.addEventListener('DOMContentLoaded', () => {
+    const usersList = document.getElementById('users-list');
+    const newUsername = document.getElementById('new-username');
+    const newPassword = document.getElementById('new-password');
+    const newRole = document.getElementById('new-role');
+    const addUserButton = document.getElementById('add-user-button');
+    const statusMessage = document.getElementById('status-message');
+    const securityLoginIp = document.getElementById('security-login-ip');
+    const securityLoginAccount = document.getElementById('security-login-account');
+    const securityLoginLockout = document.getElementById('security-login-lockout');
+    const securityWebhookFailures = document.getElementById('security-webhook-failures');
+    const securityWebhookBlock = document.getElementById('security-webhook-block');
+    const securitySessionMaxAge = document.getElementById('security-session-max-age');
+    const securitySessionIdle = document.getElementById('security-session-idle');
+    const saveSecurityButton = document.getElementById('save-security-button');
+    const lockoutsList = document.getElementById('lockouts-list');
+    const refreshLockoutsButton = document.getElementById('refresh-lockouts-button');
+
+    let roles = [];
+    let csrfToken = null; // Sent with every change, comes with the logged-in user
+
+    const LOCKOUT_KIND_LABELS = {
+        ip: 'Login from IP',
+        account: 'Account',
+        webhook: 'Webhooks from IP'
+    };
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function roleOptionsHtml(selected) {
+        return roles.map(role => `<option value="${role}" ${role === selected ? 'selected' : ''}>${escapeHtml(role)}</option>`).join('');
+    }
+
+    // fetch() for the dashboard API: requests that change something carry the session's CSRF token
+    async function apiFetch(url, options = {}) {
+        if ((options.method || 'GET').toUpperCase() === 'GET') {
+            return fetch(url, options);
+        }
+        if (!csrfToken) {
+            const response = await fetch('/api/dashboard/me');
+            if (response.ok) csrfToken = (await response.json()).csrfToken;
+        }
+        return fetch(url, { ...options, headers: { ...options.headers, 'X-CSRF-Token': csrfToken } });
+    }
+
+    async function showStatus(message, isError = false) {
+        statusMessage.textContent = message;
+        statusMessage.className = `status-message ${isError ? 'error' : 'success'}`;
+        statusMessage.style.display = 'block';
+        await new Promise(resolve => setTimeout(resolve, 3000)); // Show for 3 seconds
+        statusMessage.style.display = 'none';
+    }
+
+    // POST a change for one user and reload the list
+    async function userAction(url, body) {
+        try {
+            const response = await apiFetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            showStatus(result.message);
+        } catch (error) {
+            console.error('Error updating user:', error);
+            showStatus(`Failed to update user: ${error.message}`, true);
+        }
+        await loadUsers();
+    }
+
+    function renderUsers(users) {
+        usersList.innerHTML = ''; // Clear previous
+        users.forEach(user => {
+            const item = document.createElement('li');
+            item.className = user.disabled ? 'device-offline' : 'device-online';
+            item.innerHTML = `
+                <strong>${escapeHtml(user.username)}</strong>${user.disabled ? ' - disabled' : ''}
+                <div class="schedule-row">
+                    <select title="Role">${roleOptionsHtml(user.role)}</select>
+                    <input type="password" placeholder="New password" autocomplete="new-password">
+                    <button class="btn secondary reset-password-button">Reset Password</button>
+                    <button class="btn ${user.disabled ? 'secondary' : 'danger'} toggle-disabled-button">${user.disabled ? 'Enable' : 'Disable'}</button>
+                </div>`;
+            const userUrl = `/api/dashboard/users/${encodeURIComponent(user.username)}`;
+            item.querySelector('select').addEventListener('change', event => {
+                userAction(`${userUrl}/role`, { role: event.target.value });
+            });
+            item.querySelector('.reset-password-button').addEventListener('click', () => {
+                userAction(`${userUrl}/password`, { password: item.querySelector('input[type="password"]').value });
+            });
+            item.querySelector('.toggle-disabled-button').addEventListener('click', () => {
+                userAction(`${userUrl}/disabled`, { disabled: !user.disabled });
+            });
+            usersList.appendChild(item);
+        });
+    }
+
+    async function loadUsers() {
+        try {
+            const response = await apiFetch('/api/dashboard/users');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const result = await response.json();
+            roles = result.roles;
+            newRole.innerHTML = roleOptionsHtml(newRole.value || 'viewer');
+            renderUsers(result.users);
+        } catch (error) {
+            console.error('Error loading users:', error);
+            showStatus('Failed to load users.', true);
+        }
+    }
+
+    async function addUser() {
+        try {
+            const response = await apiFetch('/api/dashboard/users', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: newUsername.value.trim(),
+                    password: newPassword.value,
+                    role: newRole.value
+                })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            showStatus(result.message);
+            newUsername.value = '';
+            newPassword.value = '';
+            await loadUsers();
+        } catch (error) {
+            console.error('Error adding user:', error);
+            showStatus(`Failed to add user: ${error.message}`, true);
+        }
+    }
+
+    function renderLockouts(lockouts) {
+        lockoutsList.innerHTML = ''; // Clear previous
+        const entries = [];
+        Object.keys(LOCKOUT_KIND_LABELS).forEach(kind => {
+            (lockouts[kind] || []).forEach(lockout => entries.push({ kind, ...lockout }));
+        });
+        if (entries.length === 0) {
+            lockoutsList.innerHTML = '<li>Nothing is locked out.</li>';
+            return;
+        }
+        entries.forEach(({ kind, key, lockedUntil }) => {
+            const item = document.createElement('li');
+            item.className = 'device-offline';
+            item.innerHTML = `
+                <strong>${escapeHtml(LOCKOUT_KIND_LABELS[kind])} ${escapeHtml(key)}</strong> - locked until ${new Date(lockedUntil).toLocaleTimeString()}
+                <div class="schedule-row"><button class="btn secondary">Unlock</button></div>`;
+            item.querySelector('button').addEventListener('click', () => unlock(kind, key));
+            lockoutsList.appendChild(item);
+        });
+    }
+
+    async function loadSecurity() {
+        try {
+            const response = await apiFetch('/api/dashboard/security');
+            if (!response.ok) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            const { security, lockouts } = await response.json();
+            securityLoginIp.value = security.loginMaxFailuresPerIp;
+            securityLoginAccount.value = security.loginMaxFailuresPerAccount;
+            securityLoginLockout.value = security.loginLockoutMs / 60000;
+            securityWebhookFailures.value = security.webhookMaxFailures;
+            securityWebhookBlock.value = security.webhookBlockMs / 60000;
+            securitySessionMaxAge.value = security.sessionMaxAgeMs / 3600000;
+            securitySessionIdle.value = security.sessionIdleMs / 60000;
+            renderLockouts(lockouts);
+        } catch (error) {
+            console.error('Error loading security settings:', error);
+            showStatus('Failed to load login and session settings.', true);
+        }
+    }
+
+    async function unlock(kind, key) {
+        try {
+            const response = await apiFetch('/api/dashboard/security/unlock', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ kind, key })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            const result = await response.json();
+            showStatus(result.message);
+        } catch (error) {
+            console.error('Error lifting lockout:', error);
+            showStatus(`Failed to lift lockout: ${error.message}`, true);
+        }
+        await loadSecurity();
+    }
+
+    async function saveSecurity() {
+        try {
+            const security = {
+                loginMaxFailuresPerIp: parseInt(securityLoginIp.value, 10),
+                loginMaxFailuresPerAccount: parseInt(securityLoginAccount.value, 10),
+                loginLockoutMs: Math.round(parseFloat(securityLoginLockout.value) * 60000),
+                webhookMaxFailures: parseInt(securityWebhookFailures.value, 10),
+                webhookBlockMs: Math.round(parseFloat(securityWebhookBlock.value) * 60000),
+                sessionMaxAgeMs: Math.round(parseFloat(securitySessionMaxAge.value) * 3600000),
+                sessionIdleMs: Math.round(parseFloat(securitySessionIdle.value) * 60000)
+            };
+            const response = await apiFetch('/api/dashboard/security', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ security })
+            });
+            if (!response.ok) {
+                const errorText = await response.text();
+                throw new Error(`HTTP error! status: ${response.status}, message: ${errorText}`);
+            }
+            showStatus('Login and session settings saved successfully!');
+            await loadSecurity();
+        } catch (error) {
+            console.error('Error saving security settings:', error);
+            showStatus(`Failed to save login and session settings: ${error.message}`, true);
+        }
+    }
+
+    addUserButton.addEventListener('click', addUser);
+    saveSecurityButton.addEventListener('click', saveSecurity);
+    refreshLockoutsButton.addEventListener('click', loadSecurity);
+
+    loadUsers();
+    loadSecurity();
+});
@@ -0,0 +1,510 @@
+#!/usr/bin/env node
+require('dotenv').config({ quiet: true });
+
+const fs = require('fs');
+const path = require('path');
+const { SETTINGS_VERSION, migrateSettings, loadSettingsFile, saveSettingsFile, loadRuntimeFile, saveRuntimeFile } = require('../lib/settings-store');
+const { createDefaultSettings, knownOutputTargets, validateSettings } = require('../lib/settings-schema');
+const { loadRegisteredDevices } = require('../lib/device-registry');
+const { ROLES, loadUsers, listUsers, validateUser, validatePassword, addUser, resetPassword } = require('../lib/users');
+const { loadEvents, recordEvent } = require('../lib/events');
+const { loadAudit, recordAudit } = require('../lib/audit');
+const { DATA_DIR } = require('../lib/data-dir');
+
+// --- shop-alarm: command-line administration ---
+// Works in one of two modes:
+//   online  - with --url (or SHOP_ALARM_URL), against a running server. Logs in like the dashboard with
+//             --user (or SHOP_ALARM_USER) and SHOP_ALARM_PASSWORD, prompting for whatever is missing; the
+//             user's role decides what is allowed.
+//   offline - otherwise, directly on the files in data/ (or DATA_DIR). Meant for a stopped server: a running server keeps
+//             settings, users and the running alarm in memory and overwrites the files with its own state.
+// Changes are recorded in the audit log either way, offline ones as user 'cli'.
+
+const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json');
+const RUNTIME_FILE = path.join(DATA_DIR, 'runtime.json');
+const EVENTS_FILE = path.join(DATA_DIR, 'events.jsonl');
+const FOLLOW_INTERVAL_MS = 2000; // How often `events --follow` looks for new events
+const CLI_ACTOR = { user: 'cli', ip: null };
+
+const USAGE = `Usage: shop-alarm [--url=URL] [--user=NAME] [--json] <command>
+
+Commands:
+  status                              Main switch, schedule state, running alarm and relays
+  trigger [--profile=NAME]            Fire a test alarm, as if an order had arrived (online)
+  relay test <id>                     Switch one relay on for 500 ms (online)
+  deactivate                          Stop the running alarm, relay tests and queued orders
+  alarm on|off                        Switch the main alarm on or off
+  users list                          List users and their roles
+  users add <username> [--role=ROLE]  Add a user (role viewer, operator or admin; default viewer)
+  users reset-password <username>     Set a new password
+  settings validate [file]            Check a settings file, as the server does on start (offline)
+  settings migrate [file]             Upgrade a settings file to the current version (offline)
+  events [--limit=N] [--type=TYPE] [--follow]
+                                      Show the latest events, and with --follow new ones as they happen
+
+Online with --url or SHOP_ALARM_URL, using --user or SHOP_ALARM_USER and SHOP_ALARM_PASSWORD (prompted for
+if missing). Offline otherwise, on the files in data/ of this installation; stop the server first.
+Passwords for new users and resets are prompted for, or read from standard input.`;
+
+// --- Output goes to stdout; what the shared modules log while loading their files goes to stderr ---
+const print = text => process.stdout.write(`${text}\n`);
+console.log = (...args) => console.error(...args);
+process.stdout.on('error', error => {
+    if (error.code === 'EPIPE') process.exit(0); // Piped into e.g. head, which has seen enough
+});
+
+class UsageError extends Error {}
+
+// --- --key=value options and positional arguments ---
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+    argv.forEach(arg => {
+        if (arg.startsWith('--')) {
+            const [key, ...value] = arg.slice(2).split('=');
+            options[key] = value.length ? value.join('=') : true;
+        } else {
+            positional.push(arg);
+        }
+    });
+    return { options, positional };
+}
+
+// --- Prompts (on stderr, so output can be piped); without a terminal, lines are read from stdin ---
+let pipedLines = null;
+
+async function readPipedLine() {
+    if (!pipedLines) {
+        const chunks = [];
+        for await (const chunk of process.stdin) chunks.push(chunk);
+        pipedLines = Buffer.concat(chunks).toString('utf8').split(/\r?\n/);
+    }
+    return pipedLines.shift() || '';
+}
+
+function prompt(question, { hidden = false } = {}) {
+    if (!process.stdin.isTTY) {
+        return readPipedLine();
+    }
+    process.stderr.write(question);
+    return new Promise(resolve => {
+        let value = '';
+        process.stdin.setRawMode(true);
+        process.stdin.setEncoding('utf8');
+        process.stdin.resume();
+        const onData = chunk => {
+            for (const char of chunk) {
+                if (char === '\r' || char === '\n') {
+                    process.stdin.setRawMode(false);
+                    process.stdin.pause();
+                    process.stdin.removeListener('data', onData);
+                    process.stderr.write('\n');
+                    resolve(value);
+                    return;
+                }
+                if (char === '\u0003') { // Ctrl+C
+                    process.stdin.setRawMode(false);
+                    process.stderr.write('\n');
+                    process.exit(130);
+                }
+                if (char === '\u007f' || char === '\b') {
+                    if (value.length > 0) {
+                        value = value.slice(0, -1);
+                        if (!hidden) process.stderr.write('\b \b');
+                    }
+                } else {
+                    value += char;
+                    if (!hidden) process.stderr.write(char);
+                }
+            }
+        };
+        process.stdin.on('data', onData);
+    });
+}
+
+async function promptNewPassword(username) {
+    const password = await prompt(`New password for ${username}: `, { hidden: true });
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        throw new Error(passwordError);
+    }
+    if (process.stdin.isTTY && await prompt('Repeat the password: ', { hidden: true }) !== password) {
+        throw new Error('The passwords do not match.');
+    }
+    return password;
+}
+
+// --- Formatting ---
+function formatTime(ms) {
+    return new Date(ms).toLocaleString();
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function formatEvent(event) {
+    const details = event.details || {};
+    const detailText = Object.keys(details).length ? ` ${JSON.stringify(details)}` : '';
+    return `${formatTime(event.timestamp)}  #${event.id} ${event.type}/${event.outcome} from ${event.source}${detailText}`;
+}
+
+function printRelays(relays, states = null) {
+    for (const id in relays) {
+        const relay = relays[id];
+        const state = states ? ` ${states[id] ? 'ON ' : 'off'}` : '';
+        print(`  ${id.padStart(2)}${state}  ${relay.label || `Relay ${id}`}${relay.enabled ? '' : ' (disabled)'}`);
+    }
+}
+
+// --- Online: a logged-in dashboard session on a running server ---
+function createServerClient(baseUrl) {
+    let cookie = null;
+    let csrfToken = null;
+
+    async function request(method, route, body) {
+        const headers = { Cookie: cookie };
+        if (csrfToken) headers['X-CSRF-Token'] = csrfToken;
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        const response = await fetch(new URL(route, baseUrl), {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            redirect: 'manual'
+        });
+        if (response.status === 302) {
+            throw new Error('Not logged in, the session has ended.');
+        }
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        const data = isJson ? await response.json() : await response.text();
+        if (!response.ok) {
+            throw new Error(`${response.status} ${typeof data === 'string' ? data : JSON.stringify(data)}`);
+        }
+        return data;
+    }
+
+    // Failed logins count towards the server's lockouts like dashboard logins
+    async function login(username, password) {
+        const response = await fetch(new URL('/login', baseUrl), {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ username, password }),
+            redirect: 'manual'
+        });
+        const location = response.headers.get('location') || '';
+        const sessionCookie = response.headers.getSetCookie().find(value => value.startsWith('connect.sid='));
+        if (response.status !== 302 || location.startsWith('/login') || !sessionCookie) {
+            const error = new URL(location || '/', baseUrl).searchParams.get('error');
+            throw new Error(`Login failed: ${error || `HTTP ${response.status}`}.`);
+        }
+        cookie = sessionCookie.split(';')[0];
+        csrfToken = (await request('GET', '/api/dashboard/me')).csrfToken;
+    }
+
+    async function logout() {
+        if (!cookie) return;
+        await fetch(new URL('/logout', baseUrl), { headers: { Cookie: cookie }, redirect: 'manual' }).catch(() => {});
+        cookie = null;
+    }
+
+    return {
+        login,
+        logout,
+        get: route => request('GET', route),
+        post: (route, body = {}) => request('POST', route, body)
+    };
+}
+
+// --- Offline: the files in data/ ---
+// Settings are loaded like the server does (migrated, validated, falling back to a backup)
+function loadOfflineSettings() {
+    loadRegisteredDevices(); // Output mappings are checked against the registered boards
+    const loaded = loadSettingsFile(SETTINGS_FILE, createDefaultSettings(), validateSettings);
+    if (!loaded) {
+        throw new Error(`No settings file at ${SETTINGS_FILE}, the server creates it on first start.`);
+    }
+    return loaded;
+}
+
+function printOfflineNote() {
+    console.error('Changed the files in data/. A running server does not see this and overwrites it, restart it now if it runs.');
+}
+
+// --- Commands; each gets (client or null, positional arguments, options) ---
+
+async function status(client, args, options) {
+    if (client) {
+        const state = await client.get('/api/dashboard/status');
+        const { relays } = await client.get('/api/dashboard/settings');
+        if (options.json) return print(JSON.stringify({ ...state, relayConfig: relays }, null, 2));
+
+        print(`Alarm: ${state.alarmState.state}${state.alarmEnabled ? '' : ' (main switch off)'}`);
+        if (state.alarmState.nextChange) {
+            print(`  becomes ${state.alarmState.nextChange.state} at ${formatTime(state.alarmState.nextChange.at)}`);
+        }
+        if (state.trigger) {
+            print(`Running: alarm from ${state.trigger.source} since ${formatTime(state.trigger.startedAt)}`
+                + (state.endsAt ? `, ends in ${formatDuration(Math.max(0, state.endsAt - state.serverTime))}` : '')
+                + (state.pendingOrders ? `, ${state.pendingOrders} queued` : ''));
+        } else {
+            print('Running: nothing');
+        }
+        if (state.unacknowledged) {
+            print(`Waiting for acknowledgement since ${formatTime(state.unacknowledged.since)}`);
+        }
+        print('Relays:');
+        printRelays(relays, state.relays);
+        print(`Devices: ${state.devices.filter(device => device.online).length} online`);
+        state.devices.forEach(device => {
+            print(`  ${device.id} ${device.online ? 'online' : 'offline'} via ${device.transport}${device.firmware ? `, firmware ${device.firmware}` : ''}`);
+        });
+        state.safetyViolations.forEach(violation => {
+            print(`Safety: relay ${violation.relayId} blocked by ${violation.label}: ${violation.message}`);
+        });
+        return;
+    }
+
+    const { settings } = loadOfflineSettings();
+    const runtime = loadRuntimeFile(RUNTIME_FILE) || {};
+    if (options.json) return print(JSON.stringify({ alarmEnabled: settings.alarmEnabled, relays: settings.relays, runtime }, null, 2));
+
+    print('Offline, from the files in data/ (live relay and device states need --url).');
+    print(`Main switch: ${settings.alarmEnabled ? 'on' : 'off'}, schedule ${settings.schedule.enabled ? 'enabled' : 'disabled'}`);
+    if (runtime.activeTrigger) {
+        print(`Alarm from ${runtime.activeTrigger.source} running since ${formatTime(runtime.activeTrigger.timestamp)}`
+            + ` when the server stopped; the restart policy (${settings.restartPolicy.mode}) decides what happens on start.`);
+    }
+    if (runtime.triggerQueue && runtime.triggerQueue.length > 0) {
+        print(`Queued orders: ${runtime.triggerQueue.length}`);
+    }
+    if (runtime.unacknowledged) {
+        print(`Waiting for acknowledgement since ${formatTime(runtime.unacknowledged.since)}`);
+    }
+    print('Relays:');
+    printRelays(settings.relays);
+}
+
+async function trigger(client, args, options) {
+    if (!client) {
+        throw new UsageError('A test alarm needs a running server, use --url.');
+    }
+    const result = await client.post('/api/dashboard/commands/test-trigger', { profile: options.profile || null });
+    if (options.json) return print(JSON.stringify(result, null, 2));
+    print(result.triggered ? `${result.message} (${result.action})` : `${result.message} ${result.reason}`);
+}
+
+async function relay(client, [action, relayId]) {
+    if (action !== 'test' || !relayId) {
+        throw new UsageError('Usage: shop-alarm relay test <id>');
+    }
+    if (!client) {
+        throw new UsageError('Relay tests need a running server, use --url.');
+    }
+    print(await client.post(`/api/dashboard/commands/test-relay/${encodeURIComponent(relayId)}`));
+}
+
+// Offline, the alarm interrupted by stopping the server is cleared, so it is not resumed on start
+async function deactivate(client) {
+    if (client) {
+        return print(await client.post('/api/dashboard/commands/deactivate-alarm'));
+    }
+    const runtime = loadRuntimeFile(RUNTIME_FILE) || {};
+    const queued = (runtime.triggerQueue || []).length;
+    if (!runtime.activeTrigger && queued === 0) {
+        return print('No interrupted alarm or queued orders to clear.');
+    }
+    loadEvents();
+    loadAudit();
+    recordEvent({
+        type: 'deactivate',
+        source: 'cli',
+        outcome: 'cancelled',
+        relayConfig: runtime.activeTrigger ? runtime.activeTrigger.relayConfig : null,
+        details: {
+            cancelledSource: runtime.activeTrigger ? runtime.activeTrigger.source : null,
+            ...(runtime.activeTrigger && runtime.activeTrigger.details),
+            cancelledPending: queued
+        }
+    });
+    recordAudit({ ...CLI_ACTOR, action: 'command.deactivate', details: { cancelled: true } });
+    saveRuntimeFile(RUNTIME_FILE, { ...runtime, activeTrigger: null, triggerQueue: [] });
+    print(`Interrupted alarm cleared${queued ? `, ${queued} queued orders dropped` : ''}.`);
+    printOfflineNote();
+}
+
+async function alarm(client, [value]) {
+    if (value !== 'on' && value !== 'off') {
+        throw new UsageError('Usage: shop-alarm alarm on|off');
+    }
+    const enabled = value === 'on';
+    if (client) {
+        return print(await client.post('/api/dashboard/commands/set-alarm-enabled', { enabled }));
+    }
+    const { settings } = loadOfflineSettings();
+    const snapshot = () => ({ alarmEnabled: settings.alarmEnabled, relays: settings.relays });
+    const before = JSON.parse(JSON.stringify(snapshot()));
+    settings.alarmEnabled = enabled;
+    saveSettingsFile(SETTINGS_FILE, settings);
+    loadAudit();
+    recordAudit({ ...CLI_ACTOR, action: 'config.update', section: 'settings', before, after: snapshot() });
+    print(`Main alarm ${enabled ? 'enabled' : 'disabled'}.`);
+    printOfflineNote();
+}
+
+async function users(client, [action, username], options) {
+    if (action === 'list') {
+        const list = client ? (await client.get('/api/dashboard/users')).users : (loadUsers(), listUsers());
+        if (options.json) return print(JSON.stringify(list, null, 2));
+        list.forEach(user => print(`${user.username.padEnd(20)} ${user.role}${user.disabled ? ' (disabled)' : ''}`));
+        return;
+    }
+    if (!['add', 'reset-password'].includes(action) || !username) {
+        throw new UsageError('Usage: shop-alarm users list | add <username> [--role=ROLE] | reset-password <username>');
+    }
+    if (!client) loadUsers();
+
+    if (action === 'add') {
+        const role = options.role || 'viewer';
+        if (!ROLES.includes(role)) {
+            throw new UsageError(`Invalid role. Use one of: ${ROLES.join(', ')}.`);
+        }
+        const password = await promptNewPassword(username);
+        if (client) {
+            return print((await client.post('/api/dashboard/users', { username, password, role })).message);
+        }
+        const userError = validateUser({ username, password, role });
+        if (userError) {
+            throw new Error(userError);
+        }
+        await addUser({ username, password, role });
+        loadAudit();
+        recordAudit({ ...CLI_ACTOR, action: 'user.add', details: { username, role } });
+        print(`User ${username} added.`);
+        return printOfflineNote();
+    }
+
+    if (!client && !listUsers().some(user => user.username === username)) {
+        throw new Error('Unknown user.');
+    }
+    const password = await promptNewPassword(username);
+    if (client) {
+        return print((await client.post(`/api/dashboard/users/${encodeURIComponent(username)}/password`, { password })).message);
+    }
+    await resetPassword(username, password);
+    loadAudit();
+    recordAudit({ ...CLI_ACTOR, action: 'user.password', details: { username } });
+    print(`Password of ${username} reset.`);
+    printOfflineNote();
+}
+
+// Always offline, on the given file only (no fallback to backups), so each file can be checked on its own
+async function settingsCommand(client, [action, file = SETTINGS_FILE]) {
+    if (!['validate', 'migrate'].includes(action)) {
+        throw new UsageError('Usage: shop-alarm settings validate|migrate [file]');
+    }
+    loadRegisteredDevices();
+    let migrated;
+    try {
+        migrated = migrateSettings(JSON.parse(fs.readFileSync(file, 'utf8')), createDefaultSettings());
+    } catch (error) {
+        throw new Error(`${file}: ${error.message}`);
+    }
+    const error = validateSettings(migrated.settings);
+    if (error) {
+        throw new Error(`${file}: ${error}`);
+    }
+    const outdated = migrated.fromVersion < SETTINGS_VERSION;
+    if (action === 'validate') {
+        return print(`${file} is valid (version ${migrated.fromVersion}${outdated ? `, migrated to ${SETTINGS_VERSION} on the next start` : ''}).`);
+    }
+    if (!outdated) {
+        return print(`${file} is already at version ${SETTINGS_VERSION}.`);
+    }
+    // Like the server on start: mappings to boards no longer registered are dropped, runtime state of
+    // files from before the split moves to runtime.json
+    migrated.settings.outputMap = knownOutputTargets(migrated.settings.outputMap);
+    saveSettingsFile(file, migrated.settings);
+    if (Object.keys(migrated.runtime).length > 0 && file === SETTINGS_FILE && !fs.existsSync(RUNTIME_FILE)) {
+        saveRuntimeFile(RUNTIME_FILE, { savedAt: null, ...migrated.runtime });
+    }
+    print(`${file} migrated from version ${migrated.fromVersion} to ${SETTINGS_VERSION}, the old file is kept as ${path.basename(file)}.1.`);
+    if (file === SETTINGS_FILE) printOfflineNote();
+}
+
+async function events(client, args, options) {
+    const limit = Math.max(1, parseInt(options.limit || '20', 10) || 20);
+    const type = typeof options.type === 'string' ? options.type : '';
+    const matches = event => !type || event.type === type;
+    let lastId = 0;
+    const show = list => list.filter(event => event.id > lastId).forEach(event => {
+        lastId = event.id;
+        print(options.json ? JSON.stringify(event) : formatEvent(event));
+    });
+
+    // Online the API pages newest first, offline the file is read (oldest first)
+    const fetchLatest = client
+        ? async () => (await client.get(`/api/dashboard/events?${new URLSearchParams({ type, limit })}`)).events.reverse()
+        : async () => {
+            if (!fs.existsSync(EVENTS_FILE)) return [];
+            return fs.readFileSync(EVENTS_FILE, 'utf8').split('\n')
+                .filter(line => line.trim())
+                .map(line => {
+                    try {
+                        return JSON.parse(line);
+                    } catch (error) {
+                        return null;
+                    }
+                })
+                .filter(event => event && matches(event))
+                .slice(-limit);
+        };
+
+    show(await fetchLatest());
+    if (!options.follow) return;
+    while (true) { // Until Ctrl+C
+        await new Promise(resolve => setTimeout(resolve, FOLLOW_INTERVAL_MS));
+        show(await fetchLatest());
+    }
+}
+
+const COMMANDS = {
+    status,
+    trigger,
+    relay,
+    deactivate,
+    alarm,
+    users,
+    settings: settingsCommand,
+    events
+};
+
+async function main() {
+    const { options, positional } = parseArgs(process.argv.slice(2));
+    const [name, ...args] = positional;
+    if (!name || options.help || !COMMANDS[name]) {
+        print(USAGE);
+        process.exitCode = name && !options.help ? 2 : 0;
+        return;
+    }
+
+    const url = options.url || process.env.SHOP_ALARM_URL || '';
+    let client = null;
+    if (url && name !== 'settings') {
+        client = createServerClient(url);
+        const username = options.user || process.env.SHOP_ALARM_USER || await prompt('Username: ');
+        const password = process.env.SHOP_ALARM_PASSWORD || await prompt('Password: ', { hidden: true });
+        await client.login(username, password);
+        process.once('SIGINT', () => client.logout().then(() => process.exit(130)));
+    }
+    try {
+        await COMMANDS[name](client, args, options);
+    } finally {
+        if (client) await client.logout();
+    }
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = error instanceof UsageError ? 2 : 1;
+});
@@ -0,0 +1,61 @@
+// --- Acknowledge-until-handled alarms ---
+// With acknowledgement enabled, an order alarm stays "unacknowledged" after it played and is repeated
+// every `repeatIntervalMs` until someone acknowledges it (dashboard, a board's button, MQTT or the API).
+// Deactivating only silences the running alarm; the repeats continue until the alarm is acknowledged.
+// Escalation steps make later repeats play an alarm profile instead of the original relay configuration:
+//   { enabled, repeatIntervalMs, escalation: [{ afterRepeats: 2, profile: 'Loud' }, ...] }
+// The step with the highest afterRepeats reached by the repeat count applies.
+
+const MIN_INTERVAL_MS = 10000;
+const MAX_INTERVAL_MS = 86400000; // One day
+const MAX_ESCALATION_STEPS = 10;
+const MAX_REPEATS = 1000;
+
+const DEFAULT_ACKNOWLEDGEMENT = {
+    enabled: false,
+    repeatIntervalMs: 300000,
+    escalation: []
+};
+
+// --- Escalation step for the given repeat count (1 = first repeat), or null ---
+function getEscalationStep(config, repeats) {
+    let current = null;
+    config.escalation.forEach(step => {
+        if (repeats >= step.afterRepeats) current = step;
+    });
+    return current;
+}
+
+// --- Validate an acknowledgement configuration; returns an error message or null ---
+function validateAcknowledgement(config, profileNames) {
+    if (!config || typeof config !== 'object') {
+        return 'Invalid acknowledgement configuration.';
+    }
+    if (typeof config.enabled !== 'boolean') {
+        return 'Invalid acknowledgement enabled status.';
+    }
+    if (!Number.isInteger(config.repeatIntervalMs) || config.repeatIntervalMs < MIN_INTERVAL_MS || config.repeatIntervalMs > MAX_INTERVAL_MS) {
+        return `Invalid repeat interval. Must be between ${MIN_INTERVAL_MS} and ${MAX_INTERVAL_MS} ms.`;
+    }
+    if (!Array.isArray(config.escalation) || config.escalation.length > MAX_ESCALATION_STEPS) {
+        return `Invalid escalation. Use at most ${MAX_ESCALATION_STEPS} steps.`;
+    }
+    let previous = 0;
+    for (let i = 0; i < config.escalation.length; i++) {
+        const step = config.escalation[i];
+        if (!step || !Number.isInteger(step.afterRepeats) || step.afterRepeats <= previous || step.afterRepeats > MAX_REPEATS) {
+            return `Invalid repeat count for escalation step ${i + 1}. Counts must increase from step to step, up to ${MAX_REPEATS}.`;
+        }
+        if (!profileNames.includes(step.profile)) {
+            return `Escalation step ${i + 1} refers to unknown profile "${step.profile}".`;
+        }
+        previous = step.afterRepeats;
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_ACKNOWLEDGEMENT,
+    getEscalationStep,
+    validateAcknowledgement
+};
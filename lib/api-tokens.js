@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { hasRole } = require('./users');
+const { DATA_DIR } = require('./data-dir');
+
+// --- Personal API tokens for the public REST API (/api/v1) ---
+// Each token belongs to a user and has a scope:
+//   read    - status, settings and events (like the viewer role)
+//   operate - also relay tests, deactivate and acknowledge (like the operator role)
+//   admin   - also settings changes (like the admin role)
+// A token never allows more than its owner's current role, and stops working while the owner is
+// disabled. Tokens are sent as `Authorization: Bearer <token>`, stored hashed and shown only once.
+
+// --- Configuration Constants ---
+const TOKENS_FILE = path.join(DATA_DIR, 'tokens.json');
+const TOKEN_PREFIX = 'sat_'; // Makes tokens recognisable, e.g. for secret scanners
+const TOKEN_SCOPES = ['read', 'operate', 'admin'];
+const SCOPE_ROLES = { read: 'viewer', operate: 'operator', admin: 'admin' };
+const LAST_USED_SAVE_MS = 60000; // lastUsedAt is written to file at most this often per token
+
+// --- In-memory tokens: [{ id, name, username, scope, tokenHash, hint, revoked, createdAt, revokedAt, lastUsedAt }] ---
+let apiTokens = [];
+const lastUsedSavedAt = new Map(); // Token id -> when its lastUsedAt was last written to file
+
+// --- Load API tokens from file ---
+function loadApiTokens() {
+    if (fs.existsSync(TOKENS_FILE)) {
+        try {
+            apiTokens = JSON.parse(fs.readFileSync(TOKENS_FILE, 'utf8'));
+            console.log(`API tokens loaded: ${apiTokens.length}`);
+        } catch (error) {
+            console.error('Error loading API tokens file:', error);
+            apiTokens = [];
+        }
+    }
+}
+
+// --- Save API tokens to file ---
+function saveApiTokens() {
+    try {
+        fs.mkdirSync(path.dirname(TOKENS_FILE), { recursive: true });
+        fs.writeFileSync(TOKENS_FILE, JSON.stringify(apiTokens, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+        console.error('Error saving API tokens file:', error);
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// --- Public view of a token (never includes the hash) ---
+function toPublic(token) {
+    const { tokenHash, ...rest } = token;
+    return rest;
+}
+
+// --- Tokens of one user, or of all users if username is null ---
+function listApiTokens(username = null) {
+    return apiTokens.filter(t => username === null || t.username === username).map(toPublic);
+}
+
+function getApiToken(id) {
+    const token = apiTokens.find(t => t.id === id);
+    return token ? toPublic(token) : null;
+}
+
+// --- Role a scope acts with ---
+function scopeRole(scope) {
+    return SCOPE_ROLES[scope] || null;
+}
+
+// --- Validate a new token; returns an error message or null ---
+// ownerRole: role of the user the token is for, a token can't have a scope beyond it
+function validateApiToken({ name, scope }, ownerRole) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+        return 'Invalid token name.';
+    }
+    if (!TOKEN_SCOPES.includes(scope)) {
+        return `Invalid scope. Use one of: ${TOKEN_SCOPES.join(', ')}.`;
+    }
+    if (!hasRole(ownerRole, scopeRole(scope))) {
+        return `Your role (${ownerRole}) does not allow tokens with the ${scope} scope.`;
+    }
+    return null;
+}
+
+// --- Create a token; returns { token, secret } (the secret is only available here) ---
+function createApiToken({ name, scope, username }) {
+    const secret = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+    const token = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name: name.trim(),
+        username,
+        scope,
+        tokenHash: hashToken(secret),
+        hint: secret.slice(-4), // To tell tokens apart in the list
+        revoked: false,
+        createdAt: Date.now(),
+        revokedAt: null,
+        lastUsedAt: null
+    };
+    apiTokens.push(token);
+    saveApiTokens();
+    return { token: toPublic(token), secret };
+}
+
+function revokeApiToken(id) {
+    const token = apiTokens.find(t => t.id === id);
+    if (!token) return null;
+    token.revoked = true;
+    token.revokedAt = Date.now();
+    saveApiTokens();
+    return toPublic(token);
+}
+
+// --- Find the active token of an `Authorization: Bearer` header; returns the token or null ---
+// The caller still has to check the owner, see scopeRole
+function authenticateApiToken(authorization) {
+    if (typeof authorization !== 'string' || !authorization.startsWith('Bearer ')) {
+        return null;
+    }
+    const hash = Buffer.from(hashToken(authorization.slice(7).trim()), 'utf8');
+    const token = apiTokens.find(t => {
+        const stored = Buffer.from(t.tokenHash, 'utf8');
+        return stored.length === hash.length && crypto.timingSafeEqual(stored, hash);
+    });
+    if (!token || token.revoked) {
+        return null;
+    }
+    const now = Date.now();
+    token.lastUsedAt = now;
+    if (now - (lastUsedSavedAt.get(token.id) || 0) >= LAST_USED_SAVE_MS) {
+        lastUsedSavedAt.set(token.id, now);
+        saveApiTokens();
+    }
+    return toPublic(token);
+}
+
+module.exports = {
+    TOKEN_SCOPES,
+    loadApiTokens,
+    listApiTokens,
+    getApiToken,
+    scopeRole,
+    validateApiToken,
+    createApiToken,
+    revokeApiToken,
+    authenticateApiToken
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+
+// --- Configuration Constants ---
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.jsonl'); // One JSON entry per line, append-only, never trimmed
+const MAX_PAGE_SIZE = 200;
+
+// --- In-memory audit log (oldest first) ---
+let entries = [];
+let nextAuditId = 1;
+
+// --- Load the audit log from file ---
+function loadAudit() {
+    entries = [];
+    if (fs.existsSync(AUDIT_FILE)) {
+        try {
+            const lines = fs.readFileSync(AUDIT_FILE, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    entries.push(JSON.parse(line));
+                } catch (error) {
+                    console.error('Skipping corrupted audit line:', line);
+                }
+            }
+            console.log(`Audit entries loaded: ${entries.length}`);
+        } catch (error) {
+            console.error('Error loading audit file:', error);
+            entries = [];
+        }
+    }
+    nextAuditId = entries.reduce((max, entry) => Math.max(max, entry.id || 0), 0) + 1;
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// --- Changed leaves between two snapshots: [{ path, before, after }] (arrays count as one value) ---
+function diffValues(before, after, prefix = '') {
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    if (!isPlainObject(before) || !isPlainObject(after)) {
+        return [{ path: prefix || '(all)', before: before === undefined ? null : before, after: after === undefined ? null : after }];
+    }
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...keys].flatMap(key => diffValues(before[key], after[key], prefix ? `${prefix}.${key}` : key));
+}
+
+// --- Record an audit entry ---
+// user, ip:   who did it (user is e.g. 'mqtt' or 'cli' for changes that didn't come from a logged-in user)
+// action:     e.g. 'config.update', 'config.restore', 'command.deactivate', 'device.add', 'user.role'
+// section:    configuration section for config actions ('settings', 'schedule', ...), else null
+// before/after: snapshots of the section, the diff between them is stored with the entry
+// details:    optional free-form object
+function recordAudit({ user, ip = null, action, section = null, before = null, after = null, details = {} }) {
+    const entry = {
+        id: nextAuditId++,
+        timestamp: Date.now(),
+        user,
+        ip,
+        action,
+        section,
+        before: before !== null ? JSON.parse(JSON.stringify(before)) : null, // Deep copy snapshot
+        after: after !== null ? JSON.parse(JSON.stringify(after)) : null,
+        diff: before !== null || after !== null ? diffValues(before, after) : [],
+        details
+    };
+    entries.push(entry);
+
+    try {
+        fs.mkdirSync(path.dirname(AUDIT_FILE), { recursive: true });
+        fs.appendFileSync(AUDIT_FILE, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+        console.error('Error appending audit entry to file:', error);
+    }
+    return entry;
+}
+
+function getAuditEntry(id) {
+    return entries.find(entry => entry.id === Number(id)) || null;
+}
+
+// --- Filter entries, newest first ---
+// Supported filters: action (exact or prefix ending in '.', e.g. 'config.'), user, from/to (ms timestamps)
+function filterAudit({ action, user, from, to } = {}) {
+    const fromMs = from !== undefined && from !== '' ? Number(from) : null;
+    const toMs = to !== undefined && to !== '' ? Number(to) : null;
+    return entries.filter(entry => {
+        if (action && (action.endsWith('.') ? !entry.action.startsWith(action) : entry.action !== action)) return false;
+        if (user && entry.user !== user) return false;
+        if (fromMs !== null && !isNaN(fromMs) && entry.timestamp < fromMs) return false;
+        if (toMs !== null && !isNaN(toMs) && entry.timestamp > toMs) return false;
+        return true;
+    }).reverse();
+}
+
+// --- Paginated query, same shape as queryEvents ---
+function queryAudit({ page = 1, limit = 50, ...filters } = {}) {
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || 50));
+    const filtered = filterAudit(filters);
+    const start = (pageNumber - 1) * pageSize;
+    return {
+        entries: filtered.slice(start, start + pageSize),
+        page: pageNumber,
+        limit: pageSize,
+        total: filtered.length,
+        totalPages: Math.max(1, Math.ceil(filtered.length / pageSize))
+    };
+}
+
+// Values starting with =, +, -, @ (or tab/CR) run as formulas in Excel and LibreOffice, a leading ' keeps them text
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// --- CSV export, one row per entry with the diff flattened to "path: before -> after" ---
+function auditToCsv(list) {
+    const header = ['id', 'time', 'user', 'ip', 'action', 'section', 'changes', 'details'];
+    const rows = list.map(entry => [
+        entry.id,
+        new Date(entry.timestamp).toISOString(),
+        entry.user,
+        entry.ip,
+        entry.action,
+        entry.section,
+        entry.diff.map(change => `${change.path}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`).join('; '),
+        JSON.stringify(entry.details)
+    ].map(csvField).join(','));
+    return [header.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    loadAudit,
+    recordAudit,
+    getAuditEntry,
+    filterAudit,
+    queryAudit,
+    auditToCsv
+};
@@ -0,0 +1,10 @@
+const path = require('path');
+
+// --- Directory of the state files (settings, users, history, registered devices, ...) ---
+// data/ of this installation unless DATA_DIR points elsewhere, e.g. for a second instance on the same
+// machine or for the tests. Relative paths are taken from the working directory.
+const DATA_DIR = process.env.DATA_DIR ? path.resolve(process.env.DATA_DIR) : path.join(__dirname, '..', 'data');
+
+module.exports = {
+    DATA_DIR
+};
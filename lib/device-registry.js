@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+
+// --- Configuration Constants ---
+const DEVICES_FILE = path.join(DATA_DIR, 'devices.json'); // Registered relay boards
+const MAX_RELAYS_PER_DEVICE = 16;
+const EXECUTION_MODES = ['stream', 'plan']; // See lib/devices.js
+
+// --- In-memory device registry: [{ id, name, secretHash, relayCount, executionMode, revoked, createdAt, revokedAt }] ---
+let registeredDevices = [];
+
+// --- Load registered devices from file ---
+function loadRegisteredDevices() {
+    if (fs.existsSync(DEVICES_FILE)) {
+        try {
+            registeredDevices = JSON.parse(fs.readFileSync(DEVICES_FILE, 'utf8'));
+            registeredDevices.forEach(device => {
+                device.executionMode = device.executionMode || 'stream'; // Boards registered before execution plans
+            });
+            console.log('Registered devices loaded:', registeredDevices.map(d => d.id));
+        } catch (error) {
+            console.error('Error loading devices file:', error);
+            registeredDevices = [];
+        }
+    }
+}
+
+// --- Save registered devices to file ---
+function saveRegisteredDevices() {
+    try {
+        fs.mkdirSync(path.dirname(DEVICES_FILE), { recursive: true });
+        fs.writeFileSync(DEVICES_FILE, JSON.stringify(registeredDevices, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+        console.error('Error saving devices file:', error);
+    }
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// --- Public view of a device (never includes the secret hash) ---
+function toPublic(device) {
+    const { secretHash, ...rest } = device;
+    return rest;
+}
+
+function listRegisteredDevices() {
+    return registeredDevices.map(toPublic);
+}
+
+function getRegisteredDevice(id) {
+    const device = registeredDevices.find(d => d.id === id);
+    return device ? toPublic(device) : null;
+}
+
+// --- Find the active (not revoked) device owning a secret ---
+function authenticateDevice(secret) {
+    if (typeof secret !== 'string' || secret === '') return null;
+    const given = Buffer.from(hashSecret(secret), 'hex');
+    const device = registeredDevices.find(d => {
+        const expected = Buffer.from(d.secretHash, 'hex');
+        return !d.revoked && expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    });
+    return device ? toPublic(device) : null;
+}
+
+// --- Validate a new device; returns an error message or null ---
+function validateDevice({ id, name, relayCount, executionMode }) {
+    if (typeof id !== 'string' || !/^[\w\-.]{1,64}$/.test(id)) {
+        return 'Invalid device id. Use up to 64 letters, digits, -, _ or .';
+    }
+    if (registeredDevices.some(d => d.id === id)) {
+        return `Device "${id}" already exists.`;
+    }
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+        return 'Invalid device name.';
+    }
+    if (!Number.isInteger(relayCount) || relayCount < 1 || relayCount > MAX_RELAYS_PER_DEVICE) {
+        return `Invalid relay count. Must be between 1 and ${MAX_RELAYS_PER_DEVICE}.`;
+    }
+    if (executionMode !== undefined && !EXECUTION_MODES.includes(executionMode)) {
+        return `Invalid execution mode. Use one of: ${EXECUTION_MODES.join(', ')}.`;
+    }
+    return null;
+}
+
+// --- Register a new device; returns { device, secret } (the secret is only available here) ---
+function addRegisteredDevice({ id, name, relayCount, executionMode = 'stream' }) {
+    const secret = crypto.randomBytes(24).toString('hex');
+    const device = {
+        id,
+        name: name.trim(),
+        secretHash: hashSecret(secret),
+        relayCount,
+        executionMode,
+        revoked: false,
+        createdAt: Date.now(),
+        revokedAt: null
+    };
+    registeredDevices.push(device);
+    saveRegisteredDevices();
+    return { device: toPublic(device), secret };
+}
+
+function revokeRegisteredDevice(id) {
+    const device = registeredDevices.find(d => d.id === id);
+    if (!device) return null;
+    device.revoked = true;
+    device.revokedAt = Date.now();
+    saveRegisteredDevices();
+    return toPublic(device);
+}
+
+// --- Select how a board runs alarms ('stream' or 'plan'); returns the device or null ---
+function setRegisteredDeviceMode(id, executionMode) {
+    const device = registeredDevices.find(d => d.id === id);
+    if (!device) return null;
+    device.executionMode = executionMode;
+    saveRegisteredDevices();
+    return toPublic(device);
+}
+
+function removeRegisteredDevice(id) {
+    const index = registeredDevices.findIndex(d => d.id === id);
+    if (index === -1) return false;
+    registeredDevices.splice(index, 1);
+    saveRegisteredDevices();
+    return true;
+}
+
+// --- Validate the logical output -> physical relay mapping; returns an error message or null ---
+// outputMap: { [logicalRelayId]: [{ deviceId, relay }] }
+function validateOutputMap(outputMap, logicalRelayIds) {
+    if (!outputMap || typeof outputMap !== 'object' || Array.isArray(outputMap)) {
+        return 'Invalid output mapping.';
+    }
+    for (const logicalId in outputMap) {
+        if (!logicalRelayIds.includes(logicalId)) {
+            return `Unknown alarm output ${logicalId} in mapping.`;
+        }
+        const targets = outputMap[logicalId];
+        if (!Array.isArray(targets) || targets.length > 32) {
+            return `Invalid mapping for output ${logicalId}.`;
+        }
+        for (const target of targets) {
+            const device = target && registeredDevices.find(d => d.id === target.deviceId);
+            if (!device) {
+                return `Unknown device "${target && target.deviceId}" in mapping for output ${logicalId}.`;
+            }
+            if (!Number.isInteger(target.relay) || target.relay < 1 || target.relay > device.relayCount) {
+                return `Invalid relay ${target.relay} on device "${device.id}" for output ${logicalId}.`;
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    EXECUTION_MODES,
+    loadRegisteredDevices,
+    listRegisteredDevices,
+    getRegisteredDevice,
+    authenticateDevice,
+    validateDevice,
+    addRegisteredDevice,
+    revokeRegisteredDevice,
+    setRegisteredDeviceMode,
+    removeRegisteredDevice,
+    validateOutputMap
+};
@@ -0,0 +1,524 @@
+const WebSocket = require('ws');
+
+// --- ESP32 device protocol (version 2) ---
+// Device -> server (JSON):
+//   { type: 'hello', protocol: 2, deviceId, firmware, relayCount, uptimeMs, capabilities: ['plan'] }
+//   { type: 'ack', seq }                                   acknowledges a state, plan or cancel message
+//   { type: 'status', relays: { '1': true, ... }, uptimeMs } actual relay states
+//   { type: 'time', t0 }                                   clock sync request, t0 = device clock (v2)
+//   { type: 'clock', offsetMs, rttMs }                     result of the device's last clock sync (v2)
+//   { type: 'progress', planId, elapsedMs, relays, finished } plan execution progress (v2)
+//   { type: 'button', action: 'acknowledge' | 'silence' }  physical button pressed on the board
+//   { type: 'error', code, message }
+// Server -> device:
+//   { type: 'welcome', protocol, deviceId, serverTime, mode }
+//   { type: 'time', t0, serverTime }                       clock sync reply, sent immediately
+//   { type: 'state', protocol, seq, mode, alarmEnabled, triggerActive, relays, testRelay }
+//   { type: 'plan', protocol, seq, planId, startAt, relays: { '1': [{ offsetMs, pattern }] } } (v2)
+//   { type: 'cancel', protocol, seq, planId }              (v2), planId null cancels whatever plan runs
+// Devices that never send a hello are treated as legacy firmware: they get the same state
+// payload (extra keys are ignored by old firmware) but no acknowledgement is expected.
+//
+// Execution modes: 'stream' (default) sends every relay change as a state update. In 'plan' mode,
+// selectable per registered board and used once the board announces the 'plan' capability, the
+// whole alarm is sent once as a timed plan: each relay plays its patterns (see lib/patterns.js)
+// from startAt + offsetMs in server time, on when any of them is on. The board syncs its clock
+// with 'time' messages, runs the plan locally and reports progress; state updates then only carry
+// alarmEnabled/triggerActive and are sent when those change. A newer plan replaces a running one.
+// While relay safety limits are configured all boards stream (see suspendPlans).
+//
+// The first connection of each device after the server started gets an all-off state (with
+// `reset: true`) before the current one, and plan-mode boards a cancel after their hello: relays a
+// board kept on, or a plan it kept running, while the server was down are switched off. Whether a
+// connection is the first is decided once the device's id is final: at once for registered boards,
+// at the hello for shared-secret boards (known by IP until then). Boards that never say hello
+// (legacy firmware) keep their IP id, and the first state they get already sets every relay.
+
+const PROTOCOL_VERSION = 2;
+const ACK_TIMEOUT_MS = 2000; // Re-send a state update if not acknowledged within this time
+const MAX_RESENDS = 5; // Give up re-sending (and flag the device) after this many attempts
+const LATENCY_SAMPLES = 20; // Number of ack latencies used for the average
+
+// --- Known devices by id (kept after disconnect so the dashboard can show "offline") ---
+const devices = new Map();
+// --- Live connections: ws -> device record ---
+const connections = new Map();
+
+// --- Final ids of the devices that connected since the server started ---
+const seenDeviceIds = new Set();
+
+let anonymousCounter = 0;
+let ackMonitorId = null;
+// Plan mode is suspended while relay safety limits are configured (see lib/relay-safety.js): the server
+// can only enforce them on relay states it streams
+let plansSuspended = false;
+
+function createDevice(id, ip, identity) {
+    return {
+        id,
+        ip,
+        transport: 'websocket', // 'websocket' | 'mqtt'
+        registered: !!identity, // Authenticated with its own secret from the device registry
+        name: identity ? identity.name : null,
+        online: true,
+        connectedAt: Date.now(),
+        lastSeen: Date.now(),
+        disconnectedAt: null,
+        protocol: 0, // 0 = legacy firmware (no hello received)
+        firmware: null,
+        relayCount: identity ? identity.relayCount : null,
+        uptimeMs: null,
+        reportedRelays: null, // Actual relay states reported by the device
+        reportedAt: null,
+        lastError: null,
+        lastButton: null, // Last physical button press: { action, timestamp }
+        nextSeq: 1,
+        pending: null, // Latest unacknowledged state update: { seq, data, sentAt, firstSentAt, attempts }
+        pendingPlan: null, // Latest unacknowledged plan or cancel message, same shape
+        lastAckedSeq: null,
+        unacknowledged: false, // True once MAX_RESENDS was exceeded
+        ackLatencies: [],
+        capabilities: [],
+        executionMode: identity && identity.executionMode ? identity.executionMode : 'stream', // Selected mode
+        lastStateJson: null, // Last state sent in plan mode, to skip unchanged updates
+        plan: null, // Last plan sent: { planId, startAt, sentAt, cancelled, progress }
+        clock: null, // Last clock sync: { syncedAt, offsetMs, rttMs }
+        identified: false, // Id is final and firstConnection decided (see identifyDevice)
+        firstConnection: null, // First connection since the server started, null until identified
+        resetPending: false // All-off state still to be sent (see resetDevice)
+    };
+}
+
+// --- Is the device running alarms from plans (selected and supported by its firmware)? ---
+function usesPlans(device) {
+    return !plansSuspended && device.executionMode === 'plan' && device.protocol >= 2 && device.capabilities.includes('plan');
+}
+
+// --- Decide whether this is the device's first connection since startup, once its id is final ---
+function identifyDevice(device) {
+    device.identified = true;
+    device.firstConnection = !seenDeviceIds.has(device.id);
+    device.resetPending = device.firstConnection;
+    seenDeviceIds.add(device.id);
+}
+
+// --- Close and forget the live connection of a device that connected again (stale or half-open) ---
+function closePreviousConnection(id, ws) {
+    connections.forEach((device, other) => {
+        if (device.id === id && other !== ws) {
+            connections.delete(other); // Its close event no longer marks the device offline
+            other.close(4001, 'Replaced by a new connection');
+        }
+    });
+}
+
+// --- Register a new ESP32 WebSocket connection ---
+// identity: the registry entry ({ id, name, relayCount }) for boards with their own secret,
+// or null for boards using the shared ESP32_SECRET.
+function registerConnection(ws, ip, identity = null) {
+    let id = identity ? identity.id : `esp32@${ip}`; // Shared-secret boards are known by IP until they say hello
+    if (identity && devices.has(id) && devices.get(id).online) {
+        console.warn(`Device ${id} connected twice, replacing the previous connection.`);
+        closePreviousConnection(id, ws);
+    } else if (!identity && devices.has(id) && devices.get(id).online) {
+        id = `${id}#${++anonymousCounter}`;
+    }
+    const device = createDevice(id, ip, identity);
+    if (identity || seenDeviceIds.has(id)) {
+        // Registered boards, and boards that connected by IP before without saying hello
+        identifyDevice(device);
+    }
+    devices.set(id, device);
+    connections.set(ws, device);
+    return device;
+}
+
+function unregisterConnection(ws) {
+    const device = connections.get(ws);
+    connections.delete(ws);
+    if (device) {
+        if (!device.identified) seenDeviceIds.add(device.id); // Never said hello, stays known by IP
+        device.online = false;
+        device.disconnectedAt = Date.now();
+        device.pending = null;
+        device.pendingPlan = null;
+    }
+    return device;
+}
+
+function isDeviceConnection(ws) {
+    return connections.has(ws);
+}
+
+function getDevice(ws) {
+    return connections.get(ws);
+}
+
+function isPlanConnection(ws) {
+    const device = connections.get(ws);
+    return !!device && usesPlans(device);
+}
+
+function sendJson(ws, data) {
+    if (ws.readyState === WebSocket.OPEN) {
+        ws.send(JSON.stringify(data));
+    }
+}
+
+function trackPending(seq, data) {
+    return { seq, data, sentAt: Date.now(), firstSentAt: Date.now(), attempts: 1 };
+}
+
+// --- Send a state update to a device, tracking it for acknowledgement ---
+function sendState(ws, state) {
+    const device = getDevice(ws);
+    if (!device) return;
+
+    if (device.protocol >= 2) {
+        const plans = usesPlans(device);
+        if (plans) {
+            // Relay states come from the plan, only send the remaining state when it changes
+            const { relays, testRelay, ...rest } = state;
+            const json = JSON.stringify(rest);
+            if (json === device.lastStateJson) return;
+            device.lastStateJson = json;
+            state = rest;
+        }
+        state = { mode: plans ? 'plan' : 'stream', ...state };
+    }
+
+    const seq = device.nextSeq++;
+    const data = { type: 'state', protocol: PROTOCOL_VERSION, seq, ...state };
+    if (device.protocol >= 1) {
+        // Only the latest state matters, a newer update supersedes an unacknowledged older one
+        device.pending = trackPending(seq, data);
+    }
+    sendJson(ws, data);
+}
+
+// --- Send an execution plan to a plan-mode device ---
+// plan: { planId, startAt, relays: { [deviceRelay]: [{ offsetMs, pattern }] } }
+function sendPlan(ws, plan) {
+    const device = getDevice(ws);
+    if (!device || !usesPlans(device)) return;
+
+    const seq = device.nextSeq++;
+    const data = { type: 'plan', protocol: device.protocol, seq, ...plan };
+    device.pendingPlan = trackPending(seq, data); // Supersedes an unacknowledged older plan or cancel
+    device.plan = { planId: plan.planId, startAt: plan.startAt, sentAt: Date.now(), cancelled: false, progress: null };
+    sendJson(ws, data);
+}
+
+// --- Cancel the plan a device is running (no-op if it has none or already finished it) ---
+function cancelPlan(ws) {
+    const device = getDevice(ws);
+    if (!device || !usesPlans(device) || !device.plan || device.plan.cancelled) return;
+    if (device.plan.progress && device.plan.progress.finished) return;
+
+    const seq = device.nextSeq++;
+    const data = { type: 'cancel', protocol: device.protocol, seq, planId: device.plan.planId };
+    device.pendingPlan = trackPending(seq, data);
+    device.plan.cancelled = true;
+    sendJson(ws, data);
+}
+
+// --- Switch every relay of a device off on its first connection since the server started ---
+// state: the all-off state for the device; the current state is sent right after. Call it once the
+// device is identified: on connection for registered boards, after the hello for the others.
+function resetDevice(ws, state) {
+    const device = getDevice(ws);
+    if (!device || !device.resetPending) return;
+    device.resetPending = false;
+    console.log(`Device ${device.id} connected for the first time since startup, switching all relays off.`);
+    sendState(ws, { ...state, reset: true });
+}
+
+// --- Handle an incoming message from a device ---
+// Returns the parsed message, or null if it was not a protocol message (legacy firmware text).
+function handleDeviceMessage(ws, message) {
+    const device = getDevice(ws);
+    if (!device) return null;
+    device.lastSeen = Date.now();
+
+    let msg;
+    try {
+        msg = JSON.parse(message);
+    } catch (error) {
+        return null;
+    }
+    if (!msg || typeof msg !== 'object' || typeof msg.type !== 'string') {
+        return null;
+    }
+
+    switch (msg.type) {
+        case 'hello': {
+            const firstHello = device.protocol === 0;
+            const requestedId = typeof msg.deviceId === 'string' && /^[\w\-.]{1,64}$/.test(msg.deviceId) ? msg.deviceId : null;
+            if (requestedId && requestedId !== device.id && device.registered) {
+                console.warn(`Registered device ${device.id} announced itself as ${requestedId}, keeping ${device.id}.`);
+            } else if (requestedId && devices.has(requestedId) && devices.get(requestedId).registered) {
+                console.warn(`Device ${device.id} announced the id of registered device ${requestedId}, ignoring it.`);
+            } else if (requestedId && requestedId !== device.id) {
+                // Re-key the connection under the device's own id
+                devices.delete(device.id);
+                const previous = devices.get(requestedId);
+                if (previous && previous.online) {
+                    console.warn(`Device ${requestedId} connected twice, replacing the previous connection.`);
+                    closePreviousConnection(requestedId, ws);
+                }
+                device.id = requestedId;
+                devices.set(requestedId, device);
+            }
+            // Shared-secret boards are identified now; a board identified by IP may also be new under its own id
+            if (!device.identified || !seenDeviceIds.has(device.id)) {
+                identifyDevice(device);
+            }
+            device.protocol = Math.min(Number(msg.protocol) || 1, PROTOCOL_VERSION);
+            device.firmware = typeof msg.firmware === 'string' ? msg.firmware : null;
+            device.relayCount = Number.isInteger(msg.relayCount) ? msg.relayCount : device.relayCount;
+            device.uptimeMs = typeof msg.uptimeMs === 'number' ? msg.uptimeMs : null;
+            device.capabilities = Array.isArray(msg.capabilities) ? msg.capabilities.filter(c => typeof c === 'string') : [];
+            device.lastStateJson = null;
+            console.log(`Device ${device.id} hello: firmware ${device.firmware}, ${device.relayCount} relays, protocol ${device.protocol}`);
+            sendJson(ws, {
+                type: 'welcome',
+                protocol: device.protocol,
+                deviceId: device.id,
+                serverTime: Date.now(),
+                mode: usesPlans(device) ? 'plan' : 'stream'
+            });
+            if (firstHello && device.firstConnection && usesPlans(device)) {
+                // Stop a plan the board may still run from before the restart
+                const seq = device.nextSeq++;
+                const data = { type: 'cancel', protocol: device.protocol, seq, planId: null };
+                device.pendingPlan = trackPending(seq, data);
+                sendJson(ws, data);
+            }
+            break;
+        }
+        case 'ack': {
+            ['pending', 'pendingPlan'].forEach(slot => {
+                if (!device[slot] || msg.seq !== device[slot].seq) return;
+                device.ackLatencies.push(Date.now() - device[slot].firstSentAt);
+                if (device.ackLatencies.length > LATENCY_SAMPLES) device.ackLatencies.shift();
+                device[slot] = null;
+                device.unacknowledged = false;
+            });
+            if (typeof msg.seq === 'number') {
+                device.lastAckedSeq = Math.max(device.lastAckedSeq || 0, msg.seq);
+            }
+            break;
+        }
+        case 'status': {
+            if (msg.relays && typeof msg.relays === 'object') {
+                device.reportedRelays = msg.relays;
+                device.reportedAt = Date.now();
+            }
+            if (typeof msg.uptimeMs === 'number') device.uptimeMs = msg.uptimeMs;
+            break;
+        }
+        case 'time': {
+            // Answer right away, the device measures the round trip to estimate its clock offset
+            sendJson(ws, { type: 'time', t0: msg.t0, serverTime: Date.now() });
+            break;
+        }
+        case 'clock': {
+            if (typeof msg.offsetMs === 'number' && typeof msg.rttMs === 'number') {
+                device.clock = { syncedAt: Date.now(), offsetMs: msg.offsetMs, rttMs: msg.rttMs };
+            }
+            break;
+        }
+        case 'progress': {
+            if (device.plan && msg.planId === device.plan.planId) {
+                device.plan.progress = {
+                    elapsedMs: typeof msg.elapsedMs === 'number' ? msg.elapsedMs : null,
+                    finished: msg.finished === true,
+                    reportedAt: Date.now()
+                };
+            }
+            if (msg.relays && typeof msg.relays === 'object') {
+                device.reportedRelays = msg.relays;
+                device.reportedAt = Date.now();
+            }
+            break;
+        }
+        case 'button': {
+            if (msg.action !== 'acknowledge' && msg.action !== 'silence') {
+                console.warn(`Device ${device.id} sent unknown button action: ${msg.action}`);
+                break;
+            }
+            device.lastButton = { action: msg.action, timestamp: Date.now() };
+            console.log(`Device ${device.id} button: ${msg.action}`);
+            break;
+        }
+        case 'error': {
+            device.lastError = {
+                code: msg.code !== undefined ? msg.code : null,
+                message: typeof msg.message === 'string' ? msg.message : 'Unknown error',
+                timestamp: Date.now()
+            };
+            console.error(`Device ${device.id} reported error:`, device.lastError.message);
+            break;
+        }
+        default:
+            console.warn(`Device ${device.id} sent unknown message type: ${msg.type}`);
+    }
+    return msg;
+}
+
+// --- Re-send unacknowledged state updates, plans and cancels ---
+function checkPendingAcks() {
+    const now = Date.now();
+    connections.forEach((device, ws) => {
+        ['pending', 'pendingPlan'].forEach(slot => {
+            const pending = device[slot];
+            if (!pending || now - pending.sentAt < ACK_TIMEOUT_MS) return;
+
+            if (pending.attempts > MAX_RESENDS) {
+                if (!device.unacknowledged) {
+                    console.error(`Device ${device.id} did not acknowledge ${pending.data.type} update ${pending.seq}.`);
+                    device.unacknowledged = true;
+                }
+                return;
+            }
+            pending.attempts++;
+            pending.sentAt = now;
+            console.warn(`Re-sending ${pending.data.type} update ${pending.seq} to device ${device.id} (attempt ${pending.attempts}).`);
+            sendJson(ws, pending.data);
+        });
+    });
+}
+
+function startAckMonitor() {
+    if (!ackMonitorId) {
+        ackMonitorId = setInterval(checkPendingAcks, 500);
+    }
+}
+
+// --- Status report from an MQTT-based device (<prefix>/devices/<id>/status) ---
+// MQTT firmware should publish { online: false } as its last will so it shows up as offline.
+function updateMqttDevice(id, status) {
+    let device = devices.get(id);
+    if (!device || device.transport !== 'mqtt') {
+        if (device && device.online) {
+            console.warn(`MQTT status for ${id} ignored, a WebSocket device with that id is connected.`);
+            return null;
+        }
+        device = createDevice(id, null, null);
+        device.transport = 'mqtt';
+        device.protocol = PROTOCOL_VERSION;
+        devices.set(id, device);
+    }
+
+    const wasOnline = device.online;
+    device.online = status.online !== false;
+    device.lastSeen = Date.now();
+    if (device.online && !wasOnline) {
+        device.connectedAt = Date.now();
+        device.disconnectedAt = null;
+    } else if (!device.online && wasOnline) {
+        device.disconnectedAt = Date.now();
+    }
+    if (typeof status.firmware === 'string') device.firmware = status.firmware;
+    if (Number.isInteger(status.relayCount)) device.relayCount = status.relayCount;
+    if (typeof status.uptimeMs === 'number') device.uptimeMs = status.uptimeMs;
+    if (status.relays && typeof status.relays === 'object') {
+        device.reportedRelays = status.relays;
+        device.reportedAt = Date.now();
+    }
+    if (status.error) {
+        device.lastError = { code: null, message: String(status.error), timestamp: Date.now() };
+    }
+    return device;
+}
+
+// --- Change the execution mode of a registered board; returns its live connections ---
+function setExecutionMode(id, mode) {
+    const sockets = [];
+    connections.forEach((device, ws) => {
+        if (device.id !== id) return;
+        device.executionMode = mode;
+        device.lastStateJson = null;
+        sockets.push(ws);
+    });
+    return sockets;
+}
+
+// --- Suspend or resume plan mode for all boards; returns the connections whose mode changed ---
+// Like a mode change, a board that switches to streaming drops its plan on the next state update
+function suspendPlans(suspended) {
+    if (suspended === plansSuspended) return [];
+    const sockets = [];
+    connections.forEach((device, ws) => {
+        if (device.executionMode !== 'plan') return;
+        device.lastStateJson = null;
+        sockets.push(ws);
+    });
+    plansSuspended = suspended;
+    return sockets;
+}
+
+// --- Close all live connections of a device (e.g. after revoking it) ---
+function disconnectDevice(id) {
+    connections.forEach((device, ws) => {
+        if (device.id === id) {
+            ws.close(4001, 'Device revoked');
+        }
+    });
+}
+
+// --- Device list for the dashboard ---
+function getDevices() {
+    return Array.from(devices.values()).map(device => ({
+        id: device.id,
+        ip: device.ip,
+        transport: device.transport,
+        registered: device.registered,
+        name: device.name,
+        online: device.online,
+        connectedAt: device.connectedAt,
+        disconnectedAt: device.disconnectedAt,
+        lastSeen: device.lastSeen,
+        protocol: device.protocol,
+        firmware: device.firmware,
+        relayCount: device.relayCount,
+        uptimeMs: device.uptimeMs,
+        reportedRelays: device.reportedRelays,
+        reportedAt: device.reportedAt,
+        lastError: device.lastError,
+        lastButton: device.lastButton,
+        capabilities: device.capabilities,
+        executionMode: device.executionMode,
+        mode: usesPlans(device) ? 'plan' : 'stream', // Mode actually in use
+        plan: device.plan,
+        clock: device.clock,
+        pendingSeq: device.pending ? device.pending.seq : null,
+        pendingPlanSeq: device.pendingPlan ? device.pendingPlan.seq : null,
+        lastAckedSeq: device.lastAckedSeq,
+        unacknowledged: device.unacknowledged,
+        lastAckLatencyMs: device.ackLatencies.length ? device.ackLatencies[device.ackLatencies.length - 1] : null,
+        avgAckLatencyMs: device.ackLatencies.length
+            ? Math.round(device.ackLatencies.reduce((sum, value) => sum + value, 0) / device.ackLatencies.length)
+            : null
+    }));
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    registerConnection,
+    unregisterConnection,
+    isDeviceConnection,
+    getDevice,
+    isPlanConnection,
+    sendState,
+    sendPlan,
+    cancelPlan,
+    resetDevice,
+    handleDeviceMessage,
+    startAckMonitor,
+    setExecutionMode,
+    suspendPlans,
+    disconnectDevice,
+    updateMqttDevice,
+    getDevices
+};
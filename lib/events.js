@@ -0,0 +1,113 @@
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+const { readJsonLines, appendJsonLine, writeJsonLines, needsCompaction } = require('./jsonl-log');
+
+// --- Configuration Constants ---
+const EVENTS_FILE = path.join(DATA_DIR, 'events.jsonl'); // One JSON event per line, append-only
+const MAX_EVENTS = 5000; // Older events are dropped (and the file compacted) once well beyond this, see lib/jsonl-log.js
+const MAX_PAGE_SIZE = 200;
+
+// --- In-memory event history (oldest first) ---
+let events = [];
+let nextEventId = 1;
+const listeners = []; // Called with every newly recorded event
+
+// --- Load events from file ---
+function loadEvents() {
+    events = [];
+    if (fs.existsSync(EVENTS_FILE)) {
+        try {
+            events = readJsonLines(EVENTS_FILE, 'event');
+            if (needsCompaction(events, MAX_EVENTS)) {
+                events = events.slice(-MAX_EVENTS);
+                compactEvents();
+            }
+            console.log(`Events loaded: ${events.length}`);
+        } catch (error) {
+            console.error('Error loading events file:', error);
+            events = [];
+        }
+    }
+    nextEventId = events.reduce((max, event) => Math.max(max, event.id || 0), 0) + 1;
+}
+
+// --- Rewrite the events file from memory (used after trimming) ---
+function compactEvents() {
+    writeJsonLines(EVENTS_FILE, events, 'events');
+}
+
+// --- Record a new event ---
+// type:       'trigger' | 'test' | 'deactivate' | 'completed' | 'acknowledge' | 'restart' | 'safety'
+// source:     what caused it, e.g. 'order', 'source:<id>' (trigger API), 'test', 'dashboard', 'cli' (offline shop-alarm)
+// outcome:    e.g. 'triggered', 'ignored', 'started', 'cancelled', 'completed', 'none'
+// relayConfig: snapshot of the relay configuration used (or null)
+// details:    optional free-form object (order reference, relay id, ...)
+function recordEvent({ type, source, outcome, relayConfig = null, details = {} }) {
+    const event = {
+        id: nextEventId++,
+        timestamp: Date.now(),
+        type,
+        source,
+        outcome,
+        relayConfig: relayConfig ? JSON.parse(JSON.stringify(relayConfig)) : null, // Deep copy snapshot
+        details
+    };
+    events.push(event);
+
+    appendJsonLine(EVENTS_FILE, event, 'event');
+
+    if (needsCompaction(events, MAX_EVENTS)) {
+        events = events.slice(-MAX_EVENTS);
+        compactEvents();
+    }
+
+    listeners.forEach(listener => {
+        try {
+            listener(event);
+        } catch (error) {
+            console.error('Error in event listener:', error);
+        }
+    });
+
+    return event;
+}
+
+// --- Query events, newest first ---
+// Supported filters: type, source, outcome, from/to (ms timestamps), page (1-based), limit
+function queryEvents({ type, source, outcome, from, to, page = 1, limit = 50 } = {}) {
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || 50));
+    const fromMs = from !== undefined && from !== '' ? Number(from) : null;
+    const toMs = to !== undefined && to !== '' ? Number(to) : null;
+
+    const filtered = events.filter(event => {
+        if (type && event.type !== type) return false;
+        if (source && event.source !== source) return false;
+        if (outcome && event.outcome !== outcome) return false;
+        if (fromMs !== null && !isNaN(fromMs) && event.timestamp < fromMs) return false;
+        if (toMs !== null && !isNaN(toMs) && event.timestamp > toMs) return false;
+        return true;
+    }).reverse();
+
+    const start = (pageNumber - 1) * pageSize;
+    return {
+        events: filtered.slice(start, start + pageSize),
+        page: pageNumber,
+        limit: pageSize,
+        total: filtered.length,
+        totalPages: Math.max(1, Math.ceil(filtered.length / pageSize))
+    };
+}
+
+// --- Subscribe to newly recorded events ---
+function onEvent(listener) {
+    listeners.push(listener);
+}
+
+module.exports = {
+    loadEvents,
+    recordEvent,
+    onEvent,
+    queryEvents
+};
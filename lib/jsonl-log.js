@@ -0,0 +1,55 @@
+const fs = require('fs');
+const path = require('path');
+
+// --- Append-only JSON lines files (event history, notification deliveries) ---
+// The logs are kept in memory, oldest first, and every new entry is appended as one line. Beyond their
+// maximum the oldest entries are dropped and the file rewritten, but only once the log has grown
+// COMPACT_SLACK past it: a full rewrite on every append would block the event loop on a busy shop.
+const COMPACT_SLACK = 1.2;
+
+// --- Read all entries of a file ([] if it doesn't exist); label names an entry in log messages ---
+function readJsonLines(file, label) {
+    if (!fs.existsSync(file)) return [];
+    const entries = [];
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (error) {
+            console.error(`Skipping corrupted ${label} line:`, line);
+        }
+    }
+    return entries;
+}
+
+function appendJsonLine(file, entry, label) {
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.appendFileSync(file, JSON.stringify(entry) + '\n', 'utf8');
+    } catch (error) {
+        console.error(`Error appending ${label} to file:`, error);
+    }
+}
+
+// --- Rewrite the whole file with the given entries ---
+function writeJsonLines(file, entries, label) {
+    try {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        const data = entries.map(entry => JSON.stringify(entry)).join('\n');
+        fs.writeFileSync(file, data ? data + '\n' : '', 'utf8');
+    } catch (error) {
+        console.error(`Error compacting ${label} file:`, error);
+    }
+}
+
+// --- Has the log grown far enough past its maximum to trim it back and rewrite the file? ---
+function needsCompaction(entries, max) {
+    return entries.length > Math.floor(max * COMPACT_SLACK);
+}
+
+module.exports = {
+    readJsonLines,
+    appendJsonLine,
+    writeJsonLines,
+    needsCompaction
+};
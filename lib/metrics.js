@@ -0,0 +1,85 @@
+// --- Prometheus metrics for GET /metrics ---
+// Counters live in memory and start at zero with every server start, which Prometheus handles as a
+// counter reset. Gauges (connected devices, dashboard clients, ...) are passed in when the metrics are
+// rendered. Output is the Prometheus text exposition format, version 0.0.4.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const COUNTERS = {
+    shopalarm_webhooks_received_total: 'Order webhook and trigger API requests received, by endpoint.',
+    shopalarm_webhooks_rejected_total: 'Order webhook and trigger API requests rejected for failed authentication.',
+    shopalarm_webhooks_suppressed_total: 'Authenticated orders that did not trigger (alarm off, schedule, trigger policy, disabled source).',
+    shopalarm_triggers_total: 'Alarms started, restarted, extended, queued or joined, by source and action.',
+    shopalarm_relay_on_seconds_total: 'Time each alarm output was switched on.',
+    shopalarm_websocket_reconnects_total: 'Relay boards connecting again over WebSocket after a previous connection.',
+    shopalarm_settings_saves_total: 'Writes of the settings file, by result.',
+    shopalarm_lockouts_total: 'Login lockouts (per IP or account) and webhook IP blocks started, by kind.'
+};
+
+// --- Counter values: { [name]: Map(labelKey -> { labels, value }) } ---
+const counters = {};
+Object.keys(COUNTERS).forEach(name => { counters[name] = new Map(); });
+
+// Relay states of the last observation, for the on-time counter
+let lastRelayStates = {};
+let lastRelayStatesAt = null;
+
+function labelKey(labels) {
+    return JSON.stringify(Object.keys(labels).sort().map(key => [key, String(labels[key])]));
+}
+
+// --- Add to a counter ---
+function countMetric(name, labels = {}, value = 1) {
+    const values = counters[name];
+    if (!values) {
+        throw new Error(`Unknown metric ${name}.`);
+    }
+    const key = labelKey(labels);
+    const entry = values.get(key) || { labels, value: 0 };
+    entry.value += value;
+    values.set(key, entry);
+}
+
+// --- Add the time relays were on since the previous observation ---
+// states: { [relayId]: boolean }, observed every time the relay states are recalculated
+function observeRelayStates(states, now = Date.now()) {
+    if (lastRelayStatesAt !== null) {
+        const seconds = (now - lastRelayStatesAt) / 1000;
+        for (const relayId in lastRelayStates) {
+            if (lastRelayStates[relayId]) countMetric('shopalarm_relay_on_seconds_total', { relay: relayId }, seconds);
+        }
+    }
+    lastRelayStates = { ...states };
+    lastRelayStatesAt = now;
+}
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function sampleLine(name, labels, value) {
+    const pairs = Object.keys(labels).map(key => `${key}="${escapeLabelValue(labels[key])}"`);
+    return `${name}${pairs.length ? `{${pairs.join(',')}}` : ''} ${Number.isFinite(value) ? value : 0}`;
+}
+
+// --- Render all metrics ---
+// gauges: [{ name, help, samples: [{ labels, value }] }] measured by the caller at scrape time
+function renderMetrics(gauges = []) {
+    const lines = [];
+    for (const name in COUNTERS) {
+        lines.push(`# HELP ${name} ${COUNTERS[name]}`, `# TYPE ${name} counter`);
+        counters[name].forEach(({ labels, value }) => lines.push(sampleLine(name, labels, value)));
+    }
+    gauges.forEach(({ name, help, samples }) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} gauge`);
+        samples.forEach(({ labels = {}, value }) => lines.push(sampleLine(name, labels, value)));
+    });
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    CONTENT_TYPE,
+    countMetric,
+    observeRelayStates,
+    renderMetrics
+};
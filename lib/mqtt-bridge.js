@@ -0,0 +1,170 @@
+const mqtt = require('mqtt');
+
+// --- Optional MQTT bridge ---
+// Publishes the same state the WebSocket clients receive, plus alarm events, and accepts
+// commands and device status reports. Topics (all below the configured prefix):
+//   <prefix>/status                 'online' | 'offline' (retained, last will)
+//   <prefix>/state                  JSON { alarmEnabled, triggerActive, relays, testRelay } (retained)
+//   <prefix>/alarm_enabled          'ON' | 'OFF' (retained)
+//   <prefix>/trigger_active         'ON' | 'OFF' (retained)
+//   <prefix>/relays/<id>            'ON' | 'OFF' (retained)
+//   <prefix>/events                 JSON event as recorded in the history (not retained)
+// Subscribed:
+//   <prefix>/command                JSON { command: 'deactivate' | 'acknowledge' | 'test-relay' | 'set-alarm-enabled', relayId, enabled }
+//   <prefix>/alarm_enabled/set      'ON' | 'OFF' (e.g. a Home Assistant switch)
+//   <prefix>/devices/<id>/status    JSON status from MQTT-based firmware { online, firmware, relayCount, relays, uptimeMs, error }
+
+let client = null;
+let topicPrefix = 'shopalarm';
+let publishOptions = { qos: 0, retain: true };
+let lastPublished = {}; // topic -> payload, to publish retained topics only when they change
+
+function topic(name) {
+    return `${topicPrefix}/${name}`;
+}
+
+function publish(name, payload, retain = publishOptions.retain) {
+    if (!client || !client.connected) return;
+    const fullTopic = topic(name);
+    if (retain && lastPublished[fullTopic] === payload) return;
+    client.publish(fullTopic, payload, { qos: publishOptions.qos, retain }, error => {
+        if (error) {
+            console.error(`MQTT publish to ${fullTopic} failed:`, error.message);
+            delete lastPublished[fullTopic];
+        }
+    });
+    if (retain) lastPublished[fullTopic] = payload;
+}
+
+// --- Publish the current alarm state (called from broadcastSettings) ---
+function publishState(state) {
+    if (!client) return;
+    publish('state', JSON.stringify(state));
+    publish('alarm_enabled', state.alarmEnabled ? 'ON' : 'OFF');
+    publish('trigger_active', state.triggerActive ? 'ON' : 'OFF');
+    for (const relayId in state.relays) {
+        publish(`relays/${relayId}`, state.relays[relayId] ? 'ON' : 'OFF');
+    }
+}
+
+// --- Publish a recorded alarm event ---
+function publishEvent(event) {
+    if (!client) return;
+    publish('events', JSON.stringify(event), false);
+}
+
+function handleMessage(handlers, fullTopic, payload) {
+    const name = fullTopic.slice(topicPrefix.length + 1);
+    const text = payload.toString();
+
+    if (name === 'alarm_enabled/set') {
+        const value = text.trim().toUpperCase();
+        if (value !== 'ON' && value !== 'OFF') {
+            console.warn(`Ignoring invalid MQTT alarm_enabled/set payload: ${text}`);
+            return;
+        }
+        handlers.setAlarmEnabled(value === 'ON', 'mqtt');
+        return;
+    }
+
+    const deviceMatch = name.match(/^devices\/([\w\-.]{1,64})\/status$/);
+    let msg;
+    try {
+        msg = JSON.parse(text);
+    } catch (error) {
+        console.warn(`Ignoring non-JSON MQTT message on ${fullTopic}`);
+        return;
+    }
+
+    if (deviceMatch) {
+        handlers.deviceStatus(deviceMatch[1], msg || {});
+        return;
+    }
+
+    if (name === 'command') {
+        let result;
+        switch (msg && msg.command) {
+            case 'deactivate':
+                result = handlers.deactivate('mqtt');
+                break;
+            case 'acknowledge':
+                result = handlers.acknowledge('mqtt');
+                break;
+            case 'test-relay':
+                result = handlers.testRelay(msg.relayId, 'mqtt');
+                break;
+            case 'set-alarm-enabled':
+                if (typeof msg.enabled !== 'boolean') {
+                    result = { error: 'Invalid enabled status.' };
+                    break;
+                }
+                result = handlers.setAlarmEnabled(msg.enabled, 'mqtt');
+                break;
+            default:
+                result = { error: `Unknown command: ${msg && msg.command}` };
+        }
+        if (result.error) {
+            console.warn(`MQTT command rejected: ${result.error}`);
+        }
+        publish('command/result', JSON.stringify({ command: msg && msg.command, ...result, timestamp: Date.now() }), false);
+    }
+}
+
+// --- Connect to the broker ---
+// options: { url, username, password, clientId, topicPrefix, qos, retain }
+// handlers: { deactivate(source), acknowledge(source), testRelay(relayId, source), setAlarmEnabled(enabled, source),
+//             deviceStatus(deviceId, status), getState() }
+function startMqttBridge(options, handlers) {
+    topicPrefix = (options.topicPrefix || 'shopalarm').replace(/\/+$/, '');
+    publishOptions = {
+        qos: [0, 1, 2].includes(options.qos) ? options.qos : 0,
+        retain: options.retain !== false
+    };
+
+    client = mqtt.connect(options.url, {
+        username: options.username || undefined,
+        password: options.password || undefined,
+        clientId: options.clientId || `shop-alarm-${Math.random().toString(16).slice(2, 10)}`,
+        reconnectPeriod: 5000,
+        will: { topic: topic('status'), payload: 'offline', qos: publishOptions.qos, retain: true }
+    });
+
+    client.on('connect', () => {
+        console.log(`MQTT bridge connected to ${options.url} (topic prefix "${topicPrefix}").`);
+        lastPublished = {}; // Re-publish all retained topics after (re)connecting
+        publish('status', 'online', true);
+        publishState(handlers.getState());
+        client.subscribe([topic('command'), topic('alarm_enabled/set'), topic('devices/+/status')], { qos: publishOptions.qos }, error => {
+            if (error) console.error('MQTT subscribe failed:', error.message);
+        });
+    });
+
+    client.on('message', (fullTopic, payload) => {
+        try {
+            handleMessage(handlers, fullTopic, payload);
+        } catch (error) {
+            console.error(`Error handling MQTT message on ${fullTopic}:`, error);
+        }
+    });
+
+    client.on('error', error => {
+        console.error('MQTT bridge error:', error.message);
+    });
+
+    client.on('offline', () => {
+        console.warn('MQTT bridge offline, reconnecting...');
+    });
+
+    return client;
+}
+
+function isMqttConnected() {
+    return !!(client && client.connected);
+}
+
+module.exports = {
+    startMqttBridge,
+    publishState,
+    publishEvent,
+    isMqttConnected
+};
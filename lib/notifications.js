@@ -0,0 +1,446 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { DATA_DIR } = require('./data-dir');
+const { readJsonLines, appendJsonLine, writeJsonLines, needsCompaction } = require('./jsonl-log');
+
+// --- Outgoing notifications when an alarm fires ---
+// Channels (alarmSettings.notifications.channels), each with filters deciding which alarms it gets:
+//   { id, name, type, enabled, filters: { when: 'always' | 'quiet' | 'active', rules: ['Big orders'], reminders } }
+// plus per type:
+//   webhook  { url, method: 'POST' | 'PUT', headers: { name: value }, bodyTemplate }   templated JSON body
+//   email    { host, port, secure, username, password, from, to, subjectTemplate, textTemplate }   SMTP
+//   ntfy     { url (server), topic, token, priority 1-5, titleTemplate, messageTemplate }
+//   gotify   { url (server), token (application token), priority 0-10, titleTemplate, messageTemplate }
+// filters.when: 'quiet' only notifies during quiet hours, 'active' only outside them. filters.rules: only
+// orders matched by one of these rules (empty = all orders). filters.reminders: also notify when an
+// unacknowledged alarm is repeated.
+// Templates use {{name}} placeholders, see notificationVariables(); in webhook bodies the values are
+// escaped for use inside JSON strings.
+//
+// Each notification is a delivery, tried up to MAX_ATTEMPTS times with growing delays in between.
+// Finished deliveries (delivered or failed) are appended to data/deliveries.jsonl; deliveries still
+// waiting for a retry when the server stops are lost.
+
+const CHANNEL_TYPES = ['webhook', 'email', 'ntfy', 'gotify'];
+const FILTER_WHEN = ['always', 'quiet', 'active'];
+const WEBHOOK_METHODS = ['POST', 'PUT'];
+const SECRET_MASK = '********'; // Stands in for passwords, tokens and header values sent to clients
+const MAX_CHANNELS = 20;
+const MAX_TEMPLATE_LENGTH = 4000;
+const MAX_HEADERS = 20;
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_MS = 5000; // Delays between attempts: 5s, 15s, 45s, 135s
+const REQUEST_TIMEOUT_MS = 10000;
+const DELIVERIES_FILE = path.join(DATA_DIR, 'deliveries.jsonl'); // One JSON delivery per line
+const MAX_DELIVERIES = 1000; // Older deliveries are dropped (and the file compacted) once well beyond this, see lib/jsonl-log.js
+const MAX_PAGE_SIZE = 200;
+
+const DEFAULT_NOTIFICATIONS = { channels: [] };
+
+// Templates new channels start with
+const DEFAULT_TEMPLATES = {
+    webhook: { bodyTemplate: '{"text": "{{message}}", "order": "{{orderReference}}", "rule": "{{rule}}", "action": "{{action}}", "time": "{{time}}"}' },
+    email: { subjectTemplate: 'ShopAlarm: {{title}}', textTemplate: '{{message}}\n\nTime: {{time}}' },
+    ntfy: { titleTemplate: '{{title}}', messageTemplate: '{{message}}' },
+    gotify: { titleTemplate: '{{title}}', messageTemplate: '{{message}}' }
+};
+
+// --- In-memory delivery log (oldest first) ---
+let deliveries = [];
+let nextDeliveryId = 1;
+
+// --- Load the delivery log from file ---
+function loadDeliveries() {
+    deliveries = [];
+    if (fs.existsSync(DELIVERIES_FILE)) {
+        try {
+            deliveries = readJsonLines(DELIVERIES_FILE, 'delivery');
+            if (needsCompaction(deliveries, MAX_DELIVERIES)) {
+                deliveries = deliveries.slice(-MAX_DELIVERIES);
+                compactDeliveries();
+            }
+            console.log(`Notification deliveries loaded: ${deliveries.length}`);
+        } catch (error) {
+            console.error('Error loading deliveries file:', error);
+            deliveries = [];
+        }
+    }
+    nextDeliveryId = deliveries.reduce((max, delivery) => Math.max(max, delivery.id || 0), 0) + 1;
+}
+
+// --- Rewrite the deliveries file from memory (used after trimming) ---
+function compactDeliveries() {
+    writeJsonLines(DELIVERIES_FILE, deliveries.filter(delivery => delivery.status !== 'pending'), 'deliveries');
+}
+
+// --- Template variables for an alarm ---
+// alarm: { action: 'started' | 'restarted' | 'extended' | 'queued' | 'coalesced' | 'reminder' | 'test', source, details, timestamp }
+function notificationVariables(alarm) {
+    const details = alarm.details || {};
+    const order = details.orderReference ? `order ${details.orderReference}` : 'an order';
+    const titles = {
+        reminder: `Alarm not acknowledged (repeat ${details.repeat || 1})`,
+        test: 'Test notification'
+    };
+    const messages = {
+        started: `Alarm for ${order}.`,
+        restarted: `Alarm restarted for ${order}.`,
+        extended: `Running alarm extended for ${order}.`,
+        queued: `Alarm for ${order} queued behind the running one.`,
+        coalesced: `${order.charAt(0).toUpperCase()}${order.slice(1)} joined the running alarm.`,
+        reminder: `The alarm for ${order} is still waiting for acknowledgement${details.escalation ? `, escalated to profile "${details.escalation}"` : ''}.`,
+        test: 'This is a test notification from ShopAlarm.'
+    };
+    return {
+        action: alarm.action,
+        source: alarm.source,
+        orderReference: details.orderReference || '',
+        rule: details.rule || '',
+        profile: details.profile || '',
+        quiet: details.quiet ? 'yes' : 'no',
+        repeat: details.repeat || '',
+        orders: details.orders || 1,
+        time: new Date(alarm.timestamp).toISOString(),
+        title: titles[alarm.action] || (details.orderReference ? `New order ${details.orderReference}` : 'New order'),
+        message: messages[alarm.action] || `Alarm (${alarm.action}).`
+    };
+}
+
+// --- Fill {{name}} placeholders; unknown names become empty ---
+function renderTemplate(template, variables, escape = value => value) {
+    return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        const value = Object.prototype.hasOwnProperty.call(variables, name) ? String(variables[name]) : '';
+        return escape(value);
+    });
+}
+
+function jsonEscape(value) {
+    return JSON.stringify(value).slice(1, -1);
+}
+
+// --- Does an alarm pass a channel's filters? ---
+function matchesFilters(channel, alarm) {
+    const details = alarm.details || {};
+    const { when, rules, reminders } = channel.filters;
+    if (alarm.action === 'reminder' && !reminders) return false;
+    if (when === 'quiet' && !details.quiet) return false;
+    if (when === 'active' && details.quiet) return false;
+    if (rules.length > 0 && !rules.includes(details.rule)) return false;
+    return true;
+}
+
+// --- Send one notification; resolves when the channel accepted it, throws otherwise ---
+async function sendNotification(channel, variables) {
+    if (channel.type === 'email') {
+        const transport = nodemailer.createTransport({
+            host: channel.host,
+            port: channel.port,
+            secure: channel.secure,
+            auth: channel.username ? { user: channel.username, pass: channel.password } : undefined,
+            connectionTimeout: REQUEST_TIMEOUT_MS,
+            greetingTimeout: REQUEST_TIMEOUT_MS,
+            socketTimeout: REQUEST_TIMEOUT_MS
+        });
+        await transport.sendMail({
+            from: channel.from,
+            to: channel.to,
+            subject: renderTemplate(channel.subjectTemplate, variables),
+            text: renderTemplate(channel.textTemplate, variables)
+        });
+        return;
+    }
+
+    let url;
+    let request;
+    if (channel.type === 'webhook') {
+        url = channel.url;
+        request = {
+            method: channel.method,
+            headers: { 'Content-Type': 'application/json', ...channel.headers },
+            body: renderTemplate(channel.bodyTemplate, variables, jsonEscape)
+        };
+    } else {
+        const headers = { 'Content-Type': 'application/json' };
+        const message = {
+            title: renderTemplate(channel.titleTemplate, variables),
+            message: renderTemplate(channel.messageTemplate, variables),
+            priority: channel.priority
+        };
+        if (channel.type === 'ntfy') {
+            // JSON publishing to the server root, the topic goes into the body
+            url = channel.url;
+            message.topic = channel.topic;
+            if (channel.token) headers.Authorization = `Bearer ${channel.token}`;
+        } else {
+            url = `${channel.url.replace(/\/+$/, '')}/message`;
+            headers['X-Gotify-Key'] = channel.token;
+        }
+        request = { method: 'POST', headers, body: JSON.stringify(message) };
+    }
+    const response = await fetch(url, { ...request, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+    if (!response.ok) {
+        const text = (await response.text().catch(() => '')).slice(0, 200);
+        throw new Error(`HTTP ${response.status}${text ? `: ${text}` : ''}`);
+    }
+}
+
+function finishDelivery(delivery, status) {
+    delivery.status = status;
+    delivery.nextAttemptAt = null;
+    appendJsonLine(DELIVERIES_FILE, delivery, 'delivery');
+    if (needsCompaction(deliveries, MAX_DELIVERIES)) {
+        deliveries = deliveries.slice(-MAX_DELIVERIES);
+        compactDeliveries();
+    }
+}
+
+// --- One delivery attempt; schedules the next one on failure ---
+// channel is the channel as it was when the alarm fired, later configuration changes don't affect retries
+async function attemptDelivery(delivery, channel, variables) {
+    const startedAt = Date.now();
+    try {
+        await sendNotification(channel, variables);
+        delivery.attempts.push({ at: startedAt, durationMs: Date.now() - startedAt, error: null });
+        delivery.deliveredAt = Date.now();
+        finishDelivery(delivery, 'delivered');
+    } catch (error) {
+        delivery.attempts.push({ at: startedAt, durationMs: Date.now() - startedAt, error: error.message });
+        if (delivery.attempts.length >= MAX_ATTEMPTS) {
+            console.error(`Notification ${delivery.id} to "${channel.name}" failed after ${MAX_ATTEMPTS} attempts: ${error.message}`);
+            finishDelivery(delivery, 'failed');
+            return;
+        }
+        const delayMs = RETRY_BASE_MS * 3 ** (delivery.attempts.length - 1);
+        delivery.nextAttemptAt = Date.now() + delayMs;
+        console.warn(`Notification ${delivery.id} to "${channel.name}" failed (${error.message}), retrying in ${delayMs / 1000}s.`);
+        setTimeout(() => attemptDelivery(delivery, channel, variables), delayMs);
+    }
+}
+
+// --- Start a delivery to one channel; returns the delivery record ---
+function deliver(channel, alarm) {
+    const variables = notificationVariables(alarm);
+    const delivery = {
+        id: nextDeliveryId++,
+        createdAt: Date.now(),
+        channelId: channel.id,
+        channelName: channel.name,
+        type: channel.type,
+        action: alarm.action,
+        orderReference: variables.orderReference || null,
+        title: variables.title,
+        status: 'pending', // 'pending' | 'delivered' | 'failed'
+        attempts: [], // [{ at, durationMs, error }]
+        nextAttemptAt: null,
+        deliveredAt: null
+    };
+    deliveries.push(delivery);
+    attemptDelivery(delivery, JSON.parse(JSON.stringify(channel)), variables);
+    return delivery;
+}
+
+// --- Fan an alarm out to every enabled channel whose filters it passes; returns the deliveries ---
+function notifyChannels(channels, alarm) {
+    return channels
+        .filter(channel => channel.enabled && matchesFilters(channel, alarm))
+        .map(channel => deliver(channel, alarm));
+}
+
+// --- Paginated delivery log, newest first; filters: status, channelId ---
+function queryDeliveries({ page = 1, limit = 50, status, channelId } = {}) {
+    const pageNumber = Math.max(1, parseInt(page, 10) || 1);
+    const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || 50));
+    const filtered = deliveries.filter(delivery => {
+        if (status && delivery.status !== status) return false;
+        if (channelId && delivery.channelId !== channelId) return false;
+        return true;
+    }).reverse();
+    const start = (pageNumber - 1) * pageSize;
+    return {
+        deliveries: filtered.slice(start, start + pageSize),
+        page: pageNumber,
+        limit: pageSize,
+        total: filtered.length,
+        totalPages: Math.max(1, Math.ceil(filtered.length / pageSize))
+    };
+}
+
+// --- Channels as sent to clients and stored in the audit log: secrets replaced by SECRET_MASK ---
+function maskChannels(channels) {
+    return channels.map(channel => {
+        const masked = { ...channel };
+        if (masked.password) masked.password = SECRET_MASK;
+        if (masked.token) masked.token = SECRET_MASK;
+        if (masked.headers) {
+            masked.headers = Object.fromEntries(Object.keys(masked.headers).map(name => [name, SECRET_MASK]));
+        }
+        return masked;
+    });
+}
+
+// --- Channels from a client: masked secrets keep the stored value of the channel with the same id ---
+// Channels without an id are new and get one. Non-object entries are passed on for validation to reject.
+function resolveChannels(channels, current) {
+    if (!Array.isArray(channels)) return channels;
+    return channels.map(channel => {
+        if (!channel || typeof channel !== 'object') return channel;
+        const resolved = { ...channel };
+        if (resolved.id === undefined) {
+            resolved.id = `ch-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        }
+        const stored = current.find(existing => existing.id === resolved.id) || {};
+        ['password', 'token'].forEach(field => {
+            if (resolved[field] === SECRET_MASK) resolved[field] = stored[field] || '';
+        });
+        if (resolved.headers && typeof resolved.headers === 'object') {
+            resolved.headers = { ...resolved.headers };
+            for (const name in resolved.headers) {
+                if (resolved.headers[name] === SECRET_MASK) resolved.headers[name] = (stored.headers || {})[name] || '';
+            }
+        }
+        return resolved;
+    });
+}
+
+function isHttpUrl(value) {
+    if (typeof value !== 'string' || value.length > 500) return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function isTemplate(value) {
+    return typeof value === 'string' && value.length <= MAX_TEMPLATE_LENGTH;
+}
+
+// --- Validate the settings of one channel type; returns an error message or null ---
+function validateChannelType(channel) {
+    switch (channel.type) {
+        case 'webhook': {
+            if (!isHttpUrl(channel.url)) return 'Invalid URL, use http:// or https://.';
+            if (!WEBHOOK_METHODS.includes(channel.method)) return `Invalid method. Use one of: ${WEBHOOK_METHODS.join(', ')}.`;
+            if (!channel.headers || typeof channel.headers !== 'object' || Array.isArray(channel.headers)
+                || Object.keys(channel.headers).length > MAX_HEADERS) {
+                return `Invalid headers. Use at most ${MAX_HEADERS}.`;
+            }
+            for (const name in channel.headers) {
+                if (!/^[\w-]{1,100}$/.test(name) || typeof channel.headers[name] !== 'string' || /[\r\n]/.test(channel.headers[name])) {
+                    return `Invalid header "${name}".`;
+                }
+            }
+            if (!isTemplate(channel.bodyTemplate)) return 'Invalid body template.';
+            try {
+                const sample = notificationVariables({ action: 'started', source: 'order', details: { orderReference: '10001' }, timestamp: Date.now() });
+                JSON.parse(renderTemplate(channel.bodyTemplate, sample, jsonEscape));
+            } catch (error) {
+                return `The body template does not produce valid JSON: ${error.message}`;
+            }
+            return null;
+        }
+        case 'email':
+            if (typeof channel.host !== 'string' || !/^[\w.-]{1,253}$/.test(channel.host)) return 'Invalid SMTP host.';
+            if (!Number.isInteger(channel.port) || channel.port < 1 || channel.port > 65535) return 'Invalid SMTP port.';
+            if (typeof channel.secure !== 'boolean') return 'Invalid TLS setting.';
+            if (typeof channel.username !== 'string' || typeof channel.password !== 'string') return 'Invalid SMTP credentials.';
+            if (typeof channel.from !== 'string' || !channel.from.includes('@')) return 'Invalid sender address.';
+            if (typeof channel.to !== 'string' || !channel.to.split(',').every(address => address.includes('@'))) {
+                return 'Invalid recipients, separate several addresses with commas.';
+            }
+            if (!isTemplate(channel.subjectTemplate) || !isTemplate(channel.textTemplate)) return 'Invalid email template.';
+            return null;
+        case 'ntfy':
+        case 'gotify': {
+            if (!isHttpUrl(channel.url)) return 'Invalid server URL, use http:// or https://.';
+            if (typeof channel.token !== 'string') return 'Invalid token.';
+            if (channel.type === 'ntfy' && (typeof channel.topic !== 'string' || !/^[\w-]{1,64}$/.test(channel.topic))) {
+                return 'Invalid topic. Use up to 64 letters, digits, - or _.';
+            }
+            if (channel.type === 'gotify' && !channel.token) return 'A Gotify application token is required.';
+            const [minPriority, maxPriority] = channel.type === 'ntfy' ? [1, 5] : [0, 10];
+            if (!Number.isInteger(channel.priority) || channel.priority < minPriority || channel.priority > maxPriority) {
+                return `Invalid priority. Must be between ${minPriority} and ${maxPriority}.`;
+            }
+            if (!isTemplate(channel.titleTemplate) || !isTemplate(channel.messageTemplate)) return 'Invalid message template.';
+            return null;
+        }
+        default:
+            return `Invalid channel type. Use one of: ${CHANNEL_TYPES.join(', ')}.`;
+    }
+}
+
+// --- Validate the notification settings; returns an error message or null ---
+function validateNotifications(notifications) {
+    if (!notifications || typeof notifications !== 'object' || !Array.isArray(notifications.channels)) {
+        return 'Invalid notification settings.';
+    }
+    if (notifications.channels.length > MAX_CHANNELS) {
+        return `Too many channels, at most ${MAX_CHANNELS} are supported.`;
+    }
+    const ids = new Set();
+    for (let i = 0; i < notifications.channels.length; i++) {
+        const channel = notifications.channels[i];
+        if (!channel || typeof channel !== 'object') {
+            return `Invalid channel ${i + 1}.`;
+        }
+        if (typeof channel.id !== 'string' || !/^[\w-]{1,40}$/.test(channel.id) || ids.has(channel.id)) {
+            return `Invalid or duplicate id for channel ${i + 1}.`;
+        }
+        ids.add(channel.id);
+        const label = typeof channel.name === 'string' && channel.name ? `"${channel.name}"` : i + 1;
+        if (typeof channel.name !== 'string' || !channel.name.trim() || channel.name.length > 50) {
+            return `Invalid name for channel ${label}.`;
+        }
+        if (typeof channel.enabled !== 'boolean') {
+            return `Invalid enabled status for channel ${label}.`;
+        }
+        const filters = channel.filters;
+        if (!filters || typeof filters !== 'object' || !FILTER_WHEN.includes(filters.when)
+            || !Array.isArray(filters.rules) || !filters.rules.every(rule => typeof rule === 'string' && rule.length <= 100)
+            || typeof filters.reminders !== 'boolean') {
+            return `Invalid filters for channel ${label}.`;
+        }
+        const typeError = validateChannelType(channel);
+        if (typeError) {
+            return `Channel ${label}: ${typeError}`;
+        }
+    }
+    return null;
+}
+
+// --- Copy of a validated channel with only the properties of its type ---
+function cleanChannel(channel) {
+    const fields = {
+        webhook: ['url', 'method', 'headers', 'bodyTemplate'],
+        email: ['host', 'port', 'secure', 'username', 'password', 'from', 'to', 'subjectTemplate', 'textTemplate'],
+        ntfy: ['url', 'topic', 'token', 'priority', 'titleTemplate', 'messageTemplate'],
+        gotify: ['url', 'token', 'priority', 'titleTemplate', 'messageTemplate']
+    }[channel.type];
+    const clean = {
+        id: channel.id,
+        name: channel.name.trim(),
+        type: channel.type,
+        enabled: channel.enabled,
+        filters: { when: channel.filters.when, rules: channel.filters.rules, reminders: channel.filters.reminders }
+    };
+    fields.forEach(field => {
+        clean[field] = channel[field];
+    });
+    return clean;
+}
+
+module.exports = {
+    CHANNEL_TYPES,
+    DEFAULT_NOTIFICATIONS,
+    DEFAULT_TEMPLATES,
+    loadDeliveries,
+    notifyChannels,
+    deliver,
+    queryDeliveries,
+    maskChannels,
+    resolveChannels,
+    validateNotifications,
+    cleanChannel
+};
@@ -0,0 +1,97 @@
+// --- OpenAPI document for the public REST API ---
+// Built from the route list server.js registers /api/v1 with, so the document always matches the routes.
+// A route: { method, path, scope, operationId, summary, description, parameters, requestBody, response }
+//   path        - Express path, e.g. '/api/v1/relays/:id/test' (path parameters are documented as strings
+//                 unless listed in `parameters`)
+//   scope       - token scope needed ('read', 'operate', 'admin'), null for public routes
+//   requestBody - JSON schema of the request body, if any
+//   response    - JSON schema of the 200 response
+// Errors are plain-text messages, like everywhere else in ShopAlarm.
+
+const OPENAPI_VERSION = '3.0.3';
+
+const ERROR_RESPONSES = {
+    BadRequest: 'Invalid request, the body says why.',
+    Unauthorized: 'Missing, invalid or revoked API token, or its owner is disabled.',
+    Forbidden: 'The token\'s scope or its owner\'s role does not allow this.',
+    NotFound: 'Unknown resource.'
+};
+
+// --- '/api/v1/relays/:id/test' -> '/api/v1/relays/{id}/test' ---
+function toOpenApiPath(expressPath) {
+    return expressPath.replace(/:(\w+)/g, '{$1}');
+}
+
+function pathParameterNames(expressPath) {
+    return (expressPath.match(/:(\w+)/g) || []).map(name => name.slice(1));
+}
+
+function buildOperation(route) {
+    const parameters = [...(route.parameters || [])];
+    pathParameterNames(route.path).forEach(name => {
+        if (!parameters.some(parameter => parameter.in === 'path' && parameter.name === name)) {
+            parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+        }
+    });
+
+    const responses = {
+        200: {
+            description: 'Success',
+            content: { 'application/json': { schema: route.response || { type: 'object' } } }
+        }
+    };
+    if (route.requestBody || parameters.length > 0) {
+        responses[400] = { $ref: '#/components/responses/BadRequest' };
+    }
+    if (route.scope) {
+        responses[401] = { $ref: '#/components/responses/Unauthorized' };
+        responses[403] = { $ref: '#/components/responses/Forbidden' };
+    }
+    if (pathParameterNames(route.path).length > 0) {
+        responses[404] = { $ref: '#/components/responses/NotFound' };
+    }
+
+    const operation = {
+        operationId: route.operationId,
+        summary: route.summary,
+        description: [route.description, route.scope ? `Needs a token with the \`${route.scope}\` scope.` : null]
+            .filter(Boolean).join('\n\n'),
+        tags: route.tags || [],
+        security: route.scope ? [{ bearerAuth: [] }] : [],
+        'x-scope': route.scope || null
+    };
+    if (parameters.length > 0) operation.parameters = parameters;
+    if (route.requestBody) {
+        operation.requestBody = { required: true, content: { 'application/json': { schema: route.requestBody } } };
+    }
+    operation.responses = responses;
+    return operation;
+}
+
+// --- The whole document ---
+// info: { title, version, description }; schemas: named schemas routes refer to with $ref
+function buildOpenApiDocument({ info, routes, schemas = {} }) {
+    const paths = {};
+    routes.forEach(route => {
+        const openApiPath = toOpenApiPath(route.path);
+        paths[openApiPath] = paths[openApiPath] || {};
+        paths[openApiPath][route.method] = buildOperation(route);
+    });
+    const errorResponse = description => ({ description, content: { 'text/plain': { schema: { type: 'string' } } } });
+    return {
+        openapi: OPENAPI_VERSION,
+        info,
+        paths,
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', description: 'Personal API token, created on the dashboard.' }
+            },
+            responses: Object.fromEntries(Object.entries(ERROR_RESPONSES).map(([name, description]) => [name, errorResponse(description)])),
+            schemas
+        }
+    };
+}
+
+module.exports = {
+    buildOpenApiDocument
+};
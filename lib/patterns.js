@@ -0,0 +1,185 @@
+// --- Relay pattern sequencer ---
+// A pattern is a list of steps played in order, the whole list repeated `repeat` times:
+//   { steps: [{ type: 'off', durationMs }, { type: 'on', durationMs },
+//             { type: 'pulse', durationMs, pulseMs, toPulseMs? }], repeat: 1 }
+// 'pulse' is a square wave with `pulseMs` on / `pulseMs` off; with `toPulseMs` the pulse length
+// ramps linearly from pulseMs to toPulseMs over the step (speeding up or slowing down).
+//
+// A relay configuration plays either an inline pattern or a named pattern from the library:
+//   { label, enabled, pattern: { steps, repeat } }  or  { label, enabled, patternName: 'SOS' }
+
+const STEP_TYPES = ['off', 'on', 'pulse'];
+const MAX_STEPS = 50;
+const MAX_REPEAT = 100;
+const MIN_STEP_MS = 10;
+const MAX_STEP_MS = 600000; // 10 min per step
+const MAX_PATTERN_MS = 3600000; // 1 hour for the whole pattern including repeats
+const MIN_PULSE_MS = 20;
+const MAX_PULSE_MS = 5000;
+const PREVIEW_RESOLUTION_MS = 5;
+const MAX_PREVIEW_MS = 60000;
+
+// --- Convert a legacy { delayMs, onTimeMs, pulseMs } configuration into a pattern ---
+function legacyToPattern({ delayMs = 0, onTimeMs = 0, pulseMs = 0 }) {
+    const steps = [];
+    if (delayMs > 0) {
+        steps.push({ type: 'off', durationMs: delayMs });
+    }
+    if (onTimeMs <= 0) {
+        // Relays configured with no on time never switched on
+        if (steps.length === 0) steps.push({ type: 'off', durationMs: MIN_STEP_MS });
+    } else if (pulseMs > 0) {
+        steps.push({ type: 'pulse', durationMs: onTimeMs, pulseMs: Math.max(pulseMs, MIN_PULSE_MS) });
+    } else {
+        steps.push({ type: 'on', durationMs: onTimeMs });
+    }
+    return { steps, repeat: 1 };
+}
+
+// --- Migrate a relay configuration to the pattern form (no-op if already migrated) ---
+function migrateRelayConfig(config) {
+    if (config.pattern || config.patternName) {
+        return config;
+    }
+    const { delayMs, onTimeMs, pulseMs, ...rest } = config;
+    return { ...rest, pattern: legacyToPattern({ delayMs, onTimeMs, pulseMs }) };
+}
+
+// --- Resolve the pattern a relay configuration plays (null if the named pattern is missing) ---
+function resolvePattern(config, library) {
+    if (config.pattern) return config.pattern;
+    if (config.patternName && library[config.patternName]) return library[config.patternName];
+    return null;
+}
+
+function cycleDurationMs(pattern) {
+    return pattern.steps.reduce((sum, step) => sum + step.durationMs, 0);
+}
+
+function patternDurationMs(pattern) {
+    return cycleDurationMs(pattern) * pattern.repeat;
+}
+
+// --- Is a pulse step on at `offsetMs` into the step? ---
+function pulseIsOn(step, offsetMs) {
+    const from = step.pulseMs;
+    const to = step.toPulseMs !== undefined ? step.toPulseMs : from;
+    // Number of pulse halves (on or off phases) elapsed: integral of 1 / pulseLength over time
+    let halves;
+    if (from === to) {
+        halves = offsetMs / from;
+    } else {
+        const slope = (to - from) / step.durationMs;
+        halves = Math.log((from + slope * offsetMs) / from) / slope;
+    }
+    return Math.floor(halves) % 2 === 0;
+}
+
+// --- Relay state `elapsedMs` after the pattern started ---
+// Returns { on, finished }
+function evaluatePattern(pattern, elapsedMs) {
+    const cycleMs = cycleDurationMs(pattern);
+    if (elapsedMs < 0) {
+        return { on: false, finished: false };
+    }
+    if (cycleMs <= 0 || elapsedMs >= cycleMs * pattern.repeat) {
+        return { on: false, finished: true };
+    }
+
+    let offsetMs = elapsedMs % cycleMs;
+    for (const step of pattern.steps) {
+        if (offsetMs < step.durationMs) {
+            if (step.type === 'on') return { on: true, finished: false };
+            if (step.type === 'pulse') return { on: pulseIsOn(step, offsetMs), finished: false };
+            return { on: false, finished: false };
+        }
+        offsetMs -= step.durationMs;
+    }
+    return { on: false, finished: false };
+}
+
+// --- On/off segments of a pattern for the dashboard preview ---
+// Returns { durationMs, previewMs, segments: [{ startMs, endMs, on }] }
+function previewPattern(pattern) {
+    const durationMs = patternDurationMs(pattern);
+    const previewMs = Math.min(durationMs, MAX_PREVIEW_MS);
+    const segments = [];
+    for (let t = 0; t < previewMs; t += PREVIEW_RESOLUTION_MS) {
+        const { on } = evaluatePattern(pattern, t);
+        const last = segments[segments.length - 1];
+        if (last && last.on === on) {
+            last.endMs = Math.min(t + PREVIEW_RESOLUTION_MS, previewMs);
+        } else {
+            segments.push({ startMs: t, endMs: Math.min(t + PREVIEW_RESOLUTION_MS, previewMs), on });
+        }
+    }
+    return { durationMs, previewMs, segments };
+}
+
+// --- Validate a pattern; returns an error message or null ---
+function validatePattern(pattern) {
+    if (!pattern || typeof pattern !== 'object' || !Array.isArray(pattern.steps)) {
+        return 'Invalid pattern.';
+    }
+    if (pattern.steps.length < 1 || pattern.steps.length > MAX_STEPS) {
+        return `A pattern needs between 1 and ${MAX_STEPS} steps.`;
+    }
+    if (!Number.isInteger(pattern.repeat) || pattern.repeat < 1 || pattern.repeat > MAX_REPEAT) {
+        return `Invalid repeat count. Must be between 1 and ${MAX_REPEAT}.`;
+    }
+    for (let i = 0; i < pattern.steps.length; i++) {
+        const step = pattern.steps[i];
+        if (!step || !STEP_TYPES.includes(step.type)) {
+            return `Invalid type for step ${i + 1}.`;
+        }
+        if (!Number.isInteger(step.durationMs) || step.durationMs < MIN_STEP_MS || step.durationMs > MAX_STEP_MS) {
+            return `Invalid duration for step ${i + 1}. Must be between ${MIN_STEP_MS} and ${MAX_STEP_MS} ms.`;
+        }
+        if (step.type === 'pulse') {
+            if (!Number.isInteger(step.pulseMs) || step.pulseMs < MIN_PULSE_MS || step.pulseMs > MAX_PULSE_MS) {
+                return `Invalid pulse length for step ${i + 1}. Must be between ${MIN_PULSE_MS} and ${MAX_PULSE_MS} ms.`;
+            }
+            if (step.toPulseMs !== undefined
+                && (!Number.isInteger(step.toPulseMs) || step.toPulseMs < MIN_PULSE_MS || step.toPulseMs > MAX_PULSE_MS)) {
+                return `Invalid ramp target for step ${i + 1}. Must be between ${MIN_PULSE_MS} and ${MAX_PULSE_MS} ms.`;
+            }
+        }
+    }
+    if (patternDurationMs(pattern) > MAX_PATTERN_MS) {
+        return 'Pattern is too long, it may last at most one hour including repeats.';
+    }
+    return null;
+}
+
+// --- Copy of a pattern with only known properties (drops anything else sent by clients) ---
+function cleanPattern(pattern) {
+    return {
+        steps: pattern.steps.map(step => {
+            const clean = { type: step.type, durationMs: step.durationMs };
+            if (step.type === 'pulse') {
+                clean.pulseMs = step.pulseMs;
+                if (step.toPulseMs !== undefined) clean.toPulseMs = step.toPulseMs;
+            }
+            return clean;
+        }),
+        repeat: pattern.repeat
+    };
+}
+
+// --- Pulse length used when testing a relay: the first pulse step of its pattern, if any ---
+function testPulseMs(pattern) {
+    const pulseStep = pattern && pattern.steps.find(step => step.type === 'pulse');
+    return pulseStep ? pulseStep.pulseMs : 0;
+}
+
+module.exports = {
+    legacyToPattern,
+    migrateRelayConfig,
+    resolvePattern,
+    patternDurationMs,
+    evaluatePattern,
+    previewPattern,
+    validatePattern,
+    cleanPattern,
+    testPulseMs
+};
@@ -0,0 +1,251 @@
+// --- Relay safety limits ---
+// Per-relay limits and interlocks, enforced on the final relay states whatever switched them
+// (order alarms, escalations, relay tests, ...):
+//   maxOnMs        - longest a relay may stay on without a break
+//   maxDutyPercent - share of the last dutyWindowMs a relay may be on
+//   dailyBudgetMs  - total on-time per day (local day of the schedule's timezone)
+//   minOffMs       - cool-down: shortest off time before a relay may switch on again
+// A limit of null means no limit. Interlocks are groups of relays of which at most one may be on:
+// the relay that is already on keeps running, otherwise the first one of the group wins.
+// A relay cut off by maxOnMs, maxDutyPercent or dailyBudgetMs stays off until its alarm switches it
+// off itself, so it does not chatter on and off at the limit.
+// Nothing is clipped silently: every blocked relay is reported as a violation. A violation stays
+// active until its relay went VIOLATION_HOLD_MS without being blocked again; enforceSafety returns
+// the ones that just started, so the caller can log them once per episode.
+
+const DEFAULT_SAFETY = { relays: {}, interlocks: [] };
+const LIMIT_KEYS = ['maxOnMs', 'maxDutyPercent', 'dutyWindowMs', 'dailyBudgetMs', 'minOffMs'];
+const DEFAULT_DUTY_WINDOW_MS = 3600000; // One hour
+const MAX_DURATION_MS = 86400000; // One day
+const VIOLATION_HOLD_MS = 5000;
+
+const RULE_LABELS = {
+    maxOn: 'maximum on-time',
+    dutyCycle: 'duty cycle',
+    dailyBudget: 'daily on-time budget',
+    cooldown: 'cool-down',
+    interlock: 'interlock'
+};
+
+// --- Per-relay history: { [relayId]: { on, onSince, lastOffAt, latched, intervals, day, dayOnMs, lastAt } } ---
+// intervals: [[start, end]] on-times within the duty window, end null while on
+const relayHistory = {};
+// --- Active violations: `${relayId}:${rule}` -> { relayId, rule, message, since, lastAt } ---
+const violations = new Map();
+
+function getHistory(relayId) {
+    if (!relayHistory[relayId]) {
+        relayHistory[relayId] = { on: false, onSince: null, lastOffAt: null, latched: null, intervals: [], day: null, dayOnMs: 0, lastAt: null };
+    }
+    return relayHistory[relayId];
+}
+
+// --- On-time of a relay within the last windowMs ---
+function onTimeInWindow(history, now, windowMs) {
+    const windowStart = now - windowMs;
+    return history.intervals.reduce((sum, [start, end]) => sum + Math.max(0, (end === null ? now : end) - Math.max(start, windowStart)), 0);
+}
+
+function formatLimit(ms) {
+    return ms % 60000 === 0 ? `${ms / 60000} min` : `${ms / 1000} s`;
+}
+
+// --- Why a relay that should be on must stay off (null if it may be on) ---
+function checkLimits(history, limits, now) {
+    if (history.latched) {
+        return history.latched;
+    }
+    if (history.on && limits.maxOnMs !== null && now - history.onSince >= limits.maxOnMs) {
+        return { rule: 'maxOn', message: `On for ${formatLimit(limits.maxOnMs)} without a break.`, latch: true };
+    }
+    if (!history.on && limits.minOffMs !== null && history.lastOffAt !== null && now - history.lastOffAt < limits.minOffMs) {
+        return { rule: 'cooldown', message: `Needs ${formatLimit(limits.minOffMs)} off before switching on again.` };
+    }
+    if (limits.dailyBudgetMs !== null && history.dayOnMs >= limits.dailyBudgetMs) {
+        return { rule: 'dailyBudget', message: `Used up its ${formatLimit(limits.dailyBudgetMs)} of on-time for today.`, latch: history.on };
+    }
+    if (limits.maxDutyPercent !== null) {
+        const windowMs = limits.dutyWindowMs || DEFAULT_DUTY_WINDOW_MS;
+        if (onTimeInWindow(history, now, windowMs) >= windowMs * limits.maxDutyPercent / 100) {
+            return { rule: 'dutyCycle', message: `On for ${limits.maxDutyPercent}% of the last ${formatLimit(windowMs)}.`, latch: history.on };
+        }
+    }
+    return null;
+}
+
+// --- Record the state a relay actually got, for the next checks ---
+function recordState(history, on, now, day, windowMs) {
+    if (history.day !== day) {
+        history.day = day;
+        history.dayOnMs = 0;
+    } else if (history.on && history.lastAt !== null) {
+        history.dayOnMs += now - history.lastAt;
+    }
+    if (on && !history.on) {
+        history.onSince = now;
+        history.intervals.push([now, null]);
+    } else if (!on && history.on) {
+        history.lastOffAt = now;
+        history.onSince = null;
+        history.intervals[history.intervals.length - 1][1] = now;
+    }
+    history.on = on;
+    history.lastAt = now;
+    history.intervals = history.intervals.filter(([, end]) => end === null || end > now - windowMs);
+}
+
+// --- Apply the safety limits to the relay states an alarm wants ---
+// desired: { [relayId]: boolean }; day: local date ('YYYY-MM-DD') the daily budget counts for
+// Returns { states, started, ended }: the states to switch, violations that just started and
+// whether any violation ended (the dashboard needs an update)
+function enforceSafety(safety, desired, now, day) {
+    const states = { ...desired };
+    const blocked = [];
+    const limitsOf = relayId => ({ maxOnMs: null, maxDutyPercent: null, dutyWindowMs: null, dailyBudgetMs: null, minOffMs: null, ...safety.relays[relayId] });
+
+    for (const relayId in states) {
+        const history = getHistory(relayId);
+        if (!states[relayId]) {
+            history.latched = null; // The alarm switched the relay off itself
+            continue;
+        }
+        if (history.day !== day) history.dayOnMs = 0; // Budget of the new day, counted from now
+        const violation = checkLimits(history, limitsOf(relayId), now);
+        if (violation) {
+            if (violation.latch) history.latched = { rule: violation.rule, message: violation.message };
+            states[relayId] = false;
+            blocked.push({ relayId, rule: violation.rule, message: violation.message });
+        }
+    }
+
+    safety.interlocks.forEach(({ relays }) => {
+        const on = relays.filter(relayId => states[relayId]);
+        if (on.length < 2) return;
+        const keep = on.find(relayId => getHistory(relayId).on) || on[0];
+        on.filter(relayId => relayId !== keep).forEach(relayId => {
+            states[relayId] = false;
+            blocked.push({ relayId, rule: 'interlock', message: `Interlocked with relay ${keep}, which is on.` });
+        });
+    });
+
+    for (const relayId in states) {
+        const windowMs = limitsOf(relayId).dutyWindowMs || DEFAULT_DUTY_WINDOW_MS;
+        recordState(getHistory(relayId), states[relayId], now, day, windowMs);
+    }
+
+    const started = [];
+    blocked.forEach(({ relayId, rule, message }) => {
+        const key = `${relayId}:${rule}`;
+        const violation = violations.get(key);
+        if (violation) {
+            violation.lastAt = now;
+            violation.message = message;
+        } else {
+            const added = { relayId, rule, message, since: now, lastAt: now };
+            violations.set(key, added);
+            started.push(added);
+        }
+    });
+    let ended = false;
+    violations.forEach((violation, key) => {
+        if (now - violation.lastAt >= VIOLATION_HOLD_MS) {
+            violations.delete(key);
+            ended = true;
+        }
+    });
+    return { states, started, ended };
+}
+
+// --- Violations still active, for the dashboard ---
+function getSafetyViolations() {
+    return Array.from(violations.values()).map(violation => ({ ...violation, label: RULE_LABELS[violation.rule] }));
+}
+
+// --- Forget active violations once no alarm runs (nothing is blocked while everything is off) ---
+function clearSafetyViolations() {
+    const hadViolations = violations.size > 0;
+    violations.clear();
+    return hadViolations;
+}
+
+// --- On-time used per relay, for the dashboard: { [relayId]: { dayOnMs, dutyPercent } } ---
+function getSafetyUsage(safety, now, day) {
+    const usage = {};
+    for (const relayId in relayHistory) {
+        const history = relayHistory[relayId];
+        const windowMs = (safety.relays[relayId] && safety.relays[relayId].dutyWindowMs) || DEFAULT_DUTY_WINDOW_MS;
+        const runningMs = history.on && history.lastAt !== null ? now - history.lastAt : 0;
+        usage[relayId] = {
+            dayOnMs: history.day === day ? history.dayOnMs + runningMs : 0,
+            dutyPercent: Math.round(onTimeInWindow(history, now, windowMs) / windowMs * 1000) / 10
+        };
+    }
+    return usage;
+}
+
+// --- Are any limits or interlocks configured? ---
+function hasSafetyLimits(safety) {
+    return safety.interlocks.length > 0
+        || Object.values(safety.relays).some(limits => LIMIT_KEYS.some(key => key !== 'dutyWindowMs' && limits[key] !== null && limits[key] !== undefined));
+}
+
+function isDuration(value, min = 1) {
+    return Number.isInteger(value) && value >= min && value <= MAX_DURATION_MS;
+}
+
+// --- Validate safety settings; returns an error message or null ---
+// relayIds: the configured relays limits and interlocks may refer to
+function validateSafety(safety, relayIds) {
+    if (!safety || typeof safety !== 'object' || Array.isArray(safety)) {
+        return 'Invalid safety settings.';
+    }
+    if (!safety.relays || typeof safety.relays !== 'object' || Array.isArray(safety.relays)) {
+        return 'Invalid relay limits.';
+    }
+    for (const relayId in safety.relays) {
+        const limits = safety.relays[relayId];
+        if (!relayIds.includes(relayId)) {
+            return `Limits for unknown relay ${relayId}.`;
+        }
+        if (!limits || typeof limits !== 'object' || Object.keys(limits).some(key => !LIMIT_KEYS.includes(key))) {
+            return `Invalid limits for relay ${relayId}.`;
+        }
+        for (const key of ['maxOnMs', 'dutyWindowMs', 'dailyBudgetMs']) {
+            if (limits[key] !== undefined && limits[key] !== null && !isDuration(limits[key], 1000)) {
+                return `Relay ${relayId}: ${key} must be between 1000 and ${MAX_DURATION_MS} ms.`;
+            }
+        }
+        if (limits.minOffMs !== undefined && limits.minOffMs !== null && !isDuration(limits.minOffMs)) {
+            return `Relay ${relayId}: minOffMs must be between 1 and ${MAX_DURATION_MS} ms.`;
+        }
+        const percent = limits.maxDutyPercent;
+        if (percent !== undefined && percent !== null && (typeof percent !== 'number' || !(percent > 0 && percent < 100))) {
+            return `Relay ${relayId}: maxDutyPercent must be more than 0 and less than 100.`;
+        }
+    }
+    if (!Array.isArray(safety.interlocks)) {
+        return 'Invalid interlocks.';
+    }
+    for (const [index, interlock] of safety.interlocks.entries()) {
+        if (!interlock || !Array.isArray(interlock.relays) || interlock.relays.length < 2) {
+            return `Interlock ${index + 1}: needs at least two relays.`;
+        }
+        if (interlock.relays.some(relayId => !relayIds.includes(relayId))) {
+            return `Interlock ${index + 1}: unknown relay.`;
+        }
+        if (new Set(interlock.relays).size !== interlock.relays.length) {
+            return `Interlock ${index + 1}: a relay is listed twice.`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    DEFAULT_SAFETY,
+    enforceSafety,
+    getSafetyViolations,
+    clearSafetyViolations,
+    getSafetyUsage,
+    hasSafetyLimits,
+    validateSafety
+};
@@ -0,0 +1,60 @@
+// --- What happens to an alarm that was running when the server stopped ---
+// Modes:
+//   resume  - the alarm continues where it was interrupted, the downtime is not played
+//   replay  - the alarm plays again from the start
+//   abort   - the alarm is abandoned, together with orders queued behind it
+// Alarms interrupted for longer than `maxDowntimeMs` are always abandoned, an order alarm from
+// hours ago is of no use. The interruption time is when the runtime state was last saved; while an
+// alarm runs it is saved at least every RUNTIME_HEARTBEAT_MS.
+
+const RESTART_MODES = ['resume', 'replay', 'abort'];
+const MAX_DOWNTIME_MS = 86400000; // One day
+const RUNTIME_HEARTBEAT_MS = 5000;
+
+const DEFAULT_RESTART_POLICY = {
+    mode: 'resume',
+    maxDowntimeMs: 600000
+};
+
+// --- Decide what happens to a trigger interrupted by a restart ---
+// durationMs: how long the trigger plays in total; interruptedAt: ms timestamp the state was last saved
+// Returns { action: 'resumed' | 'replayed' | 'aborted' | 'completed', timestamp (new start, if it plays on), reason }
+function recoverTrigger(policy, trigger, { now, interruptedAt, durationMs }) {
+    const elapsedMs = Math.max(0, interruptedAt - trigger.timestamp);
+    if (elapsedMs >= durationMs) {
+        return { action: 'completed', timestamp: null, reason: 'The alarm had finished before the server stopped.' };
+    }
+    if (now - interruptedAt > policy.maxDowntimeMs) {
+        return { action: 'aborted', timestamp: null, reason: 'The server was down for longer than the restart policy allows.' };
+    }
+    switch (policy.mode) {
+        case 'resume':
+            return { action: 'resumed', timestamp: now - elapsedMs, reason: null };
+        case 'replay':
+            return { action: 'replayed', timestamp: now, reason: null };
+        default:
+            return { action: 'aborted', timestamp: null, reason: 'Interrupted alarms are abandoned.' };
+    }
+}
+
+// --- Validate a restart policy; returns an error message or null ---
+function validateRestartPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        return 'Invalid restart policy.';
+    }
+    if (!RESTART_MODES.includes(policy.mode)) {
+        return `Invalid restart policy. Use one of: ${RESTART_MODES.join(', ')}.`;
+    }
+    if (!Number.isInteger(policy.maxDowntimeMs) || policy.maxDowntimeMs < 0 || policy.maxDowntimeMs > MAX_DOWNTIME_MS) {
+        return `Invalid maximum downtime. Must be between 0 and ${MAX_DOWNTIME_MS} ms.`;
+    }
+    return null;
+}
+
+module.exports = {
+    RESTART_MODES,
+    DEFAULT_RESTART_POLICY,
+    RUNTIME_HEARTBEAT_MS,
+    recoverTrigger,
+    validateRestartPolicy
+};
@@ -0,0 +1,171 @@
+// --- Alarm rule engine ---
+// Rules are evaluated in order against the incoming order payload; the first enabled rule
+// whose conditions match selects the alarm profile (a named relay configuration) to play.
+// If no rule matches, the default relay configuration (alarmSettings.relays) is used.
+
+const RULE_FIELDS = ['total', 'salesChannel', 'shippingMethod', 'productNumber', 'customerGroup'];
+const RULE_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'contains'];
+const NUMERIC_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+const NUMERIC_FIELDS = ['total']; // eq/neq compare these as numbers, so 100 matches "100.00"
+
+// --- Normalise an order payload into the facts rules can match on ---
+// Accepts a Shopware app-system webhook body ({ data: { payload: { order } } }), an object with
+// an `order` key, or a flat order object. Missing values stay null/empty.
+function extractOrderFacts(body) {
+    if (!body || typeof body !== 'object') body = {};
+    const order = (body.data && body.data.payload && body.data.payload.order) || body.order || body;
+
+    // Only numbers and numeric strings count: Number(null) and Number('') would make a missing total 0
+    const total = [order.amountTotal, order.total, order.price && order.price.totalPrice]
+        .filter(value => typeof value === 'number' || (typeof value === 'string' && value.trim() !== ''))
+        .map(Number)
+        .find(value => Number.isFinite(value));
+
+    const salesChannel = order.salesChannel && typeof order.salesChannel === 'object'
+        ? order.salesChannel.name || order.salesChannel.id
+        : order.salesChannel || order.salesChannelId || null;
+
+    let shippingMethod = order.shippingMethod && typeof order.shippingMethod === 'object'
+        ? order.shippingMethod.name || order.shippingMethod.id
+        : order.shippingMethod || null;
+    if (!shippingMethod && Array.isArray(order.deliveries) && order.deliveries.length > 0) {
+        const delivery = order.deliveries[0];
+        shippingMethod = (delivery.shippingMethod && delivery.shippingMethod.name) || delivery.shippingMethodId || null;
+    }
+
+    const productNumbers = [];
+    if (Array.isArray(order.productNumbers)) {
+        productNumbers.push(...order.productNumbers);
+    }
+    if (Array.isArray(order.lineItems)) {
+        order.lineItems.forEach(item => {
+            const productNumber = item.productNumber || (item.payload && item.payload.productNumber);
+            if (productNumber) productNumbers.push(productNumber);
+        });
+    }
+
+    let customerGroup = order.customerGroup && typeof order.customerGroup === 'object'
+        ? order.customerGroup.name || order.customerGroup.id
+        : order.customerGroup || null;
+    if (!customerGroup && order.orderCustomer && order.orderCustomer.customer) {
+        const group = order.orderCustomer.customer.group;
+        customerGroup = (group && group.name) || order.orderCustomer.customer.groupId || null;
+    }
+
+    return {
+        total: total !== undefined ? total : null,
+        salesChannel: salesChannel !== null ? String(salesChannel) : null,
+        shippingMethod: shippingMethod !== null ? String(shippingMethod) : null,
+        productNumber: productNumbers.map(String),
+        customerGroup: customerGroup !== null ? String(customerGroup) : null
+    };
+}
+
+function isNumeric(value) {
+    if (typeof value === 'number') return Number.isFinite(value);
+    return typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value));
+}
+
+// --- Compare a single fact value against a condition ---
+// numeric: the field holds numbers, eq/neq compare numerically when both sides are numeric
+function compareValue(actual, operator, expected, numeric = false) {
+    if (actual === null || actual === undefined) return false;
+
+    if (numeric && (operator === 'eq' || operator === 'neq') && isNumeric(actual) && isNumeric(expected)) {
+        const equal = Number(actual) === Number(expected);
+        return operator === 'eq' ? equal : !equal;
+    }
+
+    if (NUMERIC_OPERATORS.includes(operator)) {
+        const a = Number(actual);
+        const b = Number(expected);
+        if (isNaN(a) || isNaN(b)) return false;
+        if (operator === 'gt') return a > b;
+        if (operator === 'gte') return a >= b;
+        if (operator === 'lt') return a < b;
+        return a <= b;
+    }
+
+    const a = String(actual).toLowerCase();
+    const b = String(expected).toLowerCase();
+    if (operator === 'eq') return a === b;
+    if (operator === 'neq') return a !== b;
+    return a.includes(b); // 'contains'
+}
+
+function conditionMatches(condition, facts) {
+    const actual = facts[condition.field];
+    if (Array.isArray(actual)) {
+        // List facts (product numbers): 'neq' means none of them equals the value, otherwise any may match
+        if (condition.operator === 'neq') {
+            return actual.every(value => compareValue(value, 'neq', condition.value));
+        }
+        return actual.some(value => compareValue(value, condition.operator, condition.value));
+    }
+    return compareValue(actual, condition.operator, condition.value, NUMERIC_FIELDS.includes(condition.field));
+}
+
+// --- Find the first matching rule for an order payload ---
+// Returns the matching rule or null.
+function evaluateRules(rules, body) {
+    const facts = extractOrderFacts(body);
+    for (const rule of rules || []) {
+        if (!rule.enabled) continue;
+        const results = rule.conditions.map(condition => conditionMatches(condition, facts));
+        const matched = rule.match === 'any' ? results.some(Boolean) : results.every(Boolean);
+        if (matched) return rule;
+    }
+    return null;
+}
+
+// --- Validate the rule list; returns an error message or null ---
+function validateRules(rules, profileNames) {
+    if (!Array.isArray(rules)) {
+        return 'Invalid rules configuration.';
+    }
+    for (let i = 0; i < rules.length; i++) {
+        const rule = rules[i];
+        const label = `rule ${i + 1}`;
+        if (!rule || typeof rule !== 'object') {
+            return `Invalid ${label}.`;
+        }
+        if (typeof rule.name !== 'string' || rule.name.trim() === '' || rule.name.length > 100) {
+            return `Invalid name for ${label}.`;
+        }
+        if (typeof rule.enabled !== 'boolean') {
+            return `Invalid enabled status for rule "${rule.name}".`;
+        }
+        if (rule.match !== 'all' && rule.match !== 'any') {
+            return `Invalid match mode for rule "${rule.name}". Must be "all" or "any".`;
+        }
+        if (!profileNames.includes(rule.profile)) {
+            return `Unknown profile "${rule.profile}" for rule "${rule.name}".`;
+        }
+        if (!Array.isArray(rule.conditions) || rule.conditions.length === 0 || rule.conditions.length > 20) {
+            return `Rule "${rule.name}" needs between 1 and 20 conditions.`;
+        }
+        for (const condition of rule.conditions) {
+            if (!condition || !RULE_FIELDS.includes(condition.field)) {
+                return `Invalid condition field in rule "${rule.name}".`;
+            }
+            if (!RULE_OPERATORS.includes(condition.operator)) {
+                return `Invalid condition operator in rule "${rule.name}".`;
+            }
+            if (typeof condition.value !== 'string' && typeof condition.value !== 'number') {
+                return `Invalid condition value in rule "${rule.name}".`;
+            }
+            if (NUMERIC_OPERATORS.includes(condition.operator) && isNaN(Number(condition.value))) {
+                return `Condition on ${condition.field} in rule "${rule.name}" needs a numeric value.`;
+            }
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    RULE_FIELDS,
+    RULE_OPERATORS,
+    extractOrderFacts,
+    evaluateRules,
+    validateRules
+};
@@ -0,0 +1,194 @@
+// --- Weekly alarm schedule ---
+// Decides whether order triggers fire at a given moment. Times are local to the schedule's
+// timezone; each weekday has a list of 'HH:MM'-'HH:MM' windows, and date exceptions
+// (holidays, special opening days) replace the weekday windows for that date.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_SHORT = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$|^24:00$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = {}; // Cached Intl formatters per timezone
+
+function getFormatter(timezone) {
+    if (!formatters[timezone]) {
+        formatters[timezone] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            hourCycle: 'h23',
+            weekday: 'short',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
+    return formatters[timezone];
+}
+
+function isValidTimezone(timezone) {
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// --- Local calendar parts of a timestamp in the given timezone ---
+function getLocalParts(ms, timezone) {
+    const parts = {};
+    getFormatter(timezone).formatToParts(new Date(ms)).forEach(part => {
+        parts[part.type] = part.value;
+    });
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: WEEKDAY_SHORT[parts.weekday],
+        date: `${parts.year}-${parts.month}-${parts.day}`
+    };
+}
+
+// --- Local date ('YYYY-MM-DD') of a timestamp in the given timezone ---
+function getLocalDate(ms, timezone) {
+    return getLocalParts(ms, timezone).date;
+}
+
+function parseTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// --- Convert a local date + minutes of day into a UTC timestamp ---
+function localToUtc(date, minutes, timezone) {
+    const [year, month, day] = date.split('-').map(Number);
+    const naive = Date.UTC(year, month - 1, day, 0, minutes);
+    const offsetAt = ms => {
+        const p = getLocalParts(ms, timezone);
+        return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Math.floor(ms / 1000) * 1000;
+    };
+    const guess = naive - offsetAt(naive);
+    return naive - offsetAt(guess); // Second pass settles DST transitions
+}
+
+function addDays(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// --- Windows that apply to a local date (exception first, then weekday) ---
+function getWindowsForDate(schedule, date, weekday) {
+    const exception = (schedule.exceptions || []).find(e => e.date === date);
+    if (exception) {
+        return { windows: exception.windows, exception };
+    }
+    return { windows: (schedule.weekly || {})[WEEKDAYS[weekday]] || [], exception: null };
+}
+
+// --- Is the schedule open at the given timestamp? ---
+function isOpenAt(schedule, ms) {
+    const local = getLocalParts(ms, schedule.timezone);
+    const minutes = local.hour * 60 + local.minute;
+    const { windows } = getWindowsForDate(schedule, local.date, local.weekday);
+    return windows.some(window => minutes >= parseTime(window.start) && minutes < parseTime(window.end));
+}
+
+// --- Current schedule state and the next time it changes ---
+// Returns { open, exception (label or null), nextChange: { at, open } | null }
+function getScheduleState(schedule, now = Date.now()) {
+    const open = isOpenAt(schedule, now);
+    const local = getLocalParts(now, schedule.timezone);
+    const { exception } = getWindowsForDate(schedule, local.date, local.weekday);
+
+    // Candidate change points: midnight and every window boundary over the next 8 days
+    const candidates = [];
+    for (let offset = 0; offset <= 8; offset++) {
+        const date = addDays(local.date, offset);
+        const weekday = (local.weekday + offset) % 7;
+        const boundaries = new Set([0]);
+        getWindowsForDate(schedule, date, weekday).windows.forEach(window => {
+            boundaries.add(parseTime(window.start));
+            boundaries.add(parseTime(window.end));
+        });
+        boundaries.forEach(minutes => candidates.push(localToUtc(date, minutes, schedule.timezone)));
+    }
+
+    const nextAt = candidates
+        .filter(at => at > now)
+        .sort((a, b) => a - b)
+        .find(at => isOpenAt(schedule, at) !== open);
+
+    return {
+        open,
+        exception: exception ? exception.label || exception.date : null,
+        nextChange: nextAt !== undefined ? { at: nextAt, open: !open } : null
+    };
+}
+
+function validateWindows(windows, label) {
+    if (!Array.isArray(windows) || windows.length > 10) {
+        return `Invalid time windows for ${label}.`;
+    }
+    for (const window of windows) {
+        if (!window || !TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+            return `Invalid time window for ${label}. Use HH:MM.`;
+        }
+        if (parseTime(window.start) >= parseTime(window.end)) {
+            return `Time window ${window.start}-${window.end} for ${label} must end after it starts.`;
+        }
+    }
+    return null;
+}
+
+// --- Validate a schedule configuration; returns an error message or null ---
+function validateSchedule(schedule, relayIds) {
+    if (!schedule || typeof schedule !== 'object') {
+        return 'Invalid schedule configuration.';
+    }
+    if (typeof schedule.enabled !== 'boolean') {
+        return 'Invalid schedule enabled status.';
+    }
+    if (typeof schedule.timezone !== 'string' || !isValidTimezone(schedule.timezone)) {
+        return `Invalid timezone "${schedule.timezone}".`;
+    }
+    if (!schedule.weekly || typeof schedule.weekly !== 'object') {
+        return 'Invalid weekly schedule.';
+    }
+    for (const day of WEEKDAYS) {
+        const error = validateWindows(schedule.weekly[day] || [], day);
+        if (error) return error;
+    }
+    if (!Array.isArray(schedule.exceptions) || schedule.exceptions.length > 366) {
+        return 'Invalid schedule exceptions.';
+    }
+    for (const exception of schedule.exceptions) {
+        if (!exception || !DATE_PATTERN.test(exception.date) || isNaN(Date.parse(exception.date))) {
+            return 'Invalid exception date. Use YYYY-MM-DD.';
+        }
+        if (exception.label !== undefined && (typeof exception.label !== 'string' || exception.label.length > 100)) {
+            return `Invalid label for exception ${exception.date}.`;
+        }
+        const error = validateWindows(exception.windows, exception.date);
+        if (error) return error;
+    }
+    if (schedule.outsideHours !== 'suppress' && schedule.outsideHours !== 'quiet') {
+        return 'Invalid outside hours mode. Must be "suppress" or "quiet".';
+    }
+    if (!Array.isArray(schedule.quietRelays) || !schedule.quietRelays.every(id => relayIds.includes(String(id)))) {
+        return 'Invalid quiet relays.';
+    }
+    return null;
+}
+
+module.exports = {
+    WEEKDAYS,
+    getLocalDate,
+    getScheduleState,
+    validateSchedule
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const net = require('net');
+
+// --- Brute-force protection and session lifetime ---
+// Failed logins are counted per client IP and per account. Too many within FAILURE_WINDOW_MS lock
+// that IP or account out for `loginLockoutMs`; while locked, even the right password is refused.
+// IPs that keep failing webhook authentication (order webhook, trigger API) are blocked for
+// `webhookBlockMs`. Counts and lockouts live in memory and start fresh with every server start.
+// Sessions end `sessionMaxAgeMs` after login and, if `sessionIdleMs` is set, after that long
+// without a request.
+// Behind a reverse proxy set TRUST_PROXY, otherwise every client has the proxy's IP.
+
+const FAILURE_WINDOW_MS = 900000; // Failures older than this are forgotten
+const MAX_TRACKED_KEYS = 10000; // Oldest entries are dropped beyond this (e.g. many made-up usernames)
+const MAX_LOCKOUT_MS = 86400000; // One day
+const MAX_SESSION_AGE_MS = 30 * 86400000; // 30 days
+const TRUST_PROXY_NAMES = ['loopback', 'linklocal', 'uniquelocal']; // Named ranges Express understands
+
+const DEFAULT_SECURITY = {
+    loginMaxFailuresPerIp: 10,
+    loginMaxFailuresPerAccount: 5,
+    loginLockoutMs: 900000,
+    webhookMaxFailures: 20,
+    webhookBlockMs: 3600000,
+    sessionMaxAgeMs: 7 * 86400000,
+    sessionIdleMs: 0 // No idle timeout, e.g. for a dashboard left open on a monitor
+};
+
+// --- Failure counter with temporary lockout, keyed by IP or username ---
+// limits() returns the current { maxFailures, lockoutMs }, so changed settings apply right away
+function createAttemptLimiter(limits) {
+    const entries = new Map(); // key -> { failures: [ms], lockedUntil }
+
+    function prune(now) {
+        entries.forEach((entry, key) => {
+            entry.failures = entry.failures.filter(at => now - at < FAILURE_WINDOW_MS);
+            if (entry.failures.length === 0 && entry.lockedUntil <= now) entries.delete(key);
+        });
+    }
+
+    // --- Milliseconds the key is still locked out (0 if it isn't) ---
+    function lockedFor(key, now = Date.now()) {
+        const entry = entries.get(key);
+        return entry && entry.lockedUntil > now ? entry.lockedUntil - now : 0;
+    }
+
+    // --- Count a failure; returns the lockout it started in ms (0 if none) ---
+    function recordFailure(key, now = Date.now()) {
+        const { maxFailures, lockoutMs } = limits();
+        if (!entries.has(key) && entries.size >= MAX_TRACKED_KEYS) {
+            prune(now);
+            if (entries.size >= MAX_TRACKED_KEYS) entries.delete(entries.keys().next().value);
+        }
+        const entry = entries.get(key) || { failures: [], lockedUntil: 0 };
+        entry.failures = entry.failures.filter(at => now - at < FAILURE_WINDOW_MS).concat(now);
+        entries.set(key, entry);
+        if (entry.failures.length >= maxFailures) {
+            entry.failures = [];
+            entry.lockedUntil = now + lockoutMs;
+            return lockoutMs;
+        }
+        return 0;
+    }
+
+    function reset(key) {
+        return entries.delete(key);
+    }
+
+    // --- Keys locked out right now: [{ key, lockedUntil }] ---
+    function listLocked(now = Date.now()) {
+        prune(now);
+        return Array.from(entries.entries())
+            .filter(([, entry]) => entry.lockedUntil > now)
+            .map(([key, entry]) => ({ key, lockedUntil: entry.lockedUntil }));
+    }
+
+    return { lockedFor, recordFailure, reset, listLocked };
+}
+
+// --- Has a session outlived the configured lifetime or idle time? ---
+// session: { createdAt, lastSeenAt } as set at login and on every request
+function isSessionExpired(security, session, now = Date.now()) {
+    if (session.createdAt && now - session.createdAt > security.sessionMaxAgeMs) {
+        return true;
+    }
+    return security.sessionIdleMs > 0 && !!session.lastSeenAt && now - session.lastSeenAt > security.sessionIdleMs;
+}
+
+function createCsrfToken() {
+    return crypto.randomBytes(24).toString('hex');
+}
+
+// --- Does a request's CSRF token match the session's? ---
+function csrfTokenMatches(session, token) {
+    if (!session || typeof session.csrfToken !== 'string' || typeof token !== 'string') {
+        return false;
+    }
+    const expected = Buffer.from(session.csrfToken);
+    const given = Buffer.from(token);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+function isLimit(value, min, max) {
+    return Number.isInteger(value) && value >= min && value <= max;
+}
+
+// --- Validate security settings; returns an error message or null ---
+function validateSecurity(security) {
+    if (!security || typeof security !== 'object' || Array.isArray(security)) {
+        return 'Invalid security settings.';
+    }
+    const checks = [
+        ['loginMaxFailuresPerIp', 1, 1000],
+        ['loginMaxFailuresPerAccount', 1, 1000],
+        ['loginLockoutMs', 1000, MAX_LOCKOUT_MS],
+        ['webhookMaxFailures', 1, 1000],
+        ['webhookBlockMs', 1000, MAX_LOCKOUT_MS],
+        ['sessionMaxAgeMs', 60000, MAX_SESSION_AGE_MS],
+        ['sessionIdleMs', 0, MAX_SESSION_AGE_MS]
+    ];
+    for (const [key, min, max] of checks) {
+        if (!isLimit(security[key], min, max)) {
+            return `Invalid ${key}. Must be a whole number between ${min} and ${max}.`;
+        }
+    }
+    if (security.sessionIdleMs > 0 && security.sessionIdleMs < 60000) {
+        return 'Invalid sessionIdleMs. Use 0 (no idle timeout) or at least 60000.';
+    }
+    return null;
+}
+
+// --- Express "trust proxy" setting from the TRUST_PROXY environment variable ---
+// 'true'/'false', a hop count, or a comma-separated list of addresses, subnets (CIDR) and the names
+// loopback, linklocal and uniquelocal. Throws on anything else, Express would fail on it later or
+// trust the wrong clients.
+function parseTrustProxy(value) {
+    const text = String(value).trim();
+    if (text === 'true') return true;
+    if (text === 'false' || text === '') return false;
+    if (/^\d+$/.test(text)) return Number(text);
+    const entries = text.split(',').map(entry => entry.trim());
+    const invalid = entries.find(entry => {
+        if (TRUST_PROXY_NAMES.includes(entry)) return false;
+        const [address, prefix, ...rest] = entry.split('/');
+        const version = net.isIP(address);
+        if (!version || rest.length > 0) return true;
+        if (prefix === undefined) return false;
+        if (/^\d+$/.test(prefix)) return Number(prefix) > (version === 4 ? 32 : 128);
+        return version !== 4 || net.isIP(prefix) !== 4; // IPv4 netmask, e.g. 10.0.0.0/255.0.0.0
+    });
+    if (invalid !== undefined) {
+        throw new Error(`Invalid TRUST_PROXY entry "${invalid}". Use true, false, a hop count, or addresses, subnets and ${TRUST_PROXY_NAMES.join(', ')}.`);
+    }
+    return entries.join(',');
+}
+
+module.exports = {
+    DEFAULT_SECURITY,
+    createAttemptLimiter,
+    isSessionExpired,
+    createCsrfToken,
+    csrfTokenMatches,
+    validateSecurity,
+    parseTrustProxy
+};
@@ -0,0 +1,219 @@
+const { validatePattern } = require('./patterns');
+const { validateRules } = require('./rules');
+const { validateSchedule } = require('./schedule');
+const { DEFAULT_ACKNOWLEDGEMENT, validateAcknowledgement } = require('./acknowledgement');
+const { DEFAULT_TRIGGER_POLICY, validateTriggerPolicy } = require('./trigger-policy');
+const { DEFAULT_RESTART_POLICY, validateRestartPolicy } = require('./restart-policy');
+const { DEFAULT_NOTIFICATIONS, validateNotifications } = require('./notifications');
+const { getRegisteredDevice, validateOutputMap } = require('./device-registry');
+const { DEFAULT_SAFETY, validateSafety } = require('./relay-safety');
+const { DEFAULT_SECURITY, validateSecurity } = require('./security');
+
+// --- Settings schema ---
+// The built-in settings of this version and the checks a whole settings object must pass, shared by
+// the server and the shop-alarm command-line tool (bin/shop-alarm.js), which validates and migrates
+// the settings file without a running server. Each section is checked by the same validator the
+// dashboard API uses for it.
+
+const MAX_RELAYS = 32; // Upper limit for configured relays (e.g. two 16-channel boards)
+
+// --- Built-in settings, used when there is no settings file and for sections older files lack ---
+function createDefaultSettings() {
+    return {
+        alarmEnabled: true,
+        // Relays keyed by numeric id; any number between 1 and MAX_RELAYS can be configured.
+        // Each relay plays an inline pattern or a named one from `patterns` (see lib/patterns.js)
+        relays: {
+            '1': { label: 'Relay 1', enabled: true, pattern: { steps: [{ type: 'on', durationMs: 5000 }], repeat: 1 } },
+            '2': { label: 'Relay 2', enabled: true, pattern: { steps: [{ type: 'off', durationMs: 1000 }, { type: 'on', durationMs: 5000 }], repeat: 1 } },
+            '3': { label: 'Relay 3', enabled: true, pattern: { steps: [{ type: 'off', durationMs: 2000 }, { type: 'on', durationMs: 5000 }], repeat: 1 } },
+            '4': { label: 'Relay 4', enabled: true, pattern: { steps: [{ type: 'off', durationMs: 3000 }, { type: 'on', durationMs: 5000 }], repeat: 1 } },
+        },
+        // Library of named patterns relays and profiles can refer to by name
+        patterns: {
+            'Three Short One Long': {
+                steps: [
+                    { type: 'on', durationMs: 200 }, { type: 'off', durationMs: 200 },
+                    { type: 'on', durationMs: 200 }, { type: 'off', durationMs: 200 },
+                    { type: 'on', durationMs: 200 }, { type: 'off', durationMs: 200 },
+                    { type: 'on', durationMs: 1000 }, { type: 'off', durationMs: 500 }
+                ],
+                repeat: 5
+            },
+            'Speeding Up': {
+                steps: [{ type: 'pulse', durationMs: 5000, pulseMs: 500, toPulseMs: 50 }],
+                repeat: 1
+            }
+        },
+        // Named alarm profiles: { [name]: { relays: { '1': { enabled, pattern | patternName }, ... } } }
+        profiles: {},
+        // Ordered rule list evaluated against order payloads; first match picks a profile (see lib/rules.js)
+        rules: [],
+        // Logical alarm outputs (the relay ids above) -> physical relays on registered devices:
+        // { '1': [{ deviceId: 'packing', relay: 1 }, { deviceId: 'office', relay: 3 }], ... }
+        // Boards using the shared ESP32_SECRET are not mapped and receive the logical states 1:1.
+        outputMap: {},
+        // Weekly schedule deciding whether order triggers fire (see lib/schedule.js)
+        schedule: {
+            enabled: false,
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone, // Server timezone (honours TZ)
+            weekly: {
+                monday: [{ start: '08:00', end: '18:00' }],
+                tuesday: [{ start: '08:00', end: '18:00' }],
+                wednesday: [{ start: '08:00', end: '18:00' }],
+                thursday: [{ start: '08:00', end: '18:00' }],
+                friday: [{ start: '08:00', end: '18:00' }],
+                saturday: [],
+                sunday: []
+            },
+            exceptions: [], // [{ date: 'YYYY-MM-DD', label, windows: [{ start, end }] }], empty windows = closed all day
+            outsideHours: 'suppress', // 'suppress' = no alarm, 'quiet' = only quietRelays fire
+            quietRelays: []
+        },
+        // What orders arriving during a running alarm do (see lib/trigger-policy.js)
+        triggerPolicy: { ...DEFAULT_TRIGGER_POLICY },
+        // Repeat order alarms until acknowledged, with escalation to profiles (see lib/acknowledgement.js)
+        acknowledgement: { ...DEFAULT_ACKNOWLEDGEMENT },
+        // What happens to an alarm interrupted by a server restart (see lib/restart-policy.js)
+        restartPolicy: { ...DEFAULT_RESTART_POLICY },
+        // Outgoing notification channels (webhook, email, ntfy, Gotify) for alarms (see lib/notifications.js)
+        notifications: { ...DEFAULT_NOTIFICATIONS },
+        // Per-relay on-time limits and interlocks, enforced on every relay change (see lib/relay-safety.js):
+        // { relays: { '1': { maxOnMs, maxDutyPercent, dutyWindowMs, dailyBudgetMs, minOffMs } }, interlocks: [{ relays: ['1', '2'] }] }
+        safety: JSON.parse(JSON.stringify(DEFAULT_SAFETY)),
+        // Login lockouts, webhook IP blocks and session lifetime (see lib/security.js)
+        security: { ...DEFAULT_SECURITY }
+
+    };
+}
+
+// --- Validate a relay configuration object; returns an error message or null ---
+// relayIds: if given, the configuration must contain exactly these relay ids (used for profiles)
+// library: pattern library pattern names refer to
+function validateRelays(relays, relayIds, library) {
+    if (typeof relays !== 'object' || relays === null || Array.isArray(relays)) {
+        return 'Invalid relays configuration.';
+    }
+    const ids = Object.keys(relays);
+    if (ids.length < 1 || ids.length > MAX_RELAYS) {
+        return `Invalid relays configuration. Between 1 and ${MAX_RELAYS} relays are supported.`;
+    }
+    if (relayIds && (ids.length !== relayIds.length || !relayIds.every(id => ids.includes(id)))) {
+        return 'Relays do not match the configured relays.';
+    }
+    for (const id in relays) {
+        const relay = relays[id];
+        if (!/^[1-9]\d{0,2}$/.test(id) || typeof relay !== 'object' || relay === null) {
+            return `Invalid relay id ${id}.`;
+        }
+        if (relay.label !== undefined && (typeof relay.label !== 'string' || relay.label.length > 50)) {
+            return `Invalid label for relay ${id}.`;
+        }
+        // Either an inline pattern or the name of a library pattern
+        if (relay.patternName !== undefined) {
+            if (relay.pattern !== undefined) {
+                return `Relay ${id} must use either a pattern or a pattern name, not both.`;
+            }
+            if (!Object.prototype.hasOwnProperty.call(library, relay.patternName)) {
+                return `Unknown pattern "${relay.patternName}" for relay ${id}.`;
+            }
+        } else {
+            const patternError = validatePattern(relay.pattern);
+            if (patternError) {
+                return `Relay ${id}: ${patternError}`;
+            }
+        }
+        // New validation for enabled
+        if (typeof relay.enabled !== 'boolean') {
+            return `Invalid enabled status for relay ${id}.`;
+        }
+    }
+    return null;
+}
+
+// --- Validate named alarm profiles; returns an error message or null ---
+function validateProfiles(profiles, relayIds, library) {
+    if (typeof profiles !== 'object' || profiles === null || Array.isArray(profiles)) {
+        return 'Invalid profiles configuration.';
+    }
+    for (const name in profiles) {
+        if (!/^[\w\- ]{1,50}$/.test(name)) {
+            return `Invalid profile name "${name}". Use up to 50 letters, digits, spaces, - or _.`;
+        }
+        const relaysError = validateRelays(profiles[name] && profiles[name].relays, relayIds, library);
+        if (relaysError) {
+            return `Profile "${name}": ${relaysError}`;
+        }
+    }
+    return null;
+}
+
+// --- Validate a pattern library; returns an error message or null ---
+function validatePatternLibrary(patterns) {
+    if (typeof patterns !== 'object' || patterns === null || Array.isArray(patterns)) {
+        return 'Invalid pattern library.';
+    }
+    for (const name in patterns) {
+        if (!/^[\w\- ]{1,50}$/.test(name)) {
+            return `Invalid pattern name "${name}". Use up to 50 letters, digits, spaces, - or _.`;
+        }
+        const patternError = validatePattern(patterns[name]);
+        if (patternError) {
+            return `Pattern "${name}": ${patternError}`;
+        }
+    }
+    return null;
+}
+
+// --- Output mapping without targets on boards that are no longer registered ---
+function knownOutputTargets(outputMap) {
+    const known = {};
+    for (const logicalId in outputMap) {
+        known[logicalId] = Array.isArray(outputMap[logicalId])
+            ? outputMap[logicalId].filter(target => !target || getRegisteredDevice(target.deviceId))
+            : outputMap[logicalId];
+    }
+    return known;
+}
+
+// --- Validate a whole settings object read from file, with the same checks as the dashboard API ---
+// Returns an error message prefixed with the failing section, or null
+function validateSettings(settings) {
+    if (typeof settings.alarmEnabled !== 'boolean') {
+        return 'alarmEnabled: Invalid alarm enabled status.';
+    }
+    const relayIds = Object.keys(settings.relays || {});
+    const profileNames = Object.keys(settings.profiles || {});
+    const checks = {
+        patterns: () => validatePatternLibrary(settings.patterns),
+        relays: () => validateRelays(settings.relays, null, settings.patterns),
+        profiles: () => validateProfiles(settings.profiles, relayIds, settings.patterns),
+        rules: () => validateRules(settings.rules, profileNames),
+        // Mappings to boards removed from the registry are dropped on load, not an error
+        outputMap: () => validateOutputMap(settings.outputMap && knownOutputTargets(settings.outputMap), relayIds),
+        schedule: () => validateSchedule(settings.schedule, relayIds),
+        triggerPolicy: () => validateTriggerPolicy(settings.triggerPolicy),
+        acknowledgement: () => validateAcknowledgement(settings.acknowledgement, profileNames),
+        restartPolicy: () => validateRestartPolicy(settings.restartPolicy),
+        notifications: () => validateNotifications(settings.notifications),
+        safety: () => validateSafety(settings.safety, relayIds),
+        security: () => validateSecurity(settings.security)
+    };
+    for (const section in checks) {
+        const error = checks[section]();
+        if (error) {
+            return `${section}: ${error}`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    MAX_RELAYS,
+    createDefaultSettings,
+    validateRelays,
+    validateProfiles,
+    validatePatternLibrary,
+    knownOutputTargets,
+    validateSettings
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const { migrateRelayConfig } = require('./patterns');
+
+// --- Versioned settings storage ---
+// data/settings.json holds only configuration, with a schema `version`. Files written by older versions
+// are upgraded step by step by MIGRATIONS on load and validated before use. Writes go to a temporary
+// file that is renamed over the old one, so a crash never leaves a half-written file; the previous
+// BACKUP_COUNT versions are kept as settings.json.1 (newest) ... settings.json.N and used if the main
+// file cannot be loaded.
+// Runtime state (running alarm, queued orders, alarm waiting for acknowledgement) is kept separately in
+// data/runtime.json, written the same way but without backups.
+
+const SETTINGS_VERSION = 6;
+const BACKUP_COUNT = 3;
+
+// Keys of the unversioned settings file that are runtime state, not configuration
+const LEGACY_RUNTIME_KEYS = ['activeTrigger', 'triggerQueue', 'unacknowledged'];
+const LEGACY_TRANSIENT_KEYS = ['testRelay', 'currentRelayStates', 'triggerActive', 'relayOnTimeMs'];
+
+// --- Migrations: MIGRATIONS[n] upgrades a version n file to version n + 1 ---
+// Each takes and returns { settings, runtime }; `defaults` are the built-in settings of this version.
+const MIGRATIONS = {
+    // 1: the unversioned file of older releases. Relays used delayMs/onTimeMs/pulseMs instead of
+    // patterns, runtime state was stored with the configuration, and sections added later are missing.
+    1: ({ settings }, defaults) => {
+        const runtime = {};
+        LEGACY_RUNTIME_KEYS.forEach(key => {
+            if (settings[key] !== undefined) runtime[key] = settings[key];
+        });
+        const migrated = {};
+        for (const key in settings) {
+            if (!LEGACY_RUNTIME_KEYS.includes(key) && !LEGACY_TRANSIENT_KEYS.includes(key)) migrated[key] = settings[key];
+        }
+
+        for (const id in migrated.relays || {}) {
+            const relay = migrated.relays[id];
+            migrated.relays[id] = migrateRelayConfig({
+                ...relay,
+                label: relay.label !== undefined ? relay.label : `Relay ${id}`,
+                enabled: relay.enabled !== undefined ? relay.enabled : true
+            });
+        }
+        for (const name in migrated.profiles || {}) {
+            const profileRelays = migrated.profiles[name].relays || {};
+            for (const id in profileRelays) {
+                profileRelays[id] = migrateRelayConfig({ ...profileRelays[id], enabled: profileRelays[id].enabled !== undefined ? profileRelays[id].enabled : true });
+            }
+        }
+        if (runtime.activeTrigger && runtime.activeTrigger.relayConfig) {
+            for (const id in runtime.activeTrigger.relayConfig) {
+                runtime.activeTrigger.relayConfig[id] = migrateRelayConfig(runtime.activeTrigger.relayConfig[id]);
+            }
+        }
+        // Sections missing in older files start with the built-in defaults; partially present ones are completed
+        for (const key in defaults) {
+            if (migrated[key] === undefined) {
+                migrated[key] = JSON.parse(JSON.stringify(defaults[key]));
+            } else if (['schedule', 'triggerPolicy', 'acknowledgement', 'restartPolicy'].includes(key)) {
+                migrated[key] = { ...defaults[key], ...migrated[key] };
+            }
+        }
+        return { settings: migrated, runtime };
+    },
+    // 2: before the restart policy (see lib/restart-policy.js)
+    2: ({ settings, runtime }, defaults) => ({
+        settings: { ...settings, restartPolicy: settings.restartPolicy || { ...defaults.restartPolicy } },
+        runtime
+    }),
+    // 3: before notification channels (see lib/notifications.js)
+    3: ({ settings, runtime }, defaults) => ({
+        settings: { ...settings, notifications: settings.notifications || JSON.parse(JSON.stringify(defaults.notifications)) },
+        runtime
+    }),
+    // 4: before relay safety limits (see lib/relay-safety.js)
+    4: ({ settings, runtime }, defaults) => ({
+        settings: { ...settings, safety: settings.safety || JSON.parse(JSON.stringify(defaults.safety)) },
+        runtime
+    }),
+    // 5: before login lockouts and session timeouts (see lib/security.js)
+    5: ({ settings, runtime }, defaults) => ({
+        settings: { ...settings, security: settings.security || { ...defaults.security } },
+        runtime
+    })
+};
+
+// --- Upgrade a parsed settings file to the current version ---
+// Returns { settings, runtime, fromVersion }; throws if the file is from a newer version
+function migrateSettings(data, defaults) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Settings must be a JSON object.');
+    }
+    const { version = 1, ...settings } = data;
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`Invalid settings version ${JSON.stringify(version)}.`);
+    }
+    if (version > SETTINGS_VERSION) {
+        throw new Error(`Settings were written by a newer version (schema ${version}, this version supports up to ${SETTINGS_VERSION}).`);
+    }
+    let state = { settings, runtime: {} };
+    for (let from = version; from < SETTINGS_VERSION; from++) {
+        state = MIGRATIONS[from](state, defaults);
+    }
+    return { ...state, fromVersion: version };
+}
+
+function backupFile(file, n) {
+    return `${file}.${n}`;
+}
+
+// --- Write JSON to a temporary file, flush it to disk and rename it over `file` ---
+// With `backups`, the replaced file is kept as file.1 and older copies move up to file.<backups>
+function writeJsonAtomic(file, data, backups = 0) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp-${process.pid}`;
+    const fd = fs.openSync(tmpFile, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    if (backups > 0 && fs.existsSync(file)) {
+        for (let n = backups - 1; n >= 1; n--) {
+            if (fs.existsSync(backupFile(file, n))) fs.renameSync(backupFile(file, n), backupFile(file, n + 1));
+        }
+        fs.copyFileSync(file, backupFile(file, 1));
+    }
+    fs.renameSync(tmpFile, file);
+}
+
+// --- Load the settings file, falling back to the newest usable backup ---
+// validate(settings) returns an error message or null.
+// Returns { settings, runtime, fromVersion, file }, or null if there is no settings file at all.
+// Throws with every file's problem listed if none of them can be used.
+function loadSettingsFile(file, defaults, validate) {
+    const candidates = [file];
+    for (let n = 1; n <= BACKUP_COUNT; n++) candidates.push(backupFile(file, n));
+    const existing = candidates.filter(candidate => fs.existsSync(candidate));
+    if (existing.length === 0) {
+        return null;
+    }
+
+    const problems = [];
+    for (const candidate of existing) {
+        try {
+            const migrated = migrateSettings(JSON.parse(fs.readFileSync(candidate, 'utf8')), defaults);
+            const error = validate(migrated.settings);
+            if (error) {
+                throw new Error(error);
+            }
+            return { ...migrated, file: candidate };
+        } catch (error) {
+            problems.push(`${path.basename(candidate)}: ${error.message}`);
+        }
+    }
+    throw new Error(`No usable settings file.\n  ${problems.join('\n  ')}`);
+}
+
+function saveSettingsFile(file, settings) {
+    writeJsonAtomic(file, { version: SETTINGS_VERSION, ...settings }, BACKUP_COUNT);
+}
+
+// --- Runtime state; a missing or unreadable file means nothing was running ---
+function loadRuntimeFile(file) {
+    if (!fs.existsSync(file)) {
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        console.error('Error loading runtime state, starting idle:', error.message);
+        return null;
+    }
+}
+
+function saveRuntimeFile(file, runtime) {
+    writeJsonAtomic(file, runtime);
+}
+
+module.exports = {
+    SETTINGS_VERSION,
+    migrateSettings,
+    loadSettingsFile,
+    saveSettingsFile,
+    loadRuntimeFile,
+    saveRuntimeFile
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+
+// --- Configuration Constants ---
+const SHOPS_FILE = path.join(DATA_DIR, 'shops.json'); // Per-shop secrets from the app registration
+const REGISTRATION_MAX_AGE_MS = 5 * 60 * 1000; // Reject registration requests older than 5 minutes
+
+// --- In-memory registered shops: { [shopId]: { shopUrl, shopSecret, apiKey, secretKey, confirmed, registeredAt, confirmedAt } } ---
+let shops = {};
+
+// --- Load shops from file ---
+function loadShops() {
+    if (fs.existsSync(SHOPS_FILE)) {
+        try {
+            shops = JSON.parse(fs.readFileSync(SHOPS_FILE, 'utf8'));
+            console.log('Shopware shops loaded:', Object.keys(shops));
+        } catch (error) {
+            console.error('Error loading shops file:', error);
+            shops = {};
+        }
+    }
+}
+
+// --- Save shops to file ---
+function saveShops() {
+    try {
+        fs.mkdirSync(path.dirname(SHOPS_FILE), { recursive: true });
+        fs.writeFileSync(SHOPS_FILE, JSON.stringify(shops, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+        console.error('Error saving shops file:', error);
+    }
+}
+
+// --- HMAC helpers ---
+function sign(data, secret) {
+    return crypto.createHmac('sha256', secret).update(data).digest('hex');
+}
+
+function signatureMatches(data, secret, signature) {
+    if (typeof signature !== 'string' || !secret) return false;
+    const expected = Buffer.from(sign(data, secret), 'utf8');
+    const given = Buffer.from(signature.trim().toLowerCase(), 'utf8');
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// --- Step 1 of the app handshake: GET /shopware/register ---
+// `query` is the raw query string, signed by Shopware with the app secret in the
+// `shopware-app-signature` header. Returns { error } or { response } to send back as JSON.
+function handleRegistration({ query, signature, shopId, shopUrl, timestamp, appName, appSecret, confirmationUrl }) {
+    if (!appName || !appSecret) {
+        return { error: 'Shopware app registration is not configured.' };
+    }
+    if (!signatureMatches(query, appSecret, signature)) {
+        return { error: 'Invalid app signature.' };
+    }
+    if (!shopId || !shopUrl) {
+        return { error: 'Missing shop-id or shop-url.' };
+    }
+    const ageMs = Date.now() - Number(timestamp) * 1000;
+    if (isNaN(ageMs) || Math.abs(ageMs) > REGISTRATION_MAX_AGE_MS) {
+        return { error: 'Registration request expired.' };
+    }
+
+    const shopSecret = crypto.randomBytes(32).toString('hex');
+    shops[shopId] = {
+        shopUrl,
+        shopSecret,
+        apiKey: null,
+        secretKey: null,
+        confirmed: false,
+        registeredAt: Date.now(),
+        confirmedAt: null
+    };
+    saveShops();
+
+    return {
+        response: {
+            proof: sign(shopId + shopUrl + appName, appSecret),
+            secret: shopSecret,
+            confirmation_url: confirmationUrl
+        }
+    };
+}
+
+// --- Step 2 of the app handshake: POST /shopware/confirm ---
+// The body is signed with the shop secret handed out during registration.
+function handleConfirmation({ rawBody, body, signature }) {
+    const shop = body && shops[body.shopId];
+    if (!shop) {
+        return { error: 'Unknown shop.' };
+    }
+    if (!signatureMatches(rawBody, shop.shopSecret, signature)) {
+        return { error: 'Invalid shop signature.' };
+    }
+
+    shop.apiKey = body.apiKey || null;
+    shop.secretKey = body.secretKey || null;
+    if (body.shopUrl) shop.shopUrl = body.shopUrl;
+    shop.confirmed = true;
+    shop.confirmedAt = Date.now();
+    saveShops();
+
+    return { shopId: body.shopId };
+}
+
+// --- Verify a signed webhook from a registered shop ---
+// Returns the shop id on success or null.
+function verifyWebhook({ rawBody, body, signature }) {
+    const shopId = body && body.source && body.source.shopId;
+    const shop = shopId && shops[shopId];
+    if (!shop || !shop.confirmed) {
+        return null;
+    }
+    return signatureMatches(rawBody, shop.shopSecret, signature) ? shopId : null;
+}
+
+module.exports = {
+    loadShops,
+    handleRegistration,
+    handleConfirmation,
+    verifyWebhook
+};
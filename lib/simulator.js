@@ -0,0 +1,349 @@
+const WebSocket = require('ws');
+const { evaluatePattern } = require('./patterns');
+
+// --- Simulated relay board ---
+// Connects to /ws/esp32 like the ESP32 firmware and speaks the same protocol (see lib/devices.js):
+// hello, acknowledgements, status reports, clock sync and, with `plans`, execution plans run locally.
+// Every relay change is recorded with its timestamp, so relay timing can be checked without hardware:
+//
+//   const board = createSimulatedBoard({ url: 'ws://localhost:3000/ws/esp32?secret=...', deviceId: 'sim-1' });
+//   board.connect();
+//   const transition = await board.waitForTransition({ relay: '1', on: true });
+//
+// Latency (plus random jitter) delays every message in both directions. disconnect() drops the
+// connection without a close handshake, like a board losing power or WiFi, and reconnects after `forMs`.
+// The dashboard's virtual boards are simulated boards run inside the server.
+
+const PROTOCOL_VERSION = 2;
+const MAX_TRANSITIONS = 1000; // Oldest transitions are dropped beyond this
+const PLAN_TICK_MS = 10; // Relay update interval while running a plan
+const CLOCK_SYNC_INTERVAL_MS = 60000;
+
+function createSimulatedBoard({
+    url,
+    deviceId,
+    relayCount = 4,
+    latencyMs = 0,
+    jitterMs = 0,
+    plans = false,
+    firmware = 'simulator',
+    onTransition = null
+}) {
+    const startedAt = Date.now();
+    let ws = null;
+    let connected = false;
+    let reconnectTimer = null;
+    let planTimer = null;
+    let clockTimer = null;
+    let clockOffsetMs = 0; // Server clock minus local clock
+    let plan = null; // Running plan: { planId, startAt, relays }
+    let alarmEnabled = true;
+    let triggerActive = false;
+    let lastSeq = null;
+    let disconnects = 0;
+    let closed = false;
+    const relays = {};
+    const transitions = []; // [{ relay, on, at, source: 'state' | 'plan' | 'reset' }]
+    const waiters = [];
+
+    for (let i = 1; i <= relayCount; i++) relays[String(i)] = false;
+
+    // --- Delay by the configured latency plus jitter ---
+    function delayed(fn) {
+        const delayMs = latencyMs + (jitterMs > 0 ? Math.random() * jitterMs : 0);
+        if (delayMs > 0) {
+            setTimeout(fn, delayMs);
+        } else {
+            fn();
+        }
+    }
+
+    function send(data) {
+        const socket = ws;
+        delayed(() => {
+            if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(data));
+        });
+    }
+
+    function sendStatus() {
+        send({ type: 'status', relays: { ...relays }, uptimeMs: Date.now() - startedAt });
+    }
+
+    // --- Switch relays, recording each change ---
+    function applyRelays(states, source) {
+        const at = Date.now();
+        let anyChange = false;
+        for (const relay in relays) {
+            const on = !!states[relay];
+            if (relays[relay] === on) continue;
+            relays[relay] = on;
+            anyChange = true;
+            const transition = { relay, on, at, source };
+            transitions.push(transition);
+            if (transitions.length > MAX_TRANSITIONS) transitions.shift();
+            if (onTransition) onTransition(transition);
+            for (let i = waiters.length - 1; i >= 0; i--) {
+                if (waiters[i].matches(transition)) {
+                    waiters[i].resolve(transition);
+                    waiters.splice(i, 1);
+                }
+            }
+        }
+        return anyChange;
+    }
+
+    function allOff() {
+        const states = {};
+        for (const relay in relays) states[relay] = false;
+        return states;
+    }
+
+    // --- Plan execution: a relay is on while any of its patterns is on, in server time ---
+    function planTick() {
+        if (!plan) return;
+        const elapsedMs = Date.now() + clockOffsetMs - plan.startAt;
+        const states = {};
+        let finished = true;
+        for (const relay in relays) {
+            states[relay] = (plan.relays[relay] || []).some(({ offsetMs, pattern }) => {
+                const result = evaluatePattern(pattern, elapsedMs - offsetMs);
+                if (!result.finished) finished = false;
+                return result.on;
+            });
+        }
+        if (applyRelays(states, 'plan') || finished) {
+            send({ type: 'progress', planId: plan.planId, elapsedMs: Math.max(0, elapsedMs), relays: { ...relays }, finished });
+        }
+        if (finished) stopPlan();
+    }
+
+    function stopPlan() {
+        plan = null;
+        if (planTimer) {
+            clearInterval(planTimer);
+            planTimer = null;
+        }
+    }
+
+    function syncClock() {
+        send({ type: 'time', t0: Date.now() });
+    }
+
+    function handleMessage(text) {
+        let msg;
+        try {
+            msg = JSON.parse(text);
+        } catch (error) {
+            return;
+        }
+        switch (msg.type) {
+            case 'welcome':
+                if (plans) syncClock();
+                break;
+            case 'time': {
+                const now = Date.now();
+                const rttMs = now - msg.t0;
+                clockOffsetMs = Math.round(msg.serverTime + rttMs / 2 - now);
+                send({ type: 'clock', offsetMs: clockOffsetMs, rttMs });
+                break;
+            }
+            case 'state': {
+                if (typeof msg.seq === 'number') {
+                    lastSeq = msg.seq;
+                    send({ type: 'ack', seq: msg.seq });
+                }
+                alarmEnabled = msg.alarmEnabled !== false;
+                triggerActive = !!msg.triggerActive;
+                if (msg.mode === 'stream') stopPlan(); // Switched to streaming, like the firmware
+                if (msg.reset) {
+                    stopPlan();
+                    applyRelays(allOff(), 'reset');
+                } else if (msg.relays) {
+                    applyRelays(msg.relays, 'state'); // Plan-mode updates carry no relays
+                }
+                sendStatus();
+                break;
+            }
+            case 'plan':
+                send({ type: 'ack', seq: msg.seq });
+                stopPlan();
+                plan = { planId: msg.planId, startAt: msg.startAt, relays: msg.relays || {} };
+                planTimer = setInterval(planTick, PLAN_TICK_MS);
+                planTick();
+                break;
+            case 'cancel':
+                send({ type: 'ack', seq: msg.seq });
+                if (msg.planId === null || (plan && plan.planId === msg.planId)) {
+                    stopPlan();
+                    if (applyRelays(allOff(), 'plan')) sendStatus();
+                }
+                break;
+        }
+    }
+
+    function connect() {
+        closed = false;
+        if (ws && ws.readyState !== WebSocket.CLOSED) return;
+        const socket = new WebSocket(url);
+        ws = socket;
+        socket.on('open', () => {
+            connected = true;
+            send({
+                type: 'hello',
+                protocol: PROTOCOL_VERSION,
+                deviceId,
+                firmware,
+                relayCount,
+                uptimeMs: Date.now() - startedAt,
+                capabilities: plans ? ['plan'] : []
+            });
+            if (plans) clockTimer = setInterval(syncClock, CLOCK_SYNC_INTERVAL_MS);
+        });
+        socket.on('message', data => delayed(() => handleMessage(data.toString())));
+        socket.on('close', () => {
+            if (ws !== socket) return;
+            connected = false;
+            if (clockTimer) {
+                clearInterval(clockTimer);
+                clockTimer = null;
+            }
+        });
+        socket.on('error', error => {
+            console.warn(`Simulated board ${deviceId}: ${error.message}`);
+        });
+    }
+
+    // --- Drop the connection without a close handshake; reconnect after `forMs` (never if null) ---
+    // Relays keep their state while disconnected, like the firmware does.
+    function disconnect({ forMs = null } = {}) {
+        if (!ws) return;
+        disconnects++;
+        ws.terminate();
+        if (reconnectTimer) clearTimeout(reconnectTimer);
+        reconnectTimer = forMs === null ? null : setTimeout(() => {
+            reconnectTimer = null;
+            if (!closed) connect();
+        }, forMs);
+    }
+
+    // --- Close for good: connection, timers and pending waits ---
+    function close() {
+        closed = true;
+        if (reconnectTimer) clearTimeout(reconnectTimer);
+        reconnectTimer = null;
+        stopPlan();
+        if (clockTimer) clearInterval(clockTimer);
+        clockTimer = null;
+        if (ws) ws.close();
+        waiters.splice(0).forEach(waiter => waiter.reject(new Error(`Simulated board ${deviceId} closed.`)));
+    }
+
+    function setLatency(newLatencyMs, newJitterMs = 0) {
+        latencyMs = newLatencyMs;
+        jitterMs = newJitterMs;
+    }
+
+    // --- Physical button: 'acknowledge' or 'silence' ---
+    function pressButton(action) {
+        send({ type: 'button', action });
+    }
+
+    // --- Resolve with the next transition matching { relay, on } (either may be omitted) ---
+    function waitForTransition({ relay, on } = {}, timeoutMs = 10000) {
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                matches: transition => (relay === undefined || transition.relay === String(relay))
+                    && (on === undefined || transition.on === on),
+                resolve: transition => {
+                    clearTimeout(waiter.timer);
+                    resolve(transition);
+                },
+                reject: error => {
+                    clearTimeout(waiter.timer);
+                    reject(error);
+                }
+            };
+            waiter.timer = setTimeout(() => {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                reject(new Error(`Simulated board ${deviceId}: no transition of relay ${relay} to ${on} within ${timeoutMs} ms.`));
+            }, timeoutMs);
+            waiters.push(waiter);
+        });
+    }
+
+    // --- Recorded relay changes, optionally only those at or after `since` (ms timestamp) ---
+    function getTransitions(since = 0) {
+        return transitions.filter(transition => transition.at >= since);
+    }
+
+    function clearTransitions() {
+        transitions.length = 0;
+    }
+
+    function getStatus() {
+        return {
+            deviceId,
+            relayCount,
+            connected,
+            latencyMs,
+            jitterMs,
+            plans,
+            reconnecting: !!reconnectTimer,
+            disconnects,
+            alarmEnabled,
+            triggerActive,
+            lastSeq,
+            clockOffsetMs,
+            planId: plan ? plan.planId : null,
+            relays: { ...relays }
+        };
+    }
+
+    return {
+        deviceId,
+        connect,
+        disconnect,
+        close,
+        setLatency,
+        pressButton,
+        waitForTransition,
+        getTransitions,
+        clearTransitions,
+        getStatus
+    };
+}
+
+// --- Run a simulated board from the command line ---
+// node lib/simulator.js --url=ws://localhost:3000/ws/esp32 --secret=... [--id=sim-1] [--relays=4]
+//                       [--latency=0] [--jitter=0] [--plans]
+// Prints every relay transition.
+if (require.main === module) {
+    require('dotenv').config();
+    const args = {};
+    process.argv.slice(2).forEach(arg => {
+        const [key, ...value] = arg.replace(/^--/, '').split('=');
+        args[key] = value.length ? value.join('=') : true;
+    });
+    const url = new URL(args.url || `ws://localhost:${process.env.PORT || 3000}/ws/esp32`);
+    url.searchParams.set('secret', args.secret || process.env.ESP32_SECRET || '');
+    const board = createSimulatedBoard({
+        url: url.toString(),
+        deviceId: args.id || 'simulator',
+        relayCount: parseInt(args.relays || '4', 10),
+        latencyMs: parseInt(args.latency || '0', 10),
+        jitterMs: parseInt(args.jitter || '0', 10),
+        plans: args.plans === true,
+        onTransition: ({ relay, on, at, source }) => {
+            console.log(`${new Date(at).toISOString()} relay ${relay} ${on ? 'ON ' : 'OFF'} (${source})`);
+        }
+    });
+    board.connect();
+    process.on('SIGINT', () => {
+        board.close();
+        process.exit(0);
+    });
+}
+
+module.exports = {
+    createSimulatedBoard
+};
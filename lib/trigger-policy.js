@@ -0,0 +1,93 @@
+// --- What happens when an order arrives while an alarm is already running ---
+// Policies:
+//   restart   - the new order restarts the alarm with its own pattern (behaviour of older versions)
+//   extend    - the running alarm plays its pattern once more per order
+//   queue     - every order plays once; orders arriving during an alarm wait their turn
+//   coalesce  - orders within `coalesceWindowMs` of the alarm start join the running alarm, later ones restart it
+//   ignore    - orders are ignored while an alarm runs and for `cooldownMs` after it ended
+// Independent of the policy, at most `maxPerMinute` orders per minute start, restart, extend or queue
+// an alarm (0 = no limit), and at most `maxPending` plays can wait in the queue or as extensions.
+
+const TRIGGER_POLICIES = ['restart', 'extend', 'queue', 'coalesce', 'ignore'];
+const MAX_WINDOW_MS = 3600000; // 1 hour for the coalesce window and the cooldown
+const MAX_PER_MINUTE = 60;
+const MAX_PENDING = 100;
+const RATE_WINDOW_MS = 60000;
+
+const DEFAULT_TRIGGER_POLICY = {
+    mode: 'restart',
+    coalesceWindowMs: 30000,
+    cooldownMs: 60000,
+    maxPerMinute: 0,
+    maxPending: 10
+};
+
+// --- Decide what an incoming order does ---
+// state: { now, activeTrigger, pending (queued or extension plays waiting), lastEndedAt (ms or null),
+//          recentTriggers (timestamps of orders that started, restarted, extended or queued an alarm) }
+// Returns { action: 'started' | 'restarted' | 'extended' | 'queued' | 'coalesced' | 'ignored', reason }
+function decideTrigger(policy, { now, activeTrigger, pending, lastEndedAt, recentTriggers }) {
+    let action;
+    if (!activeTrigger) {
+        if (policy.mode === 'ignore' && lastEndedAt !== null && now - lastEndedAt < policy.cooldownMs) {
+            const seconds = Math.ceil((lastEndedAt + policy.cooldownMs - now) / 1000);
+            return { action: 'ignored', reason: `Cooling down after the last alarm, orders trigger again in ${seconds}s.` };
+        }
+        action = 'started';
+    } else {
+        switch (policy.mode) {
+            case 'extend':
+            case 'queue':
+                if (pending >= policy.maxPending) {
+                    return { action: 'ignored', reason: `${pending} orders are already pending.` };
+                }
+                action = policy.mode === 'extend' ? 'extended' : 'queued';
+                break;
+            case 'coalesce':
+                action = now - activeTrigger.timestamp < policy.coalesceWindowMs ? 'coalesced' : 'restarted';
+                break;
+            case 'ignore':
+                return { action: 'ignored', reason: 'An alarm is already running.' };
+            default:
+                action = 'restarted';
+        }
+    }
+
+    // Joining the running alarm changes nothing audible, everything else counts against the limit
+    if (action !== 'coalesced' && policy.maxPerMinute > 0
+        && recentTriggers.filter(timestamp => now - timestamp < RATE_WINDOW_MS).length >= policy.maxPerMinute) {
+        return { action: 'ignored', reason: `Limit of ${policy.maxPerMinute} alarms per minute reached.` };
+    }
+    return { action, reason: null };
+}
+
+// --- Validate a trigger policy; returns an error message or null ---
+function validateTriggerPolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+        return 'Invalid trigger policy.';
+    }
+    if (!TRIGGER_POLICIES.includes(policy.mode)) {
+        return `Invalid trigger policy. Use one of: ${TRIGGER_POLICIES.join(', ')}.`;
+    }
+    if (!Number.isInteger(policy.coalesceWindowMs) || policy.coalesceWindowMs < 0 || policy.coalesceWindowMs > MAX_WINDOW_MS) {
+        return `Invalid coalesce window. Must be between 0 and ${MAX_WINDOW_MS} ms.`;
+    }
+    if (!Number.isInteger(policy.cooldownMs) || policy.cooldownMs < 0 || policy.cooldownMs > MAX_WINDOW_MS) {
+        return `Invalid cooldown. Must be between 0 and ${MAX_WINDOW_MS} ms.`;
+    }
+    if (!Number.isInteger(policy.maxPerMinute) || policy.maxPerMinute < 0 || policy.maxPerMinute > MAX_PER_MINUTE) {
+        return `Invalid limit per minute. Must be between 0 (no limit) and ${MAX_PER_MINUTE}.`;
+    }
+    if (!Number.isInteger(policy.maxPending) || policy.maxPending < 1 || policy.maxPending > MAX_PENDING) {
+        return `Invalid number of pending orders. Must be between 1 and ${MAX_PENDING}.`;
+    }
+    return null;
+}
+
+module.exports = {
+    TRIGGER_POLICIES,
+    DEFAULT_TRIGGER_POLICY,
+    RATE_WINDOW_MS,
+    decideTrigger,
+    validateTriggerPolicy
+};
@@ -0,0 +1,283 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+
+// --- Trigger sources: systems allowed to raise the alarm through POST /api/triggers/:source ---
+// Each source has its own credential, can be disabled or revoked on its own and may play a fixed
+// alarm profile instead of going through the order rules. Types:
+//   generic     - any system; sends its API key as `Authorization: Bearer <key>` or `X-Api-Key`
+//   woocommerce - WooCommerce order webhook, signed with the webhook secret (X-WC-Webhook-Signature)
+//   shopify     - Shopify orders/create webhook, signed with the app's secret (X-Shopify-Hmac-Sha256)
+// Generic keys are stored hashed. Webhook secrets are needed to check signatures and are stored as
+// given; like the devices file, data/sources.json is only readable by the server's user.
+
+// --- Configuration Constants ---
+const SOURCES_FILE = path.join(DATA_DIR, 'sources.json');
+const SOURCE_TYPES = ['generic', 'woocommerce', 'shopify'];
+const MAX_SECRET_LENGTH = 200;
+
+// Topics that create an order; anything else (updates, deletions, ...) is acknowledged without triggering
+const ORDER_TOPICS = {
+    woocommerce: 'order.created',
+    shopify: 'orders/create'
+};
+
+// --- In-memory sources: [{ id, name, type, enabled, profile, keyHash, secret, revoked, createdAt, revokedAt }] ---
+let triggerSources = [];
+
+// --- Load trigger sources from file ---
+function loadTriggerSources() {
+    if (fs.existsSync(SOURCES_FILE)) {
+        try {
+            triggerSources = JSON.parse(fs.readFileSync(SOURCES_FILE, 'utf8'));
+            console.log('Trigger sources loaded:', triggerSources.map(s => s.id));
+        } catch (error) {
+            console.error('Error loading trigger sources file:', error);
+            triggerSources = [];
+        }
+    }
+}
+
+// --- Save trigger sources to file ---
+function saveTriggerSources() {
+    try {
+        fs.mkdirSync(path.dirname(SOURCES_FILE), { recursive: true });
+        fs.writeFileSync(SOURCES_FILE, JSON.stringify(triggerSources, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+        console.error('Error saving trigger sources file:', error);
+    }
+}
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function safeEqual(a, b) {
+    const expected = Buffer.from(a, 'utf8');
+    const given = Buffer.from(b, 'utf8');
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// --- Public view of a source (never includes the key hash or webhook secret) ---
+function toPublic(source) {
+    const { keyHash, secret, ...rest } = source;
+    return rest;
+}
+
+function listTriggerSources() {
+    return triggerSources.map(toPublic);
+}
+
+function getTriggerSource(id) {
+    const source = triggerSources.find(s => s.id === id);
+    return source ? toPublic(source) : null;
+}
+
+// --- Names of the profiles sources play, to keep profiles in use from being deleted ---
+function profilesInUse() {
+    return triggerSources.filter(s => s.profile).map(s => s.profile);
+}
+
+// --- Set a new credential on a source; returns the key or secret to hand out (only available here) ---
+// Generic sources always get a generated key. Webhook sources use the given secret, or a generated
+// one for WooCommerce (the secret is entered in the shop); Shopify's secret always comes from Shopify.
+function issueCredential(source, secret) {
+    if (source.type === 'generic') {
+        const key = crypto.randomBytes(24).toString('hex');
+        source.keyHash = hashKey(key);
+        return key;
+    }
+    source.secret = secret || crypto.randomBytes(24).toString('hex');
+    return source.secret;
+}
+
+function validateSecret(type, secret) {
+    if (secret === undefined || secret === null || secret === '') {
+        return type === 'shopify' ? 'Shopify sources need the webhook signing secret shown in the Shopify admin.' : null;
+    }
+    if (type === 'generic') {
+        return 'Generic sources use a generated API key.';
+    }
+    if (typeof secret !== 'string' || secret.length > MAX_SECRET_LENGTH) {
+        return `Invalid webhook secret, use up to ${MAX_SECRET_LENGTH} characters.`;
+    }
+    return null;
+}
+
+// --- Validate a new source; returns an error message or null ---
+// profileNames: the configured alarm profiles a source may play
+function validateTriggerSource({ id, name, type, profile, secret }, profileNames) {
+    if (typeof id !== 'string' || !/^[\w\-.]{1,64}$/.test(id)) {
+        return 'Invalid source id. Use up to 64 letters, digits, -, _ or .';
+    }
+    if (triggerSources.some(s => s.id === id)) {
+        return `Source "${id}" already exists.`;
+    }
+    if (!SOURCE_TYPES.includes(type)) {
+        return `Invalid source type. Use one of: ${SOURCE_TYPES.join(', ')}.`;
+    }
+    return validateSourceChanges({ name, profile }, profileNames) || validateSecret(type, secret);
+}
+
+// --- Validate changes to a source's name, enabled flag or profile; returns an error message or null ---
+function validateSourceChanges({ name, enabled, profile }, profileNames) {
+    if (name !== undefined && (typeof name !== 'string' || name.trim() === '' || name.length > 100)) {
+        return 'Invalid source name.';
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'Invalid enabled flag.';
+    }
+    if (profile !== undefined && profile !== null && profile !== '' && !profileNames.includes(profile)) {
+        return `Unknown profile "${profile}".`;
+    }
+    return null;
+}
+
+// --- Add a new source; returns { source, key } (the key or secret is only available here) ---
+function addTriggerSource({ id, name, type, profile, secret }) {
+    const source = {
+        id,
+        name: name.trim(),
+        type,
+        enabled: true,
+        profile: profile || null,
+        revoked: false,
+        createdAt: Date.now(),
+        revokedAt: null
+    };
+    const key = issueCredential(source, secret);
+    triggerSources.push(source);
+    saveTriggerSources();
+    return { source: toPublic(source), key };
+}
+
+// --- Change a source's name, enabled flag or profile; returns the source or null ---
+function updateTriggerSource(id, { name, enabled, profile }) {
+    const source = triggerSources.find(s => s.id === id);
+    if (!source) return null;
+    if (name !== undefined) source.name = name.trim();
+    if (enabled !== undefined) source.enabled = enabled;
+    if (profile !== undefined) source.profile = profile || null;
+    saveTriggerSources();
+    return toPublic(source);
+}
+
+// --- Replace a source's credential, also reinstating a revoked source; returns { source, key } or null ---
+function rotateTriggerSourceKey(id, secret) {
+    const source = triggerSources.find(s => s.id === id);
+    if (!source) return null;
+    const key = issueCredential(source, secret);
+    source.revoked = false;
+    source.revokedAt = null;
+    saveTriggerSources();
+    return { source: toPublic(source), key };
+}
+
+function revokeTriggerSource(id) {
+    const source = triggerSources.find(s => s.id === id);
+    if (!source) return null;
+    source.revoked = true;
+    source.revokedAt = Date.now();
+    saveTriggerSources();
+    return toPublic(source);
+}
+
+function removeTriggerSource(id) {
+    const index = triggerSources.findIndex(s => s.id === id);
+    if (index === -1) return false;
+    triggerSources.splice(index, 1);
+    saveTriggerSources();
+    return true;
+}
+
+// --- Check the credential of a request; `header(name)` reads a request header ---
+function credentialMatches(source, { rawBody, header }) {
+    if (source.type === 'generic') {
+        const authorization = header('authorization') || '';
+        const key = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : header('x-api-key');
+        return typeof key === 'string' && key !== '' && safeEqual(source.keyHash, hashKey(key));
+    }
+    const signature = header(source.type === 'woocommerce' ? 'x-wc-webhook-signature' : 'x-shopify-hmac-sha256');
+    if (typeof signature !== 'string' || !source.secret || typeof rawBody !== 'string') return false;
+    const expected = crypto.createHmac('sha256', source.secret).update(rawBody, 'utf8').digest('base64');
+    return safeEqual(expected, signature.trim());
+}
+
+// --- Find the active (not revoked) source a request comes from ---
+// Returns the public source, or null if it is unknown, revoked or the credential does not match
+function authenticateTrigger(id, request) {
+    const source = triggerSources.find(s => s.id === id);
+    if (!source || source.revoked || !credentialMatches(source, request)) {
+        return null;
+    }
+    return toPublic(source);
+}
+
+// --- WooCommerce's delivery test when a webhook is saved: a form post with just `webhook_id`, unsigned ---
+// Only this shape counts as a ping, other shops and generic sources have no unsigned test request.
+function isWebhookPing(body) {
+    return !!body && typeof body === 'object' && Object.keys(body).length === 1 && body.webhook_id !== undefined;
+}
+
+function firstShippingMethod(lines, key) {
+    return Array.isArray(lines) && lines.length > 0 ? lines[0][key] || null : null;
+}
+
+function productNumbers(lineItems) {
+    return Array.isArray(lineItems) ? lineItems.map(item => item && item.sku).filter(Boolean) : [];
+}
+
+// --- Translate a request into the order the alarm uses ---
+// Returns { order } with the fields order rules understand (see lib/rules.js), or { ignore: reason }
+// for webhooks that don't announce a new order. Generic sources send their own payload, passed on as is.
+function readTriggerOrder(source, { body, header }) {
+    body = body && typeof body === 'object' ? body : {};
+    if (source.type === 'generic') {
+        const orderNumber = body.orderNumber || body.reference || body.id || null;
+        return { order: orderNumber ? { ...body, orderNumber } : body };
+    }
+
+    const topic = header(source.type === 'woocommerce' ? 'x-wc-webhook-topic' : 'x-shopify-topic');
+    if (topic !== ORDER_TOPICS[source.type]) {
+        return { ignore: `Webhook topic "${topic || 'none'}" does not announce a new order.` };
+    }
+    if (source.type === 'woocommerce') {
+        return {
+            order: {
+                orderNumber: body.number || body.id || null,
+                total: body.total,
+                shippingMethod: firstShippingMethod(body.shipping_lines, 'method_title'),
+                productNumbers: productNumbers(body.line_items)
+            }
+        };
+    }
+    return {
+        order: {
+            orderNumber: body.name || body.order_number || body.id || null,
+            total: body.total_price,
+            salesChannel: body.source_name || null,
+            shippingMethod: firstShippingMethod(body.shipping_lines, 'title'),
+            productNumbers: productNumbers(body.line_items)
+        }
+    };
+}
+
+module.exports = {
+    SOURCE_TYPES,
+    loadTriggerSources,
+    listTriggerSources,
+    getTriggerSource,
+    profilesInUse,
+    validateTriggerSource,
+    validateSourceChanges,
+    validateSecret,
+    addTriggerSource,
+    updateTriggerSource,
+    rotateTriggerSourceKey,
+    revokeTriggerSource,
+    removeTriggerSource,
+    authenticateTrigger,
+    isWebhookPing,
+    readTriggerOrder
+};
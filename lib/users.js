@@ -0,0 +1,178 @@
+const bcrypt = require('bcryptjs');
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./data-dir');
+
+// --- Configuration Constants ---
+const USERS_FILE = path.join(DATA_DIR, 'users.json'); // User credentials file
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+// Roles in ascending order, each includes the permissions of the ones before it:
+//   viewer   - read-only dashboard
+//   operator - can also test relays and deactivate alarms
+//   admin    - can also change settings, devices and users
+const ROLES = ['viewer', 'operator', 'admin'];
+
+// --- In-memory users: [{ username, passwordHash, role, disabled, createdAt }] ---
+let users = [];
+
+// Compared against when the username is unknown, so both cases take the same time
+const DUMMY_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+// --- Load users from file, hashing plain-text passwords left from older versions ---
+function loadUsers() {
+    if (!fs.existsSync(USERS_FILE)) {
+        console.error('Users file not found at:', USERS_FILE);
+        console.error(`Please create ${USERS_FILE} with at least one user.`);
+        // Optionally create a default user here, but it's better to require manual creation for security
+        users = [];
+        return;
+    }
+    try {
+        users = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+    } catch (error) {
+        console.error('Error loading users file:', error);
+        users = []; // Reset users if file is corrupted
+        return;
+    }
+
+    let migrated = false;
+    users.forEach(user => {
+        if (user.password !== undefined) {
+            user.passwordHash = bcrypt.hashSync(String(user.password), BCRYPT_ROUNDS);
+            delete user.password;
+            migrated = true;
+        }
+        if (!ROLES.includes(user.role)) {
+            user.role = 'admin'; // Users from before roles could change everything
+            migrated = true;
+        }
+        if (user.disabled === undefined) {
+            user.disabled = false;
+            migrated = true;
+        }
+    });
+    if (migrated) {
+        saveUsers();
+        console.log('Users file migrated to hashed passwords and roles.');
+    }
+    console.log('Users loaded:', users.map(u => u.username)); // Log usernames, not passwords
+}
+
+// --- Save users to file ---
+function saveUsers() {
+    try {
+        fs.mkdirSync(path.dirname(USERS_FILE), { recursive: true });
+        fs.writeFileSync(USERS_FILE, JSON.stringify(users, null, 2), { encoding: 'utf8', mode: 0o600 });
+    } catch (error) {
+        console.error('Error saving users file:', error);
+    }
+}
+
+// --- Public view of a user (never includes the password hash) ---
+function toPublic(user) {
+    const { passwordHash, ...rest } = user;
+    return rest;
+}
+
+function listUsers() {
+    return users.map(toPublic);
+}
+
+// --- Active (not disabled) user by name, or null ---
+function getActiveUser(username) {
+    const user = users.find(u => u.username === username);
+    return user && !user.disabled ? toPublic(user) : null;
+}
+
+// --- Check a login; resolves to the public user or null ---
+async function authenticateUser(username, password) {
+    const user = users.find(u => u.username === username);
+    const matches = await bcrypt.compare(String(password || ''), user ? user.passwordHash : DUMMY_HASH);
+    return user && matches && !user.disabled ? toPublic(user) : null;
+}
+
+// --- Does a role include the permissions of the required role? ---
+function hasRole(role, requiredRole) {
+    return ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+}
+
+function validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH || password.length > 200) {
+        return `Passwords need between ${MIN_PASSWORD_LENGTH} and 200 characters.`;
+    }
+    return null;
+}
+
+// --- Validate a new user; returns an error message or null ---
+function validateUser({ username, password, role }) {
+    if (typeof username !== 'string' || !/^[\w\-.@]{1,50}$/.test(username)) {
+        return 'Invalid username. Use up to 50 letters, digits, -, _, . or @.';
+    }
+    if (users.some(u => u.username === username)) {
+        return `User "${username}" already exists.`;
+    }
+    if (!ROLES.includes(role)) {
+        return `Invalid role. Use one of: ${ROLES.join(', ')}.`;
+    }
+    return validatePassword(password);
+}
+
+async function addUser({ username, password, role }) {
+    const user = {
+        username,
+        passwordHash: await bcrypt.hash(password, BCRYPT_ROUNDS),
+        role,
+        disabled: false,
+        createdAt: Date.now()
+    };
+    users.push(user);
+    saveUsers();
+    return toPublic(user);
+}
+
+// --- Would the change leave no active admin? ---
+function isLastAdmin(username) {
+    const admins = users.filter(u => u.role === 'admin' && !u.disabled);
+    return admins.length === 1 && admins[0].username === username;
+}
+
+async function resetPassword(username, password) {
+    const user = users.find(u => u.username === username);
+    if (!user) return null;
+    user.passwordHash = await bcrypt.hash(password, BCRYPT_ROUNDS);
+    saveUsers();
+    return toPublic(user);
+}
+
+function setUserDisabled(username, disabled) {
+    const user = users.find(u => u.username === username);
+    if (!user) return null;
+    user.disabled = disabled;
+    saveUsers();
+    return toPublic(user);
+}
+
+function setUserRole(username, role) {
+    const user = users.find(u => u.username === username);
+    if (!user) return null;
+    user.role = role;
+    saveUsers();
+    return toPublic(user);
+}
+
+module.exports = {
+    ROLES,
+    loadUsers,
+    listUsers,
+    getActiveUser,
+    authenticateUser,
+    hasRole,
+    validatePassword,
+    validateUser,
+    addUser,
+    isLastAdmin,
+    resetPassword,
+    setUserDisabled,
+    setUserRole
+};
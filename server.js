@@ -1,11 +1,148 @@
 require('dotenv').config();
 
+const crypto = require('crypto');
 const express = require('express');
 const bodyParser = require('body-parser');
 const session = require('express-session');
 const fs = require('fs');
 const path = require('path');
 const WebSocket = require('ws');
+const { loadEvents, recordEvent, onEvent, queryEvents } = require('./lib/events');
+const { evaluateRules, validateRules } = require('./lib/rules');
+const { loadAudit, recordAudit, getAuditEntry, filterAudit, queryAudit, auditToCsv } = require('./lib/audit');
+const {
+    resolvePattern,
+    patternDurationMs,
+    evaluatePattern,
+    previewPattern,
+    validatePattern,
+    cleanPattern,
+    testPulseMs
+} = require('./lib/patterns');
+const { WEEKDAYS, getLocalDate, getScheduleState, validateSchedule } = require('./lib/schedule');
+const { getEscalationStep, validateAcknowledgement } = require('./lib/acknowledgement');
+const { TRIGGER_POLICIES, RATE_WINDOW_MS, decideTrigger, validateTriggerPolicy } = require('./lib/trigger-policy');
+const { RESTART_MODES, RUNTIME_HEARTBEAT_MS, recoverTrigger, validateRestartPolicy } = require('./lib/restart-policy');
+const {
+    CHANNEL_TYPES,
+    DEFAULT_TEMPLATES,
+    loadDeliveries,
+    notifyChannels,
+    deliver,
+    queryDeliveries,
+    maskChannels,
+    resolveChannels,
+    validateNotifications,
+    cleanChannel
+} = require('./lib/notifications');
+const {
+    MAX_RELAYS,
+    createDefaultSettings,
+    validateRelays,
+    validateProfiles,
+    validatePatternLibrary,
+    knownOutputTargets,
+    validateSettings
+} = require('./lib/settings-schema');
+const { DATA_DIR } = require('./lib/data-dir');
+const { SETTINGS_VERSION, loadSettingsFile, saveSettingsFile, loadRuntimeFile, saveRuntimeFile } = require('./lib/settings-store');
+const {
+    registerConnection,
+    unregisterConnection,
+    isDeviceConnection,
+    getDevice,
+    isPlanConnection,
+    sendState,
+    sendPlan,
+    cancelPlan,
+    resetDevice,
+    handleDeviceMessage,
+    startAckMonitor,
+    setExecutionMode,
+    suspendPlans,
+    disconnectDevice,
+    updateMqttDevice,
+    getDevices
+} = require('./lib/devices');
+const { startMqttBridge, publishState, publishEvent, isMqttConnected } = require('./lib/mqtt-bridge');
+const {
+    loadRegisteredDevices,
+    listRegisteredDevices,
+    getRegisteredDevice,
+    authenticateDevice,
+    validateDevice,
+    addRegisteredDevice,
+    revokeRegisteredDevice,
+    setRegisteredDeviceMode,
+    removeRegisteredDevice,
+    validateOutputMap,
+    EXECUTION_MODES
+} = require('./lib/device-registry');
+const {
+    ROLES,
+    loadUsers,
+    listUsers,
+    getActiveUser,
+    authenticateUser,
+    hasRole,
+    validatePassword,
+    validateUser,
+    addUser,
+    isLastAdmin,
+    resetPassword,
+    setUserDisabled,
+    setUserRole
+} = require('./lib/users');
+const { loadShops, handleRegistration, handleConfirmation, verifyWebhook } = require('./lib/shopware');
+const {
+    SOURCE_TYPES,
+    loadTriggerSources,
+    listTriggerSources,
+    getTriggerSource,
+    profilesInUse,
+    validateTriggerSource,
+    validateSourceChanges,
+    validateSecret,
+    addTriggerSource,
+    updateTriggerSource,
+    rotateTriggerSourceKey,
+    revokeTriggerSource,
+    removeTriggerSource,
+    authenticateTrigger,
+    isWebhookPing,
+    readTriggerOrder
+} = require('./lib/trigger-sources');
+const { createSimulatedBoard } = require('./lib/simulator');
+const {
+    TOKEN_SCOPES,
+    loadApiTokens,
+    listApiTokens,
+    getApiToken,
+    scopeRole,
+    validateApiToken,
+    createApiToken,
+    revokeApiToken,
+    authenticateApiToken
+} = require('./lib/api-tokens');
+const { buildOpenApiDocument } = require('./lib/openapi');
+const { CONTENT_TYPE: METRICS_CONTENT_TYPE, countMetric, observeRelayStates, renderMetrics } = require('./lib/metrics');
+const {
+    enforceSafety,
+    getSafetyViolations,
+    clearSafetyViolations,
+    getSafetyUsage,
+    hasSafetyLimits,
+    validateSafety
+} = require('./lib/relay-safety');
+const {
+    DEFAULT_SECURITY,
+    createAttemptLimiter,
+    isSessionExpired,
+    createCsrfToken,
+    csrfTokenMatches,
+    validateSecurity,
+    parseTrustProxy
+} = require('./lib/security');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -14,35 +151,54 @@ const PORT = process.env.PORT || 3000;
 const ORDER_WEBHOOK_SECRET = process.env.ORDER_WEBHOOK_SECRET || 'your_order_webhook_secret_here'; // ENV VAR!
 const ESP32_SECRET = process.env.ESP32_SECRET || 'your_esp32_device_secret_here'; // ENV VAR!
 const SESSION_SECRET = process.env.SESSION_SECRET || 'super_secret_session_key'; // ENV VAR!
-
-const SETTINGS_FILE = path.join(__dirname, 'data', 'settings.json'); // Persist settings to file
-const USERS_FILE = path.join(__dirname, 'data', 'users.json'); // User credentials file
-
-// --- Initial Alarm Settings (will be loaded/saved from file) ---
-let alarmSettings = {
-    alarmEnabled: true,
-    relays: {
-        '1': { onTimeMs: 5000, delayMs: 0, pulseMs: 0, enabled: true },   // Added enabled
-        '2': { onTimeMs: 5000, delayMs: 1000, pulseMs: 0, enabled: true }, // Added enabled
-        '3': { onTimeMs: 5000, delayMs: 2000, pulseMs: 0, enabled: true }, // Added enabled
-        '4': { onTimeMs: 5000, delayMs: 3000, pulseMs: 0, enabled: true }, // Added enabled
-    },
+// Shopware app system: app name and secret from the app manifest (manifest.xml <setup>)
+const SHOPWARE_APP_NAME = process.env.SHOPWARE_APP_NAME || ''; // ENV VAR!
+const SHOPWARE_APP_SECRET = process.env.SHOPWARE_APP_SECRET || ''; // ENV VAR!
+const APP_URL = process.env.APP_URL || ''; // Public base URL, used for the registration confirmation URL
+// Legacy ?secret= authentication for /webhook/order, off unless explicitly enabled
+const LEGACY_WEBHOOK_SECRET_ENABLED = process.env.LEGACY_WEBHOOK_SECRET_ENABLED === 'true';
+// Optional MQTT bridge, enabled by setting MQTT_URL (e.g. mqtt://localhost:1883)
+const MQTT_URL = process.env.MQTT_URL || '';
+const MQTT_USERNAME = process.env.MQTT_USERNAME || '';
+const MQTT_PASSWORD = process.env.MQTT_PASSWORD || ''; // ENV VAR!
+const MQTT_TOPIC_PREFIX = process.env.MQTT_TOPIC_PREFIX || 'shopalarm';
+const MQTT_QOS = parseInt(process.env.MQTT_QOS || '1', 10); // 0, 1 or 2
+const MQTT_RETAIN = process.env.MQTT_RETAIN !== 'false'; // Retain state topics unless disabled
+// Bearer token for POST /api/acknowledge (e.g. a phone shortcut or another system), disabled if empty
+const ACKNOWLEDGE_TOKEN = process.env.ACKNOWLEDGE_TOKEN || ''; // ENV VAR!
+// Bearer token for GET /metrics; the metrics are public if empty
+const METRICS_TOKEN = process.env.METRICS_TOKEN || ''; // ENV VAR!
+// Express "trust proxy" setting for running behind a reverse proxy (e.g. 1, loopback or true), so client IPs
+// used for login lockouts and webhook blocks are the real ones and not the proxy's
+const TRUST_PROXY = process.env.TRUST_PROXY || '';
+
+const SETTINGS_FILE = path.join(DATA_DIR, 'settings.json'); // Persist settings to file (see lib/settings-store.js)
+const RUNTIME_FILE = path.join(DATA_DIR, 'runtime.json'); // Running and unacknowledged alarms
+
+// --- Initial Alarm Settings (will be loaded/saved from file, see lib/settings-schema.js) ---
+let alarmSettings = createDefaultSettings();
+
+// --- Runtime state (not configuration) ---
+// activeTrigger, triggerQueue and unacknowledged are persisted to RUNTIME_FILE so a running or
+// unacknowledged alarm survives a restart; the rest is derived and starts fresh.
+let runtimeState = {
     // State to be sent to ESP32 via WebSocket
-    activeTrigger: null, // { source: 'order'|'test', timestamp: ms, relayConfig: {1:{onTimeMs, delayMs, pulseMs, enabled}, ...} }
+    // plays: how often the pattern plays (extend policy), orders: orders that joined this alarm
+    activeTrigger: null, // { source: 'order'|'test', timestamp: ms, relayConfig: {1:{enabled, pattern}, ...}, details, plays, orders }
+    triggerQueue: [], // Orders waiting for the running alarm to end (queue policy): [{ source, relayConfig, details }]
+    // Order alarm waiting for acknowledgement: { since, lastFiredAt, repeats, source, relayConfig, details, orders }
+    unacknowledged: null,
     testRelay: {
-        id: null, // Relay ID being tested (1-4)
+        id: null, // Relay ID being tested (1..MAX_RELAYS)
         onTimeMs: 0, // Test duration
         pulseMs: 0,   // Test pulse duration
         timestamp: 0 // Timestamp when test started
     },
-    // Current relay states derived from activeTrigger (for ESP32)
-    currentRelayStates: { '1': false, '2': false, '3': false, '4': false },
+    // Current relay states derived from activeTrigger (for ESP32), one entry per configured relay
+    currentRelayStates: allRelaysOff(),
     triggerActive: false // Indicates if an active trigger is running
 };
 
-// --- In-memory Users data ---
-let users = [];
-
 // --- WebSocket Server Setup ---
 const wss = new WebSocket.Server({ noServer: true }); // Attach to http server later
 
@@ -52,19 +208,106 @@ const connectedClients = new Set(); // Stores all authenticated clients (ESP32 a
 // Periodically check and update relay states based on activeTrigger
 let intervalId = null;
 
+// Execution plan for plan-mode boards, rebuilt whenever the trigger, a test or the main switch changes
+let currentPlan = null; // { planId, startAt, relays: { [logicalRelayId]: [{ offsetMs, pattern }] } }
+let nextPlanId = 1;
+
+// For the trigger policy: orders that started, restarted, extended or queued an alarm in the last minute,
+// and when the last alarm ended (cooldown of the ignore policy)
+let recentTriggers = [];
+let lastTriggerEndedAt = null;
+
+// When the runtime state was last saved: written regularly while an alarm runs, so after a restart it
+// tells when the server stopped (interruptedAt, null if unknown)
+let lastRuntimeSaveAt = 0;
+let interruptedAt = null;
+
+// Virtual boards: simulated relay boards run inside the server (see lib/simulator.js), connected through
+// /ws/esp32 with the shared ESP32 secret, to try out relay timing from the dashboard without hardware.
+// They are not kept across restarts.
+const MAX_VIRTUAL_BOARDS = 4;
+const MAX_VIRTUAL_LATENCY_MS = 10000;
+const VIRTUAL_TRANSITIONS_SHOWN = 50;
+const virtualBoards = new Map(); // deviceId -> simulated board
+let nextVirtualBoardId = 1;
+
+// For /healthz and /readyz: set once the settings file was loaded (or created with defaults)
+let settingsLoaded = false;
+
+// Failed logins per client IP and per account, failed webhook authentication per IP (see lib/security.js)
+const loginIpLimiter = createAttemptLimiter(() => ({
+    maxFailures: alarmSettings.security.loginMaxFailuresPerIp,
+    lockoutMs: alarmSettings.security.loginLockoutMs
+}));
+const loginAccountLimiter = createAttemptLimiter(() => ({
+    maxFailures: alarmSettings.security.loginMaxFailuresPerAccount,
+    lockoutMs: alarmSettings.security.loginLockoutMs
+}));
+const webhookLimiter = createAttemptLimiter(() => ({
+    maxFailures: alarmSettings.security.webhookMaxFailures,
+    lockoutMs: alarmSettings.security.webhookBlockMs
+}));
+
+// --- All configured relays switched off: { '1': false, '2': false, ... } ---
+function allRelaysOff() {
+    const states = {};
+    for (const relayId in alarmSettings.relays) {
+        states[relayId] = false;
+    }
+    return states;
+}
+
+// --- Pattern a relay plays for a trigger; an extended trigger repeats it once per play ---
+function triggerPattern(trigger, config) {
+    return trigger.plays > 1 ? { ...config.pattern, repeat: config.pattern.repeat * trigger.plays } : config.pattern;
+}
+
+// --- Orders waiting to play: queued orders plus extension plays of the running alarm not started yet ---
+function getPendingOrders(now = Date.now()) {
+    let pending = runtimeState.triggerQueue.length;
+    const trigger = runtimeState.activeTrigger;
+    if (trigger && trigger.plays > 1) {
+        const playMs = Math.max(0, ...Object.values(trigger.relayConfig)
+            .filter(config => config.enabled)
+            .map(config => patternDurationMs(config.pattern)));
+        const playsStarted = playMs > 0 ? Math.floor((now - trigger.timestamp) / playMs) + 1 : trigger.plays;
+        pending += Math.max(0, trigger.plays - playsStarted);
+    }
+    return pending;
+}
+
+// --- Start the next queued order's alarm (queue policy) ---
+function startQueuedTrigger(now) {
+    const next = runtimeState.triggerQueue.shift();
+    runtimeState.activeTrigger = { ...next, timestamp: now, plays: 1, orders: 1 };
+    recordEvent({
+        type: 'trigger',
+        source: next.source,
+        outcome: 'triggered',
+        relayConfig: next.relayConfig,
+        details: { ...next.details, fromQueue: true, pendingOrders: runtimeState.triggerQueue.length }
+    });
+    updateDevicePlans();
+    saveRuntimeState();
+    console.log(`Queued alarm started, ${runtimeState.triggerQueue.length} still waiting.`);
+}
+
 function calculateAndBroadcastRelayStates() {
     const now = Date.now();
-    let updatedRelayStates = { '1': false, '2': false, '3': false, '4': false };
+    let updatedRelayStates = allRelaysOff();
     let newTriggerActive = false;
 
     // Handle the main active trigger
-    if (alarmSettings.alarmEnabled && alarmSettings.activeTrigger) { // Added alarmSettings.alarmEnabled check
+    if (alarmSettings.alarmEnabled && runtimeState.activeTrigger) { // Added alarmSettings.alarmEnabled check
         newTriggerActive = true;
 
         let allRelaysFinished = true; // Assume all finished until proven otherwise
 
-        for (const relayId in alarmSettings.activeTrigger.relayConfig) {
-            const config = alarmSettings.activeTrigger.relayConfig[relayId];
+        for (const relayId in runtimeState.activeTrigger.relayConfig) {
+            const config = runtimeState.activeTrigger.relayConfig[relayId];
+
+            // Relays removed from the configuration since the trigger started are ignored
+            if (!(relayId in updatedRelayStates)) continue;
 
             // Only process relays that are individually enabled
             if (!config.enabled) {
@@ -72,53 +315,50 @@ function calculateAndBroadcastRelayStates() {
                 continue; // Skip disabled relays
             }
 
-            const elapsed = now - alarmSettings.activeTrigger.timestamp;
-            const effectiveEndTime = config.delayMs + config.onTimeMs;
-
-            if (elapsed >= config.delayMs && elapsed < effectiveEndTime) {
-                // Relay is within its active window
-                if (config.pulseMs > 0) {
-                    // Pulse mode is active
-                    const pulseCycleTime = config.pulseMs * 2; // on + off duration
-                    const timeInWindow = elapsed - config.delayMs;
-                    if (timeInWindow % pulseCycleTime < config.pulseMs) {
-                        updatedRelayStates[relayId] = true; // Pulse ON
-                    } else {
-                        updatedRelayStates[relayId] = false; // Pulse OFF
-                    }
-                } else {
-                    // Solid ON mode
-                    updatedRelayStates[relayId] = true;
-                }
-                allRelaysFinished = false; // At least one enabled relay is still active
-            } else {
-                updatedRelayStates[relayId] = false; // Relay should be OFF (either not started or finished)
+            const elapsed = now - runtimeState.activeTrigger.timestamp;
+            const { on, finished } = evaluatePattern(triggerPattern(runtimeState.activeTrigger, config), elapsed);
+            updatedRelayStates[relayId] = on; // Current step of the relay's pattern (solid, pulse or off)
+            if (!finished) {
+                allRelaysFinished = false; // At least one enabled relay is still playing its pattern
             }
         }
 
         // Check if all *enabled* relays that were part of the trigger have finished
-        const allEnabledTriggerRelaysFinished = Object.keys(alarmSettings.activeTrigger.relayConfig).every(relayId => {
-            const config = alarmSettings.activeTrigger.relayConfig[relayId];
+        const allEnabledTriggerRelaysFinished = Object.keys(runtimeState.activeTrigger.relayConfig).every(relayId => {
+            const config = runtimeState.activeTrigger.relayConfig[relayId];
             if (!config.enabled) return true; // Disabled relays are considered "finished" immediately
-            return now >= (alarmSettings.activeTrigger.timestamp + config.delayMs + config.onTimeMs);
+            return now >= (runtimeState.activeTrigger.timestamp + patternDurationMs(triggerPattern(runtimeState.activeTrigger, config)));
         });
 
         if (allEnabledTriggerRelaysFinished) {
+            recordEvent({
+                type: 'completed',
+                source: runtimeState.activeTrigger.source,
+                outcome: 'completed',
+                relayConfig: runtimeState.activeTrigger.relayConfig,
+                details: runtimeState.activeTrigger.details || {}
+            });
             newTriggerActive = false;
-            updatedRelayStates = { '1': false, '2': false, '3': false, '4': false }; // Ensure all are off
-            alarmSettings.activeTrigger = null; // Clear the trigger
+            updatedRelayStates = allRelaysOff(); // Ensure all are off
+            runtimeState.activeTrigger = null; // Clear the trigger
             console.log('Active trigger completed and cleared.');
+            if (runtimeState.triggerQueue.length > 0) {
+                startQueuedTrigger(now); // Relays switch on with the next update
+                newTriggerActive = true;
+            } else {
+                lastTriggerEndedAt = now;
+            }
         }
     }
 
     // Handle test relay commands, which override activeTrigger for that specific relay
     // A test relay always implies a triggerActive state for its duration
-    if (alarmSettings.testRelay.id !== null && alarmSettings.testRelay.onTimeMs > 0) {
-        const testRelayId = String(alarmSettings.testRelay.id);
-        const testStartTime = alarmSettings.testRelay.timestamp;
+    if (runtimeState.testRelay.id !== null && runtimeState.testRelay.onTimeMs > 0) {
+        const testRelayId = String(runtimeState.testRelay.id);
+        const testStartTime = runtimeState.testRelay.timestamp;
         const elapsedTest = now - testStartTime;
-        const testEndTime = alarmSettings.testRelay.onTimeMs;
-        const testPulseMs = alarmSettings.testRelay.pulseMs;
+        const testEndTime = runtimeState.testRelay.onTimeMs;
+        const testPulseMs = runtimeState.testRelay.pulseMs;
 
         if (elapsedTest < testEndTime) {
             if (testPulseMs > 0) {
@@ -134,36 +374,57 @@ function calculateAndBroadcastRelayStates() {
             newTriggerActive = true; // Test relay implies an "active" state
         } else {
             // Test relay finished
-            alarmSettings.testRelay = { id: null, onTimeMs: 0, pulseMs: 0, timestamp: 0 };
+            runtimeState.testRelay = { id: null, onTimeMs: 0, pulseMs: 0, timestamp: 0 };
             // Clear the specific relay's state to off if it was just testing and no other trigger is active
-            if (!alarmSettings.activeTrigger) { // Check if main trigger is also inactive
+            if (!runtimeState.activeTrigger) { // Check if main trigger is also inactive
                 updatedRelayStates[testRelayId] = false;
             }
-            saveSettings(); // Persist the cleared test state
         }
     }
 
+    // Safety limits and interlocks apply to the final states, whatever switched the relays
+    const safety = enforceSafety(alarmSettings.safety, updatedRelayStates, now, getLocalDate(now, alarmSettings.schedule.timezone));
+    updatedRelayStates = safety.states;
+    safety.started.forEach(({ relayId, rule, message }) => {
+        console.warn(`Relay ${relayId} held off by its safety limits (${rule}): ${message}`);
+        const source = relayId === String(runtimeState.testRelay.id) || !runtimeState.activeTrigger ? 'test' : runtimeState.activeTrigger.source;
+        recordEvent({ type: 'safety', source, outcome: rule, details: { relayId, message } });
+    });
+
+    observeRelayStates(updatedRelayStates, now); // On-time per output for /metrics
 
-    // Check if states have actually changed before broadcasting
-    const relayStatesChanged = JSON.stringify(updatedRelayStates) !== JSON.stringify(alarmSettings.currentRelayStates);
-    const triggerActiveChanged = newTriggerActive !== alarmSettings.triggerActive;
+    if (runtimeState.activeTrigger && now - lastRuntimeSaveAt >= RUNTIME_HEARTBEAT_MS) {
+        saveRuntimeState(); // Heartbeat for the restart policy
+    }
 
-    if (relayStatesChanged || triggerActiveChanged || (alarmSettings.testRelay.id !== null && alarmSettings.testRelay.onTimeMs > 0)) {
-        alarmSettings.currentRelayStates = updatedRelayStates;
-        alarmSettings.triggerActive = newTriggerActive;
-        // Save settings if activeTrigger was cleared or a testRelay finished
-        if (!alarmSettings.activeTrigger && !newTriggerActive && !alarmSettings.testRelay.id) {
-            saveSettings(); // Only save if system becomes completely idle
+    // Check if states have actually changed before broadcasting
+    const relayStatesChanged = JSON.stringify(updatedRelayStates) !== JSON.stringify(runtimeState.currentRelayStates);
+    const triggerActiveChanged = newTriggerActive !== runtimeState.triggerActive;
+
+    if (relayStatesChanged || triggerActiveChanged || (runtimeState.testRelay.id !== null && runtimeState.testRelay.onTimeMs > 0)) {
+        runtimeState.currentRelayStates = updatedRelayStates;
+        runtimeState.triggerActive = newTriggerActive;
+        // Persist the cleared trigger once the system becomes completely idle
+        if (!runtimeState.activeTrigger && !newTriggerActive && !runtimeState.testRelay.id) {
+            saveRuntimeState();
         }
         broadcastSettings(); // Broadcast the updated state
+    } else if (safety.started.length > 0 || safety.ended) {
+        broadcastDashboard(); // Only the safety violations shown on the dashboard changed
+    }
+
+    // Plan-mode boards finish their plan on their own, nothing to cancel once idle
+    if (!runtimeState.activeTrigger && runtimeState.testRelay.id === null) {
+        currentPlan = null;
+        if (clearSafetyViolations()) broadcastDashboard(); // Nothing is held off while everything is off
     }
 
     // Manage the interval: start if needed, stop if idle
-    if (!alarmSettings.activeTrigger && alarmSettings.testRelay.id === null && intervalId) {
+    if (!runtimeState.activeTrigger && runtimeState.testRelay.id === null && intervalId) {
         clearInterval(intervalId);
         intervalId = null;
         console.log('Stopped relay state update interval.');
-    } else if ((alarmSettings.activeTrigger || alarmSettings.testRelay.id !== null) && !intervalId) {
+    } else if ((runtimeState.activeTrigger || runtimeState.testRelay.id !== null) && !intervalId) {
         // If an active trigger starts and no interval is running, start it
         intervalId = setInterval(calculateAndBroadcastRelayStates, 100); // Check every 100ms
         console.log('Started relay state update interval.');
@@ -171,300 +432,2433 @@ function calculateAndBroadcastRelayStates() {
 }
 
 
-// --- Broadcast function to send updated settings to all connected clients ---
-function broadcastSettings() {
-    const dataToSend = JSON.stringify({
+// --- Current state as sent to clients ---
+function getClientState() {
+    return {
         alarmEnabled: alarmSettings.alarmEnabled,
-        triggerActive: alarmSettings.triggerActive,
-        relays: alarmSettings.currentRelayStates, // ESP32 needs current states
-        testRelay: alarmSettings.testRelay // ESP32 needs test relay command
-    });
+        triggerActive: runtimeState.triggerActive,
+        relays: runtimeState.currentRelayStates, // ESP32 needs current states
+        testRelay: runtimeState.testRelay // ESP32 needs test relay command
+    };
+}
+
+// --- State for a registered device: only its own physical relays, derived from the output mapping ---
+function getDeviceState(deviceId, relayCount) {
+    const state = getClientState();
+    const relays = {};
+    for (let relay = 1; relay <= relayCount; relay++) {
+        relays[relay] = false;
+    }
+    let testRelayId = null;
+    for (const logicalId in alarmSettings.outputMap) {
+        alarmSettings.outputMap[logicalId].forEach(target => {
+            if (target.deviceId !== deviceId) return;
+            relays[target.relay] = relays[target.relay] || !!runtimeState.currentRelayStates[logicalId];
+            if (testRelayId === null && String(runtimeState.testRelay.id) === logicalId) {
+                testRelayId = target.relay;
+            }
+        });
+    }
+    return {
+        ...state,
+        relays,
+        testRelay: { ...runtimeState.testRelay, id: testRelayId, onTimeMs: testRelayId !== null ? runtimeState.testRelay.onTimeMs : 0 }
+    };
+}
+
+// --- All-off state sent to a board on its first connection since startup (see resetDevice) ---
+function getResetState(registeredDevice) {
+    let relays = allRelaysOff();
+    if (registeredDevice) {
+        relays = {};
+        for (let relay = 1; relay <= registeredDevice.relayCount; relay++) {
+            relays[relay] = false;
+        }
+    }
+    return {
+        alarmEnabled: alarmSettings.alarmEnabled,
+        triggerActive: false,
+        relays,
+        testRelay: { id: null, onTimeMs: 0, pulseMs: 0, timestamp: 0 }
+    };
+}
+
+// --- When the running trigger or relay test ends (ms timestamp), for the dashboard countdown ---
+function getTriggerEnd() {
+    let endsAt = null;
+    const trigger = runtimeState.activeTrigger;
+    if (alarmSettings.alarmEnabled && trigger) {
+        for (const relayId in trigger.relayConfig) {
+            const config = trigger.relayConfig[relayId];
+            if (!config.enabled) continue;
+            endsAt = Math.max(endsAt || 0, trigger.timestamp + patternDurationMs(triggerPattern(trigger, config)));
+        }
+    }
+    if (runtimeState.testRelay.id !== null) {
+        endsAt = Math.max(endsAt || 0, runtimeState.testRelay.timestamp + runtimeState.testRelay.onTimeMs);
+    }
+    return endsAt;
+}
+
+// --- State for the live dashboard: client state plus trigger, schedule and device status ---
+function getDashboardState() {
+    const trigger = runtimeState.activeTrigger;
+    return {
+        type: 'state',
+        serverTime: Date.now(), // Lets the browser correct countdowns for clock differences
+        ...getClientState(),
+        trigger: trigger
+            ? { source: trigger.source, startedAt: trigger.timestamp, details: trigger.details || {}, orders: trigger.orders || 1 }
+            : null,
+        endsAt: getTriggerEnd(),
+        pendingOrders: getPendingOrders(),
+        unacknowledged: getUnacknowledgedState(),
+        alarmState: getAlarmState(),
+        devices: getDevices(),
+        safetyViolations: getSafetyViolations(),
+        mqtt: { enabled: !!MQTT_URL, connected: isMqttConnected() }
+    };
+}
+
+// --- Send the current state to one client (ESP32 devices get a sequenced, acknowledged update) ---
+function sendStateToClient(client) {
+    if (client.readyState !== WebSocket.OPEN) return;
+    if (isDeviceConnection(client)) {
+        const device = getDevice(client);
+        const registeredDevice = device.registered && getRegisteredDevice(device.id);
+        sendState(client, registeredDevice ? getDeviceState(device.id, registeredDevice.relayCount) : getClientState());
+    } else {
+        client.send(JSON.stringify(getDashboardState()));
+    }
+}
 
+// --- Send the current state to dashboard clients only (e.g. after a device connected) ---
+function broadcastDashboard() {
     connectedClients.forEach(client => {
-        if (client.readyState === WebSocket.OPEN) {
-            client.send(dataToSend);
+        if (!isDeviceConnection(client)) sendStateToClient(client);
+    });
+}
+
+// --- Status report from MQTT firmware, shown live on the dashboard ---
+function handleMqttDeviceStatus(deviceId, status) {
+    const device = updateMqttDevice(deviceId, status);
+    if (device) broadcastDashboard();
+    return device;
+}
+
+// --- Build the execution plan for the running trigger and relay test (null if nothing runs) ---
+function buildPlan() {
+    const trigger = alarmSettings.alarmEnabled ? runtimeState.activeTrigger : null; // Same rule as calculateAndBroadcastRelayStates
+    const test = runtimeState.testRelay.id !== null ? runtimeState.testRelay : null;
+    if (!trigger && !test) return null;
+
+    const startAt = Math.min(trigger ? trigger.timestamp : Infinity, test ? test.timestamp : Infinity);
+    const relays = {};
+    if (trigger) {
+        for (const relayId in trigger.relayConfig) {
+            const config = trigger.relayConfig[relayId];
+            if (!config.enabled || !(relayId in alarmSettings.relays)) continue;
+            relays[relayId] = [{ offsetMs: trigger.timestamp - startAt, pattern: triggerPattern(trigger, config) }];
         }
+    }
+    if (test) {
+        const relayId = String(test.id);
+        const step = test.pulseMs > 0
+            ? { type: 'pulse', durationMs: test.onTimeMs, pulseMs: test.pulseMs }
+            : { type: 'on', durationMs: test.onTimeMs };
+        relays[relayId] = (relays[relayId] || []).concat({ offsetMs: test.timestamp - startAt, pattern: { steps: [step], repeat: 1 } });
+    }
+    return { planId: nextPlanId++, startAt, relays };
+}
+
+// --- Plan for one board: its physical relays, derived from the output mapping like getDeviceState ---
+function getDevicePlan(plan, deviceId) {
+    const relays = {};
+    for (const logicalId in plan.relays) {
+        (alarmSettings.outputMap[logicalId] || []).forEach(target => {
+            if (target.deviceId !== deviceId) return;
+            relays[target.relay] = (relays[target.relay] || []).concat(plan.relays[logicalId]);
+        });
+    }
+    return { ...plan, relays };
+}
+
+// --- Send the current plan to a plan-mode board, or cancel the one it runs ---
+function sendPlanToClient(client) {
+    if (client.readyState !== WebSocket.OPEN || !isPlanConnection(client)) return;
+    if (!currentPlan) {
+        cancelPlan(client);
+        return;
+    }
+    sendPlan(client, getDevicePlan(currentPlan, getDevice(client).id));
+}
+
+// --- Rebuild the plan after the trigger, a relay test or the main switch changed ---
+function updateDevicePlans() {
+    currentPlan = buildPlan();
+    connectedClients.forEach(sendPlanToClient);
+}
+
+// --- Plan mode is suspended while safety limits are configured, they are enforced on streamed states ---
+function updatePlanSuspension() {
+    suspendPlans(hasSafetyLimits(alarmSettings.safety)).forEach(ws => {
+        sendStateToClient(ws);
+        if (currentPlan) sendPlanToClient(ws);
     });
+}
+
+// --- Broadcast function to send updated settings to all connected clients ---
+function broadcastSettings() {
+    connectedClients.forEach(sendStateToClient);
+    publishState(getClientState()); // Same state for MQTT subscribers (no-op without a bridge)
 
     // We no longer clear testRelay immediately here. It's now handled by calculateAndBroadcastRelayStates
     // based on its internal timer.
 }
 
 
-// --- Load settings from file ---
+// --- Load settings from file (see lib/settings-store.js) ---
+// Older files are migrated and saved in the current format. A file that fails validation is skipped
+// in favour of the newest usable backup; without any usable file the server refuses to start rather
+// than overwrite the configuration with defaults.
 function loadSettings() {
-    if (fs.existsSync(SETTINGS_FILE)) {
-        try {
-            const data = fs.readFileSync(SETTINGS_FILE, 'utf8');
-            const loaded = JSON.parse(data);
-            // Merge loaded settings to preserve new properties from code changes
-            // Ensure pulseMs and enabled are present, defaulting if not in loaded file
-            for (const key in alarmSettings.relays) {
-                if (loaded.relays && loaded.relays[key]) {
-                    loaded.relays[key].pulseMs = loaded.relays[key].pulseMs !== undefined ? loaded.relays[key].pulseMs : 0;
-                    loaded.relays[key].enabled = loaded.relays[key].enabled !== undefined ? loaded.relays[key].enabled : true; // Default to true
-                }
-            }
-            alarmSettings = { ...alarmSettings, ...loaded };
-
-            // Ensure testRelay structure is consistent (especially pulseMs, timestamp)
-            alarmSettings.testRelay = {
-                id: alarmSettings.testRelay.id || null,
-                onTimeMs: alarmSettings.testRelay.onTimeMs || 0,
-                pulseMs: alarmSettings.testRelay.pulseMs !== undefined ? alarmSettings.testRelay.pulseMs : 0,
-                timestamp: alarmSettings.testRelay.timestamp || 0
-            };
-
-            console.log('Settings loaded:', alarmSettings);
-        } catch (error) {
-            console.error('Error loading settings file:', error);
-        }
-    } else {
+    const defaults = createDefaultSettings();
+    let loaded;
+    try {
+        loaded = loadSettingsFile(SETTINGS_FILE, defaults, validateSettings);
+    } catch (error) {
+        console.error(`Error loading settings file ${SETTINGS_FILE}: ${error.message}`);
+        console.error('Fix or restore the file (backups are kept as settings.json.1 to .3), or remove it to start with default settings.');
+        process.exit(1);
+    }
+    if (!loaded) {
         console.log('Settings file not found, using default settings.');
         saveSettings(); // Create it with defaults
+        settingsLoaded = true;
+        return;
+    }
+
+    alarmSettings = loaded.settings;
+    const unknownTargets = JSON.stringify(knownOutputTargets(alarmSettings.outputMap)) !== JSON.stringify(alarmSettings.outputMap);
+    if (unknownTargets) {
+        alarmSettings.outputMap = knownOutputTargets(alarmSettings.outputMap);
+        console.warn('Dropped output mappings to devices that are no longer registered.');
+    }
+
+    // Runtime state from its own file; files from before the split still carry it in the settings
+    const runtime = loadRuntimeFile(RUNTIME_FILE) || loaded.runtime;
+    runtimeState.activeTrigger = runtime.activeTrigger || null;
+    runtimeState.triggerQueue = runtime.triggerQueue || [];
+    runtimeState.unacknowledged = runtime.unacknowledged || null;
+    interruptedAt = runtime.savedAt || null; // Files from before the heartbeat don't know
+
+    // Relay states always cover exactly the configured relays
+    runtimeState.currentRelayStates = allRelaysOff();
+    syncRelayReferences();
+
+    if (loaded.file !== SETTINGS_FILE) {
+        console.warn(`Settings file could not be used, loaded backup ${path.basename(loaded.file)} instead.`);
+    }
+    if (loaded.fromVersion < SETTINGS_VERSION) {
+        console.log(`Settings migrated from version ${loaded.fromVersion} to ${SETTINGS_VERSION}.`);
     }
+    if (loaded.file !== SETTINGS_FILE || loaded.fromVersion < SETTINGS_VERSION || unknownTargets) {
+        saveSettings();
+        saveRuntimeState();
+    }
+    updatePlanSuspension();
+    settingsLoaded = true;
+    console.log('Settings loaded:', alarmSettings);
 }
 
-// --- Save settings to file ---
+// --- Save settings to file (atomically, keeping backups of the previous versions) ---
 function saveSettings() {
     try {
-        fs.mkdirSync(path.dirname(SETTINGS_FILE), { recursive: true }); // Ensure data folder exists
-        fs.writeFileSync(SETTINGS_FILE, JSON.stringify(alarmSettings, null, 2), 'utf8');
+        saveSettingsFile(SETTINGS_FILE, alarmSettings);
+        countMetric('shopalarm_settings_saves_total', { result: 'ok' });
     } catch (error) {
         console.error('Error saving settings file:', error);
+        countMetric('shopalarm_settings_saves_total', { result: 'error' });
     }
 }
 
-// --- Load users from file ---
-function loadUsers() {
-    if (fs.existsSync(USERS_FILE)) {
-        try {
-            const data = fs.readFileSync(USERS_FILE, 'utf8');
-            users = JSON.parse(data);
-            console.log('Users loaded:', users.map(u => u.username)); // Log usernames, not passwords
-        } catch (error) {
-            console.error('Error loading users file:', error);
-            users = []; // Reset users if file is corrupted
-        }
-    } else {
-        console.error('Users file not found at:', USERS_FILE);
-        console.error('Please create data/users.json with at least one user.');
-        // Optionally create a default user here, but it's better to require manual creation for security
-        users = [];
+// --- Save the runtime state that must survive a restart ---
+function saveRuntimeState() {
+    lastRuntimeSaveAt = Date.now();
+    try {
+        saveRuntimeFile(RUNTIME_FILE, {
+            savedAt: lastRuntimeSaveAt,
+            activeTrigger: runtimeState.activeTrigger,
+            triggerQueue: runtimeState.triggerQueue,
+            unacknowledged: runtimeState.unacknowledged
+        });
+    } catch (error) {
+        console.error('Error saving runtime state:', error);
     }
 }
 
-// --- Express Middleware ---
-app.use(bodyParser.json());
-app.use(bodyParser.urlencoded({ extended: true }));
-app.use(session({
-    secret: SESSION_SECRET,
-    resave: false,
-    saveUninitialized: false,
-    cookie: { secure: process.env.NODE_ENV === 'production' } // Use secure cookies in production (HTTPS)
-}));
+// --- Apply the restart policy to an alarm that was running when the server stopped ---
+// Called once on startup, after the event history is loaded
+function recoverInterruptedAlarm() {
+    const trigger = runtimeState.activeTrigger;
+    if (!trigger) return;
+    const now = Date.now();
+    const policy = alarmSettings.restartPolicy;
+    // Without a saved time the alarm counts as interrupted right at its start
+    const stoppedAt = interruptedAt !== null ? interruptedAt : trigger.timestamp;
+    const durationMs = Math.max(0, ...Object.values(trigger.relayConfig)
+        .filter(config => config.enabled)
+        .map(config => patternDurationMs(triggerPattern(trigger, config))));
+    const { action, timestamp, reason } = recoverTrigger(policy, trigger, { now, interruptedAt: stoppedAt, durationMs });
+
+    const details = {
+        ...trigger.details,
+        interruptedSource: trigger.source,
+        policy: policy.mode,
+        interruptedAt,
+        downtimeMs: now - stoppedAt,
+        elapsedMs: Math.max(0, stoppedAt - trigger.timestamp),
+        pendingOrders: runtimeState.triggerQueue.length
+    };
+    if (reason) details.reason = reason;
+    recordEvent({ type: 'restart', source: 'server', outcome: action, relayConfig: trigger.relayConfig, details });
+
+    if (action === 'aborted') {
+        runtimeState.activeTrigger = null;
+        runtimeState.triggerQueue = []; // Orders queued behind it are abandoned too
+        lastTriggerEndedAt = now;
+    } else if (timestamp !== null) {
+        trigger.timestamp = timestamp;
+    }
+    // A completed alarm is cleared (and the queue started) by the next relay state update
+    saveRuntimeState();
+    console.log(`Alarm interrupted by the restart ${action} (policy ${policy.mode}, down for ${Math.round(details.downtimeMs / 1000)}s).`);
+}
 
-// --- Authentication Middleware ---
-function isAuthenticated(req, res, next) {
-    if (req.session.isAuthenticated) {
-        return next();
+// --- Effective alarm state: main switch combined with the weekly schedule ---
+// state: 'disabled' (main switch off) | 'active' | 'quiet' (only quiet relays) | 'suppressed' (outside hours)
+function getAlarmState(now = Date.now()) {
+    if (!alarmSettings.alarmEnabled) {
+        return { state: 'disabled', exception: null, nextChange: null };
+    }
+    if (!alarmSettings.schedule.enabled) {
+        return { state: 'active', exception: null, nextChange: null };
     }
-    res.redirect('/login');
+    const outsideState = alarmSettings.schedule.outsideHours === 'quiet' ? 'quiet' : 'suppressed';
+    const scheduleState = getScheduleState(alarmSettings.schedule, now);
+    return {
+        state: scheduleState.open ? 'active' : outsideState,
+        exception: scheduleState.exception,
+        nextChange: scheduleState.nextChange && {
+            at: scheduleState.nextChange.at,
+            state: scheduleState.nextChange.open ? 'active' : outsideState
+        }
+    };
 }
 
-// --- Serve Static Dashboard Files ---
-app.use(express.static(path.join(__dirname, 'assets')));
-app.use('/views', express.static(path.join(__dirname, 'views'))); // Allow assets to access view files for WS client
+// --- Outside business hours in quiet mode only the quiet relays take part ---
+function quietRelayConfig(relayConfig) {
+    const quietConfig = {};
+    for (const relayId in relayConfig) {
+        quietConfig[relayId] = {
+            ...relayConfig[relayId],
+            enabled: relayConfig[relayId].enabled && alarmSettings.schedule.quietRelays.map(String).includes(relayId)
+        };
+    }
+    return quietConfig;
+}
 
+// --- Extract an order reference from a webhook payload (if any) for the event history ---
+function getOrderReference(body) {
+    if (!body || typeof body !== 'object') return null;
+    const order = (body.data && body.data.payload && body.data.payload.order) || body.order || body;
+    return order.orderNumber || order.orderId || order.id || null;
+}
 
-// --- Dashboard Login Routes ---
-app.get('/', (req, res) => {
-    if (req.session.isAuthenticated) {
-        return res.redirect('/dashboard');
+// --- Keep profiles, output mapping, quiet relays, safety limits and live states in line with the configured relays ---
+// New relays are added to profiles disabled, removed relays are dropped everywhere.
+function syncRelayReferences() {
+    const relayIds = Object.keys(alarmSettings.relays);
+    for (const name in alarmSettings.profiles) {
+        const profileRelays = {};
+        relayIds.forEach(relayId => {
+            const { label, ...relayConfig } = alarmSettings.relays[relayId];
+            profileRelays[relayId] = alarmSettings.profiles[name].relays[relayId] || { ...relayConfig, enabled: false };
+        });
+        alarmSettings.profiles[name].relays = profileRelays;
+    }
+    for (const relayId in alarmSettings.outputMap) {
+        if (!relayIds.includes(relayId)) delete alarmSettings.outputMap[relayId];
+    }
+    alarmSettings.schedule.quietRelays = alarmSettings.schedule.quietRelays.filter(relayId => relayIds.includes(String(relayId)));
+    for (const relayId in alarmSettings.safety.relays) {
+        if (!relayIds.includes(relayId)) delete alarmSettings.safety.relays[relayId];
+    }
+    alarmSettings.safety.interlocks = alarmSettings.safety.interlocks
+        .map(interlock => ({ relays: interlock.relays.filter(relayId => relayIds.includes(relayId)) }))
+        .filter(interlock => interlock.relays.length >= 2);
+
+    const currentRelayStates = allRelaysOff();
+    relayIds.forEach(relayId => {
+        currentRelayStates[relayId] = !!runtimeState.currentRelayStates[relayId];
+    });
+    runtimeState.currentRelayStates = currentRelayStates;
+}
+
+// --- Copy of a validated relay configuration with only known properties ---
+function cleanRelayConfig(relay) {
+    const clean = { enabled: relay.enabled };
+    if (relay.label !== undefined) clean.label = relay.label;
+    if (relay.patternName !== undefined) {
+        clean.patternName = relay.patternName;
     } else {
-        return res.redirect('/login');
+        clean.pattern = cleanPattern(relay.pattern);
     }
-});
+    return clean;
+}
 
-app.get('/dashboard', (req, res) => {
-    if (!req.session.isAuthenticated) {
-        return res.redirect('/login');
+// --- Snapshot of a relay configuration for a trigger, with library patterns resolved ---
+// Later edits to the library don't affect a running alarm; a missing pattern disables the relay.
+function snapshotRelayConfig(relayConfig) {
+    const snapshot = {};
+    for (const relayId in relayConfig) {
+        const { patternName, ...config } = relayConfig[relayId];
+        const pattern = resolvePattern(relayConfig[relayId], alarmSettings.patterns);
+        snapshot[relayId] = pattern
+            ? { ...config, pattern: JSON.parse(JSON.stringify(pattern)) }
+            : { ...config, enabled: false };
+        if (patternName !== undefined) snapshot[relayId].patternName = patternName; // Kept for the history
     }
+    return snapshot;
+}
 
-    res.sendFile(path.join(__dirname, 'views', 'dashboard.html'));
-});
+// --- Acknowledge-until-handled alarms ---
 
-app.get('/login', (req, res) => {
-    if (req.session.isAuthenticated) {
-        return res.redirect('/dashboard');
+// An order started, joined or was queued for an alarm: it waits for acknowledgement (if enabled)
+function noteUnacknowledged(trigger, now) {
+    if (!alarmSettings.acknowledgement.enabled) return;
+    const pending = runtimeState.unacknowledged;
+    if (pending) {
+        pending.orders++;
+        pending.lastFiredAt = now; // Each new order postpones the next repeat
+    } else {
+        runtimeState.unacknowledged = {
+            since: now,
+            lastFiredAt: now,
+            repeats: 0,
+            source: trigger.source,
+            relayConfig: trigger.relayConfig,
+            details: trigger.details,
+            orders: 1
+        };
     }
+}
 
-    res.sendFile(path.join(__dirname, 'views', 'login.html'));
-});
+// --- Acknowledgement state for the dashboard (null if nothing waits) ---
+function getUnacknowledgedState() {
+    const pending = runtimeState.unacknowledged;
+    if (!pending) return null;
+    const nextStep = alarmSettings.acknowledgement.escalation.find(step => step.afterRepeats > pending.repeats);
+    return {
+        since: pending.since,
+        orders: pending.orders,
+        repeats: pending.repeats,
+        nextRepeatAt: pending.lastFiredAt + alarmSettings.acknowledgement.repeatIntervalMs,
+        escalation: (getEscalationStep(alarmSettings.acknowledgement, pending.repeats) || {}).profile || null,
+        nextEscalation: nextStep || null,
+        details: pending.details
+    };
+}
 
-app.post('/login', async (req, res) => {
-    const { username, password } = req.body;
+// --- Repeat the unacknowledged alarm when due (checked every second) ---
+// Waits for a running alarm to finish; no repeats while the main switch is off or outside scheduled hours
+function repeatUnacknowledged() {
+    const pending = runtimeState.unacknowledged;
+    const now = Date.now();
+    if (!pending || runtimeState.activeTrigger || runtimeState.triggerQueue.length > 0) return;
+    if (now - pending.lastFiredAt < alarmSettings.acknowledgement.repeatIntervalMs) return;
+    const alarmState = getAlarmState(now);
+    if (alarmState.state === 'disabled' || alarmState.state === 'suppressed') return;
+
+    pending.repeats++;
+    pending.lastFiredAt = now;
+    const step = getEscalationStep(alarmSettings.acknowledgement, pending.repeats);
+    let relayConfig = step && alarmSettings.profiles[step.profile]
+        ? snapshotRelayConfig(alarmSettings.profiles[step.profile].relays)
+        : pending.relayConfig;
+    const details = { ...pending.details, repeat: pending.repeats, orders: pending.orders };
+    if (step) details.escalation = step.profile;
+    if (alarmState.state === 'quiet') {
+        relayConfig = quietRelayConfig(relayConfig);
+        details.quiet = true;
+    }
+
+    runtimeState.activeTrigger = { source: 'reminder', timestamp: now, relayConfig, details, plays: 1, orders: pending.orders };
+    recordEvent({ type: 'trigger', source: 'reminder', outcome: 'triggered', relayConfig, details });
+    notifyChannels(alarmSettings.notifications.channels, { action: 'reminder', source: 'reminder', details, timestamp: now });
+    countMetric('shopalarm_triggers_total', { source: 'reminder', action: 'reminder' });
+    updateDevicePlans();
+    calculateAndBroadcastRelayStates();
+    saveRuntimeState();
+    console.log(`Unacknowledged alarm repeated (${pending.repeats})${step ? `, escalated to profile "${step.profile}"` : ''}.`);
+}
 
-    // Find user in the loaded users array
-    const user = users.find(u => u.username === username);
+// --- Operator commands (shared by the dashboard API, the REST API and the MQTT bridge) ---
+// actor is who issued the command for the audit log, { user, ip }; commands from the MQTT bridge are logged as user 'mqtt'
 
-    // Compare plain-text password (DANGER ZONE!) - Consider hashing in production!
-    if (user && user.password === password) {
-        req.session.isAuthenticated = true;
-        res.redirect('/');
-    } else {
-        res.redirect('/login?error=Invalid credentials');
+// Start a 500ms test of a single relay; returns { error } or { message }
+function startRelayTest(relayId, source, actor = { user: source, ip: null }) {
+    relayId = String(relayId);
+    if (!Object.prototype.hasOwnProperty.call(alarmSettings.relays, relayId)) {
+        return { error: 'Invalid relay ID.' };
     }
-});
 
-app.get('/logout', (req, res) => {
-    req.session.destroy(() => {
-        res.redirect('/login');
+    const currentRelayConfig = alarmSettings.relays[relayId];
+
+    // Check if the individual relay is enabled before testing
+    if (!currentRelayConfig.enabled) {
+        return { error: `Relay ${relayId} is disabled and cannot be tested.` };
+    }
+
+    // Set the test command for the ESP32 to pick up
+    // Pulse at the relay pattern's first pulse length, if it has one
+    runtimeState.testRelay = {
+        id: parseInt(relayId, 10),
+        onTimeMs: 500, // Fixed 500ms test duration
+        pulseMs: testPulseMs(resolvePattern(currentRelayConfig, alarmSettings.patterns)),
+        timestamp: Date.now() // Start test now
+    };
+    recordEvent({
+        type: 'test',
+        source,
+        outcome: 'started',
+        relayConfig: { [relayId]: currentRelayConfig },
+        details: { relayId, onTimeMs: runtimeState.testRelay.onTimeMs }
     });
-});
+    recordAudit({ ...actor, action: 'command.test-relay', details: { relayId } });
+    updateDevicePlans();
+    calculateAndBroadcastRelayStates(); // Broadcast the updated state with testRelay command
 
-// --- API Endpoints ---
+    console.log(`Test command sent for relay ${relayId} (${source}).`);
+    return { message: `Test alarm command sent for relay ${relayId}!` };
+}
 
-// Order Webhook endpoint
-app.post('/webhook/order', (req, res) => {
-    const orderSecret = req.query.secret;
-    if (orderSecret !== ORDER_WEBHOOK_SECRET) {
-        console.warn('Unauthorized order webhook attempt from IP:', req.ip);
-        return res.status(401).send('Unauthorized');
+// Fire a whole alarm as if an order had arrived (schedule and trigger policy apply), with the given
+// profile instead of the order rules if one is named; returns { error } or the trigger result
+function startTestTrigger(profile, source, actor = { user: source, ip: null }) {
+    if (profile && !Object.prototype.hasOwnProperty.call(alarmSettings.profiles, profile)) {
+        return { error: `Unknown profile "${profile}".` };
     }
+    recordAudit({ ...actor, action: 'command.test-trigger', details: { profile: profile || null } });
+    console.log(`Test trigger requested from ${source}.`);
+    return triggerOrderAlarm({ source: 'test', order: {}, details: { requestedBy: source }, profile: profile || null });
+}
 
-    console.log('Order webhook received!');
-
-    // The main alarmEnabled toggle now controls whether any relay is triggered by an order
-    if (alarmSettings.alarmEnabled) {
-        // Use the currently configured relay settings (including 'enabled' property)
-        alarmSettings.activeTrigger = {
-            source: 'order',
-            timestamp: Date.now(),
-            relayConfig: JSON.parse(JSON.stringify(alarmSettings.relays)) // Deep copy of current configs
-        };
-        // Trigger calculation and broadcast immediately
+// Clear the active trigger and any running relay test; returns { message }
+function deactivateAlarm(source, actor = { user: source, ip: null }) {
+    if (runtimeState.activeTrigger || runtimeState.testRelay.id !== null || runtimeState.triggerActive || runtimeState.triggerQueue.length > 0) {
+        recordAudit({ ...actor, action: 'command.deactivate', details: { cancelled: true } });
+        recordEvent({
+            type: 'deactivate',
+            source,
+            outcome: 'cancelled',
+            relayConfig: runtimeState.activeTrigger ? runtimeState.activeTrigger.relayConfig : null,
+            details: {
+                cancelledSource: runtimeState.activeTrigger ? runtimeState.activeTrigger.source : 'test',
+                ...(runtimeState.activeTrigger && runtimeState.activeTrigger.details),
+                cancelledPending: getPendingOrders() // Queued orders are dropped too
+            }
+        });
+        if (runtimeState.activeTrigger) lastTriggerEndedAt = Date.now();
+        runtimeState.activeTrigger = null;
+        runtimeState.triggerQueue = [];
+        runtimeState.testRelay = { id: null, onTimeMs: 0, pulseMs: 0, timestamp: 0 }; // Clear any test
+        updateDevicePlans(); // Cancels the plan on plan-mode boards
+        // Trigger calculation and broadcast to update state and clear interval if needed
         calculateAndBroadcastRelayStates();
-        console.log('Alarm trigger activated for Order event.');
-        res.status(200).send('Alarm triggered via API.');
-    } else {
-        console.log('Main alarm is disabled, not triggering for Order event.');
-        res.status(200).send('Main alarm is disabled, trigger ignored.');
+        console.log(`Deactivate alarm command issued from ${source}. Active trigger cleared.`);
+        if (runtimeState.unacknowledged) {
+            return { message: 'Alarm silenced. It repeats until acknowledged.' };
+        }
+        return { message: 'Active alarm cleared!' };
     }
-});
+    recordEvent({ type: 'deactivate', source, outcome: 'none' });
+    recordAudit({ ...actor, action: 'command.deactivate', details: { cancelled: false } });
+    return { message: 'No active alarm to deactivate.' };
+}
 
-// Get dashboard settings (for initial load)
-app.get('/api/dashboard/settings', isAuthenticated, (req, res) => {
-    // Only return configurable parts to the dashboard and current states
-    res.json({
-        alarmEnabled: alarmSettings.alarmEnabled,
-        relays: alarmSettings.relays, // Configuration
-        currentRelayStates: alarmSettings.currentRelayStates, // Live states
-        triggerActive: alarmSettings.triggerActive
+// Mark the unacknowledged alarm as handled: stops its repeats and silences it if it is playing; returns { message }
+function acknowledgeAlarm(source, actor = { user: source, ip: null }) {
+    const pending = runtimeState.unacknowledged;
+    recordAudit({ ...actor, action: 'command.acknowledge', details: { acknowledged: !!pending } });
+    if (!pending) {
+        recordEvent({ type: 'acknowledge', source, outcome: 'none' });
+        return { message: 'No alarm is waiting for acknowledgement.' };
+    }
+
+    const now = Date.now();
+    runtimeState.unacknowledged = null;
+    recordEvent({
+        type: 'acknowledge',
+        source,
+        outcome: 'acknowledged',
+        details: { ...pending.details, orders: pending.orders, repeats: pending.repeats, waitedMs: now - pending.since }
     });
-});
+    if (runtimeState.activeTrigger || runtimeState.triggerQueue.length > 0) {
+        // Handled includes orders still waiting in the queue; a running relay test is left alone
+        lastTriggerEndedAt = now;
+        runtimeState.activeTrigger = null;
+        runtimeState.triggerQueue = [];
+        updateDevicePlans();
+    }
+    calculateAndBroadcastRelayStates();
+    broadcastDashboard(); // The acknowledgement state is only part of the dashboard state
+    saveRuntimeState();
+    console.log(`Alarm acknowledged from ${source} after ${pending.repeats} repeats.`);
+    return { message: 'Alarm acknowledged.' };
+}
 
-app.post('/api/dashboard/settings', isAuthenticated, (req, res) => {
-    const { alarmEnabled, relays } = req.body;
+// Switch the main alarm on or off; returns { message }
+function setAlarmEnabled(enabled, source, actor = { user: source, ip: null }) {
+    const before = JSON.parse(JSON.stringify(CONFIG_SECTIONS.settings.snapshot()));
+    alarmSettings.alarmEnabled = enabled;
+    saveSettings();
+    updateDevicePlans();
+    calculateAndBroadcastRelayStates();
+    broadcastSettings(); // alarmEnabled is part of the broadcast state even if no relay changed
+    recordAudit({ ...actor, action: 'config.update', section: 'settings', before, after: CONFIG_SECTIONS.settings.snapshot() });
+    console.log(`Main alarm ${enabled ? 'enabled' : 'disabled'} from ${source}.`);
+    return { message: `Main alarm ${enabled ? 'enabled' : 'disabled'}.` };
+}
+
+// --- Configuration changes (shared by the dashboard API and restores from the audit log) ---
+// Each validates and applies one section of the settings; returns an error message or null
 
-    // Basic validation
+// Main switch and relay configuration
+function updateRelaySettings({ alarmEnabled, relays }) {
     if (typeof alarmEnabled !== 'boolean') {
-        return res.status(400).send('Invalid alarm enabled status.');
+        return 'Invalid alarm enabled status.';
     }
-    if (typeof relays !== 'object' || Object.keys(relays).length !== 4) {
-        return res.status(400).send('Invalid relays configuration.');
-    }
-    for (const id in relays) {
-        const relay = relays[id];
-        if (typeof relay.onTimeMs !== 'number' || relay.onTimeMs < 100 || relay.onTimeMs > 600000) { // 100ms to 10 min
-            return res.status(400).send(`Invalid onTimeMs for relay ${id}.`);
-        }
-        if (typeof relay.delayMs !== 'number' || relay.delayMs < 0 || relay.delayMs > 600000) { // 0ms to 10 min
-            return res.status(400).send(`Invalid delayMs for relay ${id}.`);
-        }
-        // Validation for pulseMs
-        if (typeof relay.pulseMs !== 'number' || relay.pulseMs < 0 || relay.pulseMs > 5000) { // 0ms to 5 seconds
-            return res.status(400).send(`Invalid pulseMs for relay ${id}. Must be between 0 and 5000.`);
-        }
-        // New validation for enabled
-        if (typeof relay.enabled !== 'boolean') {
-            return res.status(400).send(`Invalid enabled status for relay ${id}.`);
-        }
+    const relaysError = validateRelays(relays, null, alarmSettings.patterns);
+    if (relaysError) {
+        return relaysError;
     }
 
     alarmSettings.alarmEnabled = alarmEnabled;
     // Only update relay configuration, not live states here
-    alarmSettings.relays = relays;
+    const cleanRelays = {};
+    for (const id in relays) {
+        cleanRelays[id] = cleanRelayConfig({ ...relays[id], label: relays[id].label ? relays[id].label.trim() : `Relay ${id}` });
+    }
+    alarmSettings.relays = cleanRelays;
+    syncRelayReferences(); // Relays may have been added or removed
     saveSettings();
+    updateDevicePlans(); // The main switch may have changed
 
     // Trigger calculation and broadcast for updated settings
     calculateAndBroadcastRelayStates();
 
-    console.log('Dashboard settings updated:', { alarmEnabled, relays });
-    res.json({ message: 'Settings updated successfully!', settings: { alarmEnabled, relays } });
-});
+    console.log('Dashboard settings updated:', { alarmEnabled, relays: alarmSettings.relays });
+    return null;
+}
 
-// Command to test a specific relay from dashboard
-app.post('/api/dashboard/commands/test-relay/:id', isAuthenticated, (req, res) => {
-    const relayId = req.params.id;
-    if (!['1', '2', '3', '4'].includes(relayId)) {
-        return res.status(400).send('Invalid relay ID.');
+// Logical output -> device relay mapping
+function updateOutputMap({ outputMap }) {
+    const mapError = validateOutputMap(outputMap, Object.keys(alarmSettings.relays));
+    if (mapError) {
+        return mapError;
     }
 
-    const currentRelayConfig = alarmSettings.relays[relayId];
+    alarmSettings.outputMap = outputMap;
+    saveSettings();
+    broadcastSettings(); // Boards may have gained or lost outputs
+    if (currentPlan) connectedClients.forEach(sendPlanToClient);
 
-    // Check if the individual relay is enabled before testing
-    if (!currentRelayConfig.enabled) {
-        return res.status(400).send(`Relay ${relayId} is disabled and cannot be tested.`);
+    console.log('Output mapping updated:', outputMap);
+    return null;
+}
+
+// Weekly alarm schedule
+function updateSchedule({ schedule }) {
+    const scheduleError = validateSchedule(schedule, Object.keys(alarmSettings.relays));
+    if (scheduleError) {
+        return scheduleError;
     }
 
-    // Set the test command for the ESP32 to pick up
-    // Use the configured pulseMs for the test relay
-    alarmSettings.testRelay = {
-        id: parseInt(relayId, 10),
-        onTimeMs: 500, // Fixed 500ms test duration
-        pulseMs: currentRelayConfig.pulseMs, // Use configured pulse for test
-        timestamp: Date.now() // Start test now
+    alarmSettings.schedule = {
+        enabled: schedule.enabled,
+        timezone: schedule.timezone,
+        weekly: Object.fromEntries(WEEKDAYS.map(day => [day, schedule.weekly[day] || []])),
+        exceptions: schedule.exceptions,
+        outsideHours: schedule.outsideHours,
+        quietRelays: schedule.quietRelays.map(String)
     };
-    calculateAndBroadcastRelayStates(); // Broadcast the updated state with testRelay command
+    saveSettings();
 
-    console.log(`Test command sent for relay ${relayId}.`);
-    res.status(200).send(`Test alarm command sent for relay ${relayId}!`);
-});
+    console.log('Alarm schedule updated:', alarmSettings.schedule);
+    return null;
+}
 
-// Command to deactivate any current active alarm
-app.post('/api/dashboard/commands/deactivate-alarm', isAuthenticated, (req, res) => {
-    if (alarmSettings.activeTrigger || alarmSettings.testRelay.id !== null || alarmSettings.triggerActive) {
-        alarmSettings.activeTrigger = null;
-        alarmSettings.testRelay = { id: null, onTimeMs: 0, pulseMs: 0, timestamp: 0 }; // Clear any test
-        // Trigger calculation and broadcast to update state and clear interval if needed
-        calculateAndBroadcastRelayStates();
-        console.log('Deactivate alarm command issued from dashboard. Active trigger cleared.');
-        res.status(200).send('Active alarm cleared!');
-    } else {
-        res.status(200).send('No active alarm to deactivate.');
+// Alarm profiles and rules (both are replaced as a whole)
+function updateRules({ profiles, rules }) {
+    const profilesError = validateProfiles(profiles, Object.keys(alarmSettings.relays), alarmSettings.patterns);
+    if (profilesError) {
+        return profilesError;
+    }
+    const rulesError = validateRules(rules, Object.keys(profiles));
+    if (rulesError) {
+        return rulesError;
+    }
+    const escalationStep = alarmSettings.acknowledgement.escalation.find(step => !Object.prototype.hasOwnProperty.call(profiles, step.profile));
+    if (escalationStep) {
+        return `Profile "${escalationStep.profile}" is still used by an escalation step.`;
+    }
+    const sourceProfile = profilesInUse().find(name => !Object.prototype.hasOwnProperty.call(profiles, name));
+    if (sourceProfile) {
+        return `Profile "${sourceProfile}" is still used by a trigger source.`;
     }
-});
 
+    alarmSettings.profiles = {};
+    for (const name in profiles) {
+        const profileRelays = {};
+        for (const id in profiles[name].relays) {
+            const { label, ...relayConfig } = cleanRelayConfig(profiles[name].relays[id]);
+            profileRelays[id] = relayConfig;
+        }
+        alarmSettings.profiles[name] = { relays: profileRelays };
+    }
+    alarmSettings.rules = rules;
+    saveSettings();
 
-// --- WebSocket Server Connection Handling ---
-const httpServer = app.listen(PORT, () => {
-    console.log(`Cloud service running on port ${PORT}`);
-    console.log(`Dashboard available at http://localhost:${PORT}/ (login required)`);
-    console.log(`Order Webhook URL: http://localhost:${PORT}/webhook/order?secret=${ORDER_WEBHOOK_SECRET}`);
+    console.log('Alarm rules updated:', { profiles: Object.keys(profiles), rules: rules.map(r => r.name) });
+    return null;
+}
+
+// Pattern library (replaced as a whole)
+function updatePatterns({ patterns }) {
+    const libraryError = validatePatternLibrary(patterns);
+    if (libraryError) {
+        return libraryError;
+    }
+    // Patterns still used by a relay or profile can't be removed
+    const usedBy = [];
+    for (const id in alarmSettings.relays) {
+        usedBy.push({ name: alarmSettings.relays[id].patternName, where: `relay ${id}` });
+    }
+    for (const profileName in alarmSettings.profiles) {
+        for (const id in alarmSettings.profiles[profileName].relays) {
+            usedBy.push({ name: alarmSettings.profiles[profileName].relays[id].patternName, where: `profile "${profileName}"` });
+        }
+    }
+    const missing = usedBy.find(use => use.name !== undefined && !Object.prototype.hasOwnProperty.call(patterns, use.name));
+    if (missing) {
+        return `Pattern "${missing.name}" is still used by ${missing.where}.`;
+    }
+
+    alarmSettings.patterns = {};
+    for (const name in patterns) {
+        alarmSettings.patterns[name] = cleanPattern(patterns[name]);
+    }
+    saveSettings();
+
+    console.log('Pattern library updated:', Object.keys(alarmSettings.patterns));
+    return null;
+}
+
+// What orders arriving during a running alarm do
+function updateTriggerPolicy({ triggerPolicy }) {
+    const policyError = validateTriggerPolicy(triggerPolicy);
+    if (policyError) {
+        return policyError;
+    }
+
+    const { mode, coalesceWindowMs, cooldownMs, maxPerMinute, maxPending } = triggerPolicy;
+    alarmSettings.triggerPolicy = { mode, coalesceWindowMs, cooldownMs, maxPerMinute, maxPending };
+    saveSettings();
+
+    console.log('Trigger policy updated:', alarmSettings.triggerPolicy);
+    return null;
+}
+
+// Acknowledge-until-handled mode and its escalation steps
+function updateAcknowledgement({ acknowledgement }) {
+    const ackError = validateAcknowledgement(acknowledgement, Object.keys(alarmSettings.profiles));
+    if (ackError) {
+        return ackError;
+    }
+
+    alarmSettings.acknowledgement = {
+        enabled: acknowledgement.enabled,
+        repeatIntervalMs: acknowledgement.repeatIntervalMs,
+        escalation: acknowledgement.escalation.map(step => ({ afterRepeats: step.afterRepeats, profile: step.profile }))
+    };
+    if (!acknowledgement.enabled && runtimeState.unacknowledged) {
+        runtimeState.unacknowledged = null; // Nothing can acknowledge it anymore
+        broadcastDashboard();
+        saveRuntimeState();
+    }
+    saveSettings();
+
+    console.log('Acknowledgement settings updated:', alarmSettings.acknowledgement);
+    return null;
+}
+
+// What happens to an alarm interrupted by a server restart
+function updateRestartPolicy({ restartPolicy }) {
+    const policyError = validateRestartPolicy(restartPolicy);
+    if (policyError) {
+        return policyError;
+    }
+
+    const { mode, maxDowntimeMs } = restartPolicy;
+    alarmSettings.restartPolicy = { mode, maxDowntimeMs };
+    saveSettings();
+
+    console.log('Restart policy updated:', alarmSettings.restartPolicy);
+    return null;
+}
+
+// Notification channels (replaced as a whole; masked secrets keep their stored values)
+function updateNotifications({ notifications }) {
+    const channels = resolveChannels(notifications && notifications.channels, alarmSettings.notifications.channels);
+    const notificationsError = validateNotifications({ channels });
+    if (notificationsError) {
+        return notificationsError;
+    }
+
+    alarmSettings.notifications = { channels: channels.map(cleanChannel) };
+    saveSettings();
+
+    console.log('Notification channels updated:', alarmSettings.notifications.channels.map(channel => `${channel.name} (${channel.type})`));
+    return null;
+}
+
+// Relay safety limits and interlocks (replaced as a whole)
+function updateSafety({ safety }) {
+    const safetyError = validateSafety(safety, Object.keys(alarmSettings.relays));
+    if (safetyError) {
+        return safetyError;
+    }
+
+    const relays = {};
+    for (const relayId in safety.relays) {
+        const { maxOnMs = null, maxDutyPercent = null, dutyWindowMs = null, dailyBudgetMs = null, minOffMs = null } = safety.relays[relayId];
+        if ([maxOnMs, maxDutyPercent, dailyBudgetMs, minOffMs].some(limit => limit !== null)) {
+            relays[relayId] = { maxOnMs, maxDutyPercent, dutyWindowMs, dailyBudgetMs, minOffMs };
+        }
+    }
+    alarmSettings.safety = { relays, interlocks: safety.interlocks.map(interlock => ({ relays: interlock.relays.slice() })) };
+    saveSettings();
+    updatePlanSuspension();
+
+    console.log('Relay safety limits updated:', JSON.stringify(alarmSettings.safety));
+    return null;
+}
+
+// Login lockouts, webhook blocks and session lifetime; shorter session limits apply to existing sessions too
+function updateSecurity({ security }) {
+    const securityError = validateSecurity(security);
+    if (securityError) {
+        return securityError;
+    }
+
+    alarmSettings.security = Object.fromEntries(Object.keys(DEFAULT_SECURITY).map(key => [key, security[key]]));
+    saveSettings();
+
+    console.log('Security settings updated:', alarmSettings.security);
+    return null;
+}
+
+// Audited configuration sections: the snapshot stored before and after a change, and how to apply one
+// (a snapshot has the shape the update function takes, so any audit entry can be restored)
+const CONFIG_SECTIONS = {
+    settings: {
+        snapshot: () => ({ alarmEnabled: alarmSettings.alarmEnabled, relays: alarmSettings.relays }),
+        update: updateRelaySettings
+    },
+    outputMap: { snapshot: () => ({ outputMap: alarmSettings.outputMap }), update: updateOutputMap },
+    schedule: { snapshot: () => ({ schedule: alarmSettings.schedule }), update: updateSchedule },
+    rules: { snapshot: () => ({ profiles: alarmSettings.profiles, rules: alarmSettings.rules }), update: updateRules },
+    patterns: { snapshot: () => ({ patterns: alarmSettings.patterns }), update: updatePatterns },
+    triggerPolicy: { snapshot: () => ({ triggerPolicy: alarmSettings.triggerPolicy }), update: updateTriggerPolicy },
+    acknowledgement: { snapshot: () => ({ acknowledgement: alarmSettings.acknowledgement }), update: updateAcknowledgement },
+    restartPolicy: { snapshot: () => ({ restartPolicy: alarmSettings.restartPolicy }), update: updateRestartPolicy },
+    // Passwords, tokens and header values are masked, a restore keeps the stored ones
+    notifications: {
+        snapshot: () => ({ notifications: { channels: maskChannels(alarmSettings.notifications.channels) } }),
+        update: updateNotifications
+    },
+    safety: { snapshot: () => ({ safety: alarmSettings.safety }), update: updateSafety },
+    security: { snapshot: () => ({ security: alarmSettings.security }), update: updateSecurity }
+};
+
+// --- Apply a configuration change and record it in the audit log; returns an error message or null ---
+function changeConfig(section, values, actor, action = 'config.update', details = {}) {
+    const { snapshot, update } = CONFIG_SECTIONS[section];
+    const before = JSON.parse(JSON.stringify(snapshot())); // Copied, some updates change settings in place
+    const error = update(values);
+    if (error) {
+        return error;
+    }
+    recordAudit({ ...actor, action, section, before, after: snapshot(), details });
+    return null;
+}
+
+// --- Express Middleware ---
+try {
+    app.set('trust proxy', parseTrustProxy(TRUST_PROXY));
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+app.use(bodyParser.json({
+    // Keep the raw body around, Shopware signatures are computed over the exact bytes sent
+    verify: (req, res, buf) => {
+        req.rawBody = buf.toString('utf8');
+    }
+}));
+app.use(bodyParser.urlencoded({ extended: true }));
+// Kept in a variable, WebSocket upgrades run it too to authenticate dashboard connections
+// The store is looked up regularly to close live dashboards whose session has ended
+const sessionStore = new session.MemoryStore();
+const sessionParser = session({
+    secret: SESSION_SECRET,
+    resave: false,
+    saveUninitialized: false,
+    store: sessionStore,
+    cookie: {
+        secure: process.env.NODE_ENV === 'production', // Use secure cookies in production (HTTPS)
+        sameSite: 'lax' // Not sent with requests other sites start in the background
+    }
+});
+app.use(sessionParser);
+
+// --- Authentication Middleware ---
+// Logged-in user of a request, looked up on every request so disabled accounts and role changes apply at once.
+// Sessions past their maximum age or idle time (see lib/security.js) no longer count as logged in.
+function getSessionUser(req) {
+    if (!req.session || !req.session.isAuthenticated || isSessionExpired(alarmSettings.security, req.session)) {
+        return null;
+    }
+    return getActiveUser(req.session.username);
+}
+
+// Require at least the given role (viewer < operator < admin)
+function requireRole(role) {
+    return (req, res, next) => {
+        const user = getSessionUser(req);
+        if (!user) {
+            return res.redirect('/login');
+        }
+        if (!hasRole(user.role, role)) {
+            return res.status(403).send('You do not have permission to do this.');
+        }
+        req.session.lastSeenAt = Date.now(); // For the idle timeout
+        req.user = user;
+        next();
+    };
+}
+
+// End every session of a user, after a password reset or when the account is disabled, so a stolen login
+// stops working at once. keepSessionId spares the admin's own session when they reset their own password.
+function destroyUserSessions(username, keepSessionId = null) {
+    connectedClients.forEach(client => {
+        if (client.username === username && client.sessionId !== keepSessionId) client.close(4001, 'Session ended');
+    });
+    return new Promise(resolve => {
+        sessionStore.all((error, sessions) => {
+            if (error) {
+                console.error('Error reading sessions:', error);
+                return resolve(0);
+            }
+            const ended = Object.keys(sessions || {})
+                .filter(sessionId => sessions[sessionId].username === username && sessionId !== keepSessionId);
+            ended.forEach(sessionId => sessionStore.destroy(sessionId, () => {}));
+            resolve(ended.length);
+        });
+    });
+}
+
+// Who made a request, for the audit log
+function auditActor(req) {
+    return { user: req.user.username, ip: req.ip };
+}
+
+// State-changing dashboard requests must send the session's CSRF token as X-CSRF-Token (handed out by
+// GET /api/dashboard/me); a page on another site can make the browser send the cookie, but can't read the token
+function requireCsrfToken(req, res, next) {
+    if (['GET', 'HEAD', 'OPTIONS'].includes(req.method) || !getSessionUser(req)) {
+        return next(); // Requests without a session are turned away by requireRole
+    }
+    if (!csrfTokenMatches(req.session, req.get('x-csrf-token'))) {
+        console.warn(`Rejected ${req.method} ${req.originalUrl} without a valid CSRF token from IP: ${req.ip}`);
+        return res.status(403).send('Missing or invalid CSRF token, reload the page.');
+    }
+    next();
+}
+app.use('/api/dashboard', requireCsrfToken);
+
+// --- Serve Static Dashboard Files ---
+app.use(express.static(path.join(__dirname, 'assets')));
+app.use('/views', express.static(path.join(__dirname, 'views'))); // Allow assets to access view files for WS client
+
+
+// --- Dashboard Login Routes ---
+app.get('/', (req, res) => {
+    if (getSessionUser(req)) {
+        return res.redirect('/dashboard');
+    } else {
+        return res.redirect('/login');
+    }
+});
+
+app.get('/dashboard', (req, res) => {
+    if (!getSessionUser(req)) {
+        return res.redirect('/login');
+    }
+
+    res.sendFile(path.join(__dirname, 'views', 'dashboard.html'));
+});
+
+app.get('/users', (req, res) => {
+    const user = getSessionUser(req);
+    if (!user) {
+        return res.redirect('/login');
+    }
+    if (!hasRole(user.role, 'admin')) {
+        return res.redirect('/dashboard');
+    }
+
+    res.sendFile(path.join(__dirname, 'views', 'users.html'));
+});
+
+app.get('/login', (req, res) => {
+    if (getSessionUser(req)) {
+        return res.redirect('/dashboard');
+    }
+
+    res.sendFile(path.join(__dirname, 'views', 'login.html'));
+});
+
+// Failed logins lock out the client IP and the account for a while (see lib/security.js)
+app.post('/login', async (req, res) => {
+    const { username, password } = req.body;
+    const account = String(username || '');
+
+    const lockedMs = Math.max(loginIpLimiter.lockedFor(req.ip), loginAccountLimiter.lockedFor(account));
+    if (lockedMs > 0) {
+        console.warn(`Login for "${account}" from IP ${req.ip} refused, locked out for another ${formatMinutes(lockedMs)}.`);
+        return res.redirect(`/login?error=Too many failed logins, try again in ${formatMinutes(lockedMs)}`);
+    }
+
+    const user = await authenticateUser(username, password);
+    if (!user) {
+        console.warn(`Failed login for "${account}" from IP: ${req.ip}`);
+        const ipLockoutMs = loginIpLimiter.recordFailure(req.ip);
+        const accountLockoutMs = loginAccountLimiter.recordFailure(account);
+        if (ipLockoutMs) {
+            console.warn(`IP ${req.ip} locked out of logging in for ${formatMinutes(ipLockoutMs)} after repeated failures.`);
+            countMetric('shopalarm_lockouts_total', { kind: 'login-ip' });
+        }
+        if (accountLockoutMs) {
+            console.warn(`Account "${account}" locked for ${formatMinutes(accountLockoutMs)} after repeated failed logins.`);
+            countMetric('shopalarm_lockouts_total', { kind: 'login-account' });
+        }
+        return res.redirect('/login?error=Invalid credentials');
+    }
+    loginAccountLimiter.reset(account);
+    // New session id on login, so a session id known before logging in is worthless
+    req.session.regenerate(error => {
+        if (error) {
+            console.error('Error creating session:', error);
+            return res.redirect('/login?error=Login failed, please try again');
+        }
+        const now = Date.now();
+        req.session.isAuthenticated = true;
+        req.session.username = user.username;
+        req.session.createdAt = now;
+        req.session.lastSeenAt = now;
+        req.session.csrfToken = createCsrfToken();
+        req.session.cookie.maxAge = alarmSettings.security.sessionMaxAgeMs;
+        res.redirect('/');
+    });
+});
+
+function formatMinutes(ms) {
+    const minutes = Math.ceil(ms / 60000);
+    return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+app.get('/logout', (req, res) => {
+    req.session.destroy(() => {
+        res.redirect('/login');
+    });
+});
+
+// --- API Endpoints ---
+
+// Shopware app registration handshake, step 1: Shopware asks for a shop secret
+app.get('/shopware/register', (req, res) => {
+    const query = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+    const result = handleRegistration({
+        query,
+        signature: req.get('shopware-app-signature'),
+        shopId: req.query['shop-id'],
+        shopUrl: req.query['shop-url'],
+        timestamp: req.query.timestamp,
+        appName: SHOPWARE_APP_NAME,
+        appSecret: SHOPWARE_APP_SECRET,
+        confirmationUrl: `${APP_URL || `${req.protocol}://${req.get('host')}`}/shopware/confirm`
+    });
+    if (result.error) {
+        console.warn(`Shopware registration rejected (${result.error}) from IP:`, req.ip);
+        return res.status(401).send(result.error);
+    }
+
+    console.log(`Shopware shop ${req.query['shop-id']} (${req.query['shop-url']}) registered, awaiting confirmation.`);
+    res.json(result.response);
+});
+
+// Shopware app registration handshake, step 2: Shopware confirms with its API credentials
+app.post('/shopware/confirm', (req, res) => {
+    const result = handleConfirmation({
+        rawBody: req.rawBody || '',
+        body: req.body,
+        signature: req.get('shopware-shop-signature')
+    });
+    if (result.error) {
+        console.warn(`Shopware registration confirmation rejected (${result.error}) from IP:`, req.ip);
+        return res.status(401).send(result.error);
+    }
+
+    console.log(`Shopware shop ${result.shopId} confirmed.`);
+    res.status(204).end();
+});
+
+// Webhook and trigger API response message per trigger policy decision
+const TRIGGER_MESSAGES = {
+    started: 'Alarm triggered via API.',
+    restarted: 'Alarm restarted via API.',
+    extended: 'Running alarm extended via API.',
+    queued: 'Alarm queued via API, it plays after the running one.',
+    coalesced: 'Order joined the running alarm.'
+};
+
+// --- Start, extend, queue or ignore an alarm for an incoming order ---
+// Shared by the order webhook, the trigger API and test triggers. source: event source ('order', 'source:<id>', 'test');
+// order: the payload order rules are evaluated on; profile: a trigger source's fixed profile, used
+// instead of the rules; ignoreReason: record the order but don't trigger.
+// Returns the JSON response for the caller.
+function triggerOrderAlarm({ source, order, details, profile = null, ignoreReason = null }) {
+    // Pick the relay pattern: the source's own profile, else the first matching rule's profile,
+    // otherwise the default relay settings
+    let relayConfig = alarmSettings.relays;
+    const matchedRule = profile ? null : evaluateRules(alarmSettings.rules, order);
+    if (profile && alarmSettings.profiles[profile]) {
+        relayConfig = alarmSettings.profiles[profile].relays;
+        details.profile = profile;
+        console.log(`Trigger from ${source}, using its profile "${profile}".`);
+    } else if (matchedRule && alarmSettings.profiles[matchedRule.profile]) {
+        relayConfig = alarmSettings.profiles[matchedRule.profile].relays;
+        details.rule = matchedRule.name;
+        details.profile = matchedRule.profile;
+        console.log(`Order matched rule "${matchedRule.name}", using profile "${matchedRule.profile}".`);
+    }
+
+    // The main alarmEnabled toggle and the schedule decide whether (and how) an order triggers
+    const alarmState = getAlarmState();
+    let suppressedReason = null;
+    if (ignoreReason) {
+        suppressedReason = ignoreReason;
+    } else if (alarmState.state === 'disabled') {
+        suppressedReason = 'Main alarm is disabled.';
+    } else if (alarmState.state === 'suppressed') {
+        suppressedReason = `Outside scheduled alarm hours${alarmState.exception ? ` (${alarmState.exception})` : ''}`
+            + (alarmState.nextChange ? `, alarm resumes at ${new Date(alarmState.nextChange.at).toISOString()}.` : '.');
+    } else if (alarmState.state === 'quiet') {
+        relayConfig = quietRelayConfig(relayConfig);
+        details.quiet = true;
+    }
+
+    // Orders during a running alarm follow the trigger policy
+    const now = Date.now();
+    const policy = alarmSettings.triggerPolicy;
+    recentTriggers = recentTriggers.filter(timestamp => now - timestamp < RATE_WINDOW_MS);
+    const decision = suppressedReason
+        ? { action: 'ignored', reason: suppressedReason }
+        : decideTrigger(policy, {
+            now,
+            activeTrigger: runtimeState.activeTrigger,
+            pending: getPendingOrders(now),
+            lastEndedAt: lastTriggerEndedAt,
+            recentTriggers
+        });
+    const trigger = runtimeState.activeTrigger;
+
+    switch (decision.action) {
+        case 'started':
+        case 'restarted':
+            // Use the selected relay settings (including 'enabled' property)
+            runtimeState.activeTrigger = {
+                source,
+                timestamp: now,
+                relayConfig: snapshotRelayConfig(relayConfig), // Deep copy of current configs, library patterns resolved
+                details,
+                plays: 1,
+                orders: 1
+            };
+            relayConfig = runtimeState.activeTrigger.relayConfig;
+            break;
+        case 'extended':
+            trigger.plays = (trigger.plays || 1) + 1;
+            trigger.orders = (trigger.orders || 1) + 1;
+            break;
+        case 'queued':
+            relayConfig = snapshotRelayConfig(relayConfig);
+            runtimeState.triggerQueue.push({ source, relayConfig, details });
+            break;
+        case 'coalesced':
+            trigger.orders = (trigger.orders || 1) + 1;
+            break;
+    }
+    if (decision.action !== 'ignored' && decision.action !== 'coalesced') {
+        recentTriggers.push(now);
+    }
+    if (decision.action !== 'ignored') {
+        noteUnacknowledged(runtimeState.activeTrigger, now);
+        saveRuntimeState(); // A running alarm and queued orders survive a restart
+    }
+
+    const pendingOrders = getPendingOrders(now);
+    const policyDetails = { policy: policy.mode, pendingOrders };
+    if (decision.action === 'ignored') {
+        recordEvent({ type: 'trigger', source, outcome: 'ignored', relayConfig, details: { ...details, ...policyDetails, reason: decision.reason } });
+        console.log(`Not triggering for ${source} event: ${decision.reason}`);
+        return { message: 'Trigger ignored.', triggered: false, action: 'ignored', reason: decision.reason, ...policyDetails };
+    }
+
+    // 'started' keeps the outcome older history entries use for a new alarm
+    const outcome = decision.action === 'started' ? 'triggered' : decision.action;
+    recordEvent({ type: 'trigger', source, outcome, relayConfig, details: { ...details, ...policyDetails } });
+    notifyChannels(alarmSettings.notifications.channels, { action: decision.action, source, details, timestamp: now });
+    countMetric('shopalarm_triggers_total', { source, action: decision.action });
+    if (decision.action === 'coalesced') {
+        broadcastDashboard(); // Only the order count of the running alarm changed
+    } else {
+        updateDevicePlans();
+        // Trigger calculation and broadcast immediately
+        calculateAndBroadcastRelayStates();
+    }
+    console.log(`${source} event: alarm ${decision.action} (policy ${policy.mode}, ${pendingOrders} pending)${details.quiet ? ' (quiet hours)' : ''}.`);
+    return { message: TRIGGER_MESSAGES[decision.action], triggered: true, action: decision.action, quiet: !!details.quiet, ...policyDetails };
+}
+
+// --- Refuse webhook requests from an IP blocked for failing authentication; returns true if refused ---
+function rejectBlockedWebhook(req, res, endpoint) {
+    const blockedMs = webhookLimiter.lockedFor(req.ip);
+    if (!blockedMs) return false;
+    countMetric('shopalarm_webhooks_rejected_total', { endpoint });
+    res.set('Retry-After', String(Math.ceil(blockedMs / 1000))).status(429).send('Too many failed attempts.');
+    return true;
+}
+
+// --- Reject a webhook that failed authentication, blocking its IP after repeated failures ---
+function rejectUnauthorizedWebhook(req, res, endpoint) {
+    countMetric('shopalarm_webhooks_rejected_total', { endpoint });
+    const blockMs = webhookLimiter.recordFailure(req.ip);
+    if (blockMs) {
+        console.warn(`IP ${req.ip} blocked from the webhooks for ${formatMinutes(blockMs)} after repeated failed authentication.`);
+        countMetric('shopalarm_lockouts_total', { kind: 'webhook-ip' });
+    }
+    res.status(401).send('Unauthorized');
+}
+
+// Order Webhook endpoint
+// Authenticated by the `shopware-shop-signature` HMAC of a registered shop, or (if enabled) the legacy ?secret= query
+app.post('/webhook/order', (req, res) => {
+    countMetric('shopalarm_webhooks_received_total', { endpoint: 'order' });
+    if (rejectBlockedWebhook(req, res, 'order')) return;
+    const signature = req.get('shopware-shop-signature');
+    let shopId = null;
+    if (signature) {
+        shopId = verifyWebhook({ rawBody: req.rawBody || '', body: req.body, signature });
+        if (!shopId) {
+            console.warn('Order webhook with invalid Shopware signature from IP:', req.ip);
+            return rejectUnauthorizedWebhook(req, res, 'order');
+        }
+    } else if (!LEGACY_WEBHOOK_SECRET_ENABLED || req.query.secret !== ORDER_WEBHOOK_SECRET) {
+        console.warn('Unauthorized order webhook attempt from IP:', req.ip);
+        return rejectUnauthorizedWebhook(req, res, 'order');
+    }
+
+    console.log(shopId ? `Order webhook received from shop ${shopId}!` : 'Order webhook received (legacy secret)!');
+    const orderReference = getOrderReference(req.body);
+    const details = orderReference ? { orderReference } : {};
+    if (shopId) details.shopId = shopId;
+    const result = triggerOrderAlarm({ source: 'order', order: req.body, details });
+    if (!result.triggered) countMetric('shopalarm_webhooks_suppressed_total', { endpoint: 'order' });
+    res.status(200).json(result);
+});
+
+// Trigger API for the sources set up on the dashboard (see lib/trigger-sources.js)
+// Generic sources authenticate with their API key, WooCommerce and Shopify webhooks with their signature
+app.post('/api/triggers/:source', (req, res) => {
+    countMetric('shopalarm_webhooks_received_total', { endpoint: 'trigger' });
+    if (rejectBlockedWebhook(req, res, 'trigger')) return;
+    const header = name => req.get(name);
+    const source = authenticateTrigger(req.params.source, { rawBody: req.rawBody, header });
+    if (isWebhookPing(req.body)) {
+        // WooCommerce only saves a webhook whose unsigned delivery test got a 2xx. It triggers nothing and is
+        // answered the same for every source id, known or not, so it tells nothing about the sources.
+        console.log(`Webhook ping received for source "${req.params.source}".`);
+        return res.status(200).json({ message: 'Webhook ping received.' });
+    }
+    if (!source) {
+        console.warn(`Unauthorized trigger for source "${req.params.source}" from IP:`, req.ip);
+        return rejectUnauthorizedWebhook(req, res, 'trigger');
+    }
+
+    const { order, ignore } = readTriggerOrder(source, { body: req.body, header });
+    if (ignore) {
+        console.log(`Trigger from source ${source.id} skipped: ${ignore}`);
+        return res.status(200).json({ message: 'Nothing to trigger.', triggered: false, reason: ignore });
+    }
+    console.log(`Trigger received from source ${source.id}!`);
+    const orderReference = getOrderReference(order);
+    const details = { sourceName: source.name };
+    if (orderReference) details.orderReference = orderReference;
+    const result = triggerOrderAlarm({
+        source: `source:${source.id}`,
+        order,
+        details,
+        profile: source.profile,
+        ignoreReason: source.enabled ? null : 'Trigger source is disabled.'
+    });
+    if (!result.triggered) countMetric('shopalarm_webhooks_suppressed_total', { endpoint: 'trigger' });
+    res.status(200).json(result);
+});
+
+// Get dashboard settings (for initial load)
+app.get('/api/dashboard/settings', requireRole('viewer'), (req, res) => {
+    // Only return configurable parts to the dashboard and current states
+    res.json({
+        alarmEnabled: alarmSettings.alarmEnabled,
+        relays: alarmSettings.relays, // Configuration
+        patterns: alarmSettings.patterns, // Pattern library the relays can refer to
+        currentRelayStates: runtimeState.currentRelayStates, // Live states
+        triggerActive: runtimeState.triggerActive,
+        alarmState: getAlarmState() // Effective state including schedule and next change
+    });
+});
+
+app.post('/api/dashboard/settings', requireRole('admin'), (req, res) => {
+    const { alarmEnabled, relays } = req.body;
+
+    const error = changeConfig('settings', { alarmEnabled, relays }, auditActor(req));
+    if (error) {
+        return res.status(400).send(error);
+    }
+    res.json({ message: 'Settings updated successfully!', settings: { alarmEnabled, relays: alarmSettings.relays } });
+});
+
+// Get connected/known ESP32 devices with their protocol status, the device registry and output mapping
+app.get('/api/dashboard/devices', requireRole('viewer'), (req, res) => {
+    res.json({
+        devices: getDevices(),
+        registry: listRegisteredDevices(),
+        outputMap: alarmSettings.outputMap,
+        mqtt: { enabled: !!MQTT_URL, connected: isMqttConnected() }
+    });
+});
+
+// Register a new relay board; the response contains its secret, which is not retrievable later
+app.post('/api/dashboard/devices', requireRole('admin'), (req, res) => {
+    const { id, name, relayCount, executionMode } = req.body;
+
+    const deviceError = validateDevice({ id, name, relayCount, executionMode });
+    if (deviceError) {
+        return res.status(400).send(deviceError);
+    }
+
+    const { device, secret } = addRegisteredDevice({ id, name, relayCount, executionMode });
+    recordAudit({ ...auditActor(req), action: 'device.add', details: { deviceId: id, name: device.name, relayCount: device.relayCount, executionMode: device.executionMode } });
+    console.log(`Device ${id} registered.`);
+    res.json({ message: `Device ${id} registered.`, device, secret });
+});
+
+// Revoke a relay board: its secret stops working and live connections are closed
+app.post('/api/dashboard/devices/:id/revoke', requireRole('admin'), (req, res) => {
+    const device = revokeRegisteredDevice(req.params.id);
+    if (!device) {
+        return res.status(404).send('Unknown device.');
+    }
+    disconnectDevice(device.id);
+    recordAudit({ ...auditActor(req), action: 'device.revoke', details: { deviceId: device.id } });
+    console.log(`Device ${device.id} revoked.`);
+    res.json({ message: `Device ${device.id} revoked.`, device });
+});
+
+// Select whether a relay board gets streamed relay states or runs execution plans
+app.post('/api/dashboard/devices/:id/mode', requireRole('admin'), (req, res) => {
+    const { executionMode } = req.body;
+
+    if (!EXECUTION_MODES.includes(executionMode)) {
+        return res.status(400).send(`Invalid execution mode. Use one of: ${EXECUTION_MODES.join(', ')}.`);
+    }
+    const device = setRegisteredDeviceMode(req.params.id, executionMode);
+    if (!device) {
+        return res.status(404).send('Unknown device.');
+    }
+    // Connected boards switch right away; a board switching to streaming drops its plan on the next state update
+    setExecutionMode(device.id, executionMode).forEach(ws => {
+        sendStateToClient(ws);
+        if (currentPlan) sendPlanToClient(ws);
+    });
+    recordAudit({ ...auditActor(req), action: 'device.mode', details: { deviceId: device.id, executionMode } });
+    console.log(`Device ${device.id} execution mode set to ${executionMode}.`);
+    res.json({ message: `Device ${device.id} now uses ${executionMode} mode.`, device });
+});
+
+// Remove a relay board from the registry, including its output mapping
+app.delete('/api/dashboard/devices/:id', requireRole('admin'), (req, res) => {
+    const deviceId = req.params.id;
+    if (!getRegisteredDevice(deviceId)) {
+        return res.status(404).send('Unknown device.');
+    }
+    disconnectDevice(deviceId);
+    removeRegisteredDevice(deviceId);
+    for (const logicalId in alarmSettings.outputMap) {
+        alarmSettings.outputMap[logicalId] = alarmSettings.outputMap[logicalId].filter(target => target.deviceId !== deviceId);
+    }
+    saveSettings();
+    recordAudit({ ...auditActor(req), action: 'device.remove', details: { deviceId } });
+    console.log(`Device ${deviceId} removed.`);
+    res.json({ message: `Device ${deviceId} removed.` });
+});
+
+// List the trigger sources (never includes keys or webhook secrets)
+app.get('/api/dashboard/sources', requireRole('viewer'), (req, res) => {
+    res.json({ sources: listTriggerSources(), types: SOURCE_TYPES, profiles: Object.keys(alarmSettings.profiles) });
+});
+
+// Add a trigger source; the response contains its key or webhook secret, which is not retrievable later
+app.post('/api/dashboard/sources', requireRole('admin'), (req, res) => {
+    const { id, name, type, profile, secret } = req.body;
+
+    const sourceError = validateTriggerSource({ id, name, type, profile, secret }, Object.keys(alarmSettings.profiles));
+    if (sourceError) {
+        return res.status(400).send(sourceError);
+    }
+
+    const { source, key } = addTriggerSource({ id, name, type, profile, secret });
+    recordAudit({ ...auditActor(req), action: 'source.add', details: { sourceId: id, name: source.name, type, profile: source.profile } });
+    console.log(`Trigger source ${id} added.`);
+    res.json({ message: `Trigger source ${id} added.`, source, key });
+});
+
+// Rename, enable/disable or change the profile of a trigger source
+app.post('/api/dashboard/sources/:id', requireRole('admin'), (req, res) => {
+    const { name, enabled, profile } = req.body;
+
+    if (!getTriggerSource(req.params.id)) {
+        return res.status(404).send('Unknown trigger source.');
+    }
+    const changesError = validateSourceChanges({ name, enabled, profile }, Object.keys(alarmSettings.profiles));
+    if (changesError) {
+        return res.status(400).send(changesError);
+    }
+    const source = updateTriggerSource(req.params.id, { name, enabled, profile });
+    recordAudit({ ...auditActor(req), action: 'source.update', details: { sourceId: source.id, name: source.name, enabled: source.enabled, profile: source.profile } });
+    console.log(`Trigger source ${source.id} updated.`);
+    res.json({ message: `Trigger source ${source.id} updated.`, source });
+});
+
+// Issue a new key (or webhook secret) for a trigger source; the old one stops working, a revoked source is reinstated
+app.post('/api/dashboard/sources/:id/rotate', requireRole('admin'), (req, res) => {
+    const { secret } = req.body || {}; // No body: generate the new key or secret
+
+    const existing = getTriggerSource(req.params.id);
+    if (!existing) {
+        return res.status(404).send('Unknown trigger source.');
+    }
+    const secretError = validateSecret(existing.type, secret);
+    if (secretError) {
+        return res.status(400).send(secretError);
+    }
+    const { source, key } = rotateTriggerSourceKey(existing.id, secret);
+    recordAudit({ ...auditActor(req), action: 'source.rotate', details: { sourceId: source.id } });
+    console.log(`Trigger source ${source.id} key replaced.`);
+    res.json({ message: `New ${source.type === 'generic' ? 'key' : 'secret'} issued for ${source.id}.`, source, key });
+});
+
+// Revoke a trigger source's key: its requests are rejected until a new key is issued
+app.post('/api/dashboard/sources/:id/revoke', requireRole('admin'), (req, res) => {
+    const source = revokeTriggerSource(req.params.id);
+    if (!source) {
+        return res.status(404).send('Unknown trigger source.');
+    }
+    recordAudit({ ...auditActor(req), action: 'source.revoke', details: { sourceId: source.id } });
+    console.log(`Trigger source ${source.id} revoked.`);
+    res.json({ message: `Trigger source ${source.id} revoked.`, source });
+});
+
+app.delete('/api/dashboard/sources/:id', requireRole('admin'), (req, res) => {
+    const sourceId = req.params.id;
+    if (!removeTriggerSource(sourceId)) {
+        return res.status(404).send('Unknown trigger source.');
+    }
+    recordAudit({ ...auditActor(req), action: 'source.remove', details: { sourceId } });
+    console.log(`Trigger source ${sourceId} removed.`);
+    res.json({ message: `Trigger source ${sourceId} removed.` });
+});
+
+// --- Virtual boards ---
+
+function virtualBoardView(board) {
+    return { ...board.getStatus(), transitions: board.getTransitions().slice(-VIRTUAL_TRANSITIONS_SHOWN) };
+}
+
+// Validate latency settings of a virtual board; returns an error message or null
+function validateVirtualLatency({ latencyMs, jitterMs }) {
+    if (!Number.isInteger(latencyMs) || latencyMs < 0 || latencyMs > MAX_VIRTUAL_LATENCY_MS) {
+        return `Invalid latency. Must be between 0 and ${MAX_VIRTUAL_LATENCY_MS} ms.`;
+    }
+    if (!Number.isInteger(jitterMs) || jitterMs < 0 || jitterMs > MAX_VIRTUAL_LATENCY_MS) {
+        return `Invalid jitter. Must be between 0 and ${MAX_VIRTUAL_LATENCY_MS} ms.`;
+    }
+    return null;
+}
+
+// Middleware: the virtual board named in the URL, or 404
+function findVirtualBoard(req, res, next) {
+    req.board = virtualBoards.get(req.params.id);
+    if (!req.board) {
+        return res.status(404).send('Unknown virtual board.');
+    }
+    next();
+}
+
+// Virtual boards with their relays and latest relay transitions
+app.get('/api/dashboard/simulator', requireRole('viewer'), (req, res) => {
+    res.json({ boards: Array.from(virtualBoards.values()).map(virtualBoardView) });
+});
+
+// Start a virtual board; it connects like a board using the shared ESP32 secret (alarm outputs 1-N)
+app.post('/api/dashboard/simulator', requireRole('admin'), (req, res) => {
+    const { relayCount = 4, latencyMs = 0, jitterMs = 0 } = req.body;
+
+    if (virtualBoards.size >= MAX_VIRTUAL_BOARDS) {
+        return res.status(400).send(`At most ${MAX_VIRTUAL_BOARDS} virtual boards can run at the same time.`);
+    }
+    if (!Number.isInteger(relayCount) || relayCount < 1 || relayCount > MAX_RELAYS) {
+        return res.status(400).send(`Invalid relay count. Must be between 1 and ${MAX_RELAYS}.`);
+    }
+    const latencyError = validateVirtualLatency({ latencyMs, jitterMs });
+    if (latencyError) {
+        return res.status(400).send(latencyError);
+    }
+
+    const deviceId = `virtual-${nextVirtualBoardId++}`;
+    const board = createSimulatedBoard({
+        url: `ws://127.0.0.1:${PORT}/ws/esp32?secret=${encodeURIComponent(ESP32_SECRET)}`,
+        deviceId,
+        relayCount,
+        latencyMs,
+        jitterMs,
+        firmware: 'virtual-board'
+    });
+    virtualBoards.set(deviceId, board);
+    board.connect();
+    recordAudit({ ...auditActor(req), action: 'simulator.add', details: { deviceId, relayCount, latencyMs, jitterMs } });
+    console.log(`Virtual board ${deviceId} started.`);
+    res.json({ message: `Virtual board ${deviceId} started.`, board: virtualBoardView(board) });
+});
+
+// Drop the connection of a virtual board, optionally reconnecting after `forMs`
+app.post('/api/dashboard/simulator/:id/disconnect', requireRole('admin'), findVirtualBoard, (req, res) => {
+    const { forMs = null } = req.body || {};
+
+    if (forMs !== null && (!Number.isInteger(forMs) || forMs < 0 || forMs > 3600000)) {
+        return res.status(400).send('Invalid reconnect delay. Must be between 0 and 3600000 ms.');
+    }
+    req.board.disconnect({ forMs });
+    recordAudit({ ...auditActor(req), action: 'simulator.disconnect', details: { deviceId: req.board.deviceId, forMs } });
+    res.json({ message: `Virtual board ${req.board.deviceId} disconnected${forMs !== null ? `, reconnecting in ${forMs} ms` : ''}.` });
+});
+
+app.post('/api/dashboard/simulator/:id/connect', requireRole('admin'), findVirtualBoard, (req, res) => {
+    req.board.connect();
+    res.json({ message: `Virtual board ${req.board.deviceId} connecting.` });
+});
+
+app.post('/api/dashboard/simulator/:id/latency', requireRole('admin'), findVirtualBoard, (req, res) => {
+    const { latencyMs, jitterMs = 0 } = req.body;
+
+    const latencyError = validateVirtualLatency({ latencyMs, jitterMs });
+    if (latencyError) {
+        return res.status(400).send(latencyError);
+    }
+    req.board.setLatency(latencyMs, jitterMs);
+    recordAudit({ ...auditActor(req), action: 'simulator.latency', details: { deviceId: req.board.deviceId, latencyMs, jitterMs } });
+    res.json({ message: `Virtual board ${req.board.deviceId} now has ${latencyMs} ms latency.` });
+});
+
+app.post('/api/dashboard/simulator/:id/clear', requireRole('operator'), findVirtualBoard, (req, res) => {
+    req.board.clearTransitions();
+    res.json({ message: `Transitions of ${req.board.deviceId} cleared.` });
+});
+
+app.delete('/api/dashboard/simulator/:id', requireRole('admin'), findVirtualBoard, (req, res) => {
+    req.board.close();
+    virtualBoards.delete(req.board.deviceId);
+    recordAudit({ ...auditActor(req), action: 'simulator.remove', details: { deviceId: req.board.deviceId } });
+    console.log(`Virtual board ${req.board.deviceId} removed.`);
+    res.json({ message: `Virtual board ${req.board.deviceId} removed.` });
+});
+
+// Update the logical output -> device relay mapping
+app.post('/api/dashboard/output-map', requireRole('admin'), (req, res) => {
+    const { outputMap } = req.body;
+
+    const error = changeConfig('outputMap', { outputMap }, auditActor(req));
+    if (error) {
+        return res.status(400).send(error);
+    }
+    res.json({ message: 'Output mapping updated successfully!', outputMap });
+});
+
+// Get the weekly alarm schedule and its current effect
+app.get('/api/dashboard/schedule', requireRole('viewer'), (req, res) => {
+    res.json({
+        schedule: alarmSettings.schedule,
+        alarmState: getAlarmState()
+    });
+});
+
+// Update the weekly alarm schedule
+app.post('/api/dashboard/schedule', requireRole('admin'), (req, res) => {
+    const { schedule } = req.body;
+
+    const error = changeConfig('schedule', { schedule }, auditActor(req));
+    if (error) {
+        return res.status(400).send(error);
+    }
+    res.json({ message: 'Schedule updated successfully!', schedule: alarmSettings.schedule, alarmState: getAlarmState() });
+});
+
+// Get alarm profiles and rules
+app.get('/api/dashboard/rules', requireRole('viewer'), (req, res) => {
+    res.json({
+        profiles: alarmSettings.profiles,
+        rules: alarmSettings.rules
+    });
+});
+
+// Update alarm profiles and rules (both are replaced as a whole)
+app.post('/api/dashboard/rules', requireRole('admin'), (req, res) => {
+    const { profiles, rules } = req.body;
+
+    const error = changeConfig('rules', { profiles, rules }, auditActor(req));
+    if (error) {
+        return res.status(400).send(error);
+    }
+    res.json({ message: 'Rules updated successfully!', profiles: alarmSettings.profiles, rules });
+});
+
+// Get the policy for orders arriving during a running alarm
+app.get('/api/dashboard/trigger-policy', requireRole('viewer'), (req, res) => {
+    res.json({ triggerPolicy: alarmSettings.triggerPolicy, policies: TRIGGER_POLICIES, pendingOrders: getPendingOrders() });
+});
+
+app.post('/api/dashboard/trigger-policy', requireRole('admin'), (req, res) => {
+    const { triggerPolicy } = req.body;
+
+    const error = changeConfig('triggerPolicy', { triggerPolicy }, auditActor(req));
+    if (error) {
+        return res.status(400).send(error);
+    }
+    res.json({ message: 'Trigger policy updated successfully!', triggerPolicy: alarmSettings.triggerPolicy });
+});
+
+// Get the policy for alarms interrupted by a server restart
+app.get('/api/dashboard/restart-policy', requireRole('viewer'), (req, res) => {
+    res.json({ restartPolicy: alarmSettings.restartPolicy, modes: RESTART_MODES });
+});
+
+app.post('/api/dashboard/restart-policy', requireRole('admin'), (req, res) => {
+    const { restartPolicy } = req.body;
+
+    const error = changeConfig('restartPolicy', { restartPolicy }, auditActor(req));
+    if (error) {
+        return res.status(400).send(error);
+    }
+    res.json({ message: 'Restart policy updated successfully!', restartPolicy: alarmSettings.restartPolicy });
+});
+
+// Get the relay safety limits, with the on-time used so far and the limits currently holding relays off
+app.get('/api/dashboard/safety', requireRole('viewer'), (req, res) => {
+    const now = Date.now();
+    res.json({
+        safety: alarmSettings.safety,
+        usage: getSafetyUsage(alarmSettings.safety, now, getLocalDate(now, alarmSettings.schedule.timezone)),
+        violations: getSafetyViolations()
+    });
+});
+
+app.post('/api/dashboard/safety', requireRole('admin'), (req, res) => {
+    const { safety } = req.body;
+
+    const error = changeConfig('safety', { safety }, auditActor(req));
+    if (error) {
+        return res.status(400).send(error);
+    }
+    res.json({ message: 'Safety limits updated successfully!', safety: alarmSettings.safety });
+});
+
+// Get the notification channels (secrets masked) and the templates new channels start with
+app.get('/api/dashboard/notifications', requireRole('viewer'), (req, res) => {
+    res.json({
+        notifications: { channels: maskChannels(alarmSettings.notifications.channels) },
+        types: CHANNEL_TYPES,
+        defaultTemplates: DEFAULT_TEMPLATES
+    });
+});
+
+app.post('/api/dashboard/notifications', requireRole('admin'), (req, res) => {
+    const { notifications } = req.body;
+
+    const error = changeConfig('notifications', { notifications }, auditActor(req));
+    if (error) {
+        return res.status(400).send(error);
+    }
+    res.json({ message: 'Notification channels updated successfully!', notifications: { channels: maskChannels(alarmSettings.notifications.channels) } });
+});
+
+// Send a test notification through a saved channel (ignores its filters and enabled status)
+app.post('/api/dashboard/notifications/:id/test', requireRole('admin'), (req, res) => {
+    const channel = alarmSettings.notifications.channels.find(existing => existing.id === req.params.id);
+    if (!channel) {
+        return res.status(404).send('Unknown channel. Save new channels before testing them.');
+    }
+    const delivery = deliver(channel, { action: 'test', source: 'dashboard', details: {}, timestamp: Date.now() });
+    recordAudit({ ...auditActor(req), action: 'command.test-notification', details: { channelId: channel.id, name: channel.name } });
+    res.json({ message: `Test notification sent to "${channel.name}", see the delivery log for the result.`, deliveryId: delivery.id });
+});
+
+// Delivery log of notifications, newest first (filters: status, channelId)
+app.get('/api/dashboard/notifications/deliveries', requireRole('viewer'), (req, res) => {
+    res.json(queryDeliveries(req.query));
+});
+
+// Get the acknowledgement settings and the alarm waiting for acknowledgement
+app.get('/api/dashboard/acknowledgement', requireRole('viewer'), (req, res) => {
+    res.json({ acknowledgement: alarmSettings.acknowledgement, unacknowledged: getUnacknowledgedState() });
+});
+
+app.post('/api/dashboard/acknowledgement', requireRole('admin'), (req, res) => {
+    const { acknowledgement } = req.body;
+
+    const error = changeConfig('acknowledgement', { acknowledgement }, auditActor(req));
+    if (error) {
+        return res.status(400).send(error);
+    }
+    res.json({ message: 'Acknowledgement settings updated successfully!', acknowledgement: alarmSettings.acknowledgement });
+});
+
+// Get the pattern library
+app.get('/api/dashboard/patterns', requireRole('viewer'), (req, res) => {
+    res.json({ patterns: alarmSettings.patterns });
+});
+
+// Update the pattern library (replaced as a whole)
+app.post('/api/dashboard/patterns', requireRole('admin'), (req, res) => {
+    const { patterns } = req.body;
+
+    const error = changeConfig('patterns', { patterns }, auditActor(req));
+    if (error) {
+        return res.status(400).send(error);
+    }
+    res.json({ message: 'Patterns updated successfully!', patterns: alarmSettings.patterns });
+});
+
+// Preview a pattern (inline or from the library) as on/off segments
+app.post('/api/dashboard/patterns/preview', requireRole('viewer'), (req, res) => {
+    const { pattern, patternName } = req.body;
+
+    let resolved = pattern;
+    if (patternName !== undefined) {
+        if (!Object.prototype.hasOwnProperty.call(alarmSettings.patterns, patternName)) {
+            return res.status(400).send(`Unknown pattern "${patternName}".`);
+        }
+        resolved = alarmSettings.patterns[patternName];
+    }
+    const patternError = validatePattern(resolved);
+    if (patternError) {
+        return res.status(400).send(patternError);
+    }
+    res.json(previewPattern(resolved));
+});
+
+// Get alarm event history (paginated, newest first)
+// Query parameters: type, source, outcome, from, to (ms timestamps), page, limit
+app.get('/api/dashboard/events', requireRole('viewer'), (req, res) => {
+    const { type, source, outcome, from, to, page, limit } = req.query;
+    res.json(queryEvents({ type, source, outcome, from, to, page, limit }));
+});
+
+// Command to test a specific relay from dashboard
+app.post('/api/dashboard/commands/test-relay/:id', requireRole('operator'), (req, res) => {
+    const result = startRelayTest(req.params.id, 'dashboard', auditActor(req));
+    if (result.error) {
+        return res.status(400).send(result.error);
+    }
+    res.status(200).send(result.message);
+});
+
+// Live state as dashboards receive it over the WebSocket, for clients that poll (e.g. the shop-alarm CLI)
+app.get('/api/dashboard/status', requireRole('viewer'), (req, res) => {
+    const { type, ...state } = getDashboardState();
+    res.json(state);
+});
+
+// Command to fire a test alarm, optionally with a profile: { profile }
+app.post('/api/dashboard/commands/test-trigger', requireRole('operator'), (req, res) => {
+    const { profile } = req.body || {};
+    const result = startTestTrigger(profile, 'dashboard', auditActor(req));
+    if (result.error) {
+        return res.status(400).send(result.error);
+    }
+    res.status(200).json(result);
+});
+
+// Command to deactivate any current active alarm
+app.post('/api/dashboard/commands/deactivate-alarm', requireRole('operator'), (req, res) => {
+    const result = deactivateAlarm('dashboard', auditActor(req));
+    res.status(200).send(result.message);
+});
+
+// Command to switch the main alarm on or off: { enabled }
+app.post('/api/dashboard/commands/set-alarm-enabled', requireRole('admin'), (req, res) => {
+    const { enabled } = req.body || {};
+    if (typeof enabled !== 'boolean') {
+        return res.status(400).send('Invalid enabled status.');
+    }
+    const result = setAlarmEnabled(enabled, 'dashboard', auditActor(req));
+    res.status(200).send(result.message);
+});
+
+// Command to acknowledge the alarm waiting for acknowledgement (handled, stops its repeats)
+app.post('/api/dashboard/commands/acknowledge-alarm', requireRole('operator'), (req, res) => {
+    const result = acknowledgeAlarm('dashboard', auditActor(req));
+    res.status(200).send(result.message);
+});
+
+// Acknowledge from outside the dashboard, authenticated with `Authorization: Bearer <ACKNOWLEDGE_TOKEN>`
+app.post('/api/acknowledge', (req, res) => {
+    const expected = Buffer.from(`Bearer ${ACKNOWLEDGE_TOKEN}`);
+    const given = Buffer.from(req.get('authorization') || '');
+    if (!ACKNOWLEDGE_TOKEN || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+        console.warn('Unauthorized acknowledge attempt from IP:', req.ip);
+        return res.status(401).send('Unauthorized');
+    }
+    const result = acknowledgeAlarm('api', { user: 'api', ip: req.ip });
+    res.json({ message: result.message });
+});
+
+// --- Monitoring ---
+
+// Live numbers for /metrics and the health checks
+function getMonitoringState() {
+    const devices = getDevices().filter(device => device.online && !virtualBoards.has(device.id)); // Only real boards count
+    const dashboardClients = Array.from(connectedClients).filter(ws => !isDeviceConnection(ws)).length;
+    return { devices, dashboardClients };
+}
+
+// Prometheus metrics, authenticated with `Authorization: Bearer <METRICS_TOKEN>` if a token is set
+app.get('/metrics', (req, res) => {
+    if (METRICS_TOKEN) {
+        const expected = Buffer.from(`Bearer ${METRICS_TOKEN}`);
+        const given = Buffer.from(req.get('authorization') || '');
+        if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            return res.status(401).send('Unauthorized');
+        }
+    }
+    const { devices, dashboardClients } = getMonitoringState();
+    const byTransport = { websocket: 0, mqtt: 0 };
+    devices.forEach(device => { byTransport[device.transport] = (byTransport[device.transport] || 0) + 1; });
+    res.type(METRICS_CONTENT_TYPE).send(renderMetrics([
+        {
+            name: 'shopalarm_devices_connected',
+            help: 'Relay boards currently connected, by transport.',
+            samples: Object.keys(byTransport).map(transport => ({ labels: { transport }, value: byTransport[transport] }))
+        },
+        { name: 'shopalarm_dashboard_clients', help: 'Dashboards connected for live updates.', samples: [{ value: dashboardClients }] },
+        { name: 'shopalarm_alarm_active', help: '1 while an alarm or relay test is playing.', samples: [{ value: runtimeState.triggerActive ? 1 : 0 }] },
+        { name: 'shopalarm_orders_pending', help: 'Orders queued behind the running alarm.', samples: [{ value: runtimeState.triggerQueue.length }] },
+        { name: 'shopalarm_settings_loaded', help: '1 once the settings file was loaded.', samples: [{ value: settingsLoaded ? 1 : 0 }] }
+    ]));
+});
+
+// Liveness: the server runs with its settings and users
+app.get('/healthz', (req, res) => {
+    const checks = { settings: settingsLoaded, users: listUsers().length > 0 };
+    const healthy = checks.settings && checks.users;
+    res.status(healthy ? 200 : 503).json({ status: healthy ? 'ok' : 'fail', checks });
+});
+
+// Readiness: healthy, and at least one relay board is connected to play an alarm
+app.get('/readyz', (req, res) => {
+    const { devices } = getMonitoringState();
+    const checks = { settings: settingsLoaded, users: listUsers().length > 0, devicesConnected: devices.length };
+    const ready = checks.settings && checks.users && devices.length > 0;
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ok' : 'fail', checks });
+});
+
+// --- User management ---
+
+// Logged-in user, the dashboard hides controls the role can't use, and the CSRF token for changes
+app.get('/api/dashboard/me', requireRole('viewer'), (req, res) => {
+    if (!req.session.csrfToken) req.session.csrfToken = createCsrfToken(); // Sessions from before CSRF tokens
+    res.json({ username: req.user.username, role: req.user.role, roles: ROLES, csrfToken: req.session.csrfToken });
+});
+
+app.get('/api/dashboard/users', requireRole('admin'), (req, res) => {
+    res.json({ users: listUsers(), roles: ROLES });
+});
+
+app.post('/api/dashboard/users', requireRole('admin'), async (req, res) => {
+    const { username, password, role } = req.body;
+
+    const userError = validateUser({ username, password, role });
+    if (userError) {
+        return res.status(400).send(userError);
+    }
+
+    const user = await addUser({ username, password, role });
+    recordAudit({ ...auditActor(req), action: 'user.add', details: { username, role } });
+    console.log(`User ${username} (${role}) added by ${req.user.username}.`);
+    res.json({ message: `User ${username} added.`, user });
+});
+
+app.post('/api/dashboard/users/:username/password', requireRole('admin'), async (req, res) => {
+    const { password } = req.body;
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        return res.status(400).send(passwordError);
+    }
+    const user = await resetPassword(req.params.username, password);
+    if (!user) {
+        return res.status(404).send('Unknown user.');
+    }
+    const sessionsEnded = await destroyUserSessions(user.username, req.sessionID);
+    recordAudit({ ...auditActor(req), action: 'user.password', details: { username: user.username } }); // Never the password itself
+    console.log(`Password of ${user.username} reset by ${req.user.username}, ${sessionsEnded} session(s) ended.`);
+    res.json({ message: `Password of ${user.username} reset, their sessions were ended.`, user });
+});
+
+app.post('/api/dashboard/users/:username/role', requireRole('admin'), (req, res) => {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+        return res.status(400).send(`Invalid role. Use one of: ${ROLES.join(', ')}.`);
+    }
+    if (role !== 'admin' && isLastAdmin(req.params.username)) {
+        return res.status(400).send('The last active admin cannot lose the admin role.');
+    }
+    const user = setUserRole(req.params.username, role);
+    if (!user) {
+        return res.status(404).send('Unknown user.');
+    }
+    recordAudit({ ...auditActor(req), action: 'user.role', details: { username: user.username, role } });
+    console.log(`Role of ${user.username} set to ${role} by ${req.user.username}.`);
+    res.json({ message: `${user.username} is now ${role}.`, user });
+});
+
+app.post('/api/dashboard/users/:username/disabled', requireRole('admin'), async (req, res) => {
+    const { disabled } = req.body;
+
+    if (typeof disabled !== 'boolean') {
+        return res.status(400).send('Invalid disabled status.');
+    }
+    if (disabled && isLastAdmin(req.params.username)) {
+        return res.status(400).send('The last active admin cannot be disabled.');
+    }
+    const user = setUserDisabled(req.params.username, disabled);
+    if (!user) {
+        return res.status(404).send('Unknown user.');
+    }
+    if (disabled) {
+        await destroyUserSessions(user.username); // Also closes the user's live dashboards
+    }
+    recordAudit({ ...auditActor(req), action: 'user.disabled', details: { username: user.username, disabled } });
+    console.log(`User ${user.username} ${disabled ? 'disabled' : 'enabled'} by ${req.user.username}.`);
+    res.json({ message: `User ${user.username} ${disabled ? 'disabled' : 'enabled'}.`, user });
+});
+
+
+// --- Login and webhook protection ---
+
+const LOCKOUT_LIMITERS = { ip: loginIpLimiter, account: loginAccountLimiter, webhook: webhookLimiter };
+
+// Security settings with the IPs and accounts locked out right now
+app.get('/api/dashboard/security', requireRole('admin'), (req, res) => {
+    const lockouts = {};
+    for (const kind in LOCKOUT_LIMITERS) {
+        lockouts[kind] = LOCKOUT_LIMITERS[kind].listLocked();
+    }
+    res.json({ security: alarmSettings.security, lockouts });
+});
+
+app.post('/api/dashboard/security', requireRole('admin'), (req, res) => {
+    const { security } = req.body;
+
+    const error = changeConfig('security', { security }, auditActor(req));
+    if (error) {
+        return res.status(400).send(error);
+    }
+    res.json({ message: 'Security settings updated successfully!', security: alarmSettings.security });
+});
+
+// Lift a lockout early: kind is 'ip' or 'account' (logins) or 'webhook' (blocked webhook IP)
+app.post('/api/dashboard/security/unlock', requireRole('admin'), (req, res) => {
+    const { kind, key } = req.body;
+    const limiter = LOCKOUT_LIMITERS[kind];
+    if (!limiter || typeof key !== 'string' || !limiter.reset(key)) {
+        return res.status(404).send('No such lockout.');
+    }
+    recordAudit({ ...auditActor(req), action: 'security.unlock', details: { kind, key } });
+    console.log(`Lockout of ${kind} ${key} lifted by ${req.user.username}.`);
+    res.json({ message: `Lockout of ${key} lifted.` });
+});
+
+// --- Audit trail ---
+
+// Get audit entries (paginated, newest first)
+// Query parameters: action (exact, or a prefix ending in '.' like 'config.'), user, from, to (ms timestamps), page, limit
+app.get('/api/dashboard/audit', requireRole('admin'), (req, res) => {
+    const { action, user, from, to, page, limit } = req.query;
+    res.json({ ...queryAudit({ action, user, from, to, page, limit }), sections: Object.keys(CONFIG_SECTIONS) });
+});
+
+// Download all matching audit entries as CSV or JSON (same filters as above)
+app.get('/api/dashboard/audit/export', requireRole('admin'), (req, res) => {
+    const { action, user, from, to, format = 'json' } = req.query;
+    if (format !== 'json' && format !== 'csv') {
+        return res.status(400).send('Invalid format. Use csv or json.');
+    }
+    const entries = filterAudit({ action, user, from, to });
+    const fileName = `shop-alarm-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.attachment(fileName);
+    if (format === 'csv') {
+        res.type('text/csv').send(auditToCsv(entries));
+    } else {
+        res.json(entries);
+    }
+});
+
+// Restore the configuration section of an audit entry as it was before or after the change
+app.post('/api/dashboard/audit/:id/restore', requireRole('admin'), (req, res) => {
+    const { state } = req.body;
+
+    if (state !== 'before' && state !== 'after') {
+        return res.status(400).send('Invalid state. Use before or after.');
+    }
+    const entry = getAuditEntry(req.params.id);
+    if (!entry) {
+        return res.status(404).send('Unknown audit entry.');
+    }
+    if (!CONFIG_SECTIONS[entry.section] || !entry[state]) {
+        return res.status(400).send('This audit entry has no configuration to restore.');
+    }
+    // Validated like any other change, e.g. relays referring to a pattern that was removed since are refused
+    const error = changeConfig(entry.section, entry[state], auditActor(req), 'config.restore', { restoredFrom: entry.id, state });
+    if (error) {
+        return res.status(400).send(`Cannot restore: ${error}`);
+    }
+    console.log(`Configuration "${entry.section}" restored from audit entry ${entry.id} (${state}) by ${req.user.username}.`);
+    res.json({ message: `Restored ${entry.section} as it was ${state} change ${entry.id}.`, section: entry.section });
+});
+
+// --- API tokens (see lib/api-tokens.js) ---
+// Every user manages their own tokens, admins see and can revoke everyone's
+
+app.get('/api/dashboard/tokens', requireRole('viewer'), (req, res) => {
+    const isAdmin = hasRole(req.user.role, 'admin');
+    // Only the scopes the user's role allows can be chosen for new tokens
+    const scopes = TOKEN_SCOPES.filter(scope => hasRole(req.user.role, scopeRole(scope)));
+    res.json({ tokens: listApiTokens(isAdmin ? null : req.user.username), scopes });
+});
+
+// Create a token for the logged-in user; the response contains the token, which is not retrievable later
+app.post('/api/dashboard/tokens', requireRole('viewer'), (req, res) => {
+    const { name, scope } = req.body || {};
+
+    const tokenError = validateApiToken({ name, scope }, req.user.role);
+    if (tokenError) {
+        return res.status(400).send(tokenError);
+    }
+    const { token, secret } = createApiToken({ name, scope, username: req.user.username });
+    recordAudit({ ...auditActor(req), action: 'token.add', details: { tokenId: token.id, name: token.name, scope, username: token.username } });
+    console.log(`API token "${token.name}" (${scope}) created by ${req.user.username}.`);
+    res.json({ message: `API token "${token.name}" created.`, token, secret });
+});
+
+app.post('/api/dashboard/tokens/:id/revoke', requireRole('viewer'), (req, res) => {
+    const existing = getApiToken(req.params.id);
+    if (!existing || (existing.username !== req.user.username && !hasRole(req.user.role, 'admin'))) {
+        return res.status(404).send('Unknown API token.');
+    }
+    const token = revokeApiToken(existing.id);
+    recordAudit({ ...auditActor(req), action: 'token.revoke', details: { tokenId: token.id, name: token.name, username: token.username } });
+    console.log(`API token "${token.name}" of ${token.username} revoked by ${req.user.username}.`);
+    res.json({ message: `API token "${token.name}" revoked.`, token });
+});
+
+// --- Public REST API (/api/v1) ---
+// Authenticated with `Authorization: Bearer <API token>`, no session cookie, so no CSRF token either.
+// The routes below are registered and documented from the same list: GET /api/v1/openapi.json serves
+// the OpenAPI document built from it. Commands are recorded with source 'api'.
+
+// Require an API token with at least the given scope. A token acts with the lower of its scope and its
+// owner's current role, and not at all while the owner is disabled.
+function requireToken(scope) {
+    return (req, res, next) => {
+        const token = authenticateApiToken(req.get('authorization'));
+        const owner = token && getActiveUser(token.username);
+        if (!owner) {
+            console.warn(`Rejected ${req.method} ${req.originalUrl} without a valid API token from IP: ${req.ip}`);
+            return res.set('WWW-Authenticate', 'Bearer').status(401).send('Missing, invalid or revoked API token.');
+        }
+        const role = ROLES[Math.min(ROLES.indexOf(owner.role), ROLES.indexOf(scopeRole(token.scope)))];
+        if (!hasRole(role, scopeRole(scope))) {
+            return res.status(403).send(`This needs a token with the ${scope} scope.`);
+        }
+        req.user = { ...owner, role };
+        req.apiToken = token;
+        next();
+    };
+}
+
+const schemaRef = name => ({ $ref: `#/components/schemas/${name}` });
+
+const API_V1_SCHEMAS = {
+    Message: {
+        type: 'object',
+        properties: { message: { type: 'string' } }
+    },
+    Status: {
+        type: 'object',
+        description: 'Live state, as the dashboard receives it.',
+        properties: {
+            serverTime: { type: 'integer', description: 'Server clock (ms since epoch).' },
+            alarmEnabled: { type: 'boolean', description: 'Main switch.' },
+            triggerActive: { type: 'boolean' },
+            relays: { type: 'object', additionalProperties: { type: 'boolean' }, description: 'Relay id -> on.' },
+            testRelay: { type: 'object' },
+            trigger: {
+                type: 'object',
+                nullable: true,
+                properties: {
+                    source: { type: 'string' },
+                    startedAt: { type: 'integer' },
+                    details: { type: 'object' },
+                    orders: { type: 'integer' }
+                }
+            },
+            endsAt: { type: 'integer', nullable: true },
+            pendingOrders: { type: 'integer' },
+            unacknowledged: { type: 'object', nullable: true },
+            alarmState: {
+                type: 'object',
+                properties: {
+                    state: { type: 'string', enum: ['active', 'quiet', 'suppressed', 'disabled'] },
+                    exception: { type: 'string', nullable: true },
+                    nextChange: { type: 'object', nullable: true }
+                }
+            },
+            devices: { type: 'array', items: { type: 'object' } },
+            safetyViolations: { type: 'array', items: { type: 'object' } },
+            mqtt: { type: 'object' }
+        }
+    },
+    Settings: {
+        type: 'object',
+        description: 'Configuration sections by name, each as GET /api/v1/settings/{section} returns it. security is only included for the admin scope.',
+        additionalProperties: { type: 'object' }
+    },
+    Event: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            timestamp: { type: 'integer' },
+            type: { type: 'string', enum: ['trigger', 'test', 'deactivate', 'completed', 'acknowledge', 'restart', 'safety'] },
+            source: { type: 'string' },
+            outcome: { type: 'string' },
+            relayConfig: { type: 'object', nullable: true },
+            details: { type: 'object' }
+        }
+    },
+    EventPage: {
+        type: 'object',
+        properties: {
+            events: { type: 'array', items: schemaRef('Event') },
+            page: { type: 'integer' },
+            limit: { type: 'integer' },
+            total: { type: 'integer' },
+            totalPages: { type: 'integer' }
+        }
+    },
+    TriggerResult: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            triggered: { type: 'boolean' },
+            action: { type: 'string', enum: ['started', 'restarted', 'extended', 'queued', 'coalesced', 'ignored'] },
+            reason: { type: 'string', description: 'Why the trigger was ignored.' },
+            quiet: { type: 'boolean' },
+            policy: { type: 'string' },
+            pendingOrders: { type: 'integer' }
+        }
+    }
+};
+
+const SECTION_PARAMETER = { name: 'section', in: 'path', required: true, schema: { type: 'string', enum: Object.keys(CONFIG_SECTIONS) } };
+const queryParameter = (name, type, description) => ({ name, in: 'query', required: false, schema: { type }, description });
+
+// Reading the security section needs admin rights, like on the dashboard
+function canReadSection(req, section) {
+    return section !== 'security' || hasRole(req.user.role, 'admin');
+}
+
+const API_V1_ROUTES = [
+    {
+        method: 'get',
+        path: '/api/v1/status',
+        scope: 'read',
+        operationId: 'getStatus',
+        tags: ['Status'],
+        summary: 'Live alarm state',
+        description: 'Main switch, schedule state, running alarm, relay states, devices and safety violations.',
+        response: schemaRef('Status'),
+        handler: (req, res) => {
+            const { type, ...state } = getDashboardState();
+            res.json(state);
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/v1/settings',
+        scope: 'read',
+        operationId: 'getSettings',
+        tags: ['Settings'],
+        summary: 'All configuration sections',
+        description: 'Notification passwords, tokens and header values are masked.',
+        response: schemaRef('Settings'),
+        handler: (req, res) => {
+            const sections = Object.keys(CONFIG_SECTIONS).filter(section => canReadSection(req, section));
+            res.json(Object.fromEntries(sections.map(section => [section, CONFIG_SECTIONS[section].snapshot()])));
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/v1/settings/:section',
+        scope: 'read',
+        operationId: 'getSettingsSection',
+        tags: ['Settings'],
+        summary: 'One configuration section',
+        description: 'The security section needs the admin scope.',
+        parameters: [SECTION_PARAMETER],
+        response: { type: 'object' },
+        handler: (req, res) => {
+            const section = CONFIG_SECTIONS[req.params.section];
+            if (!section) {
+                return res.status(404).send('Unknown settings section.');
+            }
+            if (!canReadSection(req, req.params.section)) {
+                return res.status(403).send('This needs a token with the admin scope.');
+            }
+            res.json(section.snapshot());
+        }
+    },
+    {
+        method: 'put',
+        path: '/api/v1/settings/:section',
+        scope: 'admin',
+        operationId: 'updateSettingsSection',
+        tags: ['Settings'],
+        summary: 'Replace one configuration section',
+        description: 'Takes the section as GET returns it and validates it like the dashboard does. Masked notification secrets keep their stored values.',
+        parameters: [SECTION_PARAMETER],
+        requestBody: { type: 'object' },
+        response: schemaRef('Message'),
+        handler: (req, res) => {
+            const section = req.params.section;
+            if (!CONFIG_SECTIONS[section]) {
+                return res.status(404).send('Unknown settings section.');
+            }
+            const error = changeConfig(section, req.body || {}, auditActor(req));
+            if (error) {
+                return res.status(400).send(error);
+            }
+            console.log(`Settings section "${section}" updated through the API by ${req.user.username}.`);
+            res.json({ message: `Settings section ${section} updated.`, settings: CONFIG_SECTIONS[section].snapshot() });
+        }
+    },
+    {
+        method: 'post',
+        path: '/api/v1/alarm/enabled',
+        scope: 'admin',
+        operationId: 'setAlarmEnabled',
+        tags: ['Alarm'],
+        summary: 'Switch the main alarm on or off',
+        requestBody: { type: 'object', required: ['enabled'], properties: { enabled: { type: 'boolean' } } },
+        response: schemaRef('Message'),
+        handler: (req, res) => {
+            const { enabled } = req.body || {};
+            if (typeof enabled !== 'boolean') {
+                return res.status(400).send('Invalid enabled status.');
+            }
+            res.json(setAlarmEnabled(enabled, 'api', auditActor(req)));
+        }
+    },
+    {
+        method: 'post',
+        path: '/api/v1/alarm/deactivate',
+        scope: 'operate',
+        operationId: 'deactivateAlarm',
+        tags: ['Alarm'],
+        summary: 'Stop the running alarm',
+        description: 'Also stops relay tests and drops queued orders. An alarm waiting for acknowledgement repeats until acknowledged.',
+        response: schemaRef('Message'),
+        handler: (req, res) => res.json(deactivateAlarm('api', auditActor(req)))
+    },
+    {
+        method: 'post',
+        path: '/api/v1/alarm/acknowledge',
+        scope: 'operate',
+        operationId: 'acknowledgeAlarm',
+        tags: ['Alarm'],
+        summary: 'Acknowledge the alarm',
+        description: 'Marks the alarm waiting for acknowledgement as handled, which stops its repeats and silences it.',
+        response: schemaRef('Message'),
+        handler: (req, res) => res.json(acknowledgeAlarm('api', auditActor(req)))
+    },
+    {
+        method: 'post',
+        path: '/api/v1/alarm/test',
+        scope: 'operate',
+        operationId: 'testAlarm',
+        tags: ['Alarm'],
+        summary: 'Fire a test alarm',
+        description: 'Handled like an order (schedule and trigger policy apply), recorded with source test.',
+        requestBody: { type: 'object', properties: { profile: { type: 'string', nullable: true, description: 'Profile to play instead of the order rules.' } } },
+        response: schemaRef('TriggerResult'),
+        handler: (req, res) => {
+            const { profile } = req.body || {};
+            const result = startTestTrigger(profile, 'api', auditActor(req));
+            if (result.error) {
+                return res.status(400).send(result.error);
+            }
+            res.json(result);
+        }
+    },
+    {
+        method: 'post',
+        path: '/api/v1/relays/:id/test',
+        scope: 'operate',
+        operationId: 'testRelay',
+        tags: ['Alarm'],
+        summary: 'Test one relay',
+        description: 'Switches the relay on for 500 ms.',
+        response: schemaRef('Message'),
+        handler: (req, res) => {
+            if (!Object.prototype.hasOwnProperty.call(alarmSettings.relays, req.params.id)) {
+                return res.status(404).send('Unknown relay.');
+            }
+            const result = startRelayTest(req.params.id, 'api', auditActor(req));
+            if (result.error) {
+                return res.status(400).send(result.error);
+            }
+            res.json(result);
+        }
+    },
+    {
+        method: 'get',
+        path: '/api/v1/events',
+        scope: 'read',
+        operationId: 'getEvents',
+        tags: ['Events'],
+        summary: 'Alarm history, newest first',
+        parameters: [
+            queryParameter('type', 'string', 'Only events of this type.'),
+            queryParameter('source', 'string', 'Only events from this source, e.g. order or source:<id>.'),
+            queryParameter('outcome', 'string', 'Only events with this outcome.'),
+            queryParameter('from', 'integer', 'Only events at or after this time (ms since epoch).'),
+            queryParameter('to', 'integer', 'Only events at or before this time (ms since epoch).'),
+            queryParameter('page', 'integer', 'Page, starting at 1.'),
+            queryParameter('limit', 'integer', 'Events per page, at most 200 (default 50).')
+        ],
+        response: schemaRef('EventPage'),
+        handler: (req, res) => {
+            const { type, source, outcome, from, to, page, limit } = req.query;
+            res.json(queryEvents({ type, source, outcome, from, to, page, limit }));
+        }
+    }
+];
+
+API_V1_ROUTES.forEach(route => app[route.method](route.path, requireToken(route.scope), route.handler));
+
+const API_V1_DOCUMENT = buildOpenApiDocument({
+    info: {
+        title: 'ShopAlarm API',
+        version: '1',
+        description: 'Status, settings, alarm commands and history of ShopAlarm. Authenticate with a personal API token created on the dashboard, sent as `Authorization: Bearer <token>`.'
+    },
+    routes: API_V1_ROUTES,
+    schemas: API_V1_SCHEMAS
+});
+
+// The OpenAPI document itself is public, it describes the API but contains no data
+app.get('/api/v1/openapi.json', (req, res) => {
+    res.json({ ...API_V1_DOCUMENT, servers: [{ url: `${req.protocol}://${req.get('host')}` }] });
+});
+
+// --- WebSocket Server Connection Handling ---
+const httpServer = app.listen(PORT, () => {
+    console.log(`Cloud service running on port ${PORT}`);
+    console.log(`Dashboard available at http://localhost:${PORT}/ (login required)`);
+    console.log(`Order Webhook URL: http://localhost:${PORT}/webhook/order`);
+    console.log(`Shopware app registration URL: http://localhost:${PORT}/shopware/register${SHOPWARE_APP_SECRET ? '' : ' (not configured, set SHOPWARE_APP_NAME and SHOPWARE_APP_SECRET)'}`);
+    if (LEGACY_WEBHOOK_SECRET_ENABLED) {
+        console.log('Legacy ?secret= authentication for the order webhook is enabled.');
+    }
     console.log(`ESP32 WebSocket URL: ws://localhost:${PORT}/ws/esp32?secret=${ESP32_SECRET}`);
     console.log(`Dashboard WebSocket URL: ws://localhost:${PORT}/ws/dashboard`);
 });
 
+// --- Does a browser request come from the dashboard's own origin? (no Origin header = not a browser) ---
+function isSameOrigin(request) {
+    const origin = request.headers.origin;
+    if (!origin) return true;
+    try {
+        return new URL(origin).host === request.headers.host;
+    } catch (error) {
+        return false;
+    }
+}
+
 httpServer.on('upgrade', (request, socket, head) => {
     const pathname = new URL(request.url, `http://${request.headers.host}`).pathname;
     const searchParams = new URL(request.url, `http://${request.headers.host}`).searchParams;
 
     if (pathname === '/ws/esp32') {
         const esp32Secret = searchParams.get('secret');
-        if (esp32Secret === ESP32_SECRET) {
+        // Registered boards use their own secret, the shared ESP32_SECRET still works for a single board
+        const registeredDevice = authenticateDevice(esp32Secret);
+        if (registeredDevice || esp32Secret === ESP32_SECRET) {
             wss.handleUpgrade(request, socket, head, ws => {
-                wss.emit('connection', ws, request);
+                wss.emit('connection', ws, request, registeredDevice);
             });
         } else {
             console.warn('Unauthorized ESP32 WebSocket connection attempt from IP:', request.socket.remoteAddress);
@@ -472,13 +2866,27 @@ httpServer.on('upgrade', (request, socket, head) => {
             socket.destroy();
         }
     } else if (pathname === '/ws/dashboard') {
-        // For dashboard, rely on the HTTP session for authentication
-        // This is a simplified approach. In a real app, you might use a token
-        // passed from the dashboard.html after initial login.
-        // For now, we'll allow connection and assume the dashboard HTML
-        // is only served to authenticated users.
-        wss.handleUpgrade(request, socket, head, ws => {
-            wss.emit('connection', ws, request);
+        // Dashboard connections use the login session cookie, like the dashboard API
+        // Browsers send cookies with cross-site WebSocket requests, so the origin has to match too
+        if (!isSameOrigin(request)) {
+            console.warn(`Rejected dashboard WebSocket connection from foreign origin ${request.headers.origin}`);
+            socket.write('HTTP/1.1 403 Forbidden\r\n\r\n');
+            socket.destroy();
+            return;
+        }
+        sessionParser(request, {}, () => {
+            const user = getSessionUser(request);
+            if (!user) {
+                console.warn('Unauthorized dashboard WebSocket connection attempt from IP:', request.socket.remoteAddress);
+                socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+                socket.destroy();
+                return;
+            }
+            wss.handleUpgrade(request, socket, head, ws => {
+                ws.username = user.username; // Closed when the account is disabled
+                ws.sessionId = request.sessionID; // Closed when the session ends
+                wss.emit('connection', ws, request);
+            });
         });
     } else {
         socket.destroy();
@@ -486,34 +2894,57 @@ httpServer.on('upgrade', (request, socket, head) => {
 });
 
 
-wss.on('connection', (ws, request) => {
+wss.on('connection', (ws, request, registeredDevice = null) => {
     const clientType = request.url.includes('/ws/esp32') ? 'ESP32' : 'Dashboard';
-    console.log(`${clientType} client connected from IP: ${request.socket.remoteAddress}`);
+    console.log(`${clientType} client${registeredDevice ? ` ${registeredDevice.id}` : ''} connected from IP: ${request.socket.remoteAddress}`);
     connectedClients.add(ws);
+    if (clientType === 'ESP32') {
+        const device = registerConnection(ws, request.socket.remoteAddress, registeredDevice);
+        // Counted once the board's id is known: on connection for registered boards, after the hello for the others
+        if (device.identified && !device.firstConnection) countMetric('shopalarm_websocket_reconnects_total');
+        resetDevice(ws, getResetState(registeredDevice)); // Registered boards: only on the first connection since startup
+        broadcastDashboard(); // Show the new device on live dashboards
+    }
 
     // Send current state immediately upon connection
-    const dataToSend = JSON.stringify({
-        alarmEnabled: alarmSettings.alarmEnabled,
-        triggerActive: alarmSettings.triggerActive,
-        relays: alarmSettings.currentRelayStates,
-        testRelay: alarmSettings.testRelay
-    });
-    ws.send(dataToSend);
+    sendStateToClient(ws);
 
     ws.on('message', message => {
+        if (clientType === 'ESP32') {
+            const wasIdentified = getDevice(ws).identified;
+            const msg = handleDeviceMessage(ws, message.toString());
+            if (msg && msg.type === 'hello') {
+                if (!wasIdentified && !getDevice(ws).firstConnection) countMetric('shopalarm_websocket_reconnects_total');
+                resetDevice(ws, getResetState(registeredDevice)); // Shared-secret boards are identified by their hello
+                sendStateToClient(ws); // Re-send the current state, now with acknowledgement tracking
+                if (currentPlan) sendPlanToClient(ws); // Plan-mode boards joining mid-alarm catch up from startAt
+            }
+            if (msg && msg.type === 'button') {
+                // Physical buttons on a board: 'acknowledge' = handled, 'silence' = deactivate for now
+                const device = getDevice(ws);
+                const actor = { user: `device:${device.id}`, ip: request.socket.remoteAddress };
+                if (msg.action === 'acknowledge') acknowledgeAlarm(`device:${device.id}`, actor);
+                if (msg.action === 'silence') deactivateAlarm(`device:${device.id}`, actor);
+            }
+            if (msg && msg.type !== 'ack' && msg.type !== 'time') {
+                broadcastDashboard(); // Device details (firmware, reported relays, progress, errors) changed
+            }
+            if (msg) return;
+        }
         console.log(`Received message from ${clientType}: ${message}`);
-        // For this application, clients primarily receive.
-        // If ESP32 needs to send status back, handle it here.
+        // Dashboard clients only receive.
     });
 
     ws.on('close', () => {
         console.log(`${clientType} client disconnected from IP: ${request.socket.remoteAddress}`);
         connectedClients.delete(ws);
+        if (unregisterConnection(ws)) broadcastDashboard();
     });
 
     ws.on('error', error => {
         console.error(`${clientType} WebSocket error:`, error);
         connectedClients.delete(ws);
+        if (unregisterConnection(ws)) broadcastDashboard();
     });
 });
 
@@ -526,7 +2957,46 @@ setInterval(() => {
     });
 }, 30000); // Ping every 30 seconds
 
+// Close live dashboards whose session has expired or was logged out; the page then goes back to the login
+setInterval(() => {
+    connectedClients.forEach(ws => {
+        if (!ws.sessionId) return;
+        sessionStore.get(ws.sessionId, (error, stored) => {
+            if (!error && (!stored || isSessionExpired(alarmSettings.security, stored))) ws.close(4001, 'Session expired');
+        });
+    });
+}, 60000);
+
 // Initialize and start server
+loadRegisteredDevices(); // Load registered relay boards on startup (before the settings, which map outputs to them)
 loadSettings(); // Load settings on startup
 loadUsers(); // Load users on startup
+loadEvents(); // Load event history on startup
+loadAudit(); // Load the audit log on startup
+loadDeliveries(); // Load the notification delivery log on startup
+recoverInterruptedAlarm(); // Resume, replay or abandon an alarm the last shutdown interrupted
+loadShops(); // Load registered Shopware shops on startup
+loadTriggerSources(); // Load the trigger API sources on startup
+loadApiTokens(); // Load the REST API tokens on startup
+startAckMonitor(); // Re-send unacknowledged device updates
+setInterval(repeatUnacknowledged, 1000); // Repeat alarms waiting for acknowledgement when due
+updateDevicePlans(); // A trigger restored from the runtime file is planned for boards that connect
+if (MQTT_URL) {
+    startMqttBridge({
+        url: MQTT_URL,
+        username: MQTT_USERNAME,
+        password: MQTT_PASSWORD,
+        topicPrefix: MQTT_TOPIC_PREFIX,
+        qos: MQTT_QOS,
+        retain: MQTT_RETAIN
+    }, {
+        deactivate: deactivateAlarm,
+        acknowledge: acknowledgeAlarm,
+        testRelay: startRelayTest,
+        setAlarmEnabled,
+        deviceStatus: handleMqttDeviceStatus,
+        getState: getClientState
+    });
+    onEvent(publishEvent);
+}
 calculateAndBroadcastRelayStates(); // Initial broadcast and start interval if needed
\ No newline at end of file
@@ -0,0 +1,143 @@
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { saveSettingsFile } = require('../../lib/settings-store');
+const { createDefaultSettings } = require('../../lib/settings-schema');
+
+// --- A ShopAlarm server for tests ---
+// Runs server.js as a child process on a free port with a temporary data directory (DATA_DIR), seeded
+// with an admin user and the given settings. The legacy ?secret= webhook is enabled so tests can raise
+// the alarm without signing requests.
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const ADMIN = { username: 'admin', password: 'test-password' };
+const ESP32_SECRET = 'test-esp32-secret';
+const ORDER_WEBHOOK_SECRET = 'test-webhook-secret';
+const START_TIMEOUT_MS = 10000;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, '127.0.0.1', () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+// --- Start a server; settings: changes applied to the built-in settings (see lib/settings-schema.js) ---
+async function startServer({ settings = {}, env = {} } = {}) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-alarm-test-'));
+    // Plain passwords are hashed on startup, like users.json files of older versions
+    fs.writeFileSync(path.join(dataDir, 'users.json'), JSON.stringify([{ ...ADMIN, role: 'admin' }]));
+    saveSettingsFile(path.join(dataDir, 'settings.json'), { ...createDefaultSettings(), ...settings });
+
+    const port = await getFreePort();
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT_DIR,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            DATA_DIR: dataDir,
+            ESP32_SECRET,
+            ORDER_WEBHOOK_SECRET,
+            LEGACY_WEBHOOK_SECRET_ENABLED: 'true',
+            SESSION_SECRET: 'test-session-secret',
+            MQTT_URL: '',
+            TRUST_PROXY: '',
+            ...env
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT_MS);
+        child.stdout.on('data', () => {
+            if (output.includes('Cloud service running on port')) {
+                clearTimeout(timer);
+                resolve();
+            }
+        });
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Server exited with code ${code}:\n${output}`));
+        });
+    });
+
+    const baseUrl = `http://127.0.0.1:${port}`;
+    return {
+        port,
+        baseUrl,
+        dataDir,
+        esp32Url: `ws://127.0.0.1:${port}/ws/esp32?secret=${ESP32_SECRET}`,
+        output: () => output,
+        // Raise the alarm like a shop order
+        triggerOrder: (order = {}) => fetch(`${baseUrl}/webhook/order?secret=${ORDER_WEBHOOK_SECRET}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(order)
+        }),
+        login: (username = ADMIN.username, password = ADMIN.password) => login(baseUrl, username, password),
+        async stop() {
+            if (child.exitCode === null) {
+                const exited = new Promise(resolve => child.once('exit', resolve));
+                child.kill();
+                await exited;
+            }
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+// --- Log in like the dashboard; returns a client for /api/dashboard with the session cookie and CSRF token ---
+async function login(baseUrl, username, password) {
+    const response = await fetch(`${baseUrl}/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ username, password }),
+        redirect: 'manual'
+    });
+    const cookie = (response.headers.get('set-cookie') || '').split(';')[0];
+    if (!cookie) {
+        throw new Error(`Login of ${username} failed.`);
+    }
+    const me = await (await fetch(`${baseUrl}/api/dashboard/me`, { headers: { Cookie: cookie } })).json();
+
+    async function request(method, url, body) {
+        const headers = { Cookie: cookie, 'X-CSRF-Token': me.csrfToken };
+        if (body !== undefined) headers['Content-Type'] = 'application/json';
+        const result = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers,
+            body: body !== undefined ? JSON.stringify(body) : undefined,
+            redirect: 'manual'
+        });
+        if (!result.ok) {
+            throw new Error(`${method} ${url}: ${result.status} ${await result.text()}`);
+        }
+        return (result.headers.get('content-type') || '').includes('json') ? result.json() : result.text();
+    }
+
+    return {
+        cookie,
+        get: url => request('GET', url),
+        post: (url, body) => request('POST', url, body)
+    };
+}
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+    ADMIN,
+    startServer,
+    delay
+};
@@ -0,0 +1,101 @@
+const http = require('http');
+const net = require('net');
+
+// --- Local stand-ins for the services notifications are delivered to ---
+
+// --- HTTP server recording every request; respond(request) returns { status, body } (default 200) ---
+async function startHttpStandIn(respond = () => ({ status: 200, body: 'ok' })) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const request = { method: req.method, url: req.url, headers: req.headers, body };
+            requests.push(request);
+            const { status = 200, body: responseBody = '' } = respond(request, requests.length);
+            res.writeHead(status, { 'Content-Type': 'text/plain' });
+            res.end(responseBody);
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => new Promise(resolve => {
+            server.closeAllConnections();
+            server.close(resolve);
+        })
+    };
+}
+
+// --- Minimal SMTP server (no TLS, no authentication) recording every message ---
+// rejectRecipients: answer RCPT TO with 550, like a server refusing the address
+async function startSmtpStandIn({ rejectRecipients = false } = {}) {
+    const messages = [];
+    const sockets = new Set();
+    const server = net.createServer(socket => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.setEncoding('utf8');
+        let buffer = '';
+        let message = null; // { from, to: [], data } of the mail being received
+        let inData = false;
+        const reply = line => socket.write(`${line}\r\n`);
+        reply('220 stand-in ESMTP');
+        socket.on('data', chunk => {
+            buffer += chunk;
+            if (inData) {
+                const end = buffer.indexOf('\r\n.\r\n');
+                if (end === -1) return;
+                message.data = buffer.slice(0, end);
+                buffer = buffer.slice(end + 5);
+                messages.push(message);
+                message = null;
+                inData = false;
+                reply('250 Queued');
+            }
+            let newline;
+            while (!inData && (newline = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, newline);
+                buffer = buffer.slice(newline + 2);
+                const command = line.slice(0, 4).toUpperCase();
+                if (command === 'EHLO' || command === 'HELO') {
+                    reply('250 stand-in');
+                } else if (command === 'MAIL') {
+                    message = { from: line.replace(/^MAIL FROM:\s*/i, ''), to: [], data: '' };
+                    reply('250 OK');
+                } else if (command === 'RCPT') {
+                    if (rejectRecipients) {
+                        reply('550 No such user');
+                    } else {
+                        message.to.push(line.replace(/^RCPT TO:\s*/i, ''));
+                        reply('250 OK');
+                    }
+                } else if (command === 'DATA') {
+                    inData = true;
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (command === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK'); // RSET, NOOP
+                }
+            }
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        host: '127.0.0.1',
+        port: server.address().port,
+        messages,
+        close: () => new Promise(resolve => {
+            sockets.forEach(socket => socket.destroy());
+            server.close(resolve);
+        })
+    };
+}
+
+module.exports = {
+    startHttpStandIn,
+    startSmtpStandIn
+};
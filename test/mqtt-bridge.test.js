@@ -0,0 +1,209 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const mqtt = require('mqtt');
+const Aedes = require('aedes');
+const { startMqttBridge, publishState, publishEvent, isMqttConnected } = require('../lib/mqtt-bridge');
+
+// The bridge against an in-process broker, with the server's command handlers stubbed. A second
+// client watches the topics like Home Assistant would.
+
+const PREFIX = 'test';
+const BRIDGE_CLIENT_ID = 'shop-alarm-test-bridge';
+const RECONNECT_WAIT_MS = 8000; // The bridge reconnects every 5 s
+
+function createHandlers(state) {
+    const calls = [];
+    const record = (name, result) => (...args) => {
+        calls.push({ name, args });
+        return result;
+    };
+    return {
+        calls,
+        deactivate: record('deactivate', { message: 'Active alarm cleared!' }),
+        acknowledge: record('acknowledge', { message: 'Alarm acknowledged.' }),
+        testRelay: record('testRelay', { message: 'Test alarm command sent for relay 2!' }),
+        setAlarmEnabled: record('setAlarmEnabled', { message: 'Main alarm disabled.' }),
+        deviceStatus: record('deviceStatus', null),
+        getState: () => state
+    };
+}
+
+// --- Observer client collecting every message below the prefix ---
+async function connectObserver(url) {
+    const client = mqtt.connect(url, { clientId: 'shop-alarm-test-observer', reconnectPeriod: 0 });
+    const messages = [];
+    const waiters = [];
+    client.on('message', (topic, payload, packet) => {
+        const message = { topic: topic.slice(PREFIX.length + 1), payload: payload.toString(), retain: packet.retain };
+        messages.push(message);
+        for (let i = waiters.length - 1; i >= 0; i--) {
+            if (waiters[i].matches(message)) {
+                waiters[i].resolve(message);
+                waiters.splice(i, 1);
+            }
+        }
+    });
+    await new Promise((resolve, reject) => {
+        client.once('connect', resolve);
+        client.once('error', reject);
+    });
+    await client.subscribeAsync(`${PREFIX}/#`, { qos: 1 });
+    return {
+        client,
+        messages,
+        // Resolve with the next message on the topic, or one already received since `since`; payload is the
+        // expected payload or a check of it
+        waitFor(topic, payload, { since = 0, timeoutMs = 3000 } = {}) {
+            const payloadMatches = typeof payload === 'function' ? payload : text => payload === undefined || text === payload;
+            const matches = message => message.topic === topic && payloadMatches(message.payload);
+            const earlier = messages.slice(since).find(matches);
+            if (earlier) return Promise.resolve(earlier);
+            return new Promise((resolve, reject) => {
+                const waiter = { matches, resolve: message => { clearTimeout(timer); resolve(message); } };
+                const timer = setTimeout(() => {
+                    waiters.splice(waiters.indexOf(waiter), 1);
+                    reject(new Error(`No matching message on ${topic}.`));
+                }, timeoutMs);
+                waiters.push(waiter);
+            });
+        }
+    };
+}
+
+function resultOf(command) {
+    return payload => JSON.parse(payload).command === command;
+}
+
+function waitUntil(condition, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const deadline = Date.now() + timeoutMs;
+        const timer = setInterval(() => {
+            if (condition()) {
+                clearInterval(timer);
+                resolve();
+            } else if (Date.now() > deadline) {
+                clearInterval(timer);
+                reject(new Error('Timed out.'));
+            }
+        }, 20);
+    });
+}
+
+describe('MQTT bridge', () => {
+    const state = { alarmEnabled: true, triggerActive: false, relays: { '1': false, '2': false }, testRelay: { id: null } };
+    let broker;
+    let server;
+    let url;
+    let bridge;
+    let handlers;
+    let observer;
+
+    before(async () => {
+        broker = new Aedes();
+        server = net.createServer(broker.handle);
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `mqtt://127.0.0.1:${server.address().port}`;
+
+        handlers = createHandlers(state);
+        bridge = startMqttBridge({ url, clientId: BRIDGE_CLIENT_ID, topicPrefix: `${PREFIX}/`, qos: 1 }, handlers);
+        await waitUntil(isMqttConnected, 3000);
+        observer = await connectObserver(url);
+    });
+
+    after(async () => {
+        if (observer) observer.client.end(true);
+        if (bridge) bridge.end(true);
+        await new Promise(resolve => broker.close(resolve));
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    it('publishes its status and the current state as retained topics on connect', async () => {
+        // The observer subscribed after the bridge connected, so these are the retained copies
+        for (const [topic, payload] of [['status', 'online'], ['alarm_enabled', 'ON'], ['trigger_active', 'OFF'], ['relays/1', 'OFF'], ['relays/2', 'OFF']]) {
+            const message = await observer.waitFor(topic, payload);
+            assert.equal(message.retain, true, `${topic} retained`);
+        }
+        const message = await observer.waitFor('state');
+        assert.deepEqual(JSON.parse(message.payload), state);
+    });
+
+    it('publishes changed relay states only', async () => {
+        const since = observer.messages.length;
+        publishState({ ...state, triggerActive: true, relays: { '1': true, '2': false } });
+
+        await observer.waitFor('relays/1', 'ON', { since });
+        await observer.waitFor('trigger_active', 'ON', { since });
+        await observer.waitFor('state', undefined, { since });
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const topics = observer.messages.slice(since).map(message => message.topic).sort();
+        assert.deepEqual(topics, ['relays/1', 'state', 'trigger_active']);
+
+        publishState({ ...state, triggerActive: false, relays: { '1': false, '2': false } });
+        await observer.waitFor('relays/1', 'OFF', { since: since + topics.length });
+    });
+
+    it('publishes events without retaining them', async () => {
+        const event = { id: 7, type: 'trigger', source: 'order', outcome: 'triggered' };
+        publishEvent(event);
+        const message = await observer.waitFor('events');
+        assert.deepEqual(JSON.parse(message.payload), event);
+        assert.equal(message.retain, false);
+    });
+
+    it('runs commands and publishes their result', async () => {
+        const since = observer.messages.length;
+        await observer.client.publishAsync(`${PREFIX}/command`, JSON.stringify({ command: 'test-relay', relayId: '2' }), { qos: 1 });
+        const result = JSON.parse((await observer.waitFor('command/result', resultOf('test-relay'), { since })).payload);
+        assert.equal(result.message, 'Test alarm command sent for relay 2!');
+        assert.deepEqual(handlers.calls.at(-1), { name: 'testRelay', args: ['2', 'mqtt'] });
+
+        await observer.client.publishAsync(`${PREFIX}/command`, JSON.stringify({ command: 'deactivate' }), { qos: 1 });
+        await waitUntil(() => handlers.calls.at(-1).name === 'deactivate', 3000);
+        assert.deepEqual(handlers.calls.at(-1).args, ['mqtt']);
+    });
+
+    it('rejects unknown commands and invalid payloads', async () => {
+        const calls = handlers.calls.length;
+        const since = observer.messages.length;
+        await observer.client.publishAsync(`${PREFIX}/command`, JSON.stringify({ command: 'self-destruct' }), { qos: 1 });
+        const result = JSON.parse((await observer.waitFor('command/result', resultOf('self-destruct'), { since })).payload);
+        assert.equal(result.error, 'Unknown command: self-destruct');
+
+        await observer.client.publishAsync(`${PREFIX}/command`, JSON.stringify({ command: 'set-alarm-enabled', enabled: 'yes' }), { qos: 1 });
+        await observer.client.publishAsync(`${PREFIX}/alarm_enabled/set`, 'MAYBE', { qos: 1 });
+        await observer.client.publishAsync(`${PREFIX}/command`, 'not json', { qos: 1 });
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.equal(handlers.calls.length, calls, 'no handler called');
+    });
+
+    it('switches the alarm from alarm_enabled/set and takes device status reports', async () => {
+        await observer.client.publishAsync(`${PREFIX}/alarm_enabled/set`, 'off', { qos: 1 });
+        await waitUntil(() => handlers.calls.at(-1).name === 'setAlarmEnabled', 3000);
+        assert.deepEqual(handlers.calls.at(-1).args, [false, 'mqtt']);
+
+        const status = { online: true, firmware: 'mqtt-1.0', relays: { '1': false } };
+        await observer.client.publishAsync(`${PREFIX}/devices/office-board/status`, JSON.stringify(status), { qos: 1 });
+        await waitUntil(() => handlers.calls.at(-1).name === 'deviceStatus', 3000);
+        assert.deepEqual(handlers.calls.at(-1).args, ['office-board', status]);
+    });
+
+    it('reconnects after losing the broker connection, republishing its state and taking commands again', { timeout: RECONNECT_WAIT_MS + 5000 }, async () => {
+        const since = observer.messages.length;
+        broker.clients[BRIDGE_CLIENT_ID].close(); // Dropped without a DISCONNECT, like a network failure
+
+        await observer.waitFor('status', 'offline', { since }); // Last will
+        await waitUntil(() => !isMqttConnected(), 3000);
+        await observer.waitFor('status', 'online', { since, timeoutMs: RECONNECT_WAIT_MS });
+        assert.equal(isMqttConnected(), true);
+        // Retained topics are published again, even unchanged ones
+        await observer.waitFor('alarm_enabled', 'ON', { since });
+        await observer.waitFor('relays/2', 'OFF', { since });
+
+        const afterReconnect = observer.messages.length;
+        await waitUntil(() => broker.clients[BRIDGE_CLIENT_ID] && broker.clients[BRIDGE_CLIENT_ID].subscriptions[`${PREFIX}/command`], 3000);
+        await observer.client.publishAsync(`${PREFIX}/command`, JSON.stringify({ command: 'acknowledge' }), { qos: 1 });
+        const result = JSON.parse((await observer.waitFor('command/result', resultOf('acknowledge'), { since: afterReconnect })).payload);
+        assert.equal(result.message, 'Alarm acknowledged.');
+    });
+});
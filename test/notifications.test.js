@@ -0,0 +1,201 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startHttpStandIn, startSmtpStandIn } = require('./helpers/stand-ins');
+
+// The delivery log is written to DATA_DIR, which has to be set before the module is loaded
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'shop-alarm-test-'));
+const { DEFAULT_TEMPLATES, deliver, notifyChannels, queryDeliveries, validateNotifications } = require('../lib/notifications');
+
+const DELIVERIES_FILE = path.join(process.env.DATA_DIR, 'deliveries.jsonl');
+const ALARM = { action: 'started', source: 'order', details: { orderReference: '10001', rule: 'Big orders' }, timestamp: Date.UTC(2026, 0, 2, 9, 30) };
+
+function channel(type, fields) {
+    return {
+        id: `${type}-channel`,
+        name: `Test ${type}`,
+        type,
+        enabled: true,
+        filters: { when: 'always', rules: [], reminders: false },
+        ...DEFAULT_TEMPLATES[type],
+        ...fields
+    };
+}
+
+// Deliveries run in the background, wait until the condition holds (real time, timers may be mocked)
+async function waitFor(condition, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the delivery.');
+        await new Promise(resolve => setImmediate(resolve));
+    }
+}
+
+function loggedDeliveries() {
+    if (!fs.existsSync(DELIVERIES_FILE)) return [];
+    return fs.readFileSync(DELIVERIES_FILE, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('notification channels', () => {
+    after(() => {
+        fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+    });
+
+    describe('webhook', () => {
+        let standIn;
+        let failures = 0; // Requests to answer with 500 before accepting
+
+        before(async () => {
+            standIn = await startHttpStandIn(() => (failures-- > 0 ? { status: 500, body: 'Try later' } : { status: 200, body: 'ok' }));
+        });
+
+        after(() => standIn.close());
+
+        it('posts the templated JSON body with the configured headers', async () => {
+            const webhook = channel('webhook', { url: `${standIn.url}/hook`, method: 'PUT', headers: { 'X-Token': 'secret' } });
+            assert.equal(validateNotifications({ channels: [webhook] }), null);
+
+            const delivery = deliver(webhook, ALARM);
+            await waitFor(() => delivery.status !== 'pending');
+
+            assert.equal(delivery.status, 'delivered');
+            assert.equal(delivery.attempts.length, 1);
+            assert.equal(delivery.attempts[0].error, null);
+            const request = standIn.requests.at(-1);
+            assert.equal(request.method, 'PUT');
+            assert.equal(request.url, '/hook');
+            assert.equal(request.headers['x-token'], 'secret');
+            assert.deepEqual(JSON.parse(request.body), {
+                text: 'Alarm for order 10001.',
+                order: '10001',
+                rule: 'Big orders',
+                action: 'started',
+                time: '2026-01-02T09:30:00.000Z'
+            });
+            const logged = loggedDeliveries().find(entry => entry.id === delivery.id);
+            assert.equal(logged.status, 'delivered');
+            assert.equal(logged.channelId, 'webhook-channel');
+            assert.equal(logged.orderReference, '10001');
+        });
+
+        it('retries a failed delivery after the retry delay', async t => {
+            t.mock.timers.enable({ apis: ['setTimeout'] });
+            failures = 1;
+            const delivery = deliver(channel('webhook', { url: standIn.url, method: 'POST', headers: {} }), ALARM);
+            await waitFor(() => delivery.attempts.length === 1);
+
+            assert.equal(delivery.status, 'pending');
+            assert.equal(delivery.attempts[0].error, 'HTTP 500: Try later');
+            assert.ok(delivery.nextAttemptAt > delivery.attempts[0].at);
+            assert.equal(queryDeliveries({ status: 'pending' }).deliveries[0].id, delivery.id);
+
+            t.mock.timers.tick(5000);
+            await waitFor(() => delivery.status !== 'pending');
+            assert.equal(delivery.status, 'delivered');
+            assert.equal(delivery.attempts.length, 2);
+            assert.equal(delivery.attempts[1].error, null);
+        });
+
+        it('gives up after five attempts and logs the failure', async t => {
+            t.mock.timers.enable({ apis: ['setTimeout'] });
+            failures = Infinity;
+            const delivery = deliver(channel('webhook', { url: standIn.url, method: 'POST', headers: {} }), ALARM);
+            for (const delayMs of [5000, 15000, 45000, 135000]) {
+                const attempts = delivery.attempts.length + 1;
+                await waitFor(() => delivery.attempts.length === attempts);
+                t.mock.timers.tick(delayMs);
+            }
+            await waitFor(() => delivery.status !== 'pending');
+            failures = 0;
+
+            assert.equal(delivery.status, 'failed');
+            assert.equal(delivery.attempts.length, 5);
+            assert.ok(delivery.attempts.every(attempt => attempt.error === 'HTTP 500: Try later'));
+            const logged = loggedDeliveries().find(entry => entry.id === delivery.id);
+            assert.equal(logged.status, 'failed');
+            assert.equal(logged.attempts.length, 5);
+            assert.equal(queryDeliveries({ status: 'failed' }).total, 1);
+        });
+    });
+
+    describe('ntfy and Gotify', () => {
+        let standIn;
+
+        before(async () => {
+            standIn = await startHttpStandIn();
+        });
+
+        after(() => standIn.close());
+
+        it('publishes to ntfy with the topic in the body and the token as bearer', async () => {
+            const [delivery] = notifyChannels([channel('ntfy', { url: standIn.url, topic: 'shop', token: 'tk_1', priority: 4 })], ALARM);
+            await waitFor(() => delivery.status !== 'pending');
+
+            assert.equal(delivery.status, 'delivered');
+            const request = standIn.requests.at(-1);
+            assert.equal(request.url, '/');
+            assert.equal(request.headers.authorization, 'Bearer tk_1');
+            assert.deepEqual(JSON.parse(request.body), { title: 'New order 10001', message: 'Alarm for order 10001.', priority: 4, topic: 'shop' });
+        });
+
+        it('posts to Gotify /message with the application token', async () => {
+            const [delivery] = notifyChannels([channel('gotify', { url: `${standIn.url}/`, token: 'app-token', priority: 8 })], ALARM);
+            await waitFor(() => delivery.status !== 'pending');
+
+            assert.equal(delivery.status, 'delivered');
+            const request = standIn.requests.at(-1);
+            assert.equal(request.url, '/message');
+            assert.equal(request.headers['x-gotify-key'], 'app-token');
+            assert.equal(JSON.parse(request.body).priority, 8);
+        });
+
+        it('skips disabled channels and channels whose filters the alarm fails', () => {
+            const deliveries = notifyChannels([
+                channel('ntfy', { url: standIn.url, topic: 'off', token: '', priority: 3, enabled: false }),
+                channel('ntfy', { url: standIn.url, topic: 'quiet', token: '', priority: 3, filters: { when: 'quiet', rules: [], reminders: false } }),
+                channel('ntfy', { url: standIn.url, topic: 'other', token: '', priority: 3, filters: { when: 'always', rules: ['Other rule'], reminders: false } })
+            ], ALARM);
+            assert.deepEqual(deliveries, []);
+        });
+    });
+
+    describe('email', () => {
+        it('sends the rendered subject and text over SMTP', async t => {
+            const smtp = await startSmtpStandIn();
+            t.after(() => smtp.close());
+            const email = channel('email', {
+                host: smtp.host, port: smtp.port, secure: false, username: '', password: '',
+                from: 'alarm@shop.test', to: 'owner@shop.test, packing@shop.test'
+            });
+            assert.equal(validateNotifications({ channels: [email] }), null);
+
+            const delivery = deliver(email, ALARM);
+            await waitFor(() => delivery.status !== 'pending');
+
+            assert.equal(delivery.status, 'delivered');
+            assert.equal(smtp.messages.length, 1);
+            const [message] = smtp.messages;
+            assert.match(message.from, /alarm@shop\.test/);
+            assert.deepEqual(message.to.map(address => address.replace(/[<>]/g, '')), ['owner@shop.test', 'packing@shop.test']);
+            assert.match(message.data, /^Subject: ShopAlarm: New order 10001$/m);
+            assert.match(message.data, /Alarm for order 10001\./);
+        });
+
+        it('records the SMTP error and keeps the delivery for a retry', async t => {
+            const smtp = await startSmtpStandIn({ rejectRecipients: true });
+            t.after(() => smtp.close());
+            t.mock.timers.enable({ apis: ['setTimeout'] }); // Keeps the retry from running
+            const delivery = deliver(channel('email', {
+                host: smtp.host, port: smtp.port, secure: false, username: '', password: '',
+                from: 'alarm@shop.test', to: 'nobody@shop.test'
+            }), ALARM);
+            await waitFor(() => delivery.attempts.length === 1);
+
+            assert.equal(delivery.status, 'pending');
+            assert.match(delivery.attempts[0].error, /550/);
+            assert.equal(smtp.messages.length, 0);
+        });
+    });
+});
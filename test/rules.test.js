@@ -0,0 +1,33 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { evaluateRules, extractOrderFacts } = require('../lib/rules');
+
+function rule(field, operator, value) {
+    return { name: `${field} ${operator} ${value}`, enabled: true, match: 'all', conditions: [{ field, operator, value }], profile: 'Test' };
+}
+
+describe('alarm rules', () => {
+    it('compares the order total numerically for eq and neq', () => {
+        for (const total of [100, '100.00', 100.0, '100']) {
+            const order = { order: { amountTotal: total } };
+            assert.ok(evaluateRules([rule('total', 'eq', 100)], order), `eq 100 matches ${JSON.stringify(total)}`);
+            assert.ok(evaluateRules([rule('total', 'eq', '100.00')], order), `eq "100.00" matches ${JSON.stringify(total)}`);
+            assert.equal(evaluateRules([rule('total', 'neq', '100')], order), null, `neq 100 rejects ${JSON.stringify(total)}`);
+        }
+        assert.ok(evaluateRules([rule('total', 'neq', 100)], { order: { amountTotal: '100.01' } }));
+    });
+
+    it('does not match a missing total', () => {
+        for (const amountTotal of [null, '', undefined]) {
+            assert.equal(extractOrderFacts({ order: { amountTotal } }).total, null);
+            assert.equal(evaluateRules([rule('total', 'eq', 0), rule('total', 'lte', 10)], { order: { amountTotal } }), null);
+        }
+    });
+
+    it('keeps comparing other fields as case-insensitive text', () => {
+        const order = { order: { salesChannel: { name: 'Storefront' }, lineItems: [{ productNumber: 'SW-100' }] } };
+        assert.ok(evaluateRules([rule('salesChannel', 'eq', 'storefront')], order));
+        assert.equal(evaluateRules([rule('productNumber', 'eq', 'SW-100.0')], order), null);
+        assert.ok(evaluateRules([rule('productNumber', 'contains', 'sw-')], order));
+    });
+});
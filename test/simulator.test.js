@@ -0,0 +1,142 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSimulatedBoard } = require('../lib/simulator');
+const { startServer, delay } = require('./helpers/server');
+
+// Relay timing as calculateAndBroadcastRelayStates streams it to a board, checked on a simulated board.
+// Relay states are recalculated every 100 ms, so transitions are expected within TOLERANCE_MS.
+const TOLERANCE_MS = 150;
+
+const relays = {
+    '1': { label: 'Pulse', enabled: true, pattern: { steps: [{ type: 'pulse', durationMs: 1200, pulseMs: 200 }], repeat: 1 } },
+    '2': { label: 'Delayed', enabled: true, pattern: { steps: [{ type: 'off', durationMs: 600 }, { type: 'on', durationMs: 400 }], repeat: 1 } },
+    '3': { label: 'Long', enabled: true, pattern: { steps: [{ type: 'on', durationMs: 3000 }], repeat: 1 } },
+    '4': { label: 'Off', enabled: false, pattern: { steps: [{ type: 'on', durationMs: 1000 }], repeat: 1 } }
+};
+
+function assertNear(actual, expected, label) {
+    assert.ok(Math.abs(actual - expected) <= TOLERANCE_MS, `${label}: ${actual} ms, expected ${expected} ± ${TOLERANCE_MS} ms`);
+}
+
+function transitionsOf(board, relay, since) {
+    return board.getTransitions(since).filter(transition => transition.relay === relay);
+}
+
+describe('simulated board', () => {
+    let server;
+    let board;
+    let admin;
+
+    before(async () => {
+        server = await startServer({ settings: { relays } });
+        admin = await server.login();
+        board = createSimulatedBoard({ url: server.esp32Url, deviceId: 'sim-test' });
+        board.connect();
+        // The first connection since startup gets an all-off reset, wait for it to pass
+        await delay(300);
+    });
+
+    after(async () => {
+        if (board) board.close();
+        if (server) await server.stop();
+    });
+
+    afterEach(async () => {
+        await admin.post('/api/dashboard/commands/deactivate-alarm');
+        await delay(200);
+        board.clearTransitions();
+    });
+
+    it('connects and reports as a protocol 2 device', async () => {
+        const { devices } = await admin.get('/api/dashboard/devices');
+        const device = devices.find(d => d.id === 'sim-test');
+        assert.ok(device, 'device listed');
+        assert.equal(device.online, true);
+        assert.equal(device.protocol, 2);
+        assert.equal(board.getStatus().connected, true);
+    });
+
+    it('plays a pulse pattern with the configured pulse length', async () => {
+        const startedAt = Date.now();
+        await server.triggerOrder();
+        await delay(1600);
+
+        const pulses = transitionsOf(board, '1', startedAt);
+        const ons = pulses.filter(transition => transition.on);
+        const offs = pulses.filter(transition => !transition.on);
+        assert.equal(ons.length, 3, `three pulses in 1200 ms, got ${JSON.stringify(pulses)}`);
+        assert.equal(offs.length, 3);
+        for (let i = 0; i < ons.length; i++) {
+            assertNear(offs[i].at - ons[i].at, 200, `pulse ${i + 1} on time`);
+            if (i > 0) assertNear(ons[i].at - ons[i - 1].at, 400, `pulse ${i + 1} period`);
+        }
+    });
+
+    it('switches a relay on after its delay, for its on time', async () => {
+        // Waiting starts before the order, the first transitions can arrive before its response
+        const started = board.waitForTransition({ relay: '1', on: true }); // Relay 1 starts right away
+        const on = board.waitForTransition({ relay: '2', on: true });
+        await server.triggerOrder();
+        const first = await started;
+        const delayed = await on;
+        const off = await board.waitForTransition({ relay: '2', on: false });
+
+        assertNear(delayed.at - first.at, 600, 'delay');
+        assertNear(off.at - delayed.at, 400, 'on time');
+        assert.equal(transitionsOf(board, '4', first.at).length, 0, 'disabled relay stays off');
+    });
+
+    it('runs a relay test for 500 ms on that relay only', async () => {
+        const startedAt = Date.now();
+        const started = board.waitForTransition({ relay: '2', on: true });
+        await admin.post('/api/dashboard/commands/test-relay/2');
+        const on = await started;
+        const off = await board.waitForTransition({ relay: '2', on: false });
+
+        assertNear(on.at - startedAt, 0, 'test start');
+        assertNear(off.at - on.at, 500, 'test duration');
+        const others = board.getTransitions(startedAt).filter(transition => transition.relay !== '2');
+        assert.deepEqual(others, []);
+    });
+
+    it('keeps relays on through a reconnect and finishes the alarm on time', async () => {
+        const started = board.waitForTransition({ relay: '3', on: true });
+        await server.triggerOrder();
+        const on = await started;
+
+        board.disconnect({ forMs: 300 });
+        await delay(800);
+        assert.equal(board.getStatus().connected, true, 'reconnected');
+        assert.equal(board.getStatus().disconnects, 1);
+
+        const off = await board.waitForTransition({ relay: '3', on: false });
+        assert.notEqual(off.source, 'reset', 'no all-off reset on a reconnect');
+        assertNear(off.at - on.at, 3000, 'on time across the reconnect');
+        assert.deepEqual(transitionsOf(board, '3', on.at + 1).filter(transition => transition.at < off.at), []);
+
+        const metrics = await (await fetch(`${server.baseUrl}/metrics`)).text();
+        assert.match(metrics, /^shopalarm_websocket_reconnects_total 1$/m);
+    });
+
+    it('closes the previous connection when a board connects again under the same id', async t => {
+        const stale = createSimulatedBoard({ url: server.esp32Url, deviceId: 'sim-twice' });
+        const current = createSimulatedBoard({ url: server.esp32Url, deviceId: 'sim-twice' });
+        t.after(() => {
+            stale.close();
+            current.close();
+        });
+        stale.connect();
+        await delay(300);
+        current.connect();
+        await delay(300);
+        assert.equal(stale.getStatus().connected, false, 'previous connection closed');
+        assert.equal(current.getStatus().connected, true);
+
+        const on = current.waitForTransition({ relay: '3', on: true });
+        await server.triggerOrder();
+        await on;
+        assert.deepEqual(stale.getTransitions(Date.now() - 1000), [], 'no states on the closed connection');
+        const { devices } = await admin.get('/api/dashboard/devices');
+        assert.equal(devices.find(d => d.id === 'sim-twice').online, true);
+    });
+});